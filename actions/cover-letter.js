@@ -2,45 +2,7 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenAI } from "@google/genai";
-
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
-});
-
-// Helper: robustly extract text from various SDK response shapes
-function extractTextFromModelResponse(res) {
-  if (!res) return "";
-
-  // raw string
-  if (typeof res === "string") return res.trim();
-
-  // older genai: response.output_text
-  if (res.output_text && typeof res.output_text === "string")
-    return res.output_text.trim();
-
-  // some SDK variants expose .text() on the response wrapper
-  try {
-    if (res.text && typeof res.text === "function") return res.text().trim();
-    if (res.response && typeof res.response.text === "function")
-      return res.response.text().trim();
-  } catch (e) {
-    // ignore
-  }
-
-  // candidate/parts shape
-  const candidates = res.response?.candidates || res.candidates || [];
-  if (Array.isArray(candidates) && candidates.length > 0) {
-    const first = candidates[0];
-    const parts = first?.content?.parts || first?.content || [];
-    if (Array.isArray(parts) && parts.length > 0) {
-      const joined = parts.map((p) => p?.text || p?.content || "").join("");
-      if (joined.trim()) return joined.trim();
-    }
-  }
-
-  return "";
-}
+import { generateText, AI_FEATURES } from "@/lib/ai";
 
 export async function generateCoverLetter(data) {
   const { userId } = await auth();
@@ -78,20 +40,12 @@ Format the letter in markdown.
 `;
 
   try {
-    // Call Gemini (GenAI) SDK
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
-
-    const content = extractTextFromModelResponse(response) || "";
+    const content = await generateText(AI_FEATURES.COVER_LETTER, prompt);
 
-    // If the model returned empty content, log debug info and save an error record
+    // If the model returned empty content, log it and save an error record
     const status = content ? "completed" : "error";
     if (!content) {
-      console.error("generateCoverLetter: empty model response:", {
-        responseSample: JSON.stringify(response).slice(0, 2000),
-      });
+      console.error("generateCoverLetter: empty model response");
     }
 
     // Save generated content (or a visible error placeholder) to DB so we can inspect failures
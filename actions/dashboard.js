@@ -2,46 +2,11 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenAI } from "@google/genai";
-
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
-});
+import { generateInsightsForIndustry } from "@/lib/industry-insights";
 
 export const generateAIInsights = async (industry) => {
-  const prompt = `
-Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:
-{
-  "salaryRanges": [
-    { "role": "string", "min": number, "max": number, "median": number, "location": "string" }
-  ],
-  "growthRate": number,
-  "demandLevel": "High" | "Medium" | "Low",
-  "topSkills": ["skill1", "skill2"],
-  "marketOutlook": "Positive" | "Neutral" | "Negative",
-  "keyTrends": ["trend1", "trend2"],
-  "recommendedSkills": ["skill1", "skill2"]
-}
-
-IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
-Include at least 5 common roles for salary ranges.
-Growth rate should be a percentage.
-Include at least 5 skills and trends.
-`;
-
   try {
-    // ✅ New Gemini SDK usage
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
-
-    // Extract the model output
-    const text = response.output_text?.trim() || "";
-    const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-
-    // Parse JSON safely
-    return JSON.parse(cleanedText);
+    return await generateInsightsForIndustry(industry);
   } catch (error) {
     console.error("Error generating AI insights:", error?.message || error);
     throw new Error("Failed to generate AI insights");
@@ -0,0 +1,220 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { interviewAnswerSchema, interviewSessionSchema } from "@/app/lib/schema";
+import {
+  MAX_INTERVIEW_ANSWERS,
+  answerCount,
+  interviewMessage,
+} from "@/app/lib/interview";
+import { generateInterviewerTurn, generateScorecard } from "@/lib/interviewer";
+
+const sessionContext = (user, session, messages) => ({
+  industry: user.industry,
+  experience: user.experience,
+  category: session.category,
+  skills: session.skills,
+  messages,
+});
+
+const SESSION_CONFLICT = "This interview was updated elsewhere. Please reload.";
+
+// Writes only if nobody else updated the session since it was read, so a
+// double-submitted answer cannot be recorded twice
+async function updateSession(session, data) {
+  try {
+    return await db.interviewSession.update({
+      where: { id: session.id, updatedAt: session.updatedAt },
+      data,
+    });
+  } catch (error) {
+    if (error.code === "P2025") {
+      throw new Error(SESSION_CONFLICT);
+    }
+    throw error;
+  }
+}
+
+async function findActiveSession(user, id) {
+  const session = await db.interviewSession.findUnique({
+    where: { id, userId: user.id },
+  });
+  if (!session) throw new Error("Interview not found");
+  if (session.status !== "active") throw new Error("This interview has ended");
+  return session;
+}
+
+/**
+ * finishSession appends the interviewer's closing turn and the scorecard.
+ * `messages` already holds the candidate's last answer, if any.
+ */
+async function finishSession(user, session, messages) {
+  const context = sessionContext(user, session, messages);
+  const [closing, scorecard] = await Promise.all([
+    generateInterviewerTurn({ ...context, remaining: 0 }),
+    generateScorecard(context),
+  ]);
+
+  return updateSession(session, {
+    messages: [...messages, interviewMessage("interviewer", closing.message, closing.kind)],
+    scorecard,
+    overallScore: scorecard.overallScore,
+    status: "completed",
+    completedAt: new Date(),
+  });
+}
+
+export async function startInterviewSession(data = {}) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = interviewSessionSchema.safeParse(data);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const { category, skills } = parsed.data;
+
+  try {
+    const opening = await generateInterviewerTurn({
+      ...sessionContext(user, { category, skills }, []),
+      remaining: MAX_INTERVIEW_ANSWERS,
+    });
+
+    const session = await db.interviewSession.create({
+      data: {
+        userId: user.id,
+        category,
+        skills,
+        messages: [interviewMessage("interviewer", opening.message, opening.kind)],
+      },
+    });
+
+    revalidatePath("/interview");
+    return session;
+  } catch (error) {
+    console.error("Error starting interview:", error);
+    throw new Error("Failed to start interview");
+  }
+}
+
+/**
+ * replyToInterview records the candidate's answer and the interviewer's next
+ * turn. The answer that reaches MAX_INTERVIEW_ANSWERS ends the interview and
+ * adds the scorecard.
+ */
+export async function replyToInterview(sessionId, answer) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = interviewAnswerSchema.safeParse(answer);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+
+  const session = await findActiveSession(user, sessionId);
+  if (session.messages.at(-1)?.role !== "interviewer") {
+    throw new Error("Wait for the interviewer's next question");
+  }
+
+  const messages = [...session.messages, interviewMessage("candidate", parsed.data)];
+  const remaining = MAX_INTERVIEW_ANSWERS - answerCount(messages);
+
+  try {
+    let updated;
+    if (remaining <= 0) {
+      updated = await finishSession(user, session, messages);
+    } else {
+      const turn = await generateInterviewerTurn({
+        ...sessionContext(user, session, messages),
+        remaining,
+      });
+      updated = await updateSession(session, {
+        messages: [...messages, interviewMessage("interviewer", turn.message, turn.kind)],
+      });
+    }
+
+    revalidatePath(`/interview/session/${session.id}`);
+    if (updated.status === "completed") revalidatePath("/interview");
+    return updated;
+  } catch (error) {
+    if (error.message === SESSION_CONFLICT) throw error;
+    console.error("Error replying to interview:", error);
+    throw new Error("Failed to send your answer");
+  }
+}
+
+// Ends the interview early; the scorecard covers the answers given so far
+export async function endInterviewSession(sessionId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const session = await findActiveSession(user, sessionId);
+  if (!answerCount(session.messages)) {
+    throw new Error("Answer at least one question before ending the interview");
+  }
+
+  try {
+    const updated = await finishSession(user, session, session.messages);
+
+    revalidatePath(`/interview/session/${session.id}`);
+    revalidatePath("/interview");
+    return updated;
+  } catch (error) {
+    if (error.message === SESSION_CONFLICT) throw error;
+    console.error("Error ending interview:", error);
+    throw new Error("Failed to end interview");
+  }
+}
+
+export async function getInterviewSession(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.interviewSession.findUnique({
+    where: { id, userId: user.id },
+  });
+}
+
+// Sessions for the interview dashboard, newest first, without transcripts
+export async function getInterviewSessions() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.interviewSession.findMany({
+    where: { userId: user.id },
+    select: {
+      id: true,
+      category: true,
+      skills: true,
+      status: true,
+      overallScore: true,
+      scorecard: true,
+      completedAt: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "desc" },
+  });
+}
@@ -2,56 +2,61 @@
 
 import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
-import { GoogleGenAI } from "@google/genai"; // ✅ updated import
-
-// ✅ Updated Gemini initialization
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
-});
-
-// Helper: extract plain text from different SDK response shapes
-function extractResponseText(response) {
-  if (!response) return "";
-  // Newer @google/genai uses output_text
-  if (typeof response.output_text === "string") return response.output_text;
-  // Some SDK shapes embed text under output?.[0]?.content?.text
-  if (response.output?.[0]?.content?.text) return response.output[0].content.text;
-  // Older pattern: response.output[0].text
-  if (response.output?.[0]?.text) return response.output[0].text;
-  // Fallback: response.candidates[0].content.text
-  if (response.candidates?.[0]?.content?.text)
-    return response.candidates[0].content.text;
-  // Last resort: response.response?.text()
-  try {
-    if (response.response && typeof response.response.text === "function")
-      return response.response.text();
-  } catch (e) {
-    // ignore
-  }
-  return "";
-}
-
-// Try to parse JSON from text in a tolerant way
-function tryParseJSONFromText(text) {
+import { revalidatePath } from "next/cache";
+import { addMinutes, addSeconds } from "date-fns";
+import { generateText, AI_FEATURES } from "@/lib/ai";
+import { parseModelJSON } from "@/lib/ai/response";
+import {
+  codeQuizSchema,
+  openQuizSchema,
+  quizOptionsSchema,
+  questionTimesSchema,
+  quizProgressSchema,
+  quizSchema,
+} from "@/app/lib/schema";
+import { describeSkill } from "@/app/lib/skills";
+import {
+  MAX_CODE_LENGTH,
+  MAX_OPEN_ANSWER_LENGTH,
+  OPEN_ANSWER_PASS_SCORE,
+  QUIZ_SESSION_TTL_MINUTES,
+  QUIZ_TIME_GRACE_SECONDS,
+  isCodeQuestion,
+  isFormatAvailable,
+  isOpenQuestion,
+  isStarQuestion,
+  isWrittenQuestion,
+  missingStarParts,
+  publicQuestion,
+  questionScore,
+  questionTimeLimit,
+  quizCategory,
+  quizCategoryLabel,
+  quizDifficulty,
+  quizTimeLimit,
+  tagQuestionTopics,
+} from "@/app/lib/quiz";
+import { gradeOpenAnswers } from "@/lib/answer-grading";
+import {
+  generateStarQuestions,
+  gradeStarAnswers,
+  resumeStoryEntries,
+} from "@/lib/behavioral";
+import { runCodeTests, verifyCodeQuestions } from "@/lib/code-runner";
+import { queueReviewCards } from "@/lib/review-cards";
+import {
+  bankQuestions,
+  drawBankQuestions,
+  dropRepeats,
+  seedFallbackQuestions,
+  seenQuestions,
+} from "@/lib/question-bank";
+import { MILESTONE_PASS_SCORE } from "@/app/lib/roadmap";
+
+// Parse a loose, non-JSON multiple-choice format ("1. Question\nA) ...") into questions
+function parseLooseMultipleChoice(text) {
   if (!text) return null;
-  // direct parse
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    // try to extract the first {...} block
-    const first = text.indexOf("{");
-    const last = text.lastIndexOf("}");
-    if (first !== -1 && last !== -1 && last > first) {
-      const sub = text.slice(first, last + 1);
-      try {
-        return JSON.parse(sub);
-      } catch (e2) {
-        // continue to fallback
-      }
-    }
-  }
 
-  // try to parse a loose multiple-choice format into JSON
   try {
     const groups = text
       .split(/\n\s*\n/) // blank-line separated
@@ -83,114 +88,696 @@ function tryParseJSONFromText(text) {
   return null;
 }
 
-function fallbackQuestionsForIndustry(industry, skills = []) {
-  const base = [
-    {
-      question: `What is a common core concept in ${industry} work?`,
-      options: ["Foundational concept A", "Foundational concept B", "Foundational concept C", "Foundational concept D"],
-      correctAnswer: "Foundational concept A",
-      explanation: "Start with the fundamentals and build toward applied scenarios.",
-    },
-    {
-      question: `Which tool or technique is commonly used for ${industry} tasks?`,
-      options: ["Tool A", "Tool B", "Tool C", "Tool D"],
-      correctAnswer: "Tool A",
-      explanation: "Practice with Tool A in small projects.",
-    },
+// Answer instructions, JSON shape and validation for each quiz format
+const QUESTION_FORMATS = {
+  "multiple-choice": {
+    instructions: "Each question should be multiple choice with 4 options.",
+    shape: `{
+          "question": "string",
+          "topic": "string",
+          "options": ["string", "string", "string", "string"],
+          "correctAnswer": "string",
+          "explanation": "string"
+        }`,
+    schema: quizSchema,
+  },
+  "open-ended": {
+    instructions: `Each question should be open-ended, answerable in a few sentences or a
+    short outline, as in a real interview. List the points a strong answer covers in keyPoints.`,
+    shape: `{
+          "question": "string",
+          "topic": "string",
+          "keyPoints": ["string"]
+        }`,
+    schema: openQuizSchema,
+  },
+  coding: {
+    instructions: `Each question should be a JavaScript coding problem solved by writing one
+    function, small enough for 10-20 minutes. Describe the problem in "question", including the
+    function name and parameters. Give 2 visible examples and 3-5 hidden tests covering edge
+    cases; "input" is the array of arguments and "output" the expected return value, both plain
+    JSON. "solution" is a correct reference implementation.`,
+    shape: `{
+          "question": "string",
+          "topic": "string",
+          "functionName": "string",
+          "starterCode": "function name(params) {\\n}\\n",
+          "examples": [{ "input": [], "output": null }],
+          "tests": [{ "input": [], "output": null }],
+          "solution": "string",
+          "explanation": "string"
+        }`,
+    schema: codeQuizSchema,
+  },
+};
+
+// Most of the user's past questions listed in the prompt as ones to avoid
+const SEEN_PROMPT_LIMIT = 15;
+
+// Writes the questions for a quiz with the given quizOptionsSchema values.
+// Questions similar to ones the user has seen are dropped, and the question
+// bank makes up any shortfall when the model's output is unusable. Resolves
+// with { questions, generated }: `generated` are the model's questions that
+// passed schema validation, the only ones fit to add to the bank.
+async function generateQuizQuestions(user, { category, skills, difficulty, format, count }) {
+  const questionFormat = QUESTION_FORMATS[format];
+
+  // Structured skills (most recently used first) let the model pitch each
+  // question at the candidate's level; older profiles only have names
+  const skillsText = user.userSkills.length
+    ? `
+    Their skills (category, proficiency, years used, last used):
+    ${user.userSkills.map((s) => `- ${describeSkill(s)}`).join("\n    ")}`
+    : user.skills?.length
+    ? `
+    Their skills: ${user.skills.join(", ")}.`
+    : "";
+
+  // Focus skills (picked on the start screen or from a skill gap) narrow
+  // every question; otherwise the profile skills set the topics
+  const focusText = skills.length
+    ? `All questions must test: ${skills.join(", ")}. Treat any of these not listed above as new to the candidate.`
+    : skillsText
+    ? "Focus on the skills above, favouring recently used ones."
+    : "";
+
+  // Without proficiencies there is nothing to adapt to
+  const difficultyText =
+    difficulty === "adaptive" && !user.userSkills.length
+      ? "Mix easy, medium and hard questions."
+      : quizDifficulty(difficulty).prompt;
+
+  // Behavioral stories are asked about the entries on the latest resume
+  if (format === "star") {
+    const resume = await db.resume.findFirst({
+      where: { userId: user.id },
+      orderBy: { updatedAt: "desc" },
+      select: { data: true },
+    });
+    const entries = resumeStoryEntries(resume?.data);
+    if (!entries.length) {
+      throw new Error(
+        "Add work experience or projects to your resume to practise questions about them"
+      );
+    }
+    const questions = await generateStarQuestions({
+      industry: user.industry,
+      entries,
+      count,
+      skills,
+      difficultyText,
+    });
+    return { questions, generated: [] };
+  }
+
+  // The model is told to avoid the latest past questions; repeats that get
+  // through anyway are dropped below
+  const seen = await seenQuestions(db, user.id).catch((error) => {
+    console.error("Error loading seen questions:", error);
+    return [];
+  });
+  const seenText = seen.length
+    ? `Do not repeat or rephrase any of these questions they have already been asked:
+    ${seen
+      .slice(0, SEEN_PROMPT_LIMIT)
+      .map((s) => `- ${s.text}`)
+      .join("\n    ")}`
+    : "";
+
+  const prompt = `
+    Generate ${count} ${quizCategory(category).prompt} for a ${user.industry} professional.
+    ${skillsText}
+
+    ${focusText}
+    ${difficultyText}
+    ${seenText}
+    
+    ${questionFormat.instructions}
+    Tag each question with the skill or subject it tests as "topic", in one to three words${
+      skills.length ? ", using the skill names above where they fit" : ""
+    }.
+    
+    Return the response in this JSON format only, no additional text:
     {
-      question: `What's important when demonstrating ${skills?.slice(0,2).join(', ') || 'relevant'} on your resume?`,
-      options: ["Quantify impact", "List responsibilities only", "Use long paragraphs", "Avoid metrics"],
-      correctAnswer: "Quantify impact",
-      explanation: "Hiring managers value measurable impact and outcomes.",
-    },
-  ];
+      "questions": [
+        ${questionFormat.shape}
+      ]
+    }
+  `;
+
+  let generated = [];
+  let loose = false;
+  try {
+    const text = await generateText(AI_FEATURES.QUIZ, prompt);
+
+    // Tolerant JSON parsing + validation, then the loose text format
+    const parsed = parseModelJSON(text, questionFormat.schema);
+    if (parsed.success && format === "coding") {
+      // Only keep test cases the reference solution actually passes
+      generated = await verifyCodeQuestions(parsed.data.questions.slice(0, count));
+    } else if (parsed.success) {
+      generated = parsed.data.questions.slice(0, count);
+    } else if (format === "multiple-choice") {
+      const parsedLoose = quizSchema.safeParse(parseLooseMultipleChoice(text));
+      if (parsedLoose.success) {
+        generated = parsedLoose.data.questions.slice(0, count);
+        loose = true;
+      }
+    }
 
-  // ensure we return 5 questions: replicate or slightly vary
-  while (base.length < 10) base.push({ ...base[base.length - 1] });
-  return base.slice(0, 10).map((q) => ({ ...q }));
+    if (!generated.length) {
+      console.warn(
+        `Could not parse AI JSON for quiz (${
+          parsed.error ?? "no coding problem passed its own tests"
+        }). Raw output:\n`,
+        text
+      );
+    }
+  } catch (error) {
+    console.error("Error generating quiz:", error);
+  }
+
+  const questions = dropRepeats(generated, seen);
+  // The loose format has no answer key; the first option is a guess
+  const validated = loose ? [] : questions;
+  if (questions.length >= count) return { questions, generated: validated };
+
+  // Top up from the bank, or straight from the seed questions when the
+  // database is unavailable too
+  const bankOptions = {
+    userId: user.id,
+    industry: user.industry,
+    category,
+    format,
+    skills: skills.length ? skills : user.skills ?? [],
+    count: count - questions.length,
+    exclude: questions,
+  };
+  const extra = await drawBankQuestions(db, bankOptions).catch((error) => {
+    console.error("Error drawing from the question bank:", error);
+    return seedFallbackQuestions(bankOptions);
+  });
+  return { questions: [...questions, ...extra], generated: validated };
+}
+
+// A quiz session of the user's that can still be answered; a session past its
+// expiry is marked expired on the way
+async function findActiveQuizSession(user, sessionId) {
+  const session = await db.quizSession.findUnique({
+    where: { id: String(sessionId ?? ""), userId: user.id },
+  });
+  if (!session) throw new Error("Quiz not found");
+  if (session.status === "active" && session.expiresAt < new Date()) {
+    await db.quizSession.update({
+      where: { id: session.id },
+      data: { status: "expired" },
+    });
+    throw new Error("This quiz has expired. Please start a new one.");
+  }
+  if (session.status === "expired") {
+    throw new Error("This quiz has expired. Please start a new one.");
+  }
+  if (session.status !== "active") {
+    throw new Error("This quiz has already been submitted");
+  }
+  return session;
 }
 
-export async function generateQuiz() {
+// When a timed quiz's overall limit runs out, or null if it is untimed
+const quizDeadline = (session) =>
+  session.timed ? addSeconds(session.createdAt, quizTimeLimit(session.questions)) : null;
+
+// Whether answers can no longer change: past a timed quiz's limit and grace
+const isPastDeadline = (session) => {
+  const deadline = quizDeadline(session);
+  return !!deadline && addSeconds(deadline, QUIZ_TIME_GRACE_SECONDS) < new Date();
+};
+
+// What the client gets of a quiz session: no answer key
+const quizView = (session) => ({
+  sessionId: session.id,
+  expiresAt: session.expiresAt,
+  timed: session.timed,
+  deadlineAt: quizDeadline(session),
+  questions: session.questions.map(publicQuestion),
+});
+
+// Milliseconds per question as reported by the client, capped at each
+// question's limit in timed mode
+const clampTimes = (session, times) =>
+  session.questions.map((q, index) => {
+    const ms = Math.max(0, Math.round(times[index] ?? 0));
+    return session.timed ? Math.min(ms, questionTimeLimit(q) * 1000) : ms;
+  });
+
+/**
+ * generateQuiz writes a quiz and opens a QuizSession that keeps its answer
+ * key on the server. Resolves with { sessionId, expiresAt, timed, deadlineAt,
+ * questions }, the questions as publicQuestion() sees them; answers go back
+ * through saveQuizResult(sessionId, ...). `milestoneId` links the quiz to the
+ * roadmap milestone it verifies.
+ */
+export async function generateQuiz(options = {}, { milestoneId } = {}) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
+  const parsedOptions = quizOptionsSchema.safeParse(options);
+  if (!parsedOptions.success) {
+    throw new Error(parsedOptions.error.issues[0].message);
+  }
+  const { category, skills, difficulty, format, count, timed } = parsedOptions.data;
+  if (!isFormatAvailable(format, category)) {
+    throw new Error(`This answer format is not available for ${quizCategoryLabel(category)} quizzes`);
+  }
+
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
     select: {
+      id: true,
       industry: true,
       skills: true,
+      userSkills: {
+        orderBy: [{ lastUsed: { sort: "desc", nulls: "last" } }, { createdAt: "asc" }],
+      },
     },
   });
 
   if (!user) throw new Error("User not found");
 
-  const prompt = `
-    Generate 10 technical interview questions for a ${user.industry} professional${
-    user.skills?.length ? ` with expertise in ${user.skills.join(", ")}` : ""
-  }.
-    
-    Each question should be multiple choice with 4 options.
-    
-    Return the response in this JSON format only, no additional text:
-    {
-      "questions": [
-        {
-          "question": "string",
-          "options": ["string", "string", "string", "string"],
-          "correctAnswer": "string",
-          "explanation": "string"
-        }
-      ]
-    }
-  `;
+  const milestone = milestoneId
+    ? await db.roadmapMilestone.findFirst({
+        where: { id: milestoneId, roadmap: { userId: user.id } },
+      })
+    : null;
+  if (milestoneId && !milestone) throw new Error("Milestone not found");
+
+  const { questions: written, generated } = await generateQuizQuestions(
+    user,
+    parsedOptions.data
+  );
+  const questions = tagQuestionTopics(written, { category, skills });
+  if (!questions.length) {
+    throw new Error("Could not write a quiz right now. Please try again.");
+  }
 
-  try {
-    // ✅ Updated Gemini API call
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
+  // Bank the questions so later quizzes can avoid them; the quiz can go
+  // ahead without it
+  await bankQuestions(db, {
+    userId: user.id,
+    industry: user.industry,
+    category,
+    questions,
+    generated,
+  }).catch((error) => console.error("Error banking quiz questions:", error));
+
+  // One quiz in progress at a time: starting a new one drops the old one
+  await db.quizSession.updateMany({
+    where: { userId: user.id, status: "active" },
+    data: { status: "expired" },
+  });
+  const session = await db.quizSession.create({
+    data: {
+      userId: user.id,
+      category,
+      skills,
+      difficulty,
+      format,
+      questionCount: count,
+      timed,
+      milestoneId: milestone?.id,
+      questions,
+      expiresAt: addMinutes(new Date(), QUIZ_SESSION_TTL_MINUTES),
+    },
+  });
 
-    // Robust response extraction
-    const text = (extractResponseText(response) || "").trim();
-    const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
+  return quizView(session);
+}
 
-    // Attempt tolerant JSON parsing or structured extraction
-    const parsed = tryParseJSONFromText(cleanedText);
-    if (parsed && parsed.questions && Array.isArray(parsed.questions)) {
-      return parsed.questions;
-    }
+// The keys to the answers locked in by revealAnswer, by question index
+const revealedKeys = (session) =>
+  Object.fromEntries(
+    Object.entries(session.revealedAnswers ?? {}).map(([index, answer]) => [
+      index,
+      {
+        answer,
+        correctAnswer: session.questions[index].correctAnswer,
+        explanation: session.questions[index].explanation,
+      },
+    ])
+  );
+
+/**
+ * getActiveQuizSession returns the user's quiz in progress, if any, as
+ * generateQuiz does plus the saved progress ({ currentIndex, answers, unsure,
+ * revealed }) and the options it was generated with, or null.
+ */
+export async function getActiveQuizSession() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
 
-    console.warn("Could not parse AI JSON for quiz. Raw output:\n", cleanedText);
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
 
-    // As a last resort, return a programmatic fallback quiz based on industry
-    const fallback = fallbackQuestionsForIndustry(user.industry, user.skills);
-    return fallback;
-  } catch (error) {
-    console.error("Error generating quiz:", error);
-    // Return a fallback instead of failing completely
-    const fallback = fallbackQuestionsForIndustry(user?.industry || "the field", user?.skills || []);
-    return fallback;
+  const session = await db.quizSession.findFirst({
+    where: { userId: user.id, status: "active", expiresAt: { gt: new Date() } },
+    orderBy: { updatedAt: "desc" },
+  });
+  if (!session) return null;
+
+  return {
+    ...quizView(session),
+    category: session.category,
+    format: session.format,
+    milestoneId: session.milestoneId,
+    currentIndex: session.currentIndex,
+    answers: session.answers,
+    unsure: session.unsure,
+    times: session.times,
+    revealed: revealedKeys(session),
+  };
+}
+
+/**
+ * saveQuizProgress records where the user is in a quiz session
+ * (quizProgressSchema) so it can be resumed after a reload, and pushes back
+ * the session's expiry.
+ */
+export async function saveQuizProgress(sessionId, progress) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = quizProgressSchema.safeParse(progress);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const { currentIndex, answers, unsure, times } = parsed.data;
+
+  const session = await findActiveQuizSession(user, sessionId);
+  const total = session.questions.length;
+  if (answers.length !== total || currentIndex >= total) {
+    throw new Error("Your answers don't match this quiz. Please start a new one.");
   }
+  if (isPastDeadline(session)) throw new Error("Time is up for this quiz");
+
+  // A quiz being submitted meanwhile keeps its status and answers
+  await db.quizSession.updateMany({
+    where: { id: session.id, status: "active" },
+    data: {
+      currentIndex,
+      answers,
+      unsure: unsure.filter((index) => index < total),
+      times: clampTimes(session, times),
+      expiresAt: addMinutes(new Date(), QUIZ_SESSION_TTL_MINUTES),
+    },
+  });
 }
 
-export async function saveQuizResult(questions, answers, score) {
+/** discardQuizSession abandons a quiz in progress, e.g. to start over. */
+export async function discardQuizSession(sessionId) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
   });
+  if (!user) throw new Error("User not found");
+
+  await db.quizSession.updateMany({
+    where: { id: String(sessionId ?? ""), userId: user.id, status: "active" },
+    data: { status: "expired" },
+  });
+}
+
+/**
+ * runCodeExamples runs a coding answer against the visible examples of
+ * question `index` in a quiz session, for the editor's Run button. Hidden
+ * tests run when the quiz is submitted.
+ */
+export async function runCodeExamples(sessionId, index, code) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
 
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
   if (!user) throw new Error("User not found");
 
-  const questionResults = questions.map((q, index) => ({
-    question: q.question,
-    answer: q.correctAnswer,
-    userAnswer: answers[index],
-    isCorrect: q.correctAnswer === answers[index],
-    explanation: q.explanation,
+  const session = await findActiveQuizSession(user, sessionId);
+  const question = session.questions[index];
+  if (!isCodeQuestion(question)) throw new Error("Not a coding question");
+  if (String(code ?? "").length > MAX_CODE_LENGTH) {
+    throw new Error(`Keep your code under ${MAX_CODE_LENGTH} characters`);
+  }
+
+  const results = await runCodeTests({
+    code: String(code ?? ""),
+    functionName: question.functionName,
+    tests: question.examples,
+  });
+  return results.map((result, i) => ({
+    input: question.examples[i].input,
+    expected: question.examples[i].output,
+    actual: result.actual,
+    passed: result.passed,
+    error: result.error,
   }));
+}
+
+/**
+ * revealAnswer shows the correct option and explanation of multiple-choice
+ * question `index`. The user's `answer` is locked in first, so it cannot be
+ * changed after seeing the key.
+ */
+export async function revealAnswer(sessionId, index, answer) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const session = await findActiveQuizSession(user, sessionId);
+  const question = session.questions[index];
+  if (!question || isCodeQuestion(question) || isWrittenQuestion(question)) {
+    throw new Error("Only multiple-choice answers can be revealed");
+  }
+
+  const revealed = session.revealedAnswers ?? {};
+  const locked = revealed[index] ?? String(answer ?? "");
+  if (!question.options.includes(locked)) throw new Error("Pick an answer first");
+  if (revealed[index] === undefined) {
+    await db.quizSession.update({
+      where: { id: session.id },
+      data: { revealedAnswers: { ...revealed, [index]: locked } },
+    });
+  }
+
+  return {
+    answer: locked,
+    correctAnswer: question.correctAnswer,
+    explanation: question.explanation,
+  };
+}
+
+/**
+ * saveQuizResult grades the answers to a quiz session against its answer
+ * key, stores the Assessment and closes the session, so each quiz is scored
+ * once: expired or already submitted sessions are rejected. Answers locked
+ * in by revealAnswer override the submitted ones. A passing score completes
+ * the session's roadmap milestone. `unsure` lists the indexes of questions
+ * the user marked as a guess, which are queued for review even when correct;
+ * `times` the milliseconds spent on each question. A timed quiz submitted
+ * after its limit is graded on the answers saved before it ran out.
+ */
+export async function saveQuizResult(sessionId, answers, { unsure = [], times } = {}) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const session = await findActiveQuizSession(user, sessionId);
+  if (!Array.isArray(answers) || answers.length !== session.questions.length) {
+    throw new Error("Your answers don't match this quiz. Please start a new one.");
+  }
+  const parsedTimes = questionTimesSchema.safeParse(times);
+  if (!parsedTimes.success) throw new Error(parsedTimes.error.issues[0].message);
+
+  // Claim the session so a replayed or concurrent submission is rejected
+  const { count: claimed } = await db.quizSession.updateMany({
+    where: { id: session.id, status: "active" },
+    data: { status: "grading" },
+  });
+  if (!claimed) throw new Error("This quiz has already been submitted");
+
+  const revealed = session.revealedAnswers ?? {};
+  const late = isPastDeadline(session);
+  const finalAnswers = answers.map(
+    (answer, index) => revealed[index] ?? (late ? session.answers?.[index] : answer)
+  );
+  const finalTimes = clampTimes(session, late ? session.times : parsedTimes.data);
+
+  try {
+    return await gradeQuizSession(user, session, finalAnswers, {
+      unsure,
+      times: finalTimes,
+    });
+  } catch (error) {
+    // Nothing was saved, so the quiz can be submitted again
+    await db.quizSession
+      .update({ where: { id: session.id }, data: { status: "active" } })
+      .catch((releaseError) => console.error("Error releasing quiz session:", releaseError));
+    throw error;
+  }
+}
+
+// Scores a claimed quiz session, saves the Assessment and marks the session
+// submitted (see saveQuizResult)
+async function gradeQuizSession(user, session, answers, { unsure, times }) {
+  const { questions, category, skills, difficulty, questionCount: count, timed } = session;
+
+  const milestone = session.milestoneId
+    ? await db.roadmapMilestone.findUnique({ where: { id: session.milestoneId } })
+    : null;
+
+  // Written answers are graded by the model: open questions against
+  // RUBRIC_CRITERIA, behavioral stories for STAR completeness
+  const indexed = questions.map((q, index) => ({ q, index }));
+  const openQuestions = indexed.filter(({ q }) => isOpenQuestion(q));
+  const starQuestions = indexed.filter(({ q }) => isStarQuestion(q));
+  const toGradingItem = ({ q, index }) => ({
+    industry: user.industry,
+    category,
+    question: q.question,
+    source: q.source,
+    keyPoints: q.keyPoints,
+    answer: String(answers[index] ?? ""),
+  });
+
+  let openGrades = [];
+  let starGrades = [];
+  if (openQuestions.length || starQuestions.length) {
+    try {
+      [openGrades, starGrades] = await Promise.all([
+        gradeOpenAnswers(openQuestions.map(toGradingItem)),
+        gradeStarAnswers(starQuestions.map(toGradingItem)),
+      ]);
+    } catch (error) {
+      console.error("Error grading answers:", error);
+      throw new Error("Failed to grade your answers. Please try again.");
+    }
+  }
+  const gradeFor = new Map([
+    ...openQuestions.map(({ index }, i) => [index, openGrades[i]]),
+    ...starQuestions.map(({ index }, i) => [index, starGrades[i]]),
+  ]);
+
+  // Coding answers run against the examples and hidden tests
+  const codeRuns = new Map(
+    await Promise.all(
+      indexed
+        .filter(({ q }) => isCodeQuestion(q))
+        .map(async ({ q, index }) => {
+          const tests = [...q.examples, ...q.tests];
+          const results = await runCodeTests({
+            code: String(answers[index] ?? "").slice(0, MAX_CODE_LENGTH),
+            functionName: q.functionName,
+            tests,
+          });
+          return [index, { tests, results }];
+        })
+    )
+  );
+
+  // Written answers keep the multiple-choice fields (the model answer as
+  // `answer`, feedback as `explanation`) plus their rubric or STAR scores.
+  // A story missing a STAR part is never correct, whatever its score.
+  const questionResults = questions.map((q, index) => {
+    if (isCodeQuestion(q)) {
+      const { tests, results } = codeRuns.get(index);
+      const passed = results.filter((r) => r.passed).length;
+      return {
+        type: "code",
+        question: q.question,
+        topic: q.topic,
+        functionName: q.functionName,
+        answer: q.solution,
+        userAnswer: String(answers[index] ?? "").slice(0, MAX_CODE_LENGTH),
+        isCorrect: passed === tests.length,
+        explanation: q.explanation,
+        score: Math.round((passed / tests.length) * 100),
+        tests: results.map((result, i) => ({
+          hidden: i >= q.examples.length,
+          input: tests[i].input,
+          expected: tests[i].output,
+          passed: result.passed,
+          error: result.error,
+        })),
+      };
+    }
+    if (isStarQuestion(q)) {
+      const grade = gradeFor.get(index);
+      return {
+        type: "star",
+        question: q.question,
+        topic: q.topic,
+        source: q.source,
+        answer: grade.modelAnswer,
+        userAnswer: String(answers[index] ?? "").slice(0, MAX_OPEN_ANSWER_LENGTH),
+        isCorrect:
+          grade.score >= OPEN_ANSWER_PASS_SCORE && !missingStarParts(grade.parts).length,
+        explanation: grade.feedback,
+        score: grade.score,
+        star: grade.parts,
+      };
+    }
+    if (!isOpenQuestion(q)) {
+      return {
+        question: q.question,
+        topic: q.topic,
+        answer: q.correctAnswer,
+        userAnswer: answers[index],
+        isCorrect: q.correctAnswer === answers[index],
+        explanation: q.explanation,
+      };
+    }
+    const grade = gradeFor.get(index);
+    return {
+      type: "open",
+      question: q.question,
+      topic: q.topic,
+      answer: grade.modelAnswer,
+      userAnswer: String(answers[index] ?? "").slice(0, MAX_OPEN_ANSWER_LENGTH),
+      isCorrect: grade.score >= OPEN_ANSWER_PASS_SCORE,
+      explanation: grade.feedback,
+      score: grade.score,
+      rubric: grade.scores,
+    };
+  });
+
+  // Time to answer is recorded for every quiz; in timed mode a question that
+  // used up its limit is flagged as timed out
+  const unsureIndexes = new Set(Array.isArray(unsure) ? unsure : []);
+  questionResults.forEach((result, index) => {
+    if (unsureIndexes.has(index)) result.unsure = true;
+    result.timeMs = times[index];
+    if (timed && times[index] >= questionTimeLimit(questions[index]) * 1000) {
+      result.timedOut = true;
+    }
+  });
+
+  const score =
+    questionResults.reduce((sum, q) => sum + questionScore(q), 0) /
+    questionResults.length;
 
   // Get wrong answers
   const wrongAnswers = questionResults.filter((q) => !q.isCorrect);
@@ -199,14 +786,20 @@ export async function saveQuizResult(questions, answers, score) {
   let improvementTip = null;
   if (wrongAnswers.length > 0) {
     const wrongQuestionsText = wrongAnswers
-      .map(
-        (q) =>
-          `Question: "${q.question}"\nCorrect Answer: "${q.answer}"\nUser Answer: "${q.userAnswer}"`
-      )
+      .map((q) => {
+        const missing = q.star ? missingStarParts(q.star) : [];
+        return `Question: "${q.question}"\nCorrect Answer: "${q.answer}"\nUser Answer: "${q.userAnswer}"${
+          missing.length
+            ? `\nMissing STAR parts: ${missing.map((p) => p.label).join(", ")}`
+            : ""
+        }`;
+      })
       .join("\n\n");
 
     const improvementPrompt = `
-      The user got the following ${user.industry} technical interview questions wrong:
+      The user got the following ${user.industry} ${quizCategoryLabel(
+        category
+      ).toLowerCase()} interview questions wrong:
 
       ${wrongQuestionsText}
 
@@ -217,13 +810,10 @@ export async function saveQuizResult(questions, answers, score) {
     `;
 
     try {
-      // ✅ Updated Gemini API call for improvement tip
-      const response = await ai.models.generateContent({
-        model: "gemini-2.5-flash",
-        contents: [{ role: "user", parts: [{ text: improvementPrompt }] }],
-      });
-
-      improvementTip = (extractResponseText(response) || "").trim();
+      improvementTip = await generateText(
+        AI_FEATURES.IMPROVEMENT_TIP,
+        improvementPrompt
+      );
       console.log(improvementTip);
     } catch (error) {
       console.error("Error generating improvement tip:", error);
@@ -231,18 +821,51 @@ export async function saveQuizResult(questions, answers, score) {
     }
   }
 
+  const milestoneCompleted =
+    !!milestone && milestone.status !== "done" && score >= MILESTONE_PASS_SCORE;
+
   try {
-    const assessment = await db.assessment.create({
-      data: {
-        userId: user.id,
-        quizScore: score,
-        questions: questionResults,
-        category: "Technical",
-        improvementTip,
-      },
+    const assessment = await db.$transaction(async (tx) => {
+      const created = await tx.assessment.create({
+        data: {
+          userId: user.id,
+          quizScore: score,
+          questions: questionResults,
+          category,
+          skills,
+          difficulty,
+          questionCount: count,
+          timed,
+          improvementTip,
+          milestoneId: milestone?.id,
+        },
+      });
+      await tx.quizSession.update({
+        where: { id: session.id },
+        data: { status: "submitted", submittedAt: new Date(), assessmentId: created.id },
+      });
+      if (milestoneCompleted) {
+        await tx.roadmapMilestone.update({
+          where: { id: milestone.id },
+          data: { status: "done", completedAt: new Date() },
+        });
+      }
+      return created;
     });
+    if (milestone) revalidatePath(`/roadmap/${milestone.roadmapId}`);
+
+    try {
+      await queueReviewCards(db, {
+        userId: user.id,
+        assessmentId: assessment.id,
+        results: questionResults,
+      });
+    } catch (error) {
+      console.error("Error queueing review cards:", error);
+      // The quiz is saved; its questions just won't come up for review
+    }
 
-    return assessment;
+    return { ...assessment, milestoneCompleted };
   } catch (error) {
     console.error("Error saving quiz result:", error);
     throw new Error("Failed to save quiz result");
@@ -1,83 +1,365 @@
 "use server";
 
 import { db } from "@/lib/prisma";
+import { Prisma } from "@prisma/client";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
-import { GoogleGenAI } from "@google/genai";
 import { dbLimit } from "@/lib/dbLimit";
+import { generateText, AI_FEATURES } from "@/lib/ai";
+import { scoreResume, extractKeywords, keywordGap } from "@/app/lib/ats";
+import {
+  resumeNameSchema,
+  resumeSchema,
+  tailorResumeSchema,
+} from "@/app/lib/schema";
+import { resumeToMarkdown } from "@/app/lib/resume-markdown";
+import { format } from "date-fns";
+import { extractResumeText, mapResumeText } from "@/lib/resume-import";
 
-// Initialize the new Gemini SDK client
-const ai = new GoogleGenAI({
-  apiKey: process.env.GEMINI_API_KEY,
-});
-
-// Helper: robustly extract text from various SDK response shapes
-function extractTextFromModelResponse(res) {
-  if (!res) return "";
-  if (typeof res === "string") return res.trim();
-  if (res.output_text && typeof res.output_text === "string")
-    return res.output_text.trim();
+// Deterministic ATS score plus AI narrative feedback for a markdown resume.
+// Feedback is best-effort: the score is still returned if the model fails.
+async function runResumeAnalysis(user, content) {
+  const analysis = scoreResume(content, {
+    keywords: user.industryInsight?.topSkills || [],
+  });
+
+  const checksText = analysis.checks
+    .map((c) => `- ${c.label}: ${c.score}/${c.max} (${c.detail})`)
+    .join("\n");
+
+  const prompt = `
+As an expert resume reviewer and ATS specialist, review the following resume for a ${user.industry} professional.
+
+An automated ATS check scored it ${analysis.score}/100:
+${checksText}
+Missing industry keywords: ${analysis.missingKeywords.join(", ") || "none"}
+
+Resume (markdown):
+"""
+${content}
+"""
+
+Write 3-5 concise, specific feedback bullet points in markdown that explain how to raise the score and make the resume more compelling.
+Refer to concrete sections or entries. Return only the bullet list, without any introduction or closing text.
+`;
+
+  let feedback = null;
   try {
-    if (res.text && typeof res.text === "function") return res.text().trim();
-    if (res.response && typeof res.response.text === "function")
-      return res.response.text().trim();
-  } catch (e) {
-    // ignore
-  }
-  const candidates = res.response?.candidates || res.candidates || [];
-  if (Array.isArray(candidates) && candidates.length > 0) {
-    const first = candidates[0];
-    const parts = first?.content?.parts || first?.content || [];
-    if (Array.isArray(parts) && parts.length > 0) {
-      const joined = parts.map((p) => p?.text || p?.content || "").join("");
-      if (joined.trim()) return joined.trim();
-    }
+    feedback = (await generateText(AI_FEATURES.RESUME_FEEDBACK, prompt)) || null;
+  } catch (error) {
+    console.error("Error generating resume feedback:", error);
   }
-  return "";
+
+  return { ...analysis, feedback };
 }
 
-// Save or update resume content
-export async function saveResume(content) {
+// Save structured resume data with its markdown, scoring it on the way.
+// content defaults to markdown rendered from data; it differs only when the
+// markdown was edited by hand. Every save that changes either appends a
+// ResumeVersion; without a resumeId a new resume is created.
+export async function saveResume({ data, content, resumeId }) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
   const user = await dbLimit(() => db.user.findUnique({
     where: { clerkUserId: userId },
+    include: { industryInsight: true },
   }));
   if (!user) throw new Error("User not found");
 
+  const parsed = resumeSchema.safeParse(data);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const markdown = content ?? resumeToMarkdown(parsed.data, { name: user.name });
+
+  const existing = resumeId
+    ? await dbLimit(() => db.resume.findFirst({
+        where: { id: resumeId, userId: user.id },
+      }))
+    : null;
+  if (resumeId && !existing) throw new Error("Resume not found");
+
   try {
-    const resume = await dbLimit(() => db.resume.upsert({
-      where: { userId: user.id },
-      update: { content },
-      create: { userId: user.id, content },
+    const analysis = await runResumeAnalysis(user, markdown);
+    const fields = {
+      data: parsed.data,
+      content: markdown,
+      atsScore: analysis.score,
+      feedback: analysis.feedback,
+    };
+
+    const changed =
+      !existing ||
+      existing.content !== markdown ||
+      JSON.stringify(existing.data) !== JSON.stringify(parsed.data);
+
+    const resume = await dbLimit(() => db.$transaction(async (tx) => {
+      const saved = existing
+        ? await tx.resume.update({
+            where: { id: existing.id },
+            data: fields,
+          })
+        : await tx.resume.create({
+            data: { userId: user.id, ...fields },
+          });
+
+      if (changed) {
+        await tx.resumeVersion.create({
+          data: {
+            resumeId: saved.id,
+            data: parsed.data,
+            content: markdown,
+            atsScore: analysis.score,
+          },
+        });
+      }
+
+      return saved;
     }));
 
     revalidatePath("/resume");
-    return resume;
+    return { ...resume, analysis };
   } catch (error) {
     console.error("Error saving resume:", error);
     throw new Error("Failed to save resume");
   }
 }
 
-// Retrieve the user's saved resume
-export async function getResume() {
+// Analyze resume content without saving it. When the content matches the
+// saved resume, the fresh score and feedback are persisted too.
+export async function analyzeResume(content, resumeId) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
+    include: { industryInsight: true },
   });
   if (!user) throw new Error("User not found");
+  if (!content?.trim()) throw new Error("Resume is empty");
+
+  const analysis = await runResumeAnalysis(user, content);
+
+  const resume = resumeId
+    ? await db.resume.findFirst({ where: { id: resumeId, userId: user.id } })
+    : null;
 
-  return await db.resume.findUnique({
+  if (resume && resume.content === content) {
+    await db.resume.update({
+      where: { id: resume.id },
+      data: { atsScore: analysis.score, feedback: analysis.feedback },
+    });
+    revalidatePath("/resume");
+  }
+
+  return analysis;
+}
+
+// List the user's resumes, most recently edited first
+export async function getResumes() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.resume.findMany({
     where: { userId: user.id },
+    select: { id: true, name: true, atsScore: true, updatedAt: true },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+// Retrieve a saved resume by id, or the most recently edited one
+export async function getResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.resume.findFirst({
+    where: { userId: user.id, ...(id && { id }) },
+    orderBy: { updatedAt: "desc" },
+  });
+}
+
+// Create a named resume, optionally starting from a copy of another one
+export async function createResume({ name, data, content = "" }) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = resumeNameSchema.safeParse(name);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+
+  // A copy of a resume that was only ever edited as markdown has no data
+  const parsedData = resumeSchema.nullish().safeParse(data);
+  if (!parsedData.success) throw new Error(parsedData.error.issues[0].message);
+  const values = parsedData.data ?? undefined;
+
+  try {
+    const resume = await db.$transaction(async (tx) => {
+      const created = await tx.resume.create({
+        data: { userId: user.id, name: parsed.data, data: values, content },
+      });
+      if (content) {
+        await tx.resumeVersion.create({
+          data: {
+            resumeId: created.id,
+            data: values,
+            content,
+            note: "Created from a copy",
+          },
+        });
+      }
+      return created;
+    });
+
+    revalidatePath("/resume");
+    return resume;
+  } catch (error) {
+    console.error("Error creating resume:", error);
+    throw new Error("Failed to create resume");
+  }
+}
+
+export async function renameResume(id, name) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = resumeNameSchema.safeParse(name);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+
+  const resume = await db.resume.update({
+    where: { id, userId: user.id },
+    data: { name: parsed.data },
+  });
+
+  revalidatePath("/resume");
+  return resume;
+}
+
+// Delete a resume and its history; tailored copies are kept and unlinked
+export async function deleteResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const deleted = await db.resume.delete({
+    where: { id, userId: user.id },
+  });
+
+  revalidatePath("/resume");
+  return deleted;
+}
+
+// Version history of a resume, newest first
+export async function getResumeVersions(resumeId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.resumeVersion.findMany({
+    where: { resumeId, resume: { userId: user.id } },
+    orderBy: { createdAt: "desc" },
   });
 }
 
-// AI-powered improvement of resume sections
-export async function improveWithAI({ current, type }) {
+// Restore an earlier version. History stays append-only: the restored
+// content becomes the current resume and is recorded as a new version.
+export async function restoreResumeVersion(versionId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: { industryInsight: true },
+  });
+  if (!user) throw new Error("User not found");
+
+  const version = await db.resumeVersion.findFirst({
+    where: { id: versionId, resume: { userId: user.id } },
+  });
+  if (!version) throw new Error("Version not found");
+
+  try {
+    const analysis = await runResumeAnalysis(user, version.content);
+
+    // Versions saved before structured data existed have none; the resume's
+    // data is cleared so the builder reads the restored markdown instead
+    const [resume] = await db.$transaction([
+      db.resume.update({
+        where: { id: version.resumeId },
+        data: {
+          data: version.data ?? Prisma.DbNull,
+          content: version.content,
+          atsScore: analysis.score,
+          feedback: analysis.feedback,
+        },
+      }),
+      db.resumeVersion.create({
+        data: {
+          resumeId: version.resumeId,
+          data: version.data ?? undefined,
+          content: version.content,
+          atsScore: analysis.score,
+          note: `Restored from version of ${format(version.createdAt, "PPP p")}`,
+        },
+      }),
+    ]);
+
+    revalidatePath("/resume");
+    return { ...resume, analysis };
+  } catch (error) {
+    console.error("Error restoring resume version:", error);
+    throw new Error("Failed to restore resume version");
+  }
+}
+
+// Map an uploaded PDF, DOCX or TXT resume onto the builder's form values.
+// Nothing is saved: the user reviews the result in the builder first.
+export async function importResume(formData) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const text = await extractResumeText(formData.get("file"));
+
+  try {
+    return await mapResumeText(text, { subject: user.id });
+  } catch (error) {
+    console.error("Error importing resume:", error);
+    throw new Error("Failed to read resume. Try another file or fill in the form manually");
+  }
+}
+
+// AI-powered improvement of resume sections, optionally tailored to a job description
+export async function improveWithAI({ current, type, jobDescription }) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -92,7 +374,16 @@ As an expert resume writer, improve the following ${type} description for a ${us
 Make it more impactful, quantifiable, and aligned with industry standards.
 
 Current content: "${current}"
-
+${
+  jobDescription
+    ? `
+Tailor it to this job description. Work in its key requirements and keywords only where they honestly apply to the candidate; never invent experience:
+"""
+${jobDescription}
+"""
+`
+    : ""
+}
 Requirements:
 1. Use action verbs
 2. Include metrics and results where possible
@@ -105,18 +396,10 @@ Format the response as a single paragraph without any additional text or explana
 `;
 
   try {
-    // ✅ Updated Gemini API call
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-    });
-
-    const improvedContent = extractTextFromModelResponse(response) || "";
+    const improvedContent = await generateText(AI_FEATURES.RESUME_IMPROVE, prompt);
 
     if (!improvedContent) {
-      console.error("improveWithAI: empty model response:", {
-        sample: JSON.stringify(response).slice(0, 2000),
-      });
+      console.error("improveWithAI: empty model response");
       throw new Error("AI returned empty response");
     }
 
@@ -126,3 +409,84 @@ Format the response as a single paragraph without any additional text or explana
     throw new Error("Failed to improve content");
   }
 }
+
+// Save a copy of the resume tailored to a specific job, leaving the base resume untouched
+export async function saveTailoredResume(data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = tailorResumeSchema.safeParse(data);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const { jobTitle, companyName, jobDescription, content, resumeId } =
+    parsed.data;
+
+  const baseResume = resumeId
+    ? await db.resume.findFirst({ where: { id: resumeId, userId: user.id } })
+    : null;
+
+  const keywords = extractKeywords(jobDescription);
+  const gap = keywordGap(content, keywords);
+  const { score } = scoreResume(content, { keywords });
+
+  try {
+    const tailored = await db.tailoredResume.create({
+      data: {
+        userId: user.id,
+        resumeId: baseResume?.id,
+        jobTitle,
+        companyName,
+        jobDescription,
+        content,
+        matchedKeywords: gap.matched,
+        missingKeywords: gap.missing,
+        atsScore: score,
+      },
+    });
+
+    revalidatePath("/resume");
+    return tailored;
+  } catch (error) {
+    console.error("Error saving tailored resume:", error);
+    throw new Error("Failed to save tailored resume");
+  }
+}
+
+export async function getTailoredResumes() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.tailoredResume.findMany({
+    where: { userId: user.id },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+export async function deleteTailoredResume(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const deleted = await db.tailoredResume.delete({
+    where: {
+      id,
+      userId: user.id,
+    },
+  });
+
+  revalidatePath("/resume");
+  return deleted;
+}
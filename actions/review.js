@@ -0,0 +1,123 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { startOfDay, subDays } from "date-fns";
+import { reviewGradeSchema } from "@/app/lib/schema";
+import {
+  DAILY_REVIEW_LIMIT,
+  RECALL_GRADE,
+  REVIEW_GRADES,
+  retentionSeries,
+  scheduleReview,
+} from "@/app/lib/review";
+
+// Days of history in the retention chart
+const RETENTION_DAYS = 30;
+
+// Cards due now, most overdue first, up to the daily limit minus the cards
+// already reviewed today
+export async function getReviewDeck() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const now = new Date();
+  const reviewedToday = await db.reviewLog.count({
+    where: { userId: user.id, reviewedAt: { gte: startOfDay(now) } },
+  });
+
+  return await db.reviewCard.findMany({
+    where: { userId: user.id, dueAt: { lte: now } },
+    orderBy: { dueAt: "asc" },
+    take: Math.max(DAILY_REVIEW_LIMIT - reviewedToday, 0),
+  });
+}
+
+/**
+ * submitReview grades one review of a card (a REVIEW_GRADES id), logs it and
+ * reschedules the card with SM-2.
+ */
+export async function submitReview(cardId, grade) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = reviewGradeSchema.safeParse(grade);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const quality = REVIEW_GRADES.find((g) => g.id === parsed.data).grade;
+
+  const card = await db.reviewCard.findUnique({
+    where: { id: cardId, userId: user.id },
+  });
+  if (!card) throw new Error("Review card not found");
+
+  const now = new Date();
+  const next = scheduleReview(card, quality, now);
+
+  try {
+    const [updated] = await db.$transaction([
+      db.reviewCard.update({
+        where: { id: card.id },
+        data: { ...next, lastReviewedAt: now },
+      }),
+      db.reviewLog.create({
+        data: {
+          cardId: card.id,
+          userId: user.id,
+          grade: quality,
+          recalled: quality >= RECALL_GRADE,
+          interval: next.interval,
+          reviewedAt: now,
+        },
+      }),
+    ]);
+
+    revalidatePath("/interview");
+    return updated;
+  } catch (error) {
+    console.error("Error saving review:", error);
+    throw new Error("Failed to save review");
+  }
+}
+
+// Queue size and daily retention for the review panel
+export async function getReviewStats() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const now = new Date();
+  const [total, due, learned, logs] = await Promise.all([
+    db.reviewCard.count({ where: { userId: user.id } }),
+    db.reviewCard.count({ where: { userId: user.id, dueAt: { lte: now } } }),
+    // Cards recalled at least three times in a row
+    db.reviewCard.count({ where: { userId: user.id, repetitions: { gte: 3 } } }),
+    db.reviewLog.findMany({
+      where: { userId: user.id, reviewedAt: { gte: subDays(now, RETENTION_DAYS) } },
+      select: { reviewedAt: true, recalled: true },
+    }),
+  ]);
+
+  const recalled = logs.filter((log) => log.recalled).length;
+  return {
+    total,
+    due,
+    learned,
+    retention: logs.length ? Math.round((recalled / logs.length) * 100) : null,
+    series: retentionSeries(logs, RETENTION_DAYS, now),
+  };
+}
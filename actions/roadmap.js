@@ -0,0 +1,191 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { milestoneProgressSchema, roadmapRequestSchema } from "@/app/lib/schema";
+import { analyzeSkillGap } from "@/app/lib/skill-match";
+import { generateRoadmapPlan } from "@/lib/roadmap-generator";
+
+// How much quiz history feeds the plan
+const RECENT_ASSESSMENTS = 5;
+const MAX_WEAK_QUESTIONS = 10;
+
+export async function generateRoadmap(data) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: {
+      industryInsight: true,
+      userSkills: { orderBy: { createdAt: "asc" } },
+      assessments: { orderBy: { createdAt: "desc" }, take: RECENT_ASSESSMENTS },
+    },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = roadmapRequestSchema.safeParse(data);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const { weeks, goal } = parsed.data;
+
+  const weaknesses = {
+    questions: user.assessments
+      .flatMap((a) => a.questions)
+      .filter((q) => !q.isCorrect)
+      .map((q) => q.question)
+      .slice(0, MAX_WEAK_QUESTIONS),
+    tips: user.assessments.map((a) => a.improvementTip).filter(Boolean),
+  };
+
+  try {
+    const plan = await generateRoadmapPlan({
+      industry: user.industry,
+      experience: user.experience,
+      skills: user.userSkills,
+      gap: analyzeSkillGap(user.skills, user.industryInsight ?? {}),
+      weaknesses,
+      weeks,
+      goal,
+    });
+
+    const roadmap = await db.roadmap.create({
+      data: {
+        userId: user.id,
+        title: plan.title,
+        summary: plan.summary || null,
+        goal: goal || null,
+        weeks,
+        milestones: {
+          create: plan.milestones.map((milestone, position) => ({
+            position,
+            week: milestone.week,
+            title: milestone.title,
+            description: milestone.description,
+            skill: milestone.skill,
+            resources: milestone.resources,
+            checkpoints: milestone.checkpoints.map((title) => ({ title, done: false })),
+          })),
+        },
+      },
+    });
+
+    revalidatePath("/roadmap");
+    return roadmap;
+  } catch (error) {
+    console.error("Error generating roadmap:", error);
+    throw new Error("Failed to generate roadmap");
+  }
+}
+
+// Roadmaps with their milestone statuses, newest first
+export async function getRoadmaps() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.roadmap.findMany({
+    where: { userId: user.id },
+    include: { milestones: { select: { status: true } } },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+// One roadmap with its milestones in order and each milestone's quiz scores
+export async function getRoadmap(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  return await db.roadmap.findUnique({
+    where: { id, userId: user.id },
+    include: {
+      milestones: {
+        orderBy: { position: "asc" },
+        include: {
+          assessments: {
+            select: { id: true, quizScore: true, createdAt: true },
+            orderBy: { createdAt: "desc" },
+          },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * updateMilestoneProgress sets a milestone's status and/or ticks one of its
+ * checkpoints (see milestoneProgressSchema). Ticking a checkpoint starts a
+ * milestone that is still to do.
+ */
+export async function updateMilestoneProgress(milestoneId, update) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = milestoneProgressSchema.safeParse(update);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+  const { status, checkpoint } = parsed.data;
+
+  const milestone = await db.roadmapMilestone.findFirst({
+    where: { id: milestoneId, roadmap: { userId: user.id } },
+  });
+  if (!milestone) throw new Error("Milestone not found");
+
+  const data = {};
+  if (checkpoint) {
+    if (checkpoint.index >= milestone.checkpoints.length) {
+      throw new Error("Checkpoint not found");
+    }
+    data.checkpoints = milestone.checkpoints.map((item, index) =>
+      index === checkpoint.index ? { ...item, done: checkpoint.done } : item
+    );
+    if (checkpoint.done && milestone.status === "todo") data.status = "in_progress";
+  }
+  if (status) data.status = status;
+  if (data.status && data.status !== milestone.status) {
+    data.completedAt = data.status === "done" ? new Date() : null;
+  }
+
+  try {
+    const updated = await db.roadmapMilestone.update({
+      where: { id: milestone.id },
+      data,
+    });
+
+    revalidatePath(`/roadmap/${milestone.roadmapId}`);
+    return updated;
+  } catch (error) {
+    console.error("Error updating milestone:", error);
+    throw new Error("Failed to update milestone");
+  }
+}
+
+export async function deleteRoadmap(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const roadmap = await db.roadmap.delete({
+    where: { id, userId: user.id },
+  });
+
+  revalidatePath("/roadmap");
+  return roadmap;
+}
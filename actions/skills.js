@@ -0,0 +1,45 @@
+"use server";
+
+import { db } from "@/lib/prisma";
+import { auth } from "@clerk/nextjs/server";
+import { revalidatePath } from "next/cache";
+import { userSkillsSchema } from "@/app/lib/schema";
+import { replaceUserSkills, toSkillValues } from "@/lib/user-skills";
+
+// The signed-in user's structured skills, as skills editor values
+export async function getSkills() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: { userSkills: { orderBy: { createdAt: "asc" } } },
+  });
+  if (!user) throw new Error("User not found");
+
+  return toSkillValues(user.userSkills);
+}
+
+export async function saveSkills(skills) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+  if (!user) throw new Error("User not found");
+
+  const parsed = userSkillsSchema.safeParse(skills);
+  if (!parsed.success) throw new Error(parsed.error.issues[0].message);
+
+  try {
+    await db.$transaction((tx) => replaceUserSkills(tx, user.id, parsed.data));
+  } catch (error) {
+    console.error("Error saving skills:", error);
+    throw new Error("Failed to save skills");
+  }
+
+  revalidatePath("/dashboard");
+  revalidatePath("/resume");
+  return getSkills();
+}
@@ -4,6 +4,8 @@ import { db } from "@/lib/prisma";
 import { auth } from "@clerk/nextjs/server";
 import { revalidatePath } from "next/cache";
 import { generateAIInsights } from "./dashboard";
+import { userSkillsSchema } from "@/app/lib/schema";
+import { replaceUserSkills } from "@/lib/user-skills";
 
 export async function updateUser(data) {
   const { userId } = await auth();
@@ -15,6 +17,9 @@ export async function updateUser(data) {
 
   if (!user) throw new Error("User not found");
 
+  const skills = userSkillsSchema.safeParse(data.skills ?? []);
+  if (!skills.success) throw new Error(skills.error.issues[0].message);
+
   try {
     // Start a transaction to handle both operations
     const result = await db.$transaction(
@@ -48,9 +53,9 @@ export async function updateUser(data) {
             industry: data.industry,
             experience: data.experience,
             bio: data.bio,
-            skills: data.skills,
           },
         });
+        await replaceUserSkills(tx, user.id, skills.data);
 
         return { updatedUser, industryInsight };
       },
@@ -0,0 +1,29 @@
+// Module resolution for `npm test`: maps the "@/" alias from jsconfig.json to
+// the project root and lets imports leave out ".js" or "/index.js", as they
+// do under Next.js. Loaded with `node --import`; registers itself as a hook.
+import { register } from "node:module";
+import { isMainThread } from "node:worker_threads";
+
+const root = new URL("./", import.meta.url);
+
+if (isMainThread) register(import.meta.url);
+
+const isPath = (specifier) => /^(\.{1,2}\/|\/|file:)/.test(specifier);
+
+export async function resolve(specifier, context, nextResolve) {
+  const target = specifier.startsWith("@/")
+    ? new URL(specifier.slice(2), root).href
+    : specifier;
+  if (!isPath(target)) return nextResolve(target, context);
+
+  for (const candidate of [target, `${target}.js`, `${target}/index.js`]) {
+    try {
+      return await nextResolve(candidate, context);
+    } catch (error) {
+      if (!["ERR_MODULE_NOT_FOUND", "ERR_UNSUPPORTED_DIR_IMPORT"].includes(error.code)) {
+        throw error;
+      }
+    }
+  }
+  return nextResolve(target, context);
+}
@@ -1,26 +1,25 @@
 "use client";
 
-import React, { useRef, useState } from "react";
+import React, { useState } from "react";
 import MDEditor from "@uiw/react-md-editor";
-import { Button } from "@/components/ui/button";
-import { Download } from "lucide-react";
+import { DropdownMenuItem } from "@/components/ui/dropdown-menu";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { toast } from "sonner";
+import { DEFAULT_TEMPLATE, downloadBlob } from "@/app/lib/export";
+import {
+  DownloadPdfButton,
+  ExportMenu,
+  PdfPreview,
+  TemplatePicker,
+} from "@/components/document-export";
 
 const CoverLetterPreview = ({ content }) => {
-  const containerRef = useRef(null);
-  const [isGenerating, setIsGenerating] = useState(false);
+  const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
 
   const downloadMarkdown = () => {
     try {
       const blob = new Blob([content || ""], { type: "text/markdown;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "cover-letter.md";
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      downloadBlob(blob, "cover-letter.md");
       toast.success("Markdown downloaded");
     } catch (e) {
       console.error("Failed to download markdown", e);
@@ -28,59 +27,47 @@ const CoverLetterPreview = ({ content }) => {
     }
   };
 
-  const downloadPDF = async () => {
-    setIsGenerating(true);
-    try {
-      // wait for fonts
-      if (document.fonts && document.fonts.ready) {
-        await document.fonts.ready;
-        await new Promise((r) => setTimeout(r, 120));
-      }
-
-      const html2pdfModule = await import("html2pdf.js/dist/html2pdf.min.js");
-      const html2pdf = html2pdfModule.default || html2pdfModule;
-
-      // Prefer the visible preview node
-      const el = containerRef.current || document.body;
-
-      const opt = {
-        margin: [10, 10],
-        filename: "cover-letter.pdf",
-        image: { type: "jpeg", quality: 0.98 },
-        html2canvas: { scale: 2, backgroundColor: "#ffffff" },
-        jsPDF: { unit: "mm", format: "a4", orientation: "portrait" },
-      };
-
-      await html2pdf().set(opt).from(el).save();
-      toast.success("PDF downloaded");
-    } catch (e) {
-      console.error("PDF generation failed", e);
-      toast.error("Failed to generate PDF");
-    } finally {
-      setIsGenerating(false);
-    }
-  };
-
   return (
     <div className="py-4">
       <div className="flex items-center justify-end mb-3 gap-2">
-        <Button variant="outline" size="sm" onClick={downloadMarkdown}>
-          <Download className="h-4 w-4 mr-2" />
-          Download .md
-        </Button>
-        <Button onClick={downloadPDF} disabled={isGenerating}>
-          {isGenerating ? "Generating..." : (
-            <>
-              <Download className="h-4 w-4 mr-2" />
-              Download PDF
-            </>
-          )}
-        </Button>
+        <ExportMenu
+          markdown={content}
+          kind="coverLetter"
+          template={template}
+          basename="cover-letter"
+        >
+          <DropdownMenuItem onSelect={downloadMarkdown}>
+            Markdown (.md)
+          </DropdownMenuItem>
+        </ExportMenu>
+        <DownloadPdfButton
+          markdown={content}
+          kind="coverLetter"
+          template={template}
+          basename="cover-letter"
+        />
       </div>
 
-      <div ref={containerRef}>
-        <MDEditor value={content} preview="preview" height={700} />
-      </div>
+      <Tabs defaultValue="preview">
+        <TabsList>
+          <TabsTrigger value="preview">Preview</TabsTrigger>
+          <TabsTrigger value="pdf">PDF</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="preview">
+          <MDEditor value={content} preview="preview" height={700} />
+        </TabsContent>
+
+        <TabsContent value="pdf" className="space-y-4">
+          <TemplatePicker value={template} onChange={setTemplate} />
+          <PdfPreview
+            markdown={content}
+            kind="coverLetter"
+            template={template}
+            height={700}
+          />
+        </TabsContent>
+      </Tabs>
     </div>
   );
 };
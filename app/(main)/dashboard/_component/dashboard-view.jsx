@@ -16,6 +16,7 @@ import {
   TrendingUp,
   TrendingDown,
   Brain,
+  Check,
 } from "lucide-react";
 import { format, formatDistanceToNow } from "date-fns";
 import {
@@ -27,8 +28,30 @@ import {
 } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Progress } from "@/components/ui/progress";
+import { analyzeSkillGap, skillsMatch } from "@/app/lib/skill-match";
+import SkillGap from "./skill-gap";
+
+// Skill badge, marked when the skill is on the user's profile
+const SkillBadge = ({ skill, owned, variant }) => (
+  <Badge
+    variant={owned ? "default" : variant}
+    title={owned ? "On your profile" : undefined}
+  >
+    {owned && <Check className="h-3 w-3 mr-1" />}
+    {skill}
+  </Badge>
+);
+
+const DashboardView = ({ insights, skills = [] }) => {
+  const skillNames = skills.map((s) => s.name);
+  const gap = analyzeSkillGap(skillNames, insights);
+  const owns = (skill) => skillNames.some((name) => skillsMatch(name, skill));
+  const ownedTopSkills = insights.topSkills.filter(owns);
+  const recommendedSkills = [
+    ...insights.recommendedSkills.filter((s) => !owns(s)),
+    ...insights.recommendedSkills.filter(owns),
+  ];
 
-const DashboardView = ({ insights }) => {
   // Transform salary data for the chart
   const salaryData = insights.salaryRanges.map((range) => ({
     name: range.role,
@@ -134,15 +157,26 @@ const DashboardView = ({ insights }) => {
           <CardContent>
             <div className="flex flex-wrap gap-1">
               {insights.topSkills.map((skill) => (
-                <Badge key={skill} variant="secondary">
-                  {skill}
-                </Badge>
+                <SkillBadge
+                  key={skill}
+                  skill={skill}
+                  owned={owns(skill)}
+                  variant="secondary"
+                />
               ))}
             </div>
+            {skills.length > 0 && (
+              <p className="text-xs text-muted-foreground mt-2">
+                You have {ownedTopSkills.length} of{" "}
+                {insights.topSkills.length}
+              </p>
+            )}
           </CardContent>
         </Card>
       </div>
 
+      <SkillGap gap={gap} hasSkills={skills.length > 0} />
+
       {/* Salary Ranges Chart */}
       <Card className="col-span-4">
         <CardHeader>
@@ -208,14 +242,21 @@ const DashboardView = ({ insights }) => {
         <Card>
           <CardHeader>
             <CardTitle>Recommended Skills</CardTitle>
-            <CardDescription>Skills to consider developing</CardDescription>
+            <CardDescription>
+              {skills.length > 0
+                ? "Skills to consider developing, not yet on your profile first"
+                : "Skills to consider developing"}
+            </CardDescription>
           </CardHeader>
           <CardContent>
             <div className="flex flex-wrap gap-2">
-              {insights.recommendedSkills.map((skill) => (
-                <Badge key={skill} variant="outline">
-                  {skill}
-                </Badge>
+              {recommendedSkills.map((skill) => (
+                <SkillBadge
+                  key={skill}
+                  skill={skill}
+                  owned={owns(skill)}
+                  variant="outline"
+                />
               ))}
             </div>
           </CardContent>
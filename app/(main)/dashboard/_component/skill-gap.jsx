@@ -0,0 +1,122 @@
+import Link from "next/link";
+import { Check, Target } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+
+const quizHref = (skill) => `/interview/mock?skill=${encodeURIComponent(skill)}`;
+
+// A skill the user lacks, linking to a quiz on it
+const QuizBadge = ({ skill, title }) => (
+  <Link href={quizHref(skill)} title={title}>
+    <Badge variant="outline" className="hover:bg-accent">
+      {skill}
+    </Badge>
+  </Link>
+);
+
+const SkillGroup = ({ title, description, children }) => (
+  <div className="space-y-2">
+    <div>
+      <h4 className="text-sm font-medium">{title}</h4>
+      <p className="text-xs text-muted-foreground">{description}</p>
+    </div>
+    <div className="flex flex-wrap gap-2">{children}</div>
+  </div>
+);
+
+// How the user's skills cover the industry's top and recommended skills.
+// `gap` is the result of analyzeSkillGap.
+export default function SkillGap({ gap, hasSkills }) {
+  const { coverage, matched, adjacent, missing } = gap;
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div className="space-y-1.5">
+          <CardTitle>Skill Gap</CardTitle>
+          <CardDescription>
+            How your skills compare with what your industry asks for
+          </CardDescription>
+        </div>
+        <Target className="h-4 w-4 text-muted-foreground" />
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {!hasSkills ? (
+          <div className="space-y-3">
+            <p className="text-sm text-muted-foreground">
+              Add skills to your profile to see which industry skills you
+              already cover.
+            </p>
+            <Link href="/resume">
+              <Button variant="outline" size="sm">
+                Add skills
+              </Button>
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <div className="flex items-baseline justify-between">
+                <span className="text-2xl font-bold">{coverage}%</span>
+                <span className="text-xs text-muted-foreground">
+                  {matched.length} of{" "}
+                  {matched.length + adjacent.length + missing.length} skills
+                  covered
+                </span>
+              </div>
+              <Progress value={coverage} />
+            </div>
+
+            {matched.length > 0 && (
+              <SkillGroup title="You have" description="On your profile">
+                {matched.map(({ skill, as }) => (
+                  <Badge
+                    key={skill}
+                    title={as !== skill ? `Listed as ${as}` : undefined}
+                  >
+                    <Check className="h-3 w-3 mr-1" />
+                    {skill}
+                  </Badge>
+                ))}
+              </SkillGroup>
+            )}
+
+            {adjacent.length > 0 && (
+              <SkillGroup
+                title="Within reach"
+                description="Related to skills you have. Pick one to take a quiz on it"
+              >
+                {adjacent.map(({ skill, related }) => (
+                  <QuizBadge
+                    key={skill}
+                    skill={skill}
+                    title={`You know ${related.join(", ")}`}
+                  />
+                ))}
+              </SkillGroup>
+            )}
+
+            {missing.length > 0 && (
+              <SkillGroup
+                title="Missing"
+                description="Top skills first. Pick one to take a quiz on it"
+              >
+                {missing.map(({ skill }) => (
+                  <QuizBadge key={skill} skill={skill} />
+                ))}
+              </SkillGroup>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,6 +1,7 @@
 import { getIndustryInsights } from "@/actions/dashboard";
 import DashboardView from "./_component/dashboard-view";
 import { getUserOnboardingStatus } from "@/actions/user";
+import { getSkills } from "@/actions/skills";
 import { redirect } from "next/navigation";
 
 export default async function DashboardPage() {
@@ -12,11 +13,14 @@ export default async function DashboardPage() {
     redirect("/onboarding");
   }
 
-  const insights = await getIndustryInsights();
+  const [insights, skills] = await Promise.all([
+    getIndustryInsights(),
+    getSkills(),
+  ]);
 
   return (
     <div className="container mx-auto">
-      <DashboardView insights={insights} />
+      <DashboardView insights={insights} skills={skills} />
     </div>
   );
 }
@@ -0,0 +1,35 @@
+"use client";
+
+import { Textarea } from "@/components/ui/textarea";
+import { MAX_CODE_LENGTH } from "@/app/lib/quiz";
+
+const INDENT = "  ";
+
+// Plain-text JavaScript editor: monospace, no spellcheck, Tab indents
+export default function CodeEditor({ value, onChange, ...props }) {
+  const handleKeyDown = (e) => {
+    if (e.key !== "Tab" || e.shiftKey) return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const next = value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd);
+    onChange(next);
+    // Restore the caret after React re-renders the new value
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + INDENT.length;
+    });
+  };
+
+  return (
+    <Textarea
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={handleKeyDown}
+      spellCheck={false}
+      autoCapitalize="off"
+      autoCorrect="off"
+      maxLength={MAX_CODE_LENGTH}
+      className="h-64 font-mono text-sm leading-relaxed"
+      {...props}
+    />
+  );
+}
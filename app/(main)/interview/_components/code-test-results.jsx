@@ -0,0 +1,41 @@
+import { CheckCircle2, Circle, XCircle } from "lucide-react";
+
+const show = (value) =>
+  value === undefined ? "undefined" : JSON.stringify(value);
+
+// Pass/fail per test case of a coding answer (`passed: null` = not run yet).
+// Hidden tests show no inputs.
+export default function CodeTestResults({ tests }) {
+  return (
+    <ul className="space-y-1 text-sm">
+      {tests.map((test, index) => (
+        <li key={index} className="flex items-start gap-2">
+          {test.passed == null ? (
+            <Circle className="h-4 w-4 mt-0.5 shrink-0 text-muted-foreground" />
+          ) : test.passed ? (
+            <CheckCircle2 className="h-4 w-4 mt-0.5 shrink-0 text-green-500" />
+          ) : (
+            <XCircle className="h-4 w-4 mt-0.5 shrink-0 text-red-500" />
+          )}
+          <div className="min-w-0">
+            {test.hidden ? (
+              <span>Hidden test {index + 1}</span>
+            ) : (
+              <code className="break-all">
+                ({test.input.map(show).join(", ")}) → {show(test.expected)}
+              </code>
+            )}
+            {test.passed === false && !test.hidden && !test.error && (
+              <p className="text-xs text-muted-foreground">
+                Got <code>{show(test.actual)}</code>
+              </p>
+            )}
+            {test.error && (
+              <p className="text-xs text-red-500 break-all">{test.error}</p>
+            )}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
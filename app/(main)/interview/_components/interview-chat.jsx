@@ -0,0 +1,168 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { Loader2, Send } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Textarea } from "@/components/ui/textarea";
+import { cn } from "@/lib/utils";
+import {
+  endInterviewSession,
+  replyToInterview,
+} from "@/actions/interview-session";
+import useFetch from "@/hooks/use-fetch";
+import {
+  MAX_INTERVIEW_ANSWERS,
+  MAX_INTERVIEW_ANSWER_LENGTH,
+  answerCount,
+  interviewMessage,
+} from "@/app/lib/interview";
+import InterviewScorecard from "./interview-scorecard";
+
+function MessageBubble({ message }) {
+  const isCandidate = message.role === "candidate";
+
+  return (
+    <div className={cn("flex", isCandidate ? "justify-end" : "justify-start")}>
+      <div
+        className={cn(
+          "max-w-[85%] rounded-lg px-4 py-2 whitespace-pre-wrap",
+          isCandidate ? "bg-primary text-primary-foreground" : "bg-muted"
+        )}
+      >
+        {message.kind === "follow-up" && (
+          <p className="text-xs text-muted-foreground mb-1">Follow-up</p>
+        )}
+        {message.content}
+      </div>
+    </div>
+  );
+}
+
+export default function InterviewChat({ session: initialSession }) {
+  const [session, setSession] = useState(initialSession);
+  const [answer, setAnswer] = useState("");
+  const [pendingAnswer, setPendingAnswer] = useState(null);
+  const bottomRef = useRef(null);
+
+  const { loading: replying, fn: replyFn, data: replied } =
+    useFetch(replyToInterview);
+  const { loading: ending, fn: endFn, data: ended } =
+    useFetch(endInterviewSession);
+
+  // The answer is only cleared once sent, so a failed reply can be retried
+  useEffect(() => {
+    if (replied) {
+      setSession(replied);
+      setAnswer("");
+    }
+  }, [replied]);
+
+  useEffect(() => {
+    if (ended) {
+      setSession(ended);
+      toast.success("Interview completed!");
+    }
+  }, [ended]);
+
+  // The answer shows in the transcript while the interviewer "thinks"
+  const messages = pendingAnswer
+    ? [...session.messages, pendingAnswer]
+    : session.messages;
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth", block: "end" });
+  }, [messages.length]);
+
+  const isActive = session.status === "active";
+  const busy = replying || ending;
+  const answered = answerCount(session.messages);
+
+  const handleSend = async () => {
+    const content = answer.trim();
+    if (!content) return;
+    setPendingAnswer(interviewMessage("candidate", content));
+    await replyFn(session.id, content);
+    setPendingAnswer(null);
+  };
+
+  return (
+    <div className="space-y-6 mx-2">
+      <Card>
+        <CardHeader>
+          <CardTitle>Transcript</CardTitle>
+          <CardDescription>
+            {isActive
+              ? `Question ${Math.min(answered + 1, MAX_INTERVIEW_ANSWERS)} of up to ${MAX_INTERVIEW_ANSWERS}`
+              : `${answered} answer${answered === 1 ? "" : "s"}`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-3">
+            {messages.map((message, index) => (
+              <MessageBubble key={index} message={message} />
+            ))}
+            {replying && (
+              <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Interviewer is typing...
+              </div>
+            )}
+            <div ref={bottomRef} />
+          </div>
+        </CardContent>
+        {isActive && (
+          <CardFooter className="flex flex-col gap-2 items-stretch">
+            <Textarea
+              value={answer}
+              onChange={(e) => setAnswer(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+                  e.preventDefault();
+                  handleSend();
+                }
+              }}
+              placeholder="Type your answer... (Ctrl+Enter to send)"
+              className="min-h-32"
+              maxLength={MAX_INTERVIEW_ANSWER_LENGTH}
+              disabled={busy}
+            />
+            <div className="flex justify-between gap-2">
+              <Button
+                variant="outline"
+                onClick={() => endFn(session.id)}
+                disabled={busy || answered === 0}
+              >
+                {ending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                End Interview
+              </Button>
+              <Button onClick={handleSend} disabled={busy || !answer.trim()}>
+                <Send className="mr-2 h-4 w-4" />
+                Send
+              </Button>
+            </div>
+          </CardFooter>
+        )}
+      </Card>
+
+      {session.scorecard && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Scorecard</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <InterviewScorecard scorecard={session.scorecard} />
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { CheckCircle2, XCircle } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import { hireSignalLabel, isPositiveSignal } from "@/app/lib/interview";
+
+// Scorecard of a completed InterviewSession (interviewScorecardSchema)
+export default function InterviewScorecard({ scorecard }) {
+  const positive = isPositiveSignal(scorecard.recommendation);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="space-y-2 flex-1 min-w-48">
+          <h3 className="text-2xl font-bold">
+            {scorecard.overallScore.toFixed(0)}%
+          </h3>
+          <Progress value={scorecard.overallScore} className="w-full" />
+        </div>
+        <Badge
+          variant={positive ? "default" : "destructive"}
+          className="text-sm px-3 py-1"
+        >
+          {hireSignalLabel(scorecard.recommendation)}
+        </Badge>
+      </div>
+
+      <p className="text-muted-foreground">{scorecard.summary}</p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <h4 className="font-medium">Strengths</h4>
+          <ul className="space-y-2">
+            {scorecard.strengths.map((item, index) => (
+              <li key={index} className="flex items-start gap-2 text-sm">
+                <CheckCircle2 className="h-4 w-4 mt-0.5 shrink-0 text-green-500" />
+                {item}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <div className="space-y-2">
+          <h4 className="font-medium">To improve</h4>
+          <ul className="space-y-2">
+            {scorecard.weaknesses.map((item, index) => (
+              <li key={index} className="flex items-start gap-2 text-sm">
+                <XCircle className="h-4 w-4 mt-0.5 shrink-0 text-red-500" />
+                {item}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
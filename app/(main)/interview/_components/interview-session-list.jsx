@@ -0,0 +1,102 @@
+"use client";
+
+import Link from "next/link";
+import { format } from "date-fns";
+import { MessagesSquare } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { quizCategoryLabel } from "@/app/lib/quiz";
+import { hireSignalLabel, isPositiveSignal } from "@/app/lib/interview";
+
+export default function InterviewSessionList({ sessions }) {
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-row items-center justify-between">
+          <div>
+            <CardTitle className="gradient-title text-3xl md:text-4xl">
+              Mock Interviews
+            </CardTitle>
+            <CardDescription>
+              Conversational interviews with follow-up questions and a
+              scorecard
+            </CardDescription>
+          </div>
+          <Link href="/interview/session">
+            <Button>
+              <MessagesSquare className="h-4 w-4 mr-2" />
+              Start Mock Interview
+            </Button>
+          </Link>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {sessions?.length ? (
+          <div className="space-y-4">
+            {sessions.map((session) => (
+              <Link
+                key={session.id}
+                href={`/interview/session/${session.id}`}
+                className="block"
+              >
+                <Card className="cursor-pointer hover:bg-muted/50 transition-colors">
+                  <CardHeader>
+                    <div className="flex flex-wrap items-start justify-between gap-2">
+                      <div>
+                        <CardTitle>
+                          {quizCategoryLabel(session.category)} interview
+                        </CardTitle>
+                        <CardDescription>
+                          {format(new Date(session.createdAt), "MMMM dd, yyyy HH:mm")}
+                          {session.skills.length > 0 &&
+                            ` · ${session.skills.join(", ")}`}
+                        </CardDescription>
+                      </div>
+                      {session.status === "completed" ? (
+                        <div className="flex items-center gap-2">
+                          <span className="font-semibold">
+                            {session.overallScore?.toFixed(0)}%
+                          </span>
+                          <Badge
+                            variant={
+                              isPositiveSignal(session.scorecard?.recommendation)
+                                ? "default"
+                                : "destructive"
+                            }
+                          >
+                            {hireSignalLabel(session.scorecard?.recommendation)}
+                          </Badge>
+                        </div>
+                      ) : (
+                        <Badge variant="outline">In progress</Badge>
+                      )}
+                    </div>
+                  </CardHeader>
+                  {session.scorecard?.summary && (
+                    <CardContent>
+                      <p className="text-sm text-muted-foreground">
+                        {session.scorecard.summary}
+                      </p>
+                    </CardContent>
+                  )}
+                </Card>
+              </Link>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-muted-foreground">
+            No mock interviews yet. Start one to practise answering out loud,
+            with follow-up questions.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
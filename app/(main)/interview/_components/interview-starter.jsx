@@ -0,0 +1,72 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { startInterviewSession } from "@/actions/interview-session";
+import useFetch from "@/hooks/use-fetch";
+import { DEFAULT_QUIZ_OPTIONS } from "@/app/lib/quiz";
+import { MAX_INTERVIEW_ANSWERS } from "@/app/lib/interview";
+import QuizSetup from "./quiz-setup";
+
+export default function InterviewStarter({ profileSkills }) {
+  const router = useRouter();
+  const [options, setOptions] = useState(DEFAULT_QUIZ_OPTIONS);
+
+  const {
+    loading: starting,
+    fn: startInterviewFn,
+    data: session,
+  } = useFetch(startInterviewSession);
+
+  useEffect(() => {
+    if (session) router.push(`/interview/session/${session.id}`);
+  }, [session, router]);
+
+  return (
+    <Card className="mx-2">
+      <CardHeader>
+        <CardTitle>Ready to be interviewed?</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-muted-foreground">
+          An AI interviewer asks up to {MAX_INTERVIEW_ANSWERS} questions,
+          following up on what you say. Answer as you would in a real
+          interview; you get a scorecard at the end.
+        </p>
+        <QuizSetup
+          value={options}
+          onChange={setOptions}
+          profileSkills={profileSkills}
+          quizFields={false}
+        />
+      </CardContent>
+      <CardFooter>
+        <Button
+          onClick={() =>
+            startInterviewFn({ category: options.category, skills: options.skills })
+          }
+          disabled={starting}
+          className="w-full"
+        >
+          {starting ? (
+            <>
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              Starting...
+            </>
+          ) : (
+            "Start Interview"
+          )}
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
@@ -1,6 +1,6 @@
 "use client";
 
-import { useState } from "react";
+import { useMemo, useState } from "react";
 import { format } from "date-fns";
 import { useRouter } from "next/navigation";
 import { Button } from "@/components/ui/button";
@@ -17,11 +17,70 @@ import {
   DialogHeader,
   DialogTitle,
 } from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import QuizResult from "./quiz-result";
+import { quizCategories, quizDifficulties } from "@/data/quizOptions";
+import {
+  isCodeQuestion,
+  isOpenQuestion,
+  isStarQuestion,
+  quizCategoryLabel,
+  quizDifficultyLabel,
+} from "@/app/lib/quiz";
+
+const ALL = "all";
+
+function FilterSelect({ label, value, onChange, options }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="w-full md:w-48" aria-label={label}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={ALL}>All {label.toLowerCase()}</SelectItem>
+        {options.map((option) => (
+          <SelectItem key={option.id} value={option.id}>
+            {option.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
 
 export default function QuizList({ assessments }) {
   const router = useRouter();
   const [selectedQuiz, setSelectedQuiz] = useState(null);
+  const [filters, setFilters] = useState({
+    category: ALL,
+    difficulty: ALL,
+    skill: ALL,
+  });
+
+  const skillOptions = useMemo(() => {
+    const skills = new Set((assessments || []).flatMap((a) => a.skills || []));
+    return [...skills].sort().map((skill) => ({ id: skill, label: skill }));
+  }, [assessments]);
+
+  // Numbered in the order taken, so numbers stay put while filtering
+  const quizzes = (assessments || [])
+    .map((assessment, i) => ({ assessment, number: i + 1 }))
+    .filter(
+      ({ assessment }) =>
+        (filters.category === ALL || assessment.category === filters.category) &&
+        (filters.difficulty === ALL ||
+          assessment.difficulty === filters.difficulty) &&
+        (filters.skill === ALL || assessment.skills?.includes(filters.skill))
+    );
+  const setFilter = (key) => (value) =>
+    setFilters((current) => ({ ...current, [key]: value }));
 
   return (
     <>
@@ -42,8 +101,35 @@ export default function QuizList({ assessments }) {
           </div>
         </CardHeader>
         <CardContent>
+          <div className="flex flex-col md:flex-row gap-2 mb-4">
+            <FilterSelect
+              label="Categories"
+              value={filters.category}
+              onChange={setFilter("category")}
+              options={quizCategories}
+            />
+            <FilterSelect
+              label="Difficulties"
+              value={filters.difficulty}
+              onChange={setFilter("difficulty")}
+              options={quizDifficulties}
+            />
+            {skillOptions.length > 0 && (
+              <FilterSelect
+                label="Skills"
+                value={filters.skill}
+                onChange={setFilter("skill")}
+                options={skillOptions}
+              />
+            )}
+          </div>
           <div className="space-y-4">
-            {assessments?.map((assessment, i) => (
+            {assessments?.length > 0 && !quizzes.length && (
+              <p className="text-sm text-muted-foreground">
+                No quizzes match these filters.
+              </p>
+            )}
+            {quizzes.map(({ assessment, number }) => (
               <Card
                 key={assessment.id}
                 className="cursor-pointer hover:bg-muted/50 transition-colors"
@@ -51,8 +137,30 @@ export default function QuizList({ assessments }) {
               >
                 <CardHeader>
                   <CardTitle className="gradient-title text-2xl">
-                    Quiz {i + 1}
+                    Quiz {number}: {quizCategoryLabel(assessment.category)}
                   </CardTitle>
+                  <div className="flex flex-wrap gap-1">
+                    <Badge variant="secondary">
+                      {quizDifficultyLabel(assessment.difficulty)}
+                    </Badge>
+                    <Badge variant="secondary">
+                      {assessment.questions.length} questions
+                    </Badge>
+                    {assessment.questions.some(isOpenQuestion) && (
+                      <Badge variant="secondary">Written answers</Badge>
+                    )}
+                    {assessment.questions.some(isStarQuestion) && (
+                      <Badge variant="secondary">Resume stories</Badge>
+                    )}
+                    {assessment.questions.some(isCodeQuestion) && (
+                      <Badge variant="secondary">Coding</Badge>
+                    )}
+                    {assessment.skills?.map((skill) => (
+                      <Badge key={skill} variant="outline">
+                        {skill}
+                      </Badge>
+                    ))}
+                  </div>
                   <CardDescription className="flex justify-between w-full">
                     <div>Score: {assessment.quizScore.toFixed(1)}%</div>
                     <div>
@@ -1,9 +1,109 @@
 "use client";
 
-import { Trophy, CheckCircle2, XCircle } from "lucide-react";
+import { Trophy, CheckCircle2, XCircle, Timer } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { CardContent, CardFooter } from "@/components/ui/card";
 import { Progress } from "@/components/ui/progress";
+import { MILESTONE_PASS_SCORE } from "@/app/lib/roadmap";
+import CodeTestResults from "./code-test-results";
+import {
+  RUBRIC_CRITERIA,
+  RUBRIC_MAX_SCORE,
+  STAR_PARTS,
+  isCodeQuestion,
+  isStarQuestion,
+  isWrittenQuestion,
+  missingStarParts,
+  starPartScores,
+} from "@/app/lib/quiz";
+
+// Rubric (or STAR) breakdown, feedback and model answer for a graded
+// written answer
+function OpenAnswerReview({ q }) {
+  const isStar = isStarQuestion(q);
+  const criteria = isStar ? STAR_PARTS : RUBRIC_CRITERIA;
+  const scores = (isStar ? starPartScores(q.star) : q.rubric) ?? {};
+  const missing = isStar ? missingStarParts(q.star) : [];
+
+  return (
+    <>
+      {isStar && q.source && (
+        <p className="text-xs text-muted-foreground">
+          About {q.source.title} at {q.source.organization}
+        </p>
+      )}
+      <div className="text-sm text-muted-foreground space-y-1">
+        <p>Your answer ({q.score}%):</p>
+        <p className="whitespace-pre-wrap text-foreground">
+          {q.userAnswer || "(no answer)"}
+        </p>
+      </div>
+      {missing.length > 0 && (
+        <p className="text-sm text-red-500">
+          Missing from your story: {missing.map((p) => p.label).join(", ")}
+        </p>
+      )}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {criteria.map((criterion) => (
+          <div key={criterion.id} title={criterion.description}>
+            <div className="flex justify-between text-xs">
+              <span>{criterion.label}</span>
+              <span>
+                {scores[criterion.id] ?? 0}/{RUBRIC_MAX_SCORE}
+              </span>
+            </div>
+            <Progress
+              value={((scores[criterion.id] ?? 0) / RUBRIC_MAX_SCORE) * 100}
+              className="h-1.5 mt-1"
+            />
+            {isStar && q.star?.[criterion.id]?.comment && (
+              <p className="text-xs text-muted-foreground mt-1">
+                {q.star[criterion.id].comment}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="text-sm bg-muted p-2 rounded">
+        <p className="font-medium">Feedback:</p>
+        <p>{q.explanation}</p>
+      </div>
+      <div className="text-sm bg-muted p-2 rounded">
+        <p className="font-medium">Model answer:</p>
+        <p className="whitespace-pre-wrap">{q.answer}</p>
+      </div>
+    </>
+  );
+}
+
+// Test results, submitted code and reference solution for a coding answer
+function CodeAnswerReview({ q }) {
+  const passed = q.tests.filter((t) => t.passed).length;
+
+  return (
+    <>
+      <div className="text-sm text-muted-foreground space-y-1">
+        <p>
+          Your solution ({passed} of {q.tests.length} tests passed):
+        </p>
+        <pre className="text-xs bg-muted p-2 rounded overflow-x-auto text-foreground">
+          {q.userAnswer || "(no code)"}
+        </pre>
+      </div>
+      <CodeTestResults tests={q.tests} />
+      {q.explanation && (
+        <div className="text-sm bg-muted p-2 rounded">
+          <p className="font-medium">Explanation:</p>
+          <p>{q.explanation}</p>
+        </div>
+      )}
+      <div className="text-sm bg-muted p-2 rounded">
+        <p className="font-medium">Reference solution:</p>
+        <pre className="text-xs overflow-x-auto">{q.answer}</pre>
+      </div>
+    </>
+  );
+}
 
 export default function QuizResult({
   result,
@@ -26,6 +126,24 @@ export default function QuizResult({
           <Progress value={result.quizScore} className="w-full" />
         </div>
 
+        {/* Roadmap milestone verified by this quiz (only set right after saving) */}
+        {result.milestoneCompleted === true && (
+          <div className="bg-muted p-4 rounded-lg">
+            <p className="font-medium">Milestone completed!</p>
+            <p className="text-muted-foreground">
+              It has been marked as done on your roadmap.
+            </p>
+          </div>
+        )}
+        {result.milestoneCompleted === false && result.milestoneId && (
+          <div className="bg-muted p-4 rounded-lg">
+            <p className="font-medium">Milestone not completed yet</p>
+            <p className="text-muted-foreground">
+              Score {MILESTONE_PASS_SCORE}% or more to complete it.
+            </p>
+          </div>
+        )}
+
         {/* Improvement Tip */}
         {result.improvementTip && (
           <div className="bg-muted p-4 rounded-lg">
@@ -47,14 +165,30 @@ export default function QuizResult({
                   <XCircle className="h-5 w-5 text-red-500 flex-shrink-0" />
                 )}
               </div>
-              <div className="text-sm text-muted-foreground">
-                <p>Your answer: {q.userAnswer}</p>
-                {!q.isCorrect && <p>Correct answer: {q.answer}</p>}
-              </div>
-              <div className="text-sm bg-muted p-2 rounded">
-                <p className="font-medium">Explanation:</p>
-                <p>{q.explanation}</p>
-              </div>
+              {isCodeQuestion(q) ? (
+                <CodeAnswerReview q={q} />
+              ) : isWrittenQuestion(q) ? (
+                <OpenAnswerReview q={q} />
+              ) : (
+                <>
+                  <div className="text-sm text-muted-foreground">
+                    <p>Your answer: {q.userAnswer}</p>
+                    {!q.isCorrect && <p>Correct answer: {q.answer}</p>}
+                  </div>
+                  <div className="text-sm bg-muted p-2 rounded">
+                    <p className="font-medium">Explanation:</p>
+                    <p>{q.explanation}</p>
+                  </div>
+                </>
+              )}
+              {typeof q.timeMs === "number" && (
+                <p className="flex items-center gap-1 text-xs text-muted-foreground">
+                  <Timer className="h-3 w-3" />
+                  {q.timedOut
+                    ? "Ran out of time"
+                    : `Answered in ${Math.round(q.timeMs / 1000)}s`}
+                </p>
+              )}
             </div>
           ))}
         </div>
@@ -0,0 +1,240 @@
+"use client";
+
+import { useState } from "react";
+import { Plus } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  quizCategories,
+  quizDifficulties,
+  quizFormats,
+  quizQuestionCounts,
+} from "@/data/quizOptions";
+import {
+  DEFAULT_QUIZ_OPTIONS,
+  MAX_QUIZ_SKILLS,
+  isFormatAvailable,
+} from "@/app/lib/quiz";
+import { skillKey } from "@/app/lib/skill-match";
+
+// Start screen controls for quizOptionsSchema values. `profileSkills` are the
+// user's skill names, offered as one-click focus skills. With
+// `quizFields={false}` only category and skills are shown, as for a
+// conversational interview.
+export default function QuizSetup({
+  value,
+  onChange,
+  profileSkills = [],
+  quizFields = true,
+}) {
+  const [newSkill, setNewSkill] = useState("");
+  const set = (patch) => onChange({ ...value, ...patch });
+
+  const formats = quizFormats.filter((f) => isFormatAvailable(f.id, value.category));
+  // Formats tied to a category fall back to the default when it changes
+  const setCategory = (category) =>
+    set({
+      category,
+      ...(!isFormatAvailable(value.format, category) && {
+        format: DEFAULT_QUIZ_OPTIONS.format,
+      }),
+    });
+
+  const selected = new Set(value.skills.map(skillKey));
+  const isFull = value.skills.length >= MAX_QUIZ_SKILLS;
+  const offered = [
+    ...value.skills,
+    ...profileSkills.filter((skill) => !selected.has(skillKey(skill))),
+  ];
+
+  const toggleSkill = (skill) =>
+    set({
+      skills: selected.has(skillKey(skill))
+        ? value.skills.filter((s) => skillKey(s) !== skillKey(skill))
+        : [...value.skills, skill],
+    });
+
+  const addSkill = () => {
+    const skill = newSkill.trim();
+    if (skill && !isFull && !selected.has(skillKey(skill))) {
+      set({ skills: [...value.skills, skill] });
+    }
+    setNewSkill("");
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <Label>Category</Label>
+        <RadioGroup
+          value={value.category}
+          onValueChange={setCategory}
+          className="grid grid-cols-1 md:grid-cols-2 gap-2"
+        >
+          {quizCategories.map((category) => (
+            <Label
+              key={category.id}
+              htmlFor={`category-${category.id}`}
+              className="flex items-start gap-3 rounded-lg border p-3 cursor-pointer font-normal has-[[data-state=checked]]:border-primary"
+            >
+              <RadioGroupItem
+                value={category.id}
+                id={`category-${category.id}`}
+                className="mt-0.5"
+              />
+              <span className="space-y-1">
+                <span className="block font-medium">{category.label}</span>
+                <span className="block text-xs text-muted-foreground">
+                  {category.description}
+                </span>
+              </span>
+            </Label>
+          ))}
+        </RadioGroup>
+      </div>
+
+      {quizFields && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="format">Answer format</Label>
+            <Select value={value.format} onValueChange={(format) => set({ format })}>
+              <SelectTrigger id="format">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {formats.map((format) => (
+                  <SelectItem key={format.id} value={format.id}>
+                    {format.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <p className="text-xs text-muted-foreground">
+              {quizFormats.find((f) => f.id === value.format)?.description}
+            </p>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="difficulty">Difficulty</Label>
+            <Select
+              value={value.difficulty}
+              onValueChange={(difficulty) => set({ difficulty })}
+            >
+              <SelectTrigger id="difficulty">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {quizDifficulties.map((difficulty) => (
+                  <SelectItem key={difficulty.id} value={difficulty.id}>
+                    {difficulty.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="count">Questions</Label>
+            <Select
+              value={String(value.count)}
+              onValueChange={(count) => set({ count: Number(count) })}
+            >
+              <SelectTrigger id="count">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {quizQuestionCounts.map((count) => (
+                  <SelectItem key={count} value={String(count)}>
+                    {count} questions
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="timing">Timing</Label>
+            <Select
+              value={value.timed ? "timed" : "untimed"}
+              onValueChange={(timing) => set({ timed: timing === "timed" })}
+            >
+              <SelectTrigger id="timing">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="untimed">Untimed</SelectItem>
+                <SelectItem value="timed">Timed</SelectItem>
+              </SelectContent>
+            </Select>
+            {value.timed && (
+              <p className="text-xs text-muted-foreground">
+                Each question has a time limit and moves on when it runs out
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label htmlFor="quiz-skill">Skills (optional)</Label>
+        <p className="text-xs text-muted-foreground">
+          Pick up to {MAX_QUIZ_SKILLS} skills to focus on, or leave empty to
+          cover your whole profile.
+        </p>
+        {offered.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {offered.map((skill) => {
+              const isSelected = selected.has(skillKey(skill));
+              return (
+                <button
+                  key={skill}
+                  type="button"
+                  onClick={() => toggleSkill(skill)}
+                  disabled={!isSelected && isFull}
+                  aria-pressed={isSelected}
+                  className="disabled:opacity-50"
+                >
+                  <Badge variant={isSelected ? "default" : "outline"}>
+                    {skill}
+                  </Badge>
+                </button>
+              );
+            })}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <Input
+            id="quiz-skill"
+            value={newSkill}
+            onChange={(e) => setNewSkill(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                addSkill();
+              }
+            }}
+            placeholder="Another skill, e.g. GraphQL"
+            maxLength={60}
+            disabled={isFull}
+          />
+          <Button
+            type="button"
+            variant="outline"
+            onClick={addSkill}
+            disabled={isFull}
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
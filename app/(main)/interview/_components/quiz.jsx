@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { toast } from "sonner";
 import { Button } from "@/components/ui/button";
 import {
@@ -12,34 +12,135 @@ import {
 } from "@/components/ui/card";
 import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
 import { Label } from "@/components/ui/label";
-import { generateQuiz, saveQuizResult } from "@/actions/interview";
+import { Textarea } from "@/components/ui/textarea";
+import { Loader2, Play, Timer } from "lucide-react";
+import {
+  generateQuiz,
+  revealAnswer,
+  runCodeExamples,
+  saveQuizProgress,
+  saveQuizResult,
+} from "@/actions/interview";
 import QuizResult from "./quiz-result";
+import QuizSetup from "./quiz-setup";
+import ResumeQuizPrompt from "./resume-quiz-prompt";
+import CodeEditor from "./code-editor";
+import CodeTestResults from "./code-test-results";
 import useFetch from "@/hooks/use-fetch";
 import { BarLoader } from "react-spinners";
+import { cn } from "@/lib/utils";
+import {
+  DEFAULT_QUIZ_OPTIONS,
+  MAX_OPEN_ANSWER_LENGTH,
+  QUIZ_PROGRESS_SAVE_DELAY,
+  STAR_PARTS,
+  isCodeQuestion,
+  isStarQuestion,
+  isWrittenQuestion,
+  questionTimeLimit,
+} from "@/app/lib/quiz";
+
+// Milliseconds left as m:ss
+const formatClock = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
 
-export default function Quiz() {
+// `initialOptions` prefill the start screen (quizOptionsSchema values);
+// `milestoneId` records the result against a roadmap milestone.
+// `activeSession` is a quiz in progress (getActiveQuizSession), offered for
+// resuming instead of the start screen.
+export default function Quiz({
+  initialOptions,
+  profileSkills,
+  milestoneId,
+  activeSession,
+}) {
+  const [options, setOptions] = useState({
+    ...DEFAULT_QUIZ_OPTIONS,
+    ...initialOptions,
+  });
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [answers, setAnswers] = useState([]);
-  const [showExplanation, setShowExplanation] = useState(false);
+  // Correct answers and explanations shown so far, by question index
+  const [revealed, setRevealed] = useState({});
+  const [revealing, setRevealing] = useState(false);
+  // Indexes of questions marked "Not sure", queued for review either way
+  const [unsure, setUnsure] = useState([]);
+  const [resumable, setResumable] = useState(activeSession);
+  // Milliseconds spent on each question, counted while it is on screen
+  const [times, setTimes] = useState([]);
+  const timesRef = useRef(times);
+  const [now, setNow] = useState(() => Date.now());
 
   const {
     loading: generatingQuiz,
     fn: generateQuizFn,
-    data: quizData,
+    data: quiz,
+    setData: setQuiz,
   } = useFetch(generateQuiz);
+  // The answer key stays on the server (QuizSession); these have none
+  const questions = quiz?.questions;
 
   const {
     loading: savingResult,
     fn: saveQuizResultFn,
     data: resultData,
     setData: setResultData,
+    error: saveError,
   } = useFetch(saveQuizResult);
 
+  const {
+    loading: runningExamples,
+    fn: runCodeExamplesFn,
+    data: exampleResults,
+    setData: setExampleResults,
+  } = useFetch(runCodeExamples);
+
+  // A resumed quiz picks up its saved progress; in a new one coding answers
+  // start from the question's starter code
   useEffect(() => {
-    if (quizData) {
-      setAnswers(new Array(quizData.length).fill(null));
-    }
-  }, [quizData]);
+    if (!quiz) return;
+    setAnswers(
+      quiz.answers ??
+        quiz.questions.map((q) => (isCodeQuestion(q) ? q.starterCode : null))
+    );
+    setCurrentQuestion(quiz.currentIndex ?? 0);
+    setUnsure(quiz.unsure ?? []);
+    setRevealed(quiz.revealed ?? {});
+    setTimes(quiz.times?.length ? quiz.times : quiz.questions.map(() => 0));
+  }, [quiz]);
+
+  const inProgress = !!quiz && !savingResult && !resultData;
+
+  useEffect(() => {
+    if (!inProgress) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      setTimes((prev) =>
+        prev.map((ms, index) => (index === currentQuestion ? ms + 1000 : ms))
+      );
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [inProgress, currentQuestion]);
+
+  useEffect(() => {
+    timesRef.current = times;
+  }, [times]);
+
+  // Save progress shortly after each change, so a reload can resume the quiz
+  useEffect(() => {
+    if (!inProgress || answers.length !== quiz.questions.length) return;
+    const timer = setTimeout(() => {
+      saveQuizProgress(quiz.sessionId, {
+        currentIndex: currentQuestion,
+        answers,
+        unsure,
+        times: timesRef.current,
+      }).catch((error) => console.error("Error saving quiz progress:", error));
+    }, QUIZ_PROGRESS_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [inProgress, quiz, answers, currentQuestion, unsure]);
 
   const handleAnswer = (answer) => {
     const newAnswers = [...answers];
@@ -48,40 +149,85 @@ export default function Quiz() {
   };
 
   const handleNext = () => {
-    if (currentQuestion < quizData.length - 1) {
+    if (currentQuestion < questions.length - 1) {
       setCurrentQuestion(currentQuestion + 1);
-      setShowExplanation(false);
+      setExampleResults(null);
     } else {
       finishQuiz();
     }
   };
 
-  const calculateScore = () => {
-    let correct = 0;
-    answers.forEach((answer, index) => {
-      if (answer === quizData[index].correctAnswer) {
-        correct++;
-      }
-    });
-    return (correct / quizData.length) * 100;
+  // Locks in the chosen option, then shows the correct one
+  const handleReveal = async () => {
+    setRevealing(true);
+    try {
+      const result = await revealAnswer(
+        quiz.sessionId,
+        currentQuestion,
+        answers[currentQuestion]
+      );
+      handleAnswer(result.answer);
+      setRevealed({ ...revealed, [currentQuestion]: result });
+    } catch (error) {
+      toast.error(error.message || "Failed to load the explanation");
+    } finally {
+      setRevealing(false);
+    }
   };
 
+  // Scored on the server against the session's answer key
   const finishQuiz = async () => {
-    const score = calculateScore();
     try {
-      await saveQuizResultFn(quizData, answers, score);
+      await saveQuizResultFn(quiz.sessionId, answers, { unsure, times });
       toast.success("Quiz completed!");
     } catch (error) {
       toast.error(error.message || "Failed to save quiz results");
     }
   };
 
+  // Timed mode: a question that runs out moves on to the next one, and the
+  // quiz is submitted when its overall limit runs out
+  const questionLeft = quiz?.timed
+    ? questionTimeLimit(questions[currentQuestion]) * 1000 -
+      (times[currentQuestion] ?? 0)
+    : null;
+  const quizLeft = quiz?.timed ? new Date(quiz.deadlineAt) - now : null;
+  const timeUp =
+    inProgress && quiz.timed && !saveError
+      ? quizLeft <= 0
+        ? "quiz"
+        : questionLeft <= 0
+        ? "question"
+        : null
+      : null;
+
+  const onTimeUp = useRef(null);
+  useEffect(() => {
+    onTimeUp.current = () => {
+      if (timeUp === "quiz") {
+        toast.info("Time's up! Submitting your answers.");
+        finishQuiz();
+      } else {
+        toast.info("Time's up for this question.");
+        handleNext();
+      }
+    };
+  });
+  useEffect(() => {
+    if (timeUp) onTimeUp.current();
+  }, [timeUp, currentQuestion]);
+
   const startNewQuiz = () => {
     setCurrentQuestion(0);
     setAnswers([]);
-    setShowExplanation(false);
-    generateQuizFn();
+    setUnsure([]);
+    setRevealed({});
+    setTimes([]);
+    setResumable(null);
+    // Back to the start screen, keeping the previous options
+    setQuiz(null);
     setResultData(null);
+    setExampleResults(null);
   };
 
   if (generatingQuiz) {
@@ -97,20 +243,41 @@ export default function Quiz() {
     );
   }
 
-  if (!quizData) {
+  if (!quiz && resumable) {
+    return (
+      <ResumeQuizPrompt
+        session={resumable}
+        onResume={() => {
+          setQuiz(resumable);
+          setResumable(null);
+        }}
+        onDiscard={() => setResumable(null)}
+      />
+    );
+  }
+
+  if (!quiz) {
     return (
       <Card className="mx-2">
         <CardHeader>
           <CardTitle>Ready to test your knowledge?</CardTitle>
         </CardHeader>
         <CardContent>
-          <p className="text-muted-foreground">
-            This quiz contains 10 questions specific to your industry and
-            skills. Take your time and choose the best answer for each question.
+          <p className="text-muted-foreground mb-6">
+            Choose what to practise. Questions are tailored to your industry
+            and skills; take your time and choose the best answer for each.
           </p>
+          <QuizSetup
+            value={options}
+            onChange={setOptions}
+            profileSkills={profileSkills}
+          />
         </CardContent>
         <CardFooter>
-          <Button onClick={generateQuizFn} className="w-full">
+          <Button
+            onClick={() => generateQuizFn(options, { milestoneId })}
+            className="w-full"
+          >
             Start Quiz
           </Button>
         </CardFooter>
@@ -118,57 +285,184 @@ export default function Quiz() {
     );
   }
 
-  const question = quizData[currentQuestion];
+  const question = questions[currentQuestion];
+  const isOpen = isWrittenQuestion(question);
+  const isStar = isStarQuestion(question);
+  const isCode = isCodeQuestion(question);
+  const hasAnswer = !!answers[currentQuestion]?.trim();
+  const isUnsure = unsure.includes(currentQuestion);
+  // Set once this multiple-choice answer is locked in and revealed
+  const key = revealed[currentQuestion];
+  const toggleUnsure = () =>
+    setUnsure(
+      isUnsure
+        ? unsure.filter((index) => index !== currentQuestion)
+        : [...unsure, currentQuestion]
+    );
 
   return (
     <Card className="mx-2">
-      <CardHeader>
+      <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0">
         <CardTitle>
-          Question {currentQuestion + 1} of {quizData.length}
+          Question {currentQuestion + 1} of {questions.length}
         </CardTitle>
+        {quiz.timed && (
+          <div className="flex items-center gap-3 text-sm tabular-nums">
+            <span
+              className={cn(
+                "flex items-center gap-1 font-medium",
+                questionLeft <= 10000 && "text-destructive"
+              )}
+              title="Time left on this question"
+            >
+              <Timer className="h-4 w-4" />
+              {formatClock(questionLeft)}
+            </span>
+            <span className="text-muted-foreground" title="Time left in the quiz">
+              {formatClock(quizLeft)} total
+            </span>
+          </div>
+        )}
       </CardHeader>
       <CardContent className="space-y-4">
-        <p className="text-lg font-medium">{question.question}</p>
-        <RadioGroup
-          onValueChange={handleAnswer}
-          value={answers[currentQuestion]}
-          className="space-y-2"
-        >
-          {question.options.map((option, index) => (
-            <div key={index} className="flex items-center space-x-2">
-              <RadioGroupItem value={option} id={`option-${index}`} />
-              <Label htmlFor={`option-${index}`}>{option}</Label>
+        <div className="space-y-1">
+          <p className="text-lg font-medium">{question.question}</p>
+          {isStar && question.source && (
+            <p className="text-sm text-muted-foreground">
+              From your resume: {question.source.title} at{" "}
+              {question.source.organization}
+            </p>
+          )}
+        </div>
+        {isCode ? (
+          <div className="space-y-3">
+            <div className="space-y-1">
+              <p className="text-sm font-medium">Examples</p>
+              <CodeTestResults
+                tests={
+                  exampleResults ??
+                  question.examples.map((example) => ({
+                    ...example,
+                    expected: example.output,
+                    passed: null,
+                  }))
+                }
+              />
+            </div>
+            <CodeEditor
+              value={answers[currentQuestion] ?? ""}
+              onChange={handleAnswer}
+              aria-label="Your solution"
+            />
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-xs text-muted-foreground">
+                Define <code>{question.functionName}</code>. Hidden tests run
+                when you finish the quiz.
+              </p>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() =>
+                  runCodeExamplesFn(
+                    quiz.sessionId,
+                    currentQuestion,
+                    answers[currentQuestion] ?? ""
+                  )
+                }
+                disabled={runningExamples || !hasAnswer}
+              >
+                {runningExamples ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Play className="mr-2 h-4 w-4" />
+                )}
+                Run Examples
+              </Button>
             </div>
-          ))}
-        </RadioGroup>
+          </div>
+        ) : isOpen ? (
+          <div className="space-y-1">
+            {isStar && (
+              <p className="text-xs text-muted-foreground">
+                Cover each part of the STAR method:{" "}
+                {STAR_PARTS.map((p) => p.label).join(", ")}.
+              </p>
+            )}
+            <Textarea
+              value={answers[currentQuestion] ?? ""}
+              onChange={(e) => handleAnswer(e.target.value)}
+              placeholder={
+                isStar
+                  ? "Situation... Task... Action... Result..."
+                  : "Answer as you would in the interview"
+              }
+              className="h-48"
+              maxLength={MAX_OPEN_ANSWER_LENGTH}
+              aria-label="Your answer"
+            />
+            <p className="text-xs text-muted-foreground text-right">
+              {(answers[currentQuestion] ?? "").length} / {MAX_OPEN_ANSWER_LENGTH}
+            </p>
+          </div>
+        ) : (
+          <RadioGroup
+            onValueChange={handleAnswer}
+            value={answers[currentQuestion]}
+            disabled={!!key}
+            className="space-y-2"
+          >
+            {question.options.map((option, index) => (
+              <div key={index} className="flex items-center space-x-2">
+                <RadioGroupItem value={option} id={`option-${index}`} />
+                <Label htmlFor={`option-${index}`}>{option}</Label>
+              </div>
+            ))}
+          </RadioGroup>
+        )}
 
-        {showExplanation && (
-          <div className="mt-4 p-4 bg-muted rounded-lg">
+        {key && (
+          <div className="mt-4 p-4 bg-muted rounded-lg space-y-2">
+            <p className="text-sm">
+              <span className="font-medium">Correct answer:</span>{" "}
+              {key.correctAnswer}
+            </p>
             <p className="font-medium">Explanation:</p>
-            <p className="text-muted-foreground">{question.explanation}</p>
+            <p className="text-muted-foreground">{key.explanation}</p>
           </div>
         )}
       </CardContent>
       <CardFooter className="flex justify-between">
-        {!showExplanation && (
+        {/* Written answers get feedback once graded, at the end */}
+        {!key && !isOpen && !isCode && (
           <Button
-            onClick={() => setShowExplanation(true)}
+            onClick={handleReveal}
             variant="outline"
-            disabled={!answers[currentQuestion]}
+            disabled={!hasAnswer || revealing}
           >
             Show Explanation
           </Button>
         )}
         <Button
-          onClick={handleNext}
-          disabled={!answers[currentQuestion] || savingResult}
+          variant={isUnsure ? "secondary" : "ghost"}
+          onClick={toggleUnsure}
+          aria-pressed={isUnsure}
           className="ml-auto"
+          title="Review this question later even if you get it right"
+        >
+          Not sure
+        </Button>
+        <Button
+          onClick={handleNext}
+          disabled={!hasAnswer || savingResult}
+          className="ml-2"
         >
           {savingResult && (
             <BarLoader className="mt-4" width={"100%"} color="gray" />
           )}
-          {currentQuestion < quizData.length - 1
+          {currentQuestion < questions.length - 1
             ? "Next Question"
+            : savingResult && (isOpen || isCode)
+            ? "Grading answers..."
             : "Finish Quiz"}
         </Button>
       </CardFooter>
@@ -0,0 +1,69 @@
+"use client";
+
+import { useState } from "react";
+import { formatDistanceToNow } from "date-fns";
+import { toast } from "sonner";
+import { History } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { discardQuizSession } from "@/actions/interview";
+import { quizCategoryLabel, quizFormat } from "@/app/lib/quiz";
+
+// Offers to pick a quiz in progress (getActiveQuizSession) back up, or to
+// discard it and start over
+export default function ResumeQuizPrompt({ session, onResume, onDiscard }) {
+  const [discarding, setDiscarding] = useState(false);
+  const total = session.questions.length;
+  const answered = (session.answers ?? []).filter((a) => a?.trim()).length;
+
+  const discard = async () => {
+    setDiscarding(true);
+    try {
+      await discardQuizSession(session.sessionId);
+      onDiscard();
+    } catch (error) {
+      toast.error(error.message || "Failed to discard the quiz");
+    } finally {
+      setDiscarding(false);
+    }
+  };
+
+  return (
+    <Card className="mx-2">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <History className="h-5 w-5" />
+          You have a quiz in progress
+        </CardTitle>
+        <CardDescription>
+          {quizCategoryLabel(session.category)} ·{" "}
+          {quizFormat(session.format)?.label ?? session.format}
+          {session.timed && " · Timed"}
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <p className="text-muted-foreground">
+          On question {session.currentIndex + 1} of {total}, with {answered}{" "}
+          answered. It expires{" "}
+          {formatDistanceToNow(new Date(session.expiresAt), { addSuffix: true })}.
+          {session.timed && " The quiz clock has kept running while you were away."}
+        </p>
+      </CardContent>
+      <CardFooter className="flex justify-between gap-2">
+        <Button variant="outline" onClick={discard} disabled={discarding}>
+          Start Over
+        </Button>
+        <Button onClick={onResume} disabled={discarding}>
+          Resume Quiz
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+}
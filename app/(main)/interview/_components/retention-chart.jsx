@@ -0,0 +1,88 @@
+"use client";
+
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+
+// Daily share of review cards recalled (getReviewStats)
+export default function RetentionChart({ stats }) {
+  const summary = [
+    { label: "Due now", value: stats.due },
+    { label: "In review", value: stats.total },
+    { label: "Learned", value: stats.learned },
+    {
+      label: "30-day retention",
+      value: stats.retention === null ? "–" : `${stats.retention}%`,
+    },
+  ];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="gradient-title text-3xl md:text-4xl">
+          Retention
+        </CardTitle>
+        <CardDescription>
+          How many reviewed questions you remembered, per day
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {summary.map((item) => (
+            <div key={item.label}>
+              <div className="text-2xl font-bold">{item.value}</div>
+              <p className="text-xs text-muted-foreground">{item.label}</p>
+            </div>
+          ))}
+        </div>
+        <div className="h-[250px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={stats.series}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="date" />
+              <YAxis domain={[0, 100]} />
+              <Tooltip
+                content={({ active, payload }) => {
+                  if (active && payload?.length && payload[0].value !== null) {
+                    return (
+                      <div className="bg-background border rounded-lg p-2 shadow-md">
+                        <p className="text-sm font-medium">
+                          Retention: {payload[0].value}%
+                        </p>
+                        <p className="text-xs text-muted-foreground">
+                          {payload[0].payload.reviews} reviews ·{" "}
+                          {payload[0].payload.date}
+                        </p>
+                      </div>
+                    );
+                  }
+                  return null;
+                }}
+              />
+              <Line
+                type="monotone"
+                dataKey="retention"
+                stroke="hsl(var(--primary))"
+                strokeWidth={2}
+                connectNulls
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
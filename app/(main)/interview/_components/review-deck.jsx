@@ -0,0 +1,123 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { Layers } from "lucide-react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { submitReview } from "@/actions/review";
+import { REVIEW_GRADES } from "@/app/lib/review";
+import { isCodeQuestion } from "@/app/lib/quiz";
+
+// Today's due ReviewCards as flashcards: recall the answer, reveal it, then
+// grade how well it was remembered
+export default function ReviewDeck({ cards }) {
+  const router = useRouter();
+  const [position, setPosition] = useState(0);
+  const [revealed, setRevealed] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const card = cards?.[position];
+
+  const handleGrade = async (grade) => {
+    setSaving(true);
+    try {
+      await submitReview(card.id, grade);
+      setRevealed(false);
+      setPosition(position + 1);
+      if (position + 1 >= cards.length) {
+        toast.success("Review complete!");
+        router.refresh();
+      }
+    } catch (error) {
+      toast.error(error.message || "Failed to save review");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="gradient-title text-3xl md:text-4xl">
+          Daily Review
+        </CardTitle>
+        <CardDescription>
+          Questions you missed or weren&apos;t sure about, spaced out so they
+          stick
+        </CardDescription>
+      </CardHeader>
+      {!card ? (
+        <CardContent>
+          <div className="flex items-center gap-3 text-muted-foreground">
+            <Layers className="h-5 w-5" />
+            <p className="text-sm">
+              {cards?.length
+                ? "All done for today. Come back tomorrow for more."
+                : "Nothing to review right now. Missed quiz questions will show up here."}
+            </p>
+          </div>
+        </CardContent>
+      ) : (
+        <>
+          <CardContent className="space-y-4">
+            <div className="space-y-1">
+              <div className="flex justify-between text-xs text-muted-foreground">
+                <span>
+                  Card {position + 1} of {cards.length}
+                </span>
+                {card.lapses > 0 && <Badge variant="outline">Forgotten {card.lapses}×</Badge>}
+              </div>
+              <Progress value={(position / cards.length) * 100} className="h-1.5" />
+            </div>
+            <p className="text-lg font-medium">{card.question.question}</p>
+            {revealed && (
+              <div className="space-y-2">
+                <div className="text-sm bg-muted p-3 rounded">
+                  <p className="font-medium">Answer:</p>
+                  {isCodeQuestion(card.question) ? (
+                    <pre className="text-xs overflow-x-auto">{card.question.answer}</pre>
+                  ) : (
+                    <p className="whitespace-pre-wrap">{card.question.answer}</p>
+                  )}
+                </div>
+                {card.question.explanation && (
+                  <p className="text-sm text-muted-foreground">
+                    {card.question.explanation}
+                  </p>
+                )}
+              </div>
+            )}
+          </CardContent>
+          <CardFooter className="flex flex-wrap gap-2 justify-end">
+            {revealed ? (
+              REVIEW_GRADES.map((grade) => (
+                <Button
+                  key={grade.id}
+                  variant={grade.id === "again" ? "outline" : "default"}
+                  onClick={() => handleGrade(grade.id)}
+                  disabled={saving}
+                  title={grade.description}
+                >
+                  {grade.label}
+                </Button>
+              ))
+            ) : (
+              <Button onClick={() => setRevealed(true)}>Show Answer</Button>
+            )}
+          </CardFooter>
+        </>
+      )}
+    </Card>
+  );
+}
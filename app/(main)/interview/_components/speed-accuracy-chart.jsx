@@ -0,0 +1,84 @@
+"use client";
+
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { format } from "date-fns";
+import { speedAccuracySeries } from "@/app/lib/quiz";
+
+// One point per quiz: average seconds per question against the score
+export default function SpeedAccuracyChart({ assessments }) {
+  const series = speedAccuracySeries(assessments ?? []);
+  if (!series.timed.length && !series.untimed.length) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="gradient-title text-3xl md:text-4xl">
+          Speed vs Accuracy
+        </CardTitle>
+        <CardDescription>
+          Average time per question against each quiz&apos;s score
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="h-[300px]">
+          <ResponsiveContainer width="100%" height="100%">
+            <ScatterChart>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                dataKey="x"
+                name="Seconds per question"
+                unit="s"
+              />
+              <YAxis type="number" dataKey="y" name="Score" domain={[0, 100]} />
+              <Tooltip
+                content={({ active, payload }) => {
+                  if (active && payload?.length) {
+                    const point = payload[0].payload;
+                    return (
+                      <div className="bg-background border rounded-lg p-2 shadow-md">
+                        <p className="text-sm font-medium">Score: {point.y}%</p>
+                        <p className="text-xs text-muted-foreground">
+                          {point.x}s per question ·{" "}
+                          {format(new Date(point.date), "MMM dd")}
+                        </p>
+                      </div>
+                    );
+                  }
+                  return null;
+                }}
+              />
+              <Legend />
+              <Scatter
+                name="Timed"
+                data={series.timed}
+                fill="hsl(var(--primary))"
+              />
+              <Scatter
+                name="Untimed"
+                data={series.untimed}
+                fill="hsl(var(--muted-foreground))"
+              />
+            </ScatterChart>
+          </ResponsiveContainer>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,243 @@
+"use client";
+
+import { useState } from "react";
+import {
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  PolarAngleAxis,
+  PolarGrid,
+  PolarRadiusAxis,
+  Radar,
+  RadarChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { TrendingDown, TrendingUp } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { quizCategories } from "@/data/quizOptions";
+import {
+  ANALYTICS_RANGES,
+  MIN_TOPIC_ATTEMPTS,
+  filterAssessments,
+  topicAnalytics,
+} from "@/app/lib/quiz-analytics";
+
+const LINE_COLORS = [1, 2, 3, 4, 5].map((n) => `hsl(var(--chart-${n}))`);
+
+// Shows a signed change in accuracy, e.g. "+12%"
+function Delta({ value }) {
+  if (value === null) return <span className="text-muted-foreground">–</span>;
+  const Icon = value < 0 ? TrendingDown : TrendingUp;
+  return (
+    <span
+      className={`inline-flex items-center gap-1 ${
+        value < 0 ? "text-red-500" : "text-green-500"
+      }`}
+    >
+      <Icon className="h-3 w-3" />
+      {value > 0 ? "+" : ""}
+      {value}%
+    </span>
+  );
+}
+
+// Accuracy per question topic across the user's quizzes (topicAnalytics),
+// filterable by category and date range
+export default function TopicAnalytics({ assessments }) {
+  const [category, setCategory] = useState("all");
+  const [range, setRange] = useState("90d");
+
+  const { topics, weakest, radar, trend, trendTopics } = topicAnalytics(
+    filterAssessments(assessments, { category, range })
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="analytics-category">Category</Label>
+          <Select value={category} onValueChange={setCategory}>
+            <SelectTrigger id="analytics-category" className="w-[200px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All categories</SelectItem>
+              {quizCategories.map((c) => (
+                <SelectItem key={c.id} value={c.id}>
+                  {c.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="analytics-range">Period</Label>
+          <Select value={range} onValueChange={setRange}>
+            <SelectTrigger id="analytics-range" className="w-[200px]">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ANALYTICS_RANGES.map((r) => (
+                <SelectItem key={r.id} value={r.id}>
+                  {r.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {!topics.length ? (
+        <Card>
+          <CardContent className="py-8 text-center text-muted-foreground">
+            No quizzes in this period. Take a mock interview or widen the
+            filters.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <div className="grid gap-6 md:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle>Weakest Topics</CardTitle>
+                <CardDescription>
+                  Lowest accuracy among topics with at least{" "}
+                  {MIN_TOPIC_ATTEMPTS} answers
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {weakest.length ? (
+                  <ul className="space-y-3">
+                    {weakest.map((t) => (
+                      <li
+                        key={t.topic}
+                        className="flex items-center justify-between gap-2"
+                      >
+                        <span className="font-medium">{t.topic}</span>
+                        <span className="text-sm text-muted-foreground">
+                          {t.accuracy}% · {t.attempts} answers
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-muted-foreground">
+                    Answer more questions per topic to see where you are weakest.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Topic Accuracy</CardTitle>
+                <CardDescription>Your most practised topics</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <div className="h-[260px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <RadarChart data={radar}>
+                      <PolarGrid />
+                      <PolarAngleAxis dataKey="topic" tick={{ fontSize: 12 }} />
+                      <PolarRadiusAxis domain={[0, 100]} tick={false} />
+                      <Radar
+                        dataKey="accuracy"
+                        stroke="hsl(var(--primary))"
+                        fill="hsl(var(--primary))"
+                        fillOpacity={0.3}
+                      />
+                      <Tooltip formatter={(value) => [`${value}%`, "Accuracy"]} />
+                    </RadarChart>
+                  </ResponsiveContainer>
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Accuracy Over Time</CardTitle>
+              <CardDescription>Weekly accuracy per topic</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="h-[300px]">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={trend}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="week" />
+                    <YAxis domain={[0, 100]} />
+                    <Tooltip formatter={(value) => `${value}%`} />
+                    <Legend />
+                    {trendTopics.map((topic, index) => (
+                      <Line
+                        key={topic}
+                        name={topic}
+                        type="monotone"
+                        dataKey={(point) => point.scores[topic] ?? null}
+                        stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                        strokeWidth={2}
+                        connectNulls
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>All Topics</CardTitle>
+              <CardDescription>
+                Change compares each topic&apos;s latest quiz with the ones
+                before it
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground">
+                    <th className="py-2 font-medium">Topic</th>
+                    <th className="py-2 font-medium text-right">Answers</th>
+                    <th className="py-2 font-medium text-right">Accuracy</th>
+                    <th className="py-2 font-medium text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {topics.map((t) => (
+                    <tr key={t.topic} className="border-t">
+                      <td className="py-2">{t.topic}</td>
+                      <td className="py-2 text-right">{t.attempts}</td>
+                      <td className="py-2 text-right">{t.accuracy}%</td>
+                      <td className="py-2 text-right">
+                        <Delta value={t.delta} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getAssessments } from "@/actions/interview";
+import TopicAnalytics from "../_components/topic-analytics";
+
+export default async function InterviewAnalyticsPage() {
+  const assessments = await getAssessments();
+
+  return (
+    <div className="container mx-auto space-y-4 py-6">
+      <div className="flex flex-col space-y-2 mx-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div>
+          <h1 className="text-6xl font-bold gradient-title">Topic Analytics</h1>
+          <p className="text-muted-foreground">
+            How you perform on each topic across your mock interviews
+          </p>
+        </div>
+      </div>
+
+      <div className="mx-2">
+        <TopicAnalytics assessments={assessments} />
+      </div>
+    </div>
+  );
+}
@@ -2,27 +2,47 @@ import Link from "next/link";
 import { ArrowLeft } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import Quiz from "../_components/quiz";
+import { getSkills } from "@/actions/skills";
+import { getActiveQuizSession } from "@/actions/interview";
+
+export default async function MockInterviewPage({ searchParams }) {
+  // ?skill= comes from the dashboard's skill-gap links and roadmap
+  // milestones, which also pass ?milestone= so the result is recorded
+  const { skill, milestone } = await searchParams;
+  const focus = typeof skill === "string" ? skill.trim().slice(0, 60) : "";
+  const milestoneId = typeof milestone === "string" ? milestone : undefined;
+  const [skills, activeSession] = await Promise.all([
+    getSkills(),
+    getActiveQuizSession(),
+  ]);
 
-export default function MockInterviewPage() {
   return (
     <div className="container mx-auto space-y-4 py-6">
       <div className="flex flex-col space-y-2 mx-2">
-        <Link href="/interview">
+        <Link href={milestoneId ? "/roadmap" : "/interview"}>
           <Button variant="link" className="gap-2 pl-0">
             <ArrowLeft className="h-4 w-4" />
-            Back to Interview Preparation
+            {milestoneId ? "Back to Roadmaps" : "Back to Interview Preparation"}
           </Button>
         </Link>
 
         <div>
           <h1 className="text-6xl font-bold gradient-title">Mock Interview</h1>
           <p className="text-muted-foreground">
-            Test your knowledge with industry-specific questions
+            {focus
+              ? `Focused on ${focus}`
+              : "Test your knowledge with industry-specific questions"}
           </p>
         </div>
       </div>
 
-      <Quiz />
+      <Quiz
+        key={`${focus}:${milestoneId}`}
+        initialOptions={focus ? { skills: [focus] } : undefined}
+        profileSkills={skills.map((s) => s.name)}
+        milestoneId={milestoneId}
+        activeSession={activeSession}
+      />
     </div>
   );
 }
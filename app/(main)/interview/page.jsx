@@ -1,10 +1,24 @@
+import Link from "next/link";
+import { BarChart3 } from "lucide-react";
+import { Button } from "@/components/ui/button";
 import { getAssessments } from "@/actions/interview";
+import { getInterviewSessions } from "@/actions/interview-session";
+import { getReviewDeck, getReviewStats } from "@/actions/review";
 import StatsCards from "./_components/stats-cards";
 import PerformanceChart from "./_components/performace-chart";
+import SpeedAccuracyChart from "./_components/speed-accuracy-chart";
 import QuizList from "./_components/quiz-list";
+import InterviewSessionList from "./_components/interview-session-list";
+import ReviewDeck from "./_components/review-deck";
+import RetentionChart from "./_components/retention-chart";
 
 export default async function InterviewPrepPage() {
-  const assessments = await getAssessments();
+  const [assessments, sessions, reviewCards, reviewStats] = await Promise.all([
+    getAssessments(),
+    getInterviewSessions(),
+    getReviewDeck(),
+    getReviewStats(),
+  ]);
 
   return (
     <div>
@@ -12,10 +26,23 @@ export default async function InterviewPrepPage() {
         <h1 className="text-6xl font-bold gradient-title">
           Interview Preparation
         </h1>
+        <Link href="/interview/analytics">
+          <Button variant="outline">
+            <BarChart3 className="h-4 w-4 mr-2" />
+            Topic Analytics
+          </Button>
+        </Link>
       </div>
       <div className="space-y-6">
         <StatsCards assessments={assessments} />
+        <ReviewDeck
+          key={reviewCards.map((card) => card.id).join()}
+          cards={reviewCards}
+        />
         <PerformanceChart assessments={assessments} />
+        <SpeedAccuracyChart assessments={assessments} />
+        {reviewStats.total > 0 && <RetentionChart stats={reviewStats} />}
+        <InterviewSessionList sessions={sessions} />
         <QuizList assessments={assessments} />
       </div>
     </div>
@@ -0,0 +1,39 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getInterviewSession } from "@/actions/interview-session";
+import { quizCategoryLabel } from "@/app/lib/quiz";
+import InterviewChat from "../../_components/interview-chat";
+
+export default async function InterviewSessionPage({ params }) {
+  const { id } = await params;
+  const session = await getInterviewSession(id);
+  if (!session) notFound();
+
+  return (
+    <div className="container mx-auto space-y-4 py-6">
+      <div className="flex flex-col space-y-2 mx-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div>
+          <h1 className="text-6xl font-bold gradient-title">
+            {quizCategoryLabel(session.category)} Interview
+          </h1>
+          {session.skills.length > 0 && (
+            <p className="text-muted-foreground">
+              Focused on {session.skills.join(", ")}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <InterviewChat session={session} />
+    </div>
+  );
+}
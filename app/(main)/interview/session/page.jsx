@@ -0,0 +1,33 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getSkills } from "@/actions/skills";
+import InterviewStarter from "../_components/interview-starter";
+
+export default async function NewInterviewSessionPage() {
+  const skills = await getSkills();
+
+  return (
+    <div className="container mx-auto space-y-4 py-6">
+      <div className="flex flex-col space-y-2 mx-2">
+        <Link href="/interview">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Interview Preparation
+          </Button>
+        </Link>
+
+        <div>
+          <h1 className="text-6xl font-bold gradient-title">
+            Conversational Interview
+          </h1>
+          <p className="text-muted-foreground">
+            Talk through your answers with an interviewer who asks follow-ups
+          </p>
+        </div>
+      </div>
+
+      <InterviewStarter profileSkills={skills.map((s) => s.name)} />
+    </div>
+  );
+}
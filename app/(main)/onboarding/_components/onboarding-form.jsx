@@ -2,7 +2,7 @@
 
 import { useState, useEffect } from "react";
 import { useRouter } from "next/navigation";
-import { useForm } from "react-hook-form";
+import { Controller, useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import { Loader2 } from "lucide-react";
 import { toast } from "sonner";
@@ -29,6 +29,7 @@ import {
 import useFetch from "@/hooks/use-fetch";
 import { onboardingSchema } from "@/app/lib/schema";
 import { updateUser } from "@/actions/user";
+import SkillsEditor from "@/components/skills-editor";
 
 const OnboardingForm = ({ industries }) => {
   const router = useRouter();
@@ -42,12 +43,14 @@ const OnboardingForm = ({ industries }) => {
 
   const {
     register,
+    control,
     handleSubmit,
     formState: { errors },
     setValue,
     watch,
   } = useForm({
     resolver: zodResolver(onboardingSchema),
+    defaultValues: { skills: [] },
   });
 
   const onSubmit = async (values) => {
@@ -77,7 +80,7 @@ const OnboardingForm = ({ industries }) => {
 
   return (
     <div className="flex items-center justify-center bg-background">
-      <Card className="w-full max-w-lg mt-10 mx-2">
+      <Card className="w-full max-w-2xl mt-10 mx-2">
         <CardHeader>
           <CardTitle className="gradient-title text-4xl">
             Complete Your Profile
@@ -167,18 +170,22 @@ const OnboardingForm = ({ industries }) => {
             </div>
 
             <div className="space-y-2">
-              <Label htmlFor="skills">Skills</Label>
-              <Input
-                id="skills"
-                placeholder="e.g., Python, JavaScript, Project Management"
-                {...register("skills")}
-              />
+              <Label>Skills</Label>
               <p className="text-sm text-muted-foreground">
-                Separate multiple skills with commas
+                Your level and recent use tailor interview questions and
+                insights to you
               </p>
-              {errors.skills && (
-                <p className="text-sm text-red-500">{errors.skills.message}</p>
-              )}
+              <Controller
+                name="skills"
+                control={control}
+                render={({ field }) => (
+                  <SkillsEditor
+                    value={field.value}
+                    onChange={field.onChange}
+                    errors={errors.skills}
+                  />
+                )}
+              />
             </div>
 
             <div className="space-y-2">
@@ -0,0 +1,95 @@
+"use client";
+
+import { diffLines, diffWords } from "@/app/lib/diff";
+
+// Side-by-side word diff: removals highlighted on the left, additions on the right
+export default function DiffView({
+  before,
+  after,
+  beforeLabel = "Original",
+  afterLabel = "Suggested",
+}) {
+  const parts = diffWords(before || "", after || "");
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div className="space-y-1">
+        <p className="text-xs font-medium text-muted-foreground">
+          {beforeLabel}
+        </p>
+        <div className="text-sm whitespace-pre-wrap rounded border p-3 bg-muted/50">
+          {parts
+            .filter((part) => part.type !== "insert")
+            .map((part, index) => (
+              <span
+                key={index}
+                className={
+                  part.type === "delete"
+                    ? "bg-red-500/20 text-red-600 line-through"
+                    : undefined
+                }
+              >
+                {part.value}
+              </span>
+            ))}
+        </div>
+      </div>
+      <div className="space-y-1">
+        <p className="text-xs font-medium text-muted-foreground">
+          {afterLabel}
+        </p>
+        <div className="text-sm whitespace-pre-wrap rounded border p-3 bg-muted/50">
+          {parts
+            .filter((part) => part.type !== "delete")
+            .map((part, index) => (
+              <span
+                key={index}
+                className={
+                  part.type === "insert"
+                    ? "bg-green-500/20 text-green-600"
+                    : undefined
+                }
+              >
+                {part.value}
+              </span>
+            ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Unified line diff for whole documents, e.g. two saved resume versions
+export function LineDiffView({ before, after }) {
+  const parts = diffLines(before || "", after || "");
+
+  if (parts.every((part) => part.type === "equal")) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        These versions are identical.
+      </p>
+    );
+  }
+
+  return (
+    <pre className="text-xs whitespace-pre-wrap rounded border bg-muted/50 p-3 font-mono max-h-[600px] overflow-y-auto">
+      {parts.flatMap((part, index) =>
+        part.lines.map((line, lineIndex) => (
+          <div
+            key={`${index}-${lineIndex}`}
+            className={
+              part.type === "insert"
+                ? "bg-green-500/20 text-green-700"
+                : part.type === "delete"
+                ? "bg-red-500/20 text-red-600"
+                : "text-muted-foreground"
+            }
+          >
+            {part.type === "insert" ? "+ " : part.type === "delete" ? "- " : "  "}
+            {line}
+          </div>
+        ))
+      )}
+    </pre>
+  );
+}
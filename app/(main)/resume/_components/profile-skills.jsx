@@ -0,0 +1,76 @@
+"use client";
+
+import { useState } from "react";
+import { Loader2, Save, Wand2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  Accordion,
+  AccordionContent,
+  AccordionItem,
+  AccordionTrigger,
+} from "@/components/ui/accordion";
+import SkillsEditor from "@/components/skills-editor";
+import { saveSkills } from "@/actions/skills";
+import { skillsToResumeText } from "@/app/lib/skills";
+import { userSkillsSchema } from "@/app/lib/schema";
+
+// The structured skills on the user's profile, editable from the resume
+// Skills section; onUse receives them as Skills section text
+export default function ProfileSkills({ initialSkills, onUse }) {
+  const [skills, setSkills] = useState(initialSkills || []);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const parsed = userSkillsSchema.safeParse(skills);
+    if (!parsed.success) {
+      toast.error(parsed.error.issues[0].message);
+      return;
+    }
+    setSaving(true);
+    try {
+      setSkills(await saveSkills(skills));
+      toast.success("Profile skills saved");
+    } catch (error) {
+      toast.error(error.message || "Failed to save skills");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Accordion type="single" collapsible className="border rounded-lg px-4">
+      <AccordionItem value="profile-skills" className="border-b-0">
+        <AccordionTrigger>
+          Profile skills ({skills.length})
+        </AccordionTrigger>
+        <AccordionContent className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Categories and levels kept here also drive interview questions and
+            industry insights.
+          </p>
+          <SkillsEditor value={skills} onChange={setSkills} />
+          <div className="flex justify-end gap-2">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => onUse(skillsToResumeText(skills))}
+              disabled={!skills.length}
+            >
+              <Wand2 className="h-4 w-4 mr-2" />
+              Use in resume
+            </Button>
+            <Button type="button" onClick={handleSave} disabled={saving}>
+              {saving ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="h-4 w-4 mr-2" />
+              )}
+              Save to profile
+            </Button>
+          </div>
+        </AccordionContent>
+      </AccordionItem>
+    </Accordion>
+  );
+}
@@ -0,0 +1,140 @@
+"use client";
+
+import MDEditor from "@uiw/react-md-editor";
+import { Gauge, Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Progress } from "@/components/ui/progress";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+
+const getScoreColor = (score) => {
+  if (score >= 75) return "text-green-500";
+  if (score >= 50) return "text-yellow-500";
+  return "text-red-500";
+};
+
+export default function ResumeAnalysis({ analysis, onAnalyze, analyzing }) {
+  const hasScore = typeof analysis?.score === "number";
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between space-y-0">
+          <div>
+            <CardTitle>ATS Score</CardTitle>
+            <CardDescription>
+              How well automated screening systems can read and rank your
+              resume
+            </CardDescription>
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={onAnalyze}
+            disabled={analyzing}
+          >
+            {analyzing ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Analyzing...
+              </>
+            ) : (
+              <>
+                <Gauge className="mr-2 h-4 w-4" />
+                {hasScore ? "Re-analyze" : "Analyze"}
+              </>
+            )}
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {hasScore ? (
+            <>
+              <div
+                className={`text-4xl font-bold ${getScoreColor(analysis.score)}`}
+              >
+                {analysis.score.toFixed(0)}
+                <span className="text-lg text-muted-foreground">/100</span>
+              </div>
+              <Progress value={analysis.score} />
+            </>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              Save or analyze your resume to get a score.
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {analysis?.checks?.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Breakdown</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {analysis.checks.map((check) => (
+              <div key={check.key} className="space-y-1">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium">{check.label}</span>
+                  <span className="text-muted-foreground">
+                    {check.score}/{check.max}
+                  </span>
+                </div>
+                <Progress value={(check.score / check.max) * 100} />
+                <p className="text-xs text-muted-foreground">{check.detail}</p>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {(analysis?.matchedKeywords?.length > 0 ||
+        analysis?.missingKeywords?.length > 0) && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Industry Keywords</CardTitle>
+            <CardDescription>
+              Top skills for your industry found in (or missing from) your
+              resume
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="flex flex-wrap gap-2">
+            {analysis.matchedKeywords.map((keyword) => (
+              <Badge key={keyword} variant="secondary">
+                {keyword}
+              </Badge>
+            ))}
+            {analysis.missingKeywords.map((keyword) => (
+              <Badge
+                key={keyword}
+                variant="outline"
+                className="border-dashed text-muted-foreground"
+              >
+                {keyword}
+              </Badge>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      {analysis?.feedback && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Feedback</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <MDEditor.Markdown
+              source={analysis.feedback}
+              style={{ background: "transparent" }}
+            />
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,15 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import { useRouter } from "next/navigation";
 import { useForm, Controller } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import {
   AlertTriangle,
-  Download,
   Edit,
   Loader2,
   Monitor,
+  PlusCircle,
   Save,
 } from "lucide-react";
 import { toast } from "sonner";
@@ -17,20 +18,67 @@ import { Button } from "@/components/ui/button";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Textarea } from "@/components/ui/textarea";
 import { Input } from "@/components/ui/input";
-import { saveResume, improveWithAI } from "@/actions/resume";
+import { saveResume, improveWithAI, analyzeResume } from "@/actions/resume";
 import { EntryForm } from "./entry-form";
+import { SectionItemForm } from "./section-item-form";
+import ResumeSection from "./resume-section";
+import ProfileSkills from "./profile-skills";
+import ResumeAnalysis from "./resume-analysis";
+import TailorResume from "./tailor-resume";
+import ResumePicker from "./resume-picker";
+import ResumeHistory from "./resume-history";
+import ResumeImport from "./resume-import";
 import useFetch from "@/hooks/use-fetch";
 import { useUser } from "@clerk/nextjs";
-import { entriesToMarkdown } from "@/app/lib/helper";
+import {
+  EMPTY_RESUME,
+  parseResumeMarkdown,
+  resumeToMarkdown,
+} from "@/app/lib/resume-markdown";
 import { resumeSchema } from "@/app/lib/schema";
-// html2pdf depends on browser globals (window/self). Import it dynamically in the
-// browser inside generatePDF() to avoid server-side evaluation errors.
-
-export default function ResumeBuilder({ initialContent }) {
+import { DEFAULT_TEMPLATE, downloadBlob } from "@/app/lib/export";
+import { toJsonResume } from "@/app/lib/json-resume";
+import {
+  DownloadPdfButton,
+  ExportMenu,
+  PdfPreview,
+  TemplatePicker,
+} from "@/components/document-export";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+  RESUME_SECTIONS,
+  SECTION_IDS,
+  moveItem,
+  resolveSectionOrder,
+} from "@/app/lib/sections";
+
+const TEXT_PLACEHOLDERS = {
+  summary: "Write a compelling professional summary...",
+  skills: "List your key skills...",
+};
+
+export default function ResumeBuilder({
+  resume,
+  resumes,
+  versions,
+  initialAnalysis,
+  tailoredResumes,
+  skills,
+}) {
+  const router = useRouter();
+  const resumeId = resume?.id;
+  const initialContent = resume?.content;
   const [activeTab, setActiveTab] = useState("edit");
   const [previewContent, setPreviewContent] = useState(initialContent);
+  const [analysis, setAnalysis] = useState(initialAnalysis);
   const { user } = useUser();
   const [resumeMode, setResumeMode] = useState("preview");
+  const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
 
   const {
     control,
@@ -38,17 +86,11 @@ export default function ResumeBuilder({ initialContent }) {
     handleSubmit,
     watch,
     setValue,
+    reset,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(resumeSchema),
-    defaultValues: {
-      contactInfo: {},
-      summary: "",
-      skills: "",
-      experience: [],
-      education: [],
-      projects: [],
-    },
+    defaultValues: EMPTY_RESUME,
   });
 
   const {
@@ -63,35 +105,15 @@ export default function ResumeBuilder({ initialContent }) {
   // Watch form fields for preview updates (declare early so effects can reference it)
   const formValues = watch();
 
-  // Populate simple fields from initial markdown (summary, skills, contact)
+  // Restore the form from the saved structured data. Resumes saved before
+  // the data was stored fall back to parsing their markdown. Keyed on the
+  // serialized data so unrelated refreshes (e.g. a rename) keep unsaved edits.
+  const savedData = JSON.stringify(resume?.data ?? null);
   useEffect(() => {
-    if (!initialContent) return;
-
-    const md = initialContent;
-
-    const extractSection = (title) => {
-      const re = new RegExp(`##\\s*${title}\\s*\\n([\\s\\S]*?)(?=\\n##|$)`, "i");
-      const m = md.match(re);
-      return m ? m[1].trim() : "";
-    };
-
-    const summaryText = extractSection("Professional Summary");
-    const skillsText = extractSection("Skills");
-
-    if (summaryText) setValue("summary", summaryText);
-    if (skillsText) setValue("skills", skillsText);
-
-    // Basic contact extraction
-    const emailMatch = md.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/);
-    const phoneMatch = md.match(/\+?[0-9][0-9()\-\s]{6,}/);
-    const linkedinMatch = md.match(/https?:\/\/[^\s]*linkedin.com[^\s]*/i);
-    const twitterMatch = md.match(/https?:\/\/[^\s]*twitter.com[^\s]*/i);
-
-    setValue("contactInfo.email", emailMatch ? emailMatch[0] : "");
-    setValue("contactInfo.mobile", phoneMatch ? phoneMatch[0] : "");
-    setValue("contactInfo.linkedin", linkedinMatch ? linkedinMatch[0] : "");
-    setValue("contactInfo.twitter", twitterMatch ? twitterMatch[0] : "");
-  }, [initialContent, setValue]);
+    const data = JSON.parse(savedData);
+    if (!data && !initialContent) return;
+    reset({ ...EMPTY_RESUME, ...(data || parseResumeMarkdown(initialContent)) });
+  }, [savedData, initialContent, reset]);
 
   // Apply AI improvement results back into the form AND update the markdown preview
   useEffect(() => {
@@ -147,6 +169,11 @@ export default function ResumeBuilder({ initialContent }) {
     if (initialContent) setActiveTab("preview");
   }, [initialContent]);
 
+  // Keep the preview in sync when the saved content changes (e.g. a restore)
+  useEffect(() => {
+    setPreviewContent(initialContent);
+  }, [initialContent]);
+
   // Update preview content when form values change
   useEffect(() => {
     if (activeTab === "edit") {
@@ -155,164 +182,88 @@ export default function ResumeBuilder({ initialContent }) {
     }
   }, [formValues, activeTab]);
 
+  const {
+    loading: isAnalyzing,
+    fn: analyzeResumeFn,
+    data: analyzeResult,
+  } = useFetch(analyzeResume);
+
   // Handle save result
   useEffect(() => {
     if (saveResult && !isSaving) {
       toast.success("Resume saved successfully!");
+      if (saveResult.analysis) setAnalysis(saveResult.analysis);
+      // The first save of a new user creates their resume; select it
+      if (!resumeId) router.replace(`/resume?id=${saveResult.id}`);
     }
     if (saveError) {
       toast.error(saveError.message || "Failed to save resume");
     }
-  }, [saveResult, saveError, isSaving]);
-
-  const getContactMarkdown = (sourceValues) => {
-    const { contactInfo } = sourceValues || formValues;
-    const parts = [];
-    if (contactInfo?.email) parts.push(`📧 ${contactInfo.email}`);
-    if (contactInfo?.mobile) parts.push(`📱 ${contactInfo.mobile}`);
-    if (contactInfo?.linkedin)
-      parts.push(`💼 [LinkedIn](${contactInfo.linkedin})`);
-    if (contactInfo?.twitter) parts.push(`🐦 [Twitter](${contactInfo.twitter})`);
-
-    return parts.length > 0
-      ? `## <div align="center">${user.fullName}</div>
-        \n\n<div align="center">\n\n${parts.join(" | ")}\n\n</div>`
-      : "";
-  };
+  }, [saveResult, saveError, isSaving, resumeId, router]);
 
-  const getCombinedContent = (overrideValues) => {
-    const source = overrideValues || formValues;
-    const { summary, skills, experience, education, projects } = source || {};
-    return [
-      getContactMarkdown(source),
-      summary && `## Professional Summary\n\n${summary}`,
-      skills && `## Skills\n\n${skills}`,
-      entriesToMarkdown(experience, "Work Experience"),
-      entriesToMarkdown(education, "Education"),
-      entriesToMarkdown(projects, "Projects"),
-    ]
-      .filter(Boolean)
-      .join("\n\n");
+  useEffect(() => {
+    if (analyzeResult) setAnalysis(analyzeResult);
+  }, [analyzeResult]);
+
+  const handleAnalyze = () => {
+    if (!previewContent?.trim()) {
+      toast.error("Add some resume content first");
+      return;
+    }
+    analyzeResumeFn(previewContent, resumeId);
   };
 
-  // Parse markdown sections into structured form values including entries with current flag
-  const parseMarkdownToForm = (md) => {
-    if (!md) return null;
-
-    const extractSection = (title) => {
-      const re = new RegExp(`##\\s*${title}\\s*\\n([\\s\\S]*?)(?=\\n##|$)`, "i");
-      const m = md.match(re);
-      return m ? m[1].trim() : "";
-    };
-
-    const parseEntries = (sectionText) => {
-      if (!sectionText) return [];
-      const parts = sectionText.split(/^###\s+/m).map((p) => p.trim()).filter(Boolean);
-      return parts.map((block) => {
-        const lines = block.split(/\n/).map((l) => l.trim()).filter(Boolean);
-        const firstLine = lines.shift() || "";
-
-        // attempt to parse title and organization
-        let title = firstLine;
-        let organization = "";
-        const sepMatch = firstLine.match(/\s@\s|\s-\s|\s\|\s|\s—\s/);
-        if (sepMatch) {
-          const parts = firstLine.split(sepMatch[0]);
-          title = parts[0].trim();
-          organization = parts[1] ? parts[1].trim() : "";
-        }
+  const sectionOrder = resolveSectionOrder(formValues);
+  const optionalSections = SECTION_IDS.filter(
+    (id) => !sectionOrder.includes(id)
+  );
 
-        // parse dates from subsequent lines or parenthesis in first line
-        let startDate = "";
-        let endDate = "";
-        const dateLine = lines.find((l) => /\d{4}|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec/i.test(l)) || "";
-        if (dateLine) {
-          const dates = dateLine.match(/([A-Za-z]{3,9}\s\d{4}|\d{4}|\d{4}-\d{2})/g);
-          if (dates && dates.length >= 1) {
-            startDate = dates[0];
-            if (dates.length >= 2) endDate = dates[1];
-            else if (/present|current/i.test(dateLine)) endDate = "";
-          }
-        } else {
-          const paren = firstLine.match(/\(([^)]+)\)/);
-          if (paren) {
-            const split = paren[1].split(/[-–—]/).map(s => s.trim());
-            startDate = split[0] || "";
-            endDate = split[1] || "";
+  const setSectionOrder = (order) =>
+    setValue("sectionOrder", order, { shouldDirty: true });
+
+  const moveSection = (from, to) =>
+    setSectionOrder(moveItem(sectionOrder, from, to));
+
+  const addSection = (id) => setSectionOrder([...sectionOrder, id]);
+
+  // Removing a section clears its items; the toast offers to bring them back
+  const removeSection = (id) => {
+    const items = formValues[id];
+    const order = sectionOrder;
+    setValue(id, [], { shouldDirty: true });
+    setSectionOrder(order.filter((s) => s !== id));
+    toast(`${RESUME_SECTIONS[id].title} removed`, {
+      action: items?.length
+        ? {
+            label: "Undo",
+            onClick: () => {
+              setValue(id, items, { shouldDirty: true });
+              setSectionOrder(order);
+            },
           }
-        }
-
-        // determine current flag
-        let current = false;
-        if (!endDate || /present|current/i.test(endDate)) {
-          current = true;
-          endDate = "";
-        }
-
-        const description = lines.filter((l) => l !== dateLine).join("\n");
-
-        return { title, organization, startDate, endDate, current, description };
-      });
-    };
-
-    return {
-      summary: extractSection("Professional Summary") || "",
-      skills: extractSection("Skills") || "",
-      contactInfo: {
-        email: (md.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/) || [""])[0],
-        mobile: (md.match(/\+?[0-9][0-9()\-\s]{6,}/) || [""])[0],
-        linkedin: (md.match(/https?:\/\/[^\s]*linkedin.com[^\s]*/i) || [""])[0],
-        twitter: (md.match(/https?:\/\/[^\s]*twitter.com[^\s]*/i) || [""])[0],
-      },
-      experience: parseEntries(extractSection("Work Experience")),
-      education: parseEntries(extractSection("Education")),
-      projects: parseEntries(extractSection("Projects")),
-    };
+        : undefined,
+    });
   };
 
-  // Populate entry arrays when initialContent is provided so saved resumes display in the form
-  useEffect(() => {
-    if (!initialContent) return;
-    try {
-      const parsed = parseMarkdownToForm(initialContent);
-      if (parsed) {
-        setValue("experience", parsed.experience || []);
-        setValue("education", parsed.education || []);
-        setValue("projects", parsed.projects || []);
-      }
-    } catch (e) {
-      console.error("Failed to parse entries from initialContent", e);
-    }
-  }, [initialContent, setValue]);
-
-  const [isGenerating, setIsGenerating] = useState(false);
-
-  const generatePDF = async () => {
-    setIsGenerating(true);
-    try {
-      if (typeof window === "undefined") {
-        throw new Error("PDF generation must run in the browser");
-      }
-
-      // dynamic import so the module is only loaded client-side
-      const html2pdfModule = await import("html2pdf.js/dist/html2pdf.min.js");
-      const html2pdf = html2pdfModule.default || html2pdfModule;
-
-      const element = document.getElementById("resume-pdf");
-      const opt = {
-        margin: [15, 15],
-        filename: "resume.pdf",
-        image: { type: "jpeg", quality: 0.98 },
-        html2canvas: { scale: 2 },
-        jsPDF: { unit: "mm", format: "a4", orientation: "portrait" },
-      };
+  const getCombinedContent = (overrideValues) =>
+    resumeToMarkdown(overrideValues || formValues, { name: user?.fullName });
+
+  // JSON Resume comes from the form values, so it reflects the structured
+  // data rather than hand edits to the markdown
+  const downloadJsonResume = () => {
+    const json = toJsonResume(formValues, { name: user?.fullName });
+    const blob = new Blob([JSON.stringify(json, null, 2)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, "resume.json");
+    toast.success("JSON Resume downloaded");
+  };
 
-      await html2pdf().set(opt).from(element).save();
-    } catch (error) {
-      console.error("PDF generation error:", error);
-    } finally {
-      setIsGenerating(false);
-    }
+  // Imported values replace the form for review; nothing is saved yet
+  const handleImport = (data) => {
+    reset({ ...EMPTY_RESUME, ...data });
+    setActiveTab("edit");
+    toast.success("Resume imported. Review the details, then save");
   };
 
   const onSubmit = async (data) => {
@@ -323,7 +274,7 @@ export default function ResumeBuilder({ initialContent }) {
         .trim();
 
       console.log(previewContent, formattedContent);
-      await saveResumeFn(previewContent);
+      await saveResumeFn({ data, content: previewContent, resumeId });
     } catch (error) {
       console.error("Save error:", error);
     }
@@ -353,26 +304,38 @@ export default function ResumeBuilder({ initialContent }) {
               </>
             )}
           </Button>
-          <Button onClick={generatePDF} disabled={isGenerating}>
-            {isGenerating ? (
-              <>
-                <Loader2 className="h-4 w-4 animate-spin" />
-                Generating PDF...
-              </>
-            ) : (
-              <>
-                <Download className="h-4 w-4" />
-                Download PDF
-              </>
-            )}
-          </Button>
+          <ExportMenu
+            markdown={previewContent}
+            kind="resume"
+            template={template}
+            basename="resume"
+          >
+            <DropdownMenuItem onSelect={downloadJsonResume}>
+              JSON Resume (.json)
+            </DropdownMenuItem>
+          </ExportMenu>
+          <DownloadPdfButton
+            markdown={previewContent}
+            kind="resume"
+            template={template}
+            basename="resume"
+          />
         </div>
       </div>
 
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <ResumePicker resumes={resumes} currentResume={resume} />
+        <ResumeImport onImport={handleImport} />
+      </div>
+
       <Tabs value={activeTab} onValueChange={setActiveTab}>
         <TabsList>
           <TabsTrigger value="edit">Form</TabsTrigger>
           <TabsTrigger value="preview">Markdown</TabsTrigger>
+          <TabsTrigger value="pdf">PDF</TabsTrigger>
+          <TabsTrigger value="analysis">Analysis</TabsTrigger>
+          <TabsTrigger value="tailor">Tailor</TabsTrigger>
+          <TabsTrigger value="history">History</TabsTrigger>
         </TabsList>
 
         <TabsContent value="edit">
@@ -439,150 +402,107 @@ export default function ResumeBuilder({ initialContent }) {
               </div>
             </div>
 
-            {/* Summary */}
-            <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <h3 className="text-lg font-medium">Professional Summary</h3>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={() => {
-                    const current = watch("summary");
-                    if (!current) return toast.error("No summary to improve");
-                    setImproveTarget("summary");
-                    improveFn({ current, type: "summary" });
-                  }}
+            {sectionOrder.map((id, index) => {
+              const section = RESUME_SECTIONS[id];
+              return (
+                <ResumeSection
+                  key={id}
+                  title={section.title}
+                  index={index}
+                  count={sectionOrder.length}
+                  onMove={moveSection}
+                  onRemove={section.core ? undefined : () => removeSection(id)}
+                  actions={
+                    section.kind === "text" && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        type="button"
+                        onClick={() => {
+                          const current = watch(id);
+                          if (!current)
+                            return toast.error(`No ${id} to improve`);
+                          setImproveTarget(id);
+                          improveFn({ current, type: id });
+                        }}
+                      >
+                        {isImproving && improveTarget === id ? (
+                          <>
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                            Improving...
+                          </>
+                        ) : (
+                          "Improve with AI"
+                        )}
+                      </Button>
+                    )
+                  }
+                  error={errors[id]?.message}
                 >
-                  {isImproving && improveTarget === "summary" ? (
-                    <>
-                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                      Improving...
-                    </>
-                  ) : (
-                    "Improve with AI"
-                  )}
-                </Button>
-              </div>
-              <Controller
-                name="summary"
-                control={control}
-                render={({ field }) => (
-                  <Textarea
-                    {...field}
-                    className="h-32"
-                    placeholder="Write a compelling professional summary..."
-                    error={errors.summary}
+                  <Controller
+                    name={id}
+                    control={control}
+                    render={({ field }) => {
+                      if (section.kind === "text") {
+                        return (
+                          <Textarea
+                            {...field}
+                            className="h-32"
+                            placeholder={TEXT_PLACEHOLDERS[id]}
+                            error={errors[id]}
+                          />
+                        );
+                      }
+                      if (section.kind === "entries") {
+                        return (
+                          <EntryForm
+                            type={section.entryType}
+                            entries={field.value || []}
+                            onChange={field.onChange}
+                          />
+                        );
+                      }
+                      return (
+                        <SectionItemForm
+                          sectionId={id}
+                          items={field.value || []}
+                          onChange={field.onChange}
+                        />
+                      );
+                    }}
                   />
-                )}
-              />
-              {errors.summary && (
-                <p className="text-sm text-red-500">{errors.summary.message}</p>
-              )}
-            </div>
-
-            {/* Skills */}
-            <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <h3 className="text-lg font-medium">Skills</h3>
-                <Button
-                  variant="outline"
-                  size="sm"
-                  onClick={() => {
-                    const current = watch("skills");
-                    if (!current) return toast.error("No skills to improve");
-                    setImproveTarget("skills");
-                    improveFn({ current, type: "skills" });
-                  }}
-                >
-                  {isImproving && improveTarget === "skills" ? (
-                    <>
-                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                      Improving...
-                    </>
-                  ) : (
-                    "Improve with AI"
+                  {id === "skills" && (
+                    <ProfileSkills
+                      initialSkills={skills}
+                      onUse={(text) =>
+                        setValue("skills", text, {
+                          shouldDirty: true,
+                          shouldValidate: true,
+                        })
+                      }
+                    />
                   )}
-                </Button>
-              </div>
-              <Controller
-                name="skills"
-                control={control}
-                render={({ field }) => (
-                  <Textarea
-                    {...field}
-                    className="h-32"
-                    placeholder="List your key skills..."
-                    error={errors.skills}
-                  />
-                )}
-              />
-              {errors.skills && (
-                <p className="text-sm text-red-500">{errors.skills.message}</p>
-              )}
-            </div>
-
-            {/* Experience */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Work Experience</h3>
-              <Controller
-                name="experience"
-                control={control}
-                render={({ field }) => (
-                  <EntryForm
-                    type="Experience"
-                    entries={field.value}
-                    onChange={field.onChange}
-                  />
-                )}
-              />
-              {errors.experience && (
-                <p className="text-sm text-red-500">
-                  {errors.experience.message}
-                </p>
-              )}
-            </div>
-
-            {/* Education */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Education</h3>
-              <Controller
-                name="education"
-                control={control}
-                render={({ field }) => (
-                  <EntryForm
-                    type="Education"
-                    entries={field.value}
-                    onChange={field.onChange}
-                  />
-                )}
-              />
-              {errors.education && (
-                <p className="text-sm text-red-500">
-                  {errors.education.message}
-                </p>
-              )}
-            </div>
-
-            {/* Projects */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Projects</h3>
-              <Controller
-                name="projects"
-                control={control}
-                render={({ field }) => (
-                  <EntryForm
-                    type="Project"
-                    entries={field.value}
-                    onChange={field.onChange}
-                  />
-                )}
-              />
-              {errors.projects && (
-                <p className="text-sm text-red-500">
-                  {errors.projects.message}
-                </p>
-              )}
-            </div>
+                </ResumeSection>
+              );
+            })}
+
+            {optionalSections.length > 0 && (
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button type="button" variant="outline" className="w-full">
+                    <PlusCircle className="h-4 w-4 mr-2" />
+                    Add Section
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="center" className="w-56">
+                  {optionalSections.map((id) => (
+                    <DropdownMenuItem key={id} onSelect={() => addSection(id)}>
+                      {RESUME_SECTIONS[id].title}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            )}
           </form>
         </TabsContent>
 
@@ -626,17 +546,45 @@ export default function ResumeBuilder({ initialContent }) {
               preview={resumeMode}
             />
           </div>
-          <div className="hidden">
-            <div id="resume-pdf">
-              <MDEditor.Markdown
-                source={previewContent}
-                style={{
-                  background: "white",
-                  color: "black",
-                }}
-              />
-            </div>
-          </div>
+        </TabsContent>
+
+        <TabsContent value="pdf" className="space-y-4">
+          <TemplatePicker value={template} onChange={setTemplate} />
+          <PdfPreview
+            markdown={previewContent}
+            kind="resume"
+            template={template}
+          />
+        </TabsContent>
+
+        <TabsContent value="analysis">
+          <ResumeAnalysis
+            analysis={analysis}
+            onAnalyze={handleAnalyze}
+            analyzing={isAnalyzing}
+          />
+        </TabsContent>
+
+        <TabsContent value="tailor">
+          <TailorResume
+            entries={{
+              experience: formValues.experience,
+              projects: formValues.projects,
+            }}
+            currentContent={previewContent}
+            buildContent={(overrides) =>
+              getCombinedContent({ ...formValues, ...overrides })
+            }
+            resumeId={resumeId}
+            tailoredResumes={tailoredResumes}
+          />
+        </TabsContent>
+
+        <TabsContent value="history">
+          <ResumeHistory
+            versions={versions}
+            onRestored={(restored) => setAnalysis(restored.analysis)}
+          />
         </TabsContent>
       </Tabs>
     </div>
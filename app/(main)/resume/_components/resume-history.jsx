@@ -0,0 +1,173 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import { History, Loader2, RotateCcw } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { restoreResumeVersion } from "@/actions/resume";
+import { LineDiffView } from "./diff-view";
+
+const versionLabel = (version) =>
+  format(new Date(version.createdAt), "PPP p");
+
+function VersionSelect({ id, label, value, onChange, versions }) {
+  return (
+    <div className="space-y-2">
+      <Label htmlFor={id}>{label}</Label>
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger id={id}>
+          <SelectValue placeholder="Select a version" />
+        </SelectTrigger>
+        <SelectContent>
+          {versions.map((version) => (
+            <SelectItem key={version.id} value={version.id}>
+              {versionLabel(version)}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+// Saved versions of a resume (newest first) with restore and a diff between
+// any two of them
+export default function ResumeHistory({ versions = [], onRestored }) {
+  const [fromId, setFromId] = useState(versions[1]?.id);
+  const [toId, setToId] = useState(versions[0]?.id);
+
+  const [restoringId, setRestoringId] = useState(null);
+
+  const handleRestore = async (versionId) => {
+    setRestoringId(versionId);
+    try {
+      const restored = await restoreResumeVersion(versionId);
+      toast.success("Version restored");
+      onRestored?.(restored);
+    } catch (error) {
+      toast.error(error.message || "Failed to restore version");
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // Compare against the newest versions again when the list changes
+  useEffect(() => {
+    setFromId(versions[1]?.id);
+    setToId(versions[0]?.id);
+  }, [versions]);
+
+  if (!versions.length) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>No History Yet</CardTitle>
+          <CardDescription>
+            Every save adds a version here that you can compare or restore.
+          </CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  const from = versions.find((v) => v.id === fromId);
+  const to = versions.find((v) => v.id === toId);
+
+  return (
+    <div className="space-y-4">
+      <Card>
+        <CardHeader>
+          <CardTitle>Versions</CardTitle>
+          <CardDescription>
+            Restoring a version makes it the current resume and adds it to the
+            history, so nothing is lost.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {versions.map((version, index) => (
+            <div
+              key={version.id}
+              className="flex items-center justify-between gap-2 border rounded-lg p-3"
+            >
+              <div>
+                <p className="font-medium flex items-center gap-2">
+                  <History className="h-4 w-4 text-muted-foreground" />
+                  {versionLabel(version)}
+                  {index === 0 && <Badge variant="secondary">Current</Badge>}
+                </p>
+                <p className="text-xs text-muted-foreground">
+                  {version.atsScore != null
+                    ? `ATS ${version.atsScore.toFixed(0)}`
+                    : "Not scored"}
+                  {version.note && ` · ${version.note}`}
+                </p>
+              </div>
+              {index > 0 && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRestore(version.id)}
+                  disabled={!!restoringId}
+                >
+                  {restoringId === version.id ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                  )}
+                  Restore
+                </Button>
+              )}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      {versions.length > 1 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Compare Versions</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <VersionSelect
+                id="compare-from"
+                label="From"
+                value={fromId}
+                onChange={setFromId}
+                versions={versions}
+              />
+              <VersionSelect
+                id="compare-to"
+                label="To"
+                value={toId}
+                onChange={setToId}
+                versions={versions}
+              />
+            </div>
+            {from && to && (
+              <LineDiffView before={from.content} after={to.content} />
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { FileUp, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { importResume } from "@/actions/resume";
+import { fromJsonResume } from "@/app/lib/json-resume";
+
+// Keep in sync with lib/resume-import.js; .json (JSON Resume) is read here
+// since it needs no text extraction or AI mapping
+const ACCEPT = ".pdf,.docx,.txt,.json";
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+// Upload an existing resume; the extracted values are handed to onImport
+// to pre-fill the form
+export default function ResumeImport({ onImport }) {
+  const inputRef = useRef(null);
+  const [importing, setImporting] = useState(false);
+
+  const handleChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error("File is too large (max 5 MB)");
+      return;
+    }
+
+    setImporting(true);
+    try {
+      if (/\.json$/i.test(file.name)) {
+        let json;
+        try {
+          json = JSON.parse(await file.text());
+        } catch {
+          throw new Error("This file is not valid JSON");
+        }
+        onImport(fromJsonResume(json));
+        return;
+      }
+
+      const formData = new FormData();
+      formData.append("file", file);
+      onImport(await importResume(formData));
+    } catch (error) {
+      toast.error(error.message || "Failed to import resume");
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPT}
+        className="hidden"
+        onChange={handleChange}
+      />
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => inputRef.current?.click()}
+        disabled={importing}
+      >
+        {importing ? (
+          <>
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Importing...
+          </>
+        ) : (
+          <>
+            <FileUp className="h-4 w-4 mr-2" />
+            Import Resume
+          </>
+        )}
+      </Button>
+    </>
+  );
+}
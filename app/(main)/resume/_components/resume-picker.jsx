@@ -0,0 +1,202 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { Copy, Loader2, Pencil, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { createResume, deleteResume, renameResume } from "@/actions/resume";
+
+const DIALOG_TITLES = {
+  create: "New Resume",
+  duplicate: "Duplicate Resume",
+  rename: "Rename Resume",
+};
+
+// Switch between, create, rename and delete the user's named resumes.
+// The selected resume lives in the ?id= search param.
+export default function ResumePicker({ resumes, currentResume }) {
+  const router = useRouter();
+  const [dialog, setDialog] = useState(null);
+  const [name, setName] = useState("");
+  const [pending, setPending] = useState(false);
+
+  const openDialog = (mode) => {
+    setName(
+      mode === "rename"
+        ? currentResume.name
+        : mode === "duplicate"
+        ? `${currentResume.name} (copy)`
+        : ""
+    );
+    setDialog(mode);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setPending(true);
+    try {
+      if (dialog === "rename") {
+        await renameResume(currentResume.id, name);
+        toast.success("Resume renamed");
+        router.refresh();
+      } else {
+        const created = await createResume(
+          dialog === "duplicate"
+            ? {
+                name,
+                data: currentResume.data,
+                content: currentResume.content,
+              }
+            : { name }
+        );
+        toast.success("Resume created");
+        router.push(`/resume?id=${created.id}`);
+      }
+      setDialog(null);
+    } catch (error) {
+      toast.error(error.message || "Something went wrong");
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteResume(currentResume.id);
+      toast.success("Resume deleted");
+      router.push("/resume");
+    } catch (error) {
+      toast.error(error.message || "Failed to delete resume");
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {resumes.length > 0 && (
+        <Select
+          value={currentResume?.id}
+          onValueChange={(id) => router.push(`/resume?id=${id}`)}
+        >
+          <SelectTrigger className="w-64">
+            <SelectValue placeholder="Select a resume" />
+          </SelectTrigger>
+          <SelectContent>
+            {resumes.map((resume) => (
+              <SelectItem key={resume.id} value={resume.id}>
+                {resume.name}
+                {resume.atsScore != null &&
+                  ` · ATS ${resume.atsScore.toFixed(0)}`}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      )}
+
+      <Button variant="outline" size="sm" onClick={() => openDialog("create")}>
+        <Plus className="h-4 w-4 mr-2" />
+        New
+      </Button>
+
+      {currentResume && (
+        <>
+          <Button
+            variant="outline"
+            size="icon"
+            title="Duplicate"
+            onClick={() => openDialog("duplicate")}
+          >
+            <Copy className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="outline"
+            size="icon"
+            title="Rename"
+            onClick={() => openDialog("rename")}
+          >
+            <Pencil className="h-4 w-4" />
+          </Button>
+          <AlertDialog>
+            <AlertDialogTrigger asChild>
+              <Button variant="outline" size="icon" title="Delete">
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  This will permanently delete &quot;{currentResume.name}&quot;
+                  and its version history. Tailored copies made from it are
+                  kept.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+              <AlertDialogFooter>
+                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                <AlertDialogAction
+                  onClick={handleDelete}
+                  className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                >
+                  Delete
+                </AlertDialogAction>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        </>
+      )}
+
+      <Dialog open={!!dialog} onOpenChange={() => setDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{DIALOG_TITLES[dialog]}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="resume-name">Name</Label>
+              <Input
+                id="resume-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Backend Engineer"
+                autoFocus
+              />
+            </div>
+            <DialogFooter>
+              <Button type="submit" disabled={pending || !name.trim()}>
+                {pending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {dialog === "rename" ? "Rename" : "Create"}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
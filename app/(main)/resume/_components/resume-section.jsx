@@ -0,0 +1,96 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { GripVertical, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+
+// A form section that can be reordered by dragging its handle (native HTML
+// drag and drop) or with the arrow keys while the handle is focused
+export default function ResumeSection({
+  title,
+  index,
+  count,
+  onMove,
+  onRemove,
+  actions,
+  error,
+  children,
+}) {
+  const sectionRef = useRef(null);
+  const [dragOver, setDragOver] = useState(false);
+
+  const handleDragStart = (e) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(index));
+    if (sectionRef.current) e.dataTransfer.setDragImage(sectionRef.current, 0, 0);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    const from = Number(e.dataTransfer.getData("text/plain"));
+    if (Number.isInteger(from) && from !== index) onMove(from, index);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowUp" && index > 0) {
+      e.preventDefault();
+      onMove(index, index - 1);
+    } else if (e.key === "ArrowDown" && index < count - 1) {
+      e.preventDefault();
+      onMove(index, index + 1);
+    }
+  };
+
+  return (
+    <div
+      ref={sectionRef}
+      className={cn(
+        "space-y-4 rounded-lg transition-colors",
+        dragOver && "outline-dashed outline-2 outline-offset-4 outline-primary"
+      )}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={(e) => {
+        // Moving onto a child element also fires dragleave
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false);
+      }}
+      onDrop={handleDrop}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            draggable
+            onDragStart={handleDragStart}
+            onKeyDown={handleKeyDown}
+            className="cursor-grab text-muted-foreground hover:text-foreground active:cursor-grabbing"
+            aria-label={`Move ${title} section (drag, or use the arrow keys)`}
+          >
+            <GripVertical className="h-5 w-5" />
+          </button>
+          <h3 className="text-lg font-medium">{title}</h3>
+        </div>
+        <div className="flex items-center gap-2">
+          {actions}
+          {onRemove && (
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={onRemove}
+              aria-label={`Remove ${title} section`}
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+      </div>
+      {children}
+      {error && <p className="text-sm text-red-500">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+"use client";
+
+import { useState } from "react";
+import { Controller, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { PlusCircle, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Card,
+  CardContent,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { sectionItemSchemas } from "@/app/lib/schema";
+import { RESUME_SECTIONS } from "@/app/lib/sections";
+import { formatDisplayDate } from "./entry-form";
+
+// Editor for the "items" sections of RESUME_SECTIONS (certifications,
+// publications, languages, awards); the form is built from the section's
+// field list
+export function SectionItemForm({ sectionId, items, onChange }) {
+  const { itemType, fields, describe } = RESUME_SECTIONS[sectionId];
+  const [isAdding, setIsAdding] = useState(false);
+
+  const {
+    register,
+    control,
+    handleSubmit: handleValidation,
+    formState: { errors },
+    reset,
+  } = useForm({
+    resolver: zodResolver(sectionItemSchemas[sectionId]),
+    defaultValues: Object.fromEntries(fields.map((f) => [f.name, ""])),
+  });
+
+  const handleAdd = handleValidation((data) => {
+    const item = { ...data };
+    fields
+      .filter((f) => f.type === "month")
+      .forEach((f) => (item[f.name] = formatDisplayDate(data[f.name])));
+
+    onChange([...items, item]);
+    reset();
+    setIsAdding(false);
+  });
+
+  const handleDelete = (index) => {
+    onChange(items.filter((_, i) => i !== index));
+  };
+
+  const renderField = (field) => {
+    const placeholder = field.required ? `${field.label} *` : field.label;
+
+    if (field.type === "select") {
+      return (
+        <Controller
+          name={field.name}
+          control={control}
+          render={({ field: { value, onChange: setValue } }) => (
+            <Select value={value} onValueChange={setValue}>
+              <SelectTrigger>
+                <SelectValue placeholder={placeholder} />
+              </SelectTrigger>
+              <SelectContent>
+                {field.options.map((option) => (
+                  <SelectItem key={option} value={option}>
+                    {option}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        />
+      );
+    }
+    if (field.type === "textarea") {
+      return (
+        <Textarea
+          placeholder={placeholder}
+          className="h-24"
+          {...register(field.name)}
+        />
+      );
+    }
+    return (
+      <Input
+        type={field.type || "text"}
+        placeholder={placeholder}
+        aria-label={field.label}
+        {...register(field.name)}
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-4">
+        {items.map((item, index) => {
+          const details = fields.filter(
+            (f) => !f.required && f.type !== "textarea" && item[f.name]
+          );
+          const description = fields.find((f) => f.type === "textarea");
+          return (
+            <Card key={index}>
+              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium">
+                  {describe(item)}
+                </CardTitle>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  type="button"
+                  onClick={() => handleDelete(index)}
+                >
+                  <X className="h-4 w-4" />
+                </Button>
+              </CardHeader>
+              {(details.length > 0 || item[description?.name]) && (
+                <CardContent>
+                  {details.length > 0 && (
+                    <p className="text-sm text-muted-foreground">
+                      {details
+                        .map((f) => `${f.label}: ${item[f.name]}`)
+                        .join(" · ")}
+                    </p>
+                  )}
+                  {description && item[description.name] && (
+                    <p className="mt-2 text-sm whitespace-pre-wrap">
+                      {item[description.name]}
+                    </p>
+                  )}
+                </CardContent>
+              )}
+            </Card>
+          );
+        })}
+      </div>
+
+      {isAdding && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Add {itemType}</CardTitle>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {fields.map((field) => (
+              <div
+                key={field.name}
+                className={
+                  field.type === "textarea" ? "space-y-2 md:col-span-2" : "space-y-2"
+                }
+              >
+                {field.type === "month" && (
+                  <label className="text-sm text-muted-foreground">
+                    {field.label}
+                  </label>
+                )}
+                {renderField(field)}
+                {errors[field.name] && (
+                  <p className="text-sm text-red-500">
+                    {errors[field.name].message}
+                  </p>
+                )}
+              </div>
+            ))}
+          </CardContent>
+          <CardFooter className="flex justify-end space-x-2">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => {
+                reset();
+                setIsAdding(false);
+              }}
+            >
+              Cancel
+            </Button>
+            <Button type="button" onClick={handleAdd}>
+              <PlusCircle className="h-4 w-4 mr-2" />
+              Add Entry
+            </Button>
+          </CardFooter>
+        </Card>
+      )}
+
+      {!isAdding && (
+        <Button
+          className="w-full"
+          variant="outline"
+          type="button"
+          onClick={() => setIsAdding(true)}
+        >
+          <PlusCircle className="h-4 w-4 mr-2" />
+          Add {itemType}
+        </Button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,429 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { useRouter } from "next/navigation";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { format } from "date-fns";
+import MDEditor from "@uiw/react-md-editor";
+import {
+  AlertTriangle,
+  Check,
+  Eye,
+  Loader2,
+  Save,
+  Search,
+  Sparkles,
+  Trash2,
+  X,
+} from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Progress } from "@/components/ui/progress";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  improveWithAI,
+  saveTailoredResume,
+  deleteTailoredResume,
+} from "@/actions/resume";
+import { coverLetterSchema } from "@/app/lib/schema";
+import { extractKeywords, keywordGap } from "@/app/lib/ats";
+import useFetch from "@/hooks/use-fetch";
+import DiffView from "./diff-view";
+
+// Experience and project entries whose descriptions can be rewritten
+const TAILORABLE_SECTIONS = [
+  { key: "experience", type: "experience" },
+  { key: "projects", type: "project" },
+];
+
+function KeywordCoverage({ title, gap }) {
+  return (
+    <div className="space-y-2">
+      <div className="flex justify-between text-sm">
+        <span className="font-medium">{title}</span>
+        <span className="text-muted-foreground">{gap.coverage}% covered</span>
+      </div>
+      <Progress value={gap.coverage} />
+    </div>
+  );
+}
+
+export default function TailorResume({
+  entries,
+  currentContent,
+  buildContent,
+  resumeId,
+  tailoredResumes = [],
+}) {
+  const router = useRouter();
+  const [job, setJob] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [isSuggesting, setIsSuggesting] = useState(false);
+  const [viewing, setViewing] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(coverLetterSchema),
+  });
+
+  const {
+    loading: isSaving,
+    fn: saveTailoredFn,
+    data: savedTailored,
+  } = useFetch(saveTailoredResume);
+
+  useEffect(() => {
+    if (savedTailored) {
+      toast.success("Tailored resume saved!");
+      router.refresh();
+    }
+  }, [savedTailored, router]);
+
+  const keywords = useMemo(
+    () => (job ? extractKeywords(job.jobDescription) : []),
+    [job]
+  );
+
+  // Entries with accepted rewrites applied
+  const tailoredEntries = useMemo(() => {
+    const result = {};
+    for (const { key } of TAILORABLE_SECTIONS) {
+      result[key] = (entries[key] || []).map((entry, index) => {
+        const suggestion = suggestions.find(
+          (s) => s.section === key && s.index === index && s.accepted
+        );
+        return suggestion
+          ? { ...entry, description: suggestion.suggested }
+          : entry;
+      });
+    }
+    return result;
+  }, [entries, suggestions]);
+
+  // Tailored versions are built from the form, so both are measured against
+  // the form's markdown. Hand edits to the markdown would be lost on save.
+  const baseContent = buildContent(entries);
+  const tailoredContent = buildContent(tailoredEntries);
+  const hasMarkdownEdits =
+    !!currentContent?.trim() && currentContent.trim() !== baseContent.trim();
+  const currentGap = keywordGap(baseContent || "", keywords);
+  const tailoredGap = keywordGap(tailoredContent || "", keywords);
+
+  const onAnalyze = (values) => {
+    setJob(values);
+    setSuggestions([]);
+  };
+
+  const suggestRewrites = async () => {
+    const targets = TAILORABLE_SECTIONS.flatMap(({ key, type }) =>
+      (entries[key] || []).map((entry, index) => ({ key, type, entry, index }))
+    );
+    if (!targets.length) {
+      toast.error("Add experience or project entries first");
+      return;
+    }
+
+    setIsSuggesting(true);
+    setSuggestions([]);
+    // One entry at a time keeps us well under model rate limits
+    for (const { key, type, entry, index } of targets) {
+      try {
+        const suggested = await improveWithAI({
+          current: entry.description,
+          type,
+          jobDescription: job.jobDescription,
+        });
+        setSuggestions((prev) => [
+          ...prev,
+          {
+            section: key,
+            index,
+            title: `${entry.title} @ ${entry.organization}`,
+            original: entry.description,
+            suggested,
+            accepted: false,
+          },
+        ]);
+      } catch (error) {
+        toast.error(`Could not rewrite "${entry.title}": ${error.message}`);
+      }
+    }
+    setIsSuggesting(false);
+  };
+
+  const setAccepted = (suggestion, accepted) => {
+    setSuggestions((prev) =>
+      prev.map((s) => (s === suggestion ? { ...s, accepted } : s))
+    );
+  };
+
+  const handleSave = () => {
+    saveTailoredFn({ ...job, content: tailoredContent, resumeId });
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteTailoredResume(id);
+      toast.success("Tailored resume deleted");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete tailored resume");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Target Job</CardTitle>
+          <CardDescription>
+            Paste a job description to see keyword gaps and get rewrites
+            tailored to the role. Your main resume is not changed.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSubmit(onAnalyze)} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="tailor-jobTitle">Job Title</Label>
+                <Input id="tailor-jobTitle" {...register("jobTitle")} />
+                {errors.jobTitle && (
+                  <p className="text-sm text-red-500">
+                    {errors.jobTitle.message}
+                  </p>
+                )}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="tailor-companyName">Company Name</Label>
+                <Input id="tailor-companyName" {...register("companyName")} />
+                {errors.companyName && (
+                  <p className="text-sm text-red-500">
+                    {errors.companyName.message}
+                  </p>
+                )}
+              </div>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="tailor-jobDescription">Job Description</Label>
+              <Textarea
+                id="tailor-jobDescription"
+                className="h-40"
+                placeholder="Paste the job description here"
+                {...register("jobDescription")}
+              />
+              {errors.jobDescription && (
+                <p className="text-sm text-red-500">
+                  {errors.jobDescription.message}
+                </p>
+              )}
+            </div>
+            <div className="flex justify-end">
+              <Button type="submit">
+                <Search className="h-4 w-4 mr-2" />
+                Analyze Job
+              </Button>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      {job && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Keyword Gap</CardTitle>
+            <CardDescription>
+              Key terms from the {job.jobTitle} posting at {job.companyName}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {hasMarkdownEdits && (
+              <div className="flex p-3 gap-2 items-center border-2 border-yellow-600 text-yellow-600 rounded">
+                <AlertTriangle className="h-5 w-5 shrink-0" />
+                <span className="text-sm">
+                  Your markdown has edits that are not in the form. Tailored
+                  versions are built from the form, so move those edits into
+                  the form to save one.
+                </span>
+              </div>
+            )}
+            <KeywordCoverage title="Current resume" gap={currentGap} />
+            {suggestions.some((s) => s.accepted) && (
+              <KeywordCoverage title="Tailored version" gap={tailoredGap} />
+            )}
+            <div className="flex flex-wrap gap-2">
+              {tailoredGap.matched.map((keyword) => (
+                <Badge key={keyword} variant="secondary">
+                  {keyword}
+                </Badge>
+              ))}
+              {tailoredGap.missing.map((keyword) => (
+                <Badge
+                  key={keyword}
+                  variant="outline"
+                  className="border-dashed text-muted-foreground"
+                >
+                  {keyword}
+                </Badge>
+              ))}
+            </div>
+            <div className="flex flex-wrap justify-end gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={suggestRewrites}
+                disabled={isSuggesting}
+              >
+                {isSuggesting ? (
+                  <>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Rewriting...
+                  </>
+                ) : (
+                  <>
+                    <Sparkles className="h-4 w-4 mr-2" />
+                    Suggest Rewrites
+                  </>
+                )}
+              </Button>
+              <Button
+                type="button"
+                onClick={handleSave}
+                disabled={isSaving || isSuggesting || hasMarkdownEdits}
+              >
+                {isSaving ? (
+                  <>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <Save className="h-4 w-4 mr-2" />
+                    Save Tailored Version
+                  </>
+                )}
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {suggestions.map((suggestion) => (
+        <Card key={`${suggestion.section}-${suggestion.index}`}>
+          <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+            <CardTitle className="text-sm font-medium">
+              {suggestion.title}
+            </CardTitle>
+            {suggestion.accepted ? (
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => setAccepted(suggestion, false)}
+              >
+                <X className="h-4 w-4 mr-2" />
+                Undo
+              </Button>
+            ) : (
+              <Button
+                type="button"
+                size="sm"
+                onClick={() => setAccepted(suggestion, true)}
+              >
+                <Check className="h-4 w-4 mr-2" />
+                Accept
+              </Button>
+            )}
+          </CardHeader>
+          <CardContent>
+            <DiffView before={suggestion.original} after={suggestion.suggested} />
+          </CardContent>
+        </Card>
+      ))}
+
+      {tailoredResumes.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Tailored Versions</CardTitle>
+            <CardDescription>
+              Resumes saved for specific job applications
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {tailoredResumes.map((tailored) => (
+              <div
+                key={tailored.id}
+                className="flex items-center justify-between gap-2 border rounded-lg p-3"
+              >
+                <div>
+                  <p className="font-medium">
+                    {tailored.jobTitle} at {tailored.companyName}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {format(new Date(tailored.createdAt), "PPP")} ·{" "}
+                    {tailored.matchedKeywords.length} of{" "}
+                    {tailored.matchedKeywords.length +
+                      tailored.missingKeywords.length}{" "}
+                    keywords
+                    {tailored.atsScore != null &&
+                      ` · ATS ${tailored.atsScore.toFixed(0)}`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="icon"
+                    onClick={() => setViewing(tailored)}
+                  >
+                    <Eye className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="icon"
+                    onClick={() => handleDelete(tailored.id)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={!!viewing} onOpenChange={() => setViewing(null)}>
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>
+              {viewing?.jobTitle} at {viewing?.companyName}
+            </DialogTitle>
+          </DialogHeader>
+          <div data-color-mode="light">
+            <MDEditor.Markdown source={viewing?.content || ""} />
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,12 +1,37 @@
-import { getResume } from "@/actions/resume";
+import {
+  getResume,
+  getResumes,
+  getResumeVersions,
+  getTailoredResumes,
+} from "@/actions/resume";
+import { getSkills } from "@/actions/skills";
 import ResumeBuilder from "./_components/resume-builder";
 
-export default async function ResumePage() {
-  const resume = await getResume();
+export default async function ResumePage({ searchParams }) {
+  const { id } = await searchParams;
+  const [resumes, resume, tailoredResumes, skills] = await Promise.all([
+    getResumes(),
+    getResume(id),
+    getTailoredResumes(),
+    getSkills(),
+  ]);
+  const versions = resume ? await getResumeVersions(resume.id) : [];
 
   return (
     <div className="container mx-auto py-6">
-      <ResumeBuilder initialContent={resume?.content} />
+      <ResumeBuilder
+        key={resume?.id ?? "new"}
+        resume={resume}
+        resumes={resumes}
+        versions={versions}
+        initialAnalysis={
+          resume?.atsScore != null
+            ? { score: resume.atsScore, feedback: resume.feedback }
+            : null
+        }
+        tailoredResumes={tailoredResumes}
+        skills={skills}
+      />
     </div>
   );
 }
@@ -0,0 +1,34 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { getRoadmap } from "@/actions/roadmap";
+import RoadmapView from "../_components/roadmap-view";
+
+export default async function RoadmapDetailPage({ params }) {
+  const { id } = await params;
+  const roadmap = await getRoadmap(id);
+  if (!roadmap) notFound();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/roadmap">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Roadmaps
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">{roadmap.title}</h1>
+          {roadmap.summary && (
+            <p className="text-muted-foreground">{roadmap.summary}</p>
+          )}
+        </div>
+      </div>
+
+      <RoadmapView roadmap={roadmap} />
+    </div>
+  );
+}
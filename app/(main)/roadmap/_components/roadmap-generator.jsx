@@ -0,0 +1,125 @@
+"use client";
+
+import { useEffect } from "react";
+import { Controller, useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { Loader2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { generateRoadmap } from "@/actions/roadmap";
+import useFetch from "@/hooks/use-fetch";
+import { roadmapRequestSchema } from "@/app/lib/schema";
+import { DEFAULT_ROADMAP_WEEKS, ROADMAP_LENGTHS } from "@/app/lib/roadmap";
+
+export default function RoadmapGenerator() {
+  const router = useRouter();
+
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(roadmapRequestSchema),
+    defaultValues: { weeks: DEFAULT_ROADMAP_WEEKS, goal: "" },
+  });
+
+  const {
+    loading: generating,
+    fn: generateRoadmapFn,
+    data: roadmap,
+  } = useFetch(generateRoadmap);
+
+  useEffect(() => {
+    if (roadmap) {
+      toast.success("Roadmap generated successfully!");
+      router.push(`/roadmap/${roadmap.id}`);
+    }
+  }, [roadmap, router]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Plan Details</CardTitle>
+        <CardDescription>
+          Your profile skills, recent quiz mistakes and your industry&apos;s
+          recommended skills are included automatically
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(generateRoadmapFn)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="weeks">Length</Label>
+            <Controller
+              name="weeks"
+              control={control}
+              render={({ field }) => (
+                <Select
+                  value={String(field.value)}
+                  onValueChange={(value) => field.onChange(Number(value))}
+                >
+                  <SelectTrigger id="weeks">
+                    <SelectValue placeholder="Select a length" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {ROADMAP_LENGTHS.map((weeks) => (
+                      <SelectItem key={weeks} value={String(weeks)}>
+                        {weeks} weeks
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              )}
+            />
+            {errors.weeks && (
+              <p className="text-sm text-red-500">{errors.weeks.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="goal">Goal (optional)</Label>
+            <Textarea
+              id="goal"
+              placeholder="e.g. Move from frontend to full-stack development"
+              className="h-24"
+              {...register("goal")}
+            />
+            {errors.goal && (
+              <p className="text-sm text-red-500">{errors.goal.message}</p>
+            )}
+          </div>
+
+          <div className="flex justify-end">
+            <Button type="submit" disabled={generating}>
+              {generating ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Generating...
+                </>
+              ) : (
+                "Generate Roadmap"
+              )}
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,130 @@
+"use client";
+
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
+import { Eye, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { deleteRoadmap } from "@/actions/roadmap";
+import { roadmapProgress } from "@/app/lib/roadmap";
+
+export default function RoadmapList({ roadmaps }) {
+  const router = useRouter();
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteRoadmap(id);
+      toast.success("Roadmap deleted successfully!");
+      router.refresh();
+    } catch (error) {
+      toast.error(error.message || "Failed to delete roadmap");
+    }
+  };
+
+  if (!roadmaps?.length) {
+    return (
+      <Card>
+        <CardHeader>
+          <CardTitle>No Roadmaps Yet</CardTitle>
+          <CardDescription>
+            Create a learning roadmap to plan your next few weeks of study
+          </CardDescription>
+        </CardHeader>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {roadmaps.map((roadmap) => {
+        const progress = roadmapProgress(roadmap.milestones);
+        const done = roadmap.milestones.filter((m) => m.status === "done").length;
+
+        return (
+          <Card key={roadmap.id}>
+            <CardHeader>
+              <div className="flex items-start justify-between">
+                <div>
+                  <CardTitle className="text-xl gradient-title">
+                    {roadmap.title}
+                  </CardTitle>
+                  <CardDescription>
+                    {roadmap.weeks} weeks · Created{" "}
+                    {format(new Date(roadmap.createdAt), "PPP")}
+                  </CardDescription>
+                </div>
+                <div className="flex space-x-2">
+                  <AlertDialog>
+                    <Button
+                      variant="outline"
+                      size="icon"
+                      onClick={() => router.push(`/roadmap/${roadmap.id}`)}
+                    >
+                      <Eye className="h-4 w-4" />
+                    </Button>
+                    <AlertDialogTrigger asChild>
+                      <Button variant="outline" size="icon">
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </AlertDialogTrigger>
+                    <AlertDialogContent>
+                      <AlertDialogHeader>
+                        <AlertDialogTitle>Delete Roadmap?</AlertDialogTitle>
+                        <AlertDialogDescription>
+                          This action cannot be undone. This will permanently
+                          delete {roadmap.title} and the progress you have
+                          recorded on it.
+                        </AlertDialogDescription>
+                      </AlertDialogHeader>
+                      <AlertDialogFooter>
+                        <AlertDialogCancel>Cancel</AlertDialogCancel>
+                        <AlertDialogAction
+                          onClick={() => handleDelete(roadmap.id)}
+                          className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                        >
+                          Delete
+                        </AlertDialogAction>
+                      </AlertDialogFooter>
+                    </AlertDialogContent>
+                  </AlertDialog>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {roadmap.goal && (
+                <p className="text-muted-foreground text-sm line-clamp-2">
+                  {roadmap.goal}
+                </p>
+              )}
+              <div className="flex items-center gap-4">
+                <Progress value={progress} className="flex-1" />
+                <span className="text-sm text-muted-foreground whitespace-nowrap">
+                  {done} of {roadmap.milestones.length} milestones
+                </span>
+              </div>
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { format } from "date-fns";
+import { toast } from "sonner";
+import {
+  BookOpen,
+  CheckCircle2,
+  Circle,
+  ExternalLink,
+  GraduationCap,
+} from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardFooter,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { updateMilestoneProgress } from "@/actions/roadmap";
+import {
+  MILESTONE_PASS_SCORE,
+  MILESTONE_STATUSES,
+  milestoneQuizHref,
+  roadmapProgress,
+} from "@/app/lib/roadmap";
+import { cn } from "@/lib/utils";
+
+function Resource({ resource }) {
+  const label = (
+    <>
+      <BookOpen className="h-4 w-4 flex-shrink-0" />
+      <span>{resource.title}</span>
+      <Badge variant="outline" className="capitalize">
+        {resource.type}
+      </Badge>
+    </>
+  );
+
+  return (
+    <li className="flex items-center gap-2 text-sm">
+      {resource.url ? (
+        <a
+          href={resource.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-2 hover:underline"
+        >
+          {label}
+          <ExternalLink className="h-3 w-3" />
+        </a>
+      ) : (
+        label
+      )}
+    </li>
+  );
+}
+
+function Milestone({ milestone, onUpdate }) {
+  const lastQuiz = milestone.assessments[0];
+
+  return (
+    <Card className={cn(milestone.status === "done" && "border-green-500/50")}>
+      <CardHeader className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 space-y-0">
+        <div className="space-y-1.5">
+          <div className="flex items-center gap-2">
+            <Badge variant="secondary">Week {milestone.week}</Badge>
+            <Badge variant="outline">{milestone.skill}</Badge>
+          </div>
+          <CardTitle>{milestone.title}</CardTitle>
+          {milestone.description && (
+            <CardDescription>{milestone.description}</CardDescription>
+          )}
+        </div>
+        <Select
+          value={milestone.status}
+          onValueChange={(status) => onUpdate(milestone, { status })}
+        >
+          <SelectTrigger className="md:w-40" aria-label="Status">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {MILESTONE_STATUSES.map((status) => (
+              <SelectItem key={status.id} value={status.id}>
+                {status.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium">Checkpoints</h4>
+          <ul className="space-y-1">
+            {milestone.checkpoints.map((checkpoint, index) => (
+              <li key={index}>
+                <button
+                  type="button"
+                  className="flex items-start gap-2 text-sm text-left"
+                  onClick={() =>
+                    onUpdate(milestone, {
+                      checkpoint: { index, done: !checkpoint.done },
+                    })
+                  }
+                  aria-pressed={checkpoint.done}
+                >
+                  {checkpoint.done ? (
+                    <CheckCircle2 className="h-4 w-4 mt-0.5 text-green-500 flex-shrink-0" />
+                  ) : (
+                    <Circle className="h-4 w-4 mt-0.5 text-muted-foreground flex-shrink-0" />
+                  )}
+                  <span
+                    className={cn(checkpoint.done && "line-through text-muted-foreground")}
+                  >
+                    {checkpoint.title}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {milestone.resources.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium">Resources</h4>
+            <ul className="space-y-1">
+              {milestone.resources.map((resource, index) => (
+                <Resource key={index} resource={resource} />
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+
+      <CardFooter className="flex flex-col md:flex-row md:justify-between gap-2">
+        <p className="text-sm text-muted-foreground">
+          {milestone.status === "done" && milestone.completedAt
+            ? `Completed ${format(new Date(milestone.completedAt), "PPP")}`
+            : lastQuiz
+            ? `Last quiz: ${lastQuiz.quizScore.toFixed(0)}%. Score ${MILESTONE_PASS_SCORE}% to complete`
+            : `Score ${MILESTONE_PASS_SCORE}% on a quiz to complete this milestone`}
+        </p>
+        <Link href={milestoneQuizHref(milestone)}>
+          <Button variant="outline" size="sm">
+            <GraduationCap className="h-4 w-4 mr-2" />
+            Take Quiz
+          </Button>
+        </Link>
+      </CardFooter>
+    </Card>
+  );
+}
+
+export default function RoadmapView({ roadmap }) {
+  const [milestones, setMilestones] = useState(roadmap.milestones);
+  const progress = roadmapProgress(milestones);
+
+  const replace = (milestone) =>
+    setMilestones((current) =>
+      current.map((m) => (m.id === milestone.id ? milestone : m))
+    );
+
+  // Applied optimistically and rolled back if the save fails
+  const handleUpdate = async (milestone, update) => {
+    const next = { ...milestone };
+    if (update.checkpoint) {
+      const { index, done } = update.checkpoint;
+      next.checkpoints = milestone.checkpoints.map((c, i) =>
+        i === index ? { ...c, done } : c
+      );
+      if (done && milestone.status === "todo") next.status = "in_progress";
+    }
+    if (update.status) next.status = update.status;
+    replace(next);
+
+    try {
+      const saved = await updateMilestoneProgress(milestone.id, update);
+      replace({ ...next, ...saved, assessments: milestone.assessments });
+    } catch (error) {
+      replace(milestone);
+      toast.error(error.message || "Failed to update milestone");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="pt-6 space-y-2">
+          <div className="flex items-baseline justify-between">
+            <span className="text-2xl font-bold">{progress}%</span>
+            <span className="text-sm text-muted-foreground">
+              {milestones.filter((m) => m.status === "done").length} of{" "}
+              {milestones.length} milestones · {roadmap.weeks} weeks
+            </span>
+          </div>
+          <Progress value={progress} />
+          {roadmap.goal && (
+            <p className="text-sm text-muted-foreground">Goal: {roadmap.goal}</p>
+          )}
+        </CardContent>
+      </Card>
+
+      {milestones.map((milestone) => (
+        <Milestone
+          key={milestone.id}
+          milestone={milestone}
+          onUpdate={handleUpdate}
+        />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import Link from "next/link";
+import { ArrowLeft } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import RoadmapGenerator from "../_components/roadmap-generator";
+
+export default function NewRoadmapPage() {
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col space-y-2">
+        <Link href="/roadmap">
+          <Button variant="link" className="gap-2 pl-0">
+            <ArrowLeft className="h-4 w-4" />
+            Back to Roadmaps
+          </Button>
+        </Link>
+
+        <div className="pb-6">
+          <h1 className="text-6xl font-bold gradient-title">Create Roadmap</h1>
+          <p className="text-muted-foreground">
+            A week-by-week learning plan built from your skills, quiz results
+            and what your industry is looking for
+          </p>
+        </div>
+      </div>
+
+      <RoadmapGenerator />
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { getRoadmaps } from "@/actions/roadmap";
+import Link from "next/link";
+import { Plus } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import RoadmapList from "./_components/roadmap-list";
+
+export default async function RoadmapPage() {
+  const roadmaps = await getRoadmaps();
+
+  return (
+    <div className="container mx-auto py-6">
+      <div className="flex flex-col md:flex-row gap-2 items-center justify-between mb-5">
+        <h1 className="text-6xl font-bold gradient-title">Learning Roadmaps</h1>
+        <Link href="/roadmap/new">
+          <Button>
+            <Plus className="h-4 w-4 mr-2" />
+            Create New
+          </Button>
+        </Link>
+      </div>
+
+      <RoadmapList roadmaps={roadmaps} />
+    </div>
+  );
+}
@@ -0,0 +1,56 @@
+import { auth } from "@clerk/nextjs/server";
+import { NextResponse } from "next/server";
+import { EXPORT_FORMATS } from "@/app/lib/export";
+import { exportRequestSchema } from "@/app/lib/schema";
+import { renderDocx } from "@/lib/export/docx";
+import { renderPdf } from "@/lib/export/pdf";
+import { renderText } from "@/lib/export/text";
+
+// pdfkit and docx need Node APIs (fs, Buffer)
+export const runtime = "nodejs";
+
+const FILENAMES = { resume: "resume", coverLetter: "cover-letter" };
+
+const RENDERERS = {
+  pdf: renderPdf,
+  docx: renderDocx,
+  txt: async (markdown, options) => renderText(markdown, options),
+};
+
+// Render resume or cover letter markdown to a downloadable document. The
+// markdown comes from the client so unsaved edits can be previewed.
+export async function POST(req) {
+  const { userId } = await auth();
+  if (!userId) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const body = await req.json().catch(() => null);
+  const parsed = exportRequestSchema.safeParse(body);
+  if (!parsed.success) {
+    return NextResponse.json(
+      { error: parsed.error.issues[0].message },
+      { status: 400 }
+    );
+  }
+  const { format, kind, template, markdown } = parsed.data;
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  try {
+    const file = await RENDERERS[format](markdown, { template, kind });
+
+    return new Response(file, {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${FILENAMES[kind]}.${extension}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    console.error("Error exporting document:", error);
+    return NextResponse.json(
+      { error: "Failed to export document" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,278 @@
+import { extractMarkdownSection } from "./helper";
+
+// Deterministic ATS-style scoring of a markdown resume. Pure and side-effect
+// free so it can run on the server (saveResume) and in the browser alike.
+
+const SECTIONS = [
+  { key: "summary", title: "Professional Summary", label: "Summary" },
+  { key: "skills", title: "Skills", label: "Skills" },
+  { key: "experience", title: "Work Experience", label: "Experience" },
+  { key: "education", title: "Education", label: "Education" },
+  { key: "projects", title: "Projects", label: "Projects" },
+];
+
+// Points available per check; they add up to 100
+const WEIGHTS = {
+  sections: 20,
+  keywords: 30,
+  quantified: 20,
+  length: 15,
+  contact: 15,
+};
+
+const IDEAL_WORDS = { min: 400, max: 800 };
+
+const EMAIL_RE = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
+const LINKEDIN_RE = /linkedin\.com\/[^\s)]+/i;
+const DATE_LINE_RE =
+  /^((jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?\d{4}\s*[-–—]\s*((jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(\d{4}|present|current)$/i;
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Phone numbers have 7-15 digits; date ranges like "2019 - 2023" are not phones
+export function findPhoneNumber(text) {
+  const candidates = (text || "").match(/\+?\(?\d[\d\s().-]{5,}\d/g) || [];
+  return (
+    candidates.find((c) => {
+      const digits = c.replace(/\D/g, "");
+      return (
+        digits.length >= 7 &&
+        digits.length <= 15 &&
+        !/^\s*\d{4}\s*[-–—]\s*\d{4}\s*$/.test(c) &&
+        !/^\d{4}-\d{2}(-\d{2})?$/.test(c.trim())
+      );
+    }) || ""
+  );
+}
+
+/**
+ * containsKeyword does a case-insensitive whole-term match that copes with
+ * punctuation inside skills ("C++", "Node.js", "CI/CD").
+ */
+export function containsKeyword(text, keyword) {
+  if (!text || !keyword) return false;
+  const re = new RegExp(
+    `(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase().trim())}($|[^a-z0-9])`
+  );
+  return re.test(text.toLowerCase());
+}
+
+export function countWords(markdown) {
+  return (markdown || "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/[#*_>`|[\]()]/g, " ")
+    .split(/\s+/)
+    .filter((w) => /[a-z0-9]/i.test(w)).length;
+}
+
+// Achievement statements from experience and projects: bullet lines when the
+// author used bullets, otherwise sentences of the entry descriptions.
+export function getAchievementStatements(markdown) {
+  const body = ["Work Experience", "Projects"]
+    .map((title) => extractMarkdownSection(markdown, title))
+    .join("\n");
+
+  const lines = body
+    .split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("#") && !DATE_LINE_RE.test(l));
+
+  const bullets = lines.filter((l) => /^([-*•]|\d+\.)\s+/.test(l));
+  if (bullets.length > 0) return bullets;
+
+  return lines
+    .join(" ")
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s.split(/\s+/).length >= 4);
+}
+
+const isQuantified = (statement) => /\d|%|\$|€|£/.test(statement);
+
+const round = (n) => Math.round(n * 10) / 10;
+
+function scoreLength(words) {
+  const max = WEIGHTS.length;
+  if (words >= IDEAL_WORDS.min && words <= IDEAL_WORDS.max) return max;
+  if (words < IDEAL_WORDS.min) return (max * words) / IDEAL_WORDS.min;
+  // Lose a point for every 50 words over the ideal length
+  return Math.max(0, max - (words - IDEAL_WORDS.max) / 50);
+}
+
+/**
+ * scoreResume computes a 0-100 ATS score for a markdown resume.
+ *
+ * @param {string} markdown
+ * @param {{ keywords?: string[] }} options keywords to look for, typically IndustryInsight.topSkills
+ * @returns {{ score: number, checks: Array<{ key, label, score, max, detail }>,
+ *   matchedKeywords: string[], missingKeywords: string[], wordCount: number }}
+ */
+export function scoreResume(markdown, { keywords = [] } = {}) {
+  const md = markdown || "";
+  const checks = [];
+
+  // Section presence
+  const present = SECTIONS.filter((s) => extractMarkdownSection(md, s.title));
+  const missingSections = SECTIONS.filter((s) => !present.includes(s));
+  checks.push({
+    key: "sections",
+    label: "Section coverage",
+    score: (WEIGHTS.sections * present.length) / SECTIONS.length,
+    max: WEIGHTS.sections,
+    detail: missingSections.length
+      ? `Missing: ${missingSections.map((s) => s.label).join(", ")}`
+      : "All standard sections present",
+  });
+
+  // Keyword coverage
+  const uniqueKeywords = [...new Set(keywords.filter(Boolean))];
+  const matchedKeywords = uniqueKeywords.filter((k) => containsKeyword(md, k));
+  const missingKeywords = uniqueKeywords.filter((k) => !matchedKeywords.includes(k));
+  checks.push({
+    key: "keywords",
+    label: "Keyword coverage",
+    score: uniqueKeywords.length
+      ? (WEIGHTS.keywords * matchedKeywords.length) / uniqueKeywords.length
+      : WEIGHTS.keywords,
+    max: WEIGHTS.keywords,
+    detail: uniqueKeywords.length
+      ? `${matchedKeywords.length} of ${uniqueKeywords.length} industry keywords found`
+      : "No industry keywords available",
+  });
+
+  // Quantified achievements
+  const statements = getAchievementStatements(md);
+  const quantified = statements.filter(isQuantified);
+  checks.push({
+    key: "quantified",
+    label: "Quantified achievements",
+    score: statements.length
+      ? (WEIGHTS.quantified * quantified.length) / statements.length
+      : 0,
+    max: WEIGHTS.quantified,
+    detail: statements.length
+      ? `${quantified.length} of ${statements.length} statements include numbers`
+      : "No experience or project descriptions found",
+  });
+
+  // Length
+  const wordCount = countWords(md);
+  checks.push({
+    key: "length",
+    label: "Length",
+    score: scoreLength(wordCount),
+    max: WEIGHTS.length,
+    detail: `${wordCount} words (aim for ${IDEAL_WORDS.min}-${IDEAL_WORDS.max})`,
+  });
+
+  // Contact completeness
+  const contact = [
+    { label: "email", points: 6, found: EMAIL_RE.test(md) },
+    { label: "phone", points: 5, found: !!findPhoneNumber(md) },
+    { label: "LinkedIn", points: 4, found: LINKEDIN_RE.test(md) },
+  ];
+  const missingContact = contact.filter((c) => !c.found).map((c) => c.label);
+  checks.push({
+    key: "contact",
+    label: "Contact details",
+    score: contact.reduce((sum, c) => sum + (c.found ? c.points : 0), 0),
+    max: WEIGHTS.contact,
+    detail: missingContact.length
+      ? `Missing: ${missingContact.join(", ")}`
+      : "Email, phone and LinkedIn present",
+  });
+
+  const roundedChecks = checks.map((c) => ({ ...c, score: round(c.score) }));
+
+  return {
+    score: round(roundedChecks.reduce((sum, c) => sum + c.score, 0)),
+    checks: roundedChecks,
+    matchedKeywords,
+    missingKeywords,
+    wordCount,
+  };
+}
+
+// Words that carry no signal in job descriptions
+const STOPWORDS = new Set(
+  `a about above across after again against all also an and any are as at be because been before being
+  below between both but by can could did do does doing down during each etc few for from further had has
+  have having he her here hers him his how i if in into is it its itself just may me more most must my no
+  nor not of off on once only or other our ours out over own per same she should so some such than that
+  the their theirs them then there these they this those through to too under until up upon us very via
+  was we were what when where which while who whom why will with within without would you your yours
+  ability able across apply candidate candidates company day degree demonstrated desired duties environment
+  equal excellent experience experienced familiarity fast-paced good great help ideal including join
+  knowledge looking new opportunity plus preferred proven qualifications related required requirements
+  responsibilities responsible role skills strong team teams understanding using work working world year years
+  build building collaborate collaborating create deliver develop developing drive ensure improve maintain
+  own support applications engineer engineers developer developers senior junior`
+    .split(/\s+/)
+    .filter(Boolean)
+);
+
+// Tokens keep in-word punctuation used by tech terms: C++, C#, Node.js, CI/CD, .NET
+const TOKEN_RE = /[A-Za-z0-9.+#/-]*[A-Za-z0-9+#]/g;
+
+const isMeaningful = (token) =>
+  token.length > 1 && !STOPWORDS.has(token.toLowerCase()) && !/^\d/.test(token);
+
+/**
+ * extractKeywords pulls the most significant terms and two-word phrases out
+ * of a job description, ranked by frequency with a boost for terms written
+ * like proper nouns or tech names ("Kubernetes", "CI/CD", "Node.js").
+ *
+ * @returns {string[]} up to `limit` keywords in their most common casing
+ */
+export function extractKeywords(text, { limit = 25 } = {}) {
+  if (!text) return [];
+
+  const scores = new Map();
+  const casings = new Map();
+
+  const add = (term, weight) => {
+    const key = term.toLowerCase();
+    scores.set(key, (scores.get(key) || 0) + weight);
+    const counts = casings.get(key) || {};
+    counts[term] = (counts[term] || 0) + 1;
+    casings.set(key, counts);
+  };
+
+  const sentences = text.split(/[.!?;:\n•]+(?=\s|$)|\n/);
+  for (const sentence of sentences) {
+    const tokens = sentence.match(TOKEN_RE) || [];
+    tokens.forEach((token, i) => {
+      if (!isMeaningful(token)) return;
+      const techLike = /[A-Z].*|[+#./]/.test(token.slice(1)) || /[+#]/.test(token);
+      const properNoun = i > 0 && /^[A-Z]/.test(token);
+      add(token, 1 + (techLike ? 1 : 0) + (properNoun ? 0.5 : 0));
+
+      const next = tokens[i + 1];
+      if (next && isMeaningful(next)) add(`${token} ${next}`, 0.75);
+    });
+  }
+
+  return [...scores.entries()]
+    // single words need one mention; phrases must repeat to count
+    .filter(([key, score]) => (key.includes(" ") ? score >= 1.5 : true))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key]) => {
+      const counts = casings.get(key);
+      return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    });
+}
+
+/**
+ * keywordGap compares a resume against a list of keywords.
+ * @returns {{ matched: string[], missing: string[], coverage: number }} coverage in percent
+ */
+export function keywordGap(markdown, keywords) {
+  const matched = keywords.filter((k) => containsKeyword(markdown, k));
+  const missing = keywords.filter((k) => !matched.includes(k));
+  return {
+    matched,
+    missing,
+    coverage: keywords.length ? Math.round((matched.length / keywords.length) * 100) : 0,
+  };
+}
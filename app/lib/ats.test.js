@@ -0,0 +1,117 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { extractKeywords, findPhoneNumber, keywordGap, scoreResume } from "./ats.js";
+
+const JOB = `We are hiring a backend engineer to build services in Node.js and C++.
+Experience with CI/CD pipelines is required. Node.js and CI/CD experience matter.
+You will deploy C++ services on Kubernetes.`;
+
+// A resume that passes every check: all sections, contact details, every
+// bullet quantified and a length inside the ideal range
+const bullets = Array.from(
+  { length: 40 },
+  (_, i) => `- Cut p95 latency of service ${i + 1} by 30% across three regions`
+).join("\n");
+const FULL_RESUME = `## Contact
+jane@example.com | +1 (555) 123-4567 | linkedin.com/in/jane
+
+## Professional Summary
+
+Backend engineer building Node.js and C++ services with CI/CD.
+
+## Skills
+
+C++, Node.js, CI/CD, Kubernetes
+
+## Work Experience
+
+### Engineer @ Acme
+2019 - 2023
+
+${bullets}
+
+## Education
+
+### BSc @ State University
+2015 - 2019
+
+## Projects
+
+### Tracer @ Open Source
+2022 - Present
+
+- Traced 1M requests a day with 2 ms overhead`;
+
+describe("findPhoneNumber", () => {
+  test("date ranges are not phone numbers", () => {
+    assert.equal(findPhoneNumber("Engineer @ Acme\n2019 - 2023"), "");
+    assert.equal(findPhoneNumber("2019–2023"), "");
+    assert.equal(findPhoneNumber("Started 2024-05-01"), "");
+  });
+
+  test("finds a phone number next to a date range", () => {
+    assert.equal(findPhoneNumber("2019 - 2023 | +1 (555) 123-4567"), "+1 (555) 123-4567");
+    assert.equal(findPhoneNumber("Call 555.123.4567"), "555.123.4567");
+  });
+
+  test("too few digits", () => {
+    assert.equal(findPhoneNumber("Room 12-34"), "");
+    assert.equal(findPhoneNumber(undefined), "");
+  });
+});
+
+describe("extractKeywords", () => {
+  test("keeps punctuation inside tech terms", () => {
+    const keywords = extractKeywords(JOB);
+    for (const term of ["C++", "Node.js", "CI/CD", "Kubernetes"]) {
+      assert.ok(keywords.includes(term), `${term} in ${keywords}`);
+    }
+    assert.deepEqual(keywords.slice(0, 3), ["C++", "CI/CD", "Node.js"]);
+  });
+
+  test("drops stopwords and respects the limit", () => {
+    const keywords = extractKeywords(JOB, { limit: 5 });
+    assert.equal(keywords.length, 5);
+    assert.ok(!keywords.some((k) => ["experience", "required", "engineer"].includes(k)));
+  });
+
+  test("empty text", () => {
+    assert.deepEqual(extractKeywords(""), []);
+  });
+});
+
+describe("scoreResume", () => {
+  test("matches keywords with punctuation as whole terms", () => {
+    const { matchedKeywords, missingKeywords } = scoreResume(
+      "## Skills\n\nC++, Node.js, CI/CD pipelines",
+      { keywords: ["C++", "Node.js", "CI/CD", "C#", "Go"] }
+    );
+    assert.deepEqual(matchedKeywords, ["C++", "Node.js", "CI/CD"]);
+    assert.deepEqual(missingKeywords, ["C#", "Go"]);
+  });
+
+  test("keyword gap coverage", () => {
+    const gap = keywordGap(FULL_RESUME, ["C++", "Node.js", "CI/CD", "Terraform"]);
+    assert.deepEqual(gap.missing, ["Terraform"]);
+    assert.equal(gap.coverage, 75);
+  });
+
+  test("check weights add up to 100", () => {
+    for (const markdown of ["", "## Skills\n\nSQL", FULL_RESUME]) {
+      for (const keywords of [[], ["SQL"], ["C++", "Go"]]) {
+        const { score, checks } = scoreResume(markdown, { keywords });
+        assert.equal(checks.reduce((sum, c) => sum + c.max, 0), 100);
+        assert.ok(score >= 0 && score <= 100, `score ${score}`);
+      }
+    }
+  });
+
+  test("a resume passing every check scores 100", () => {
+    const result = scoreResume(FULL_RESUME, { keywords: ["C++", "Node.js", "CI/CD"] });
+    assert.deepEqual(
+      result.checks.filter((c) => c.score !== c.max).map((c) => c.key),
+      []
+    );
+    assert.equal(result.score, 100);
+  });
+});
@@ -0,0 +1,63 @@
+// Minimal LCS-based diff used to compare resume text (suggested rewrites,
+// version history). Inputs are small, so the O(n*m) table is fine.
+
+function diffTokens(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.value.push(value);
+    else parts.push({ type, value: [value] });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("delete", a[i++]);
+    } else {
+      push("insert", b[j++]);
+    }
+  }
+  while (i < n) push("delete", a[i++]);
+  while (j < m) push("insert", b[j++]);
+
+  return parts;
+}
+
+/**
+ * diffWords compares two strings word by word (whitespace is kept with the
+ * preceding word). Returns [{ type: "equal" | "insert" | "delete", value }].
+ */
+export function diffWords(oldText = "", newText = "") {
+  const tokenize = (text) => text.match(/\S+\s*|\s+/g) || [];
+  return diffTokens(tokenize(oldText), tokenize(newText)).map((part) => ({
+    type: part.type,
+    value: part.value.join(""),
+  }));
+}
+
+/**
+ * diffLines compares two strings line by line.
+ * Returns [{ type: "equal" | "insert" | "delete", lines: string[] }].
+ */
+export function diffLines(oldText = "", newText = "") {
+  return diffTokens(oldText.split("\n"), newText.split("\n")).map((part) => ({
+    type: part.type,
+    lines: part.value,
+  }));
+}
@@ -0,0 +1,77 @@
+// Document export shared by the resume builder and cover letter preview.
+// Rendering happens in app/api/export/route.js; these are the client helpers
+// and the template list both sides agree on.
+
+export const EXPORT_TEMPLATES = [
+  {
+    id: "classic",
+    label: "Classic",
+    description: "Serif type and a centered header. Safe for any ATS.",
+  },
+  {
+    id: "modern",
+    label: "Modern",
+    description: "Sans-serif with accent-colored section headings.",
+  },
+  {
+    id: "compact",
+    label: "Compact",
+    description: "Smaller type and tight spacing to fit more on a page.",
+  },
+  {
+    id: "two-column",
+    label: "Two Column",
+    description: "Skills and education in a sidebar next to your experience.",
+  },
+];
+
+export const TEMPLATE_IDS = EXPORT_TEMPLATES.map((t) => t.id);
+
+export const DEFAULT_TEMPLATE = "classic";
+
+export const EXPORT_KINDS = ["resume", "coverLetter"];
+
+// Formats rendered by /api/export, keyed by request format
+export const EXPORT_FORMATS = {
+  pdf: { label: "PDF", extension: "pdf", contentType: "application/pdf" },
+  docx: {
+    label: "Word (.docx)",
+    extension: "docx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  },
+  txt: {
+    label: "Plain text (.txt)",
+    extension: "txt",
+    contentType: "text/plain; charset=utf-8",
+  },
+};
+
+/**
+ * requestExport renders markdown on the server and returns the file as a Blob.
+ * Throws an Error with the server's message when rendering fails.
+ */
+export async function requestExport({ format, markdown, kind, template }) {
+  const res = await fetch("/api/export", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ format, markdown, kind, template }),
+  });
+
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || "Failed to export document");
+  }
+  return res.blob();
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
@@ -1,16 +1,27 @@
-// Helper function to convert entries to markdown
-export function entriesToMarkdown(entries, type) {
+// Default markdown for a dated entry (experience, education, projects, ...)
+export function entryToMarkdown(entry) {
+  const dateRange = entry.current
+    ? `${entry.startDate} - Present`
+    : `${entry.startDate} - ${entry.endDate}`;
+  return `### ${entry.title} @ ${entry.organization}\n${dateRange}\n\n${entry.description}`;
+}
+
+// Helper function to convert entries to markdown. Sections whose items are
+// not dated entries pass their own renderEntry (see app/lib/resume-markdown.js).
+export function entriesToMarkdown(
+  entries,
+  type,
+  { renderEntry = entryToMarkdown, separator = "\n\n" } = {}
+) {
   if (!entries?.length) return "";
 
-  return (
-    `## ${type}\n\n` +
-    entries
-      .map((entry) => {
-        const dateRange = entry.current
-          ? `${entry.startDate} - Present`
-          : `${entry.startDate} - ${entry.endDate}`;
-        return `### ${entry.title} @ ${entry.organization}\n${dateRange}\n\n${entry.description}`;
-      })
-      .join("\n\n")
-  );
+  return `## ${type}\n\n` + entries.map(renderEntry).join(separator);
+}
+
+// Return the body of a "## Title" markdown section (up to the next "##" heading)
+export function extractMarkdownSection(markdown, title) {
+  if (!markdown) return "";
+  const re = new RegExp(`##\\s*${title}\\s*\\n([\\s\\S]*?)(?=\\n##(?!#)|$)`, "i");
+  const match = markdown.match(re);
+  return match ? match[1].trim() : "";
 }
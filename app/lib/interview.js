@@ -0,0 +1,39 @@
+// Conversational mock interviews (InterviewSession). Shared by the
+// interviewer prompts, the session actions and the chat view.
+
+export const INTERVIEW_STATUSES = ["active", "completed"];
+
+// Interviewer turns: a new question, a probe into the last answer, or the
+// sign-off that ends the interview
+export const INTERVIEWER_TURN_KINDS = ["question", "follow-up", "closing"];
+
+// The interview is wrapped up after this many candidate answers
+export const MAX_INTERVIEW_ANSWERS = 8;
+
+export const MAX_INTERVIEW_ANSWER_LENGTH = 3000;
+
+export const HIRE_SIGNALS = [
+  { id: "strong-hire", label: "Strong hire" },
+  { id: "hire", label: "Hire" },
+  { id: "no-hire", label: "No hire" },
+  { id: "strong-no-hire", label: "Strong no hire" },
+];
+
+export const HIRE_SIGNAL_IDS = HIRE_SIGNALS.map((s) => s.id);
+
+export const hireSignalLabel = (id) =>
+  HIRE_SIGNALS.find((s) => s.id === id)?.label || id;
+
+export const isPositiveSignal = (id) => id === "hire" || id === "strong-hire";
+
+/** interviewMessage builds one transcript entry as stored on the session. */
+export const interviewMessage = (role, content, kind) => ({
+  role,
+  content,
+  ...(kind ? { kind } : {}),
+  createdAt: new Date().toISOString(),
+});
+
+/** answerCount is how many times the candidate has replied so far. */
+export const answerCount = (messages = []) =>
+  messages.filter((m) => m.role === "candidate").length;
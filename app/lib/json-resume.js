@@ -0,0 +1,245 @@
+import { format, isValid, parse } from "date-fns";
+import { importedResumeSchema } from "./schema";
+
+// Conversion between our structured resume data (resumeSchema) and the open
+// JSON Resume format (https://jsonresume.org/schema). Fields only one side
+// has (location and interests there; certification expiry and credential ID
+// here) are dropped.
+
+export const JSON_RESUME_SCHEMA_URL =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// Our entries store display dates ("Jan 2023"); JSON Resume uses ISO 8601
+// ("2023-01" or "2023-01-15")
+const DISPLAY_FORMAT = "MMM yyyy";
+
+function toIsoDate(value) {
+  if (!value) return undefined;
+  const date = parse(value, DISPLAY_FORMAT, new Date());
+  if (isValid(date)) return format(date, "yyyy-MM");
+  return /^\d{4}(-\d{2}){0,2}$/.test(value) ? value : undefined;
+}
+
+function fromIsoDate(value) {
+  if (!value || typeof value !== "string") return "";
+  const [year, month] = value.split("-");
+  if (!/^\d{4}$/.test(year)) return value;
+  if (!month) return year;
+  const date = parse(`${year}-${month}`, "yyyy-MM", new Date());
+  return isValid(date) ? format(date, DISPLAY_FORMAT) : value;
+}
+
+const BULLET_RE = /^\s*[-*•]\s+/;
+
+// Bullet lines of a description become highlights, the rest its summary
+function splitDescription(description = "") {
+  const lines = description.split("\n");
+  return {
+    summary: lines.filter((l) => !BULLET_RE.test(l)).join("\n").trim() || undefined,
+    highlights: lines.filter((l) => BULLET_RE.test(l)).map((l) => l.replace(BULLET_RE, "").trim()),
+  };
+}
+
+function joinDescription(summary, highlights) {
+  const bullets = Array.isArray(highlights)
+    ? highlights.filter(Boolean).map((h) => `- ${h}`)
+    : [];
+  return [summary, bullets.join("\n")].filter(Boolean).join("\n\n");
+}
+
+function entryDates(entry) {
+  return {
+    startDate: toIsoDate(entry.startDate),
+    endDate: entry.current ? undefined : toIsoDate(entry.endDate),
+  };
+}
+
+// A missing end date means the position is ongoing
+function importDates(item) {
+  return {
+    startDate: fromIsoDate(item.startDate),
+    endDate: fromIsoDate(item.endDate),
+    current: Boolean(item.startDate) && !item.endDate,
+  };
+}
+
+const profile = (network, url) => (url ? { network, url } : null);
+
+/**
+ * toJsonResume converts resumeSchema values to a JSON Resume document.
+ * @param {object} data resumeSchema-shaped values
+ * @param {{ name?: string }} options
+ */
+export function toJsonResume(data, { name } = {}) {
+  const {
+    contactInfo = {},
+    summary,
+    skills,
+    experience,
+    education,
+    projects,
+    certifications,
+    publications,
+    languages,
+    awards,
+    volunteering,
+  } = data || {};
+
+  return {
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: {
+      name: name || undefined,
+      email: contactInfo.email || undefined,
+      phone: contactInfo.mobile || undefined,
+      summary: summary || undefined,
+      profiles: [
+        profile("LinkedIn", contactInfo.linkedin),
+        profile("Twitter", contactInfo.twitter),
+      ].filter(Boolean),
+    },
+    work: (experience || []).map((entry) => ({
+      name: entry.organization,
+      position: entry.title,
+      ...entryDates(entry),
+      ...splitDescription(entry.description),
+    })),
+    education: (education || []).map((entry) => {
+      const { summary: text, highlights } = splitDescription(entry.description);
+      return {
+        institution: entry.organization,
+        area: entry.title,
+        ...entryDates(entry),
+        summary: text,
+        courses: highlights,
+      };
+    }),
+    projects: (projects || []).map((entry) => {
+      const { summary: text, highlights } = splitDescription(entry.description);
+      return {
+        name: entry.title,
+        entity: entry.organization || undefined,
+        ...entryDates(entry),
+        description: text,
+        highlights,
+      };
+    }),
+    volunteer: (volunteering || []).map((entry) => ({
+      organization: entry.organization,
+      position: entry.title,
+      ...entryDates(entry),
+      ...splitDescription(entry.description),
+    })),
+    awards: (awards || []).map((award) => ({
+      title: award.title,
+      awarder: award.issuer || undefined,
+      date: toIsoDate(award.date),
+      summary: award.description || undefined,
+    })),
+    certificates: (certifications || []).map((cert) => ({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: toIsoDate(cert.issueDate),
+      url: cert.url || undefined,
+    })),
+    publications: (publications || []).map((pub) => ({
+      name: pub.title,
+      publisher: pub.publisher || undefined,
+      releaseDate: toIsoDate(pub.date),
+      url: pub.url || undefined,
+      summary: pub.description || undefined,
+    })),
+    skills: (skills || "")
+      .split(/[,\n]/)
+      .map((skill) => skill.replace(BULLET_RE, "").trim())
+      .filter(Boolean)
+      .map((skill) => ({ name: skill })),
+    languages: (languages || []).map((lang) => ({
+      language: lang.language,
+      fluency: lang.proficiency,
+    })),
+    meta: { lastModified: new Date().toISOString() },
+  };
+}
+
+/**
+ * fromJsonResume converts a JSON Resume document to resume form values.
+ * Throws an Error with a user-facing message when the document is unusable.
+ */
+export function fromJsonResume(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("This file is not a JSON Resume document");
+  }
+  const { work, education, projects, skills, volunteer, awards } = json;
+  const basics = json.basics || {};
+  // Entries of a section; null or non-object entries are skipped
+  const list = (value) =>
+    Array.isArray(value)
+      ? value.filter((item) => item && typeof item === "object" && !Array.isArray(item))
+      : [];
+  const profileUrl = (pattern) =>
+    list(basics.profiles).find((p) => pattern.test(`${p.network} ${p.url}`))?.url;
+
+  const result = importedResumeSchema.safeParse({
+    contactInfo: {
+      email: basics.email,
+      mobile: basics.phone,
+      linkedin: profileUrl(/linkedin/i),
+      twitter: profileUrl(/twitter|x\.com/i),
+    },
+    summary: basics.summary,
+    skills: list(skills)
+      .flatMap((skill) => (skill.keywords?.length ? skill.keywords : [skill.name]))
+      .filter(Boolean),
+    experience: list(work).map((item) => ({
+      title: item.position,
+      organization: item.name || item.company,
+      ...importDates(item),
+      description: joinDescription(item.summary, item.highlights),
+    })),
+    education: list(education).map((item) => ({
+      title: [item.studyType, item.area].filter(Boolean).join(" in "),
+      organization: item.institution,
+      ...importDates(item),
+      description: joinDescription(item.summary, item.courses),
+    })),
+    projects: list(projects).map((item) => ({
+      title: item.name,
+      organization: item.entity,
+      ...importDates(item),
+      description: joinDescription(item.description, item.highlights),
+    })),
+    volunteering: list(volunteer).map((item) => ({
+      title: item.position,
+      organization: item.organization,
+      ...importDates(item),
+      description: joinDescription(item.summary, item.highlights),
+    })),
+    // JSON Resume has no expiry or credential ID
+    certifications: list(json.certificates).map((item) => ({
+      name: item.name,
+      issuer: item.issuer,
+      issueDate: fromIsoDate(item.date),
+      url: item.url,
+    })),
+    publications: list(json.publications).map((item) => ({
+      title: item.name,
+      publisher: item.publisher,
+      date: fromIsoDate(item.releaseDate),
+      url: item.url,
+      description: item.summary,
+    })),
+    languages: list(json.languages).map((item) => ({
+      language: item.language,
+      proficiency: item.fluency,
+    })),
+    awards: list(awards).map((item) => ({
+      title: item.title,
+      issuer: item.awarder,
+      date: fromIsoDate(item.date),
+      description: item.summary,
+    })),
+  });
+
+  if (!result.success) throw new Error(result.error.issues[0].message);
+  return result.data;
+}
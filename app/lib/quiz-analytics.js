@@ -0,0 +1,131 @@
+import { format, startOfWeek, subDays } from "date-fns";
+import { questionScore, questionTopic } from "./quiz";
+import { skillKey } from "./skill-match";
+
+// Per-topic performance across quizzes (Assessment.questions), for the
+// interview analytics view
+
+export const ANALYTICS_RANGES = [
+  { id: "30d", label: "Last 30 days", days: 30 },
+  { id: "90d", label: "Last 90 days", days: 90 },
+  { id: "1y", label: "Last year", days: 365 },
+  { id: "all", label: "All time", days: null },
+];
+
+// A topic needs this many answers before it can be called weak
+export const MIN_TOPIC_ATTEMPTS = 2;
+
+// Most topics shown on the radar chart and the trend lines
+export const RADAR_TOPIC_LIMIT = 8;
+export const TREND_TOPIC_LIMIT = 5;
+
+/**
+ * filterAssessments keeps the assessments in a quiz category ("all" for
+ * every category) taken within an ANALYTICS_RANGES range of `now`.
+ */
+export function filterAssessments(
+  assessments,
+  { category = "all", range = "all", now = new Date() } = {}
+) {
+  const days = ANALYTICS_RANGES.find((r) => r.id === range)?.days;
+  const from = days ? subDays(now, days) : null;
+  return assessments.filter(
+    (a) =>
+      (category === "all" || a.category === category) &&
+      (!from || new Date(a.createdAt) >= from)
+  );
+}
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * topicAnalytics groups every answered question by topic, comparing topic
+ * names like skill names (skillKey: "React", "react" and "React.js" are one
+ * topic, shown under its most common spelling). Accuracy is the
+ * average questionScore (0-100). `delta` compares a topic's latest quiz with
+ * its earlier ones, or is null when it has only been in one quiz. Returns:
+ * - topics: { topic, attempts, accuracy, delta }, most practised first
+ * - weakest: up to three topics with MIN_TOPIC_ATTEMPTS answers, least
+ *   accurate first
+ * - radar: { topic, accuracy } for the most practised topics
+ * - trendTopics: the most practised topics, plotted over time
+ * - trend: weekly { week, scores: { [topic]: accuracy } } for trendTopics
+ */
+export function topicAnalytics(assessments) {
+  const sorted = [...assessments].sort(
+    (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+  );
+
+  // topic key -> spelling -> number of answers
+  const spellings = new Map();
+  const topicKey = (result) => {
+    const name = questionTopic(result);
+    const key = skillKey(name) || name;
+    const counts = spellings.get(key) ?? new Map();
+    counts.set(name, (counts.get(name) ?? 0) + 1);
+    spellings.set(key, counts);
+    return key;
+  };
+  const topicName = (key) =>
+    [...spellings.get(key).entries()].reduce((best, entry) =>
+      entry[1] > best[1] ? entry : best
+    )[0];
+
+  // topic key -> scores per quiz, oldest quiz first
+  const byTopic = new Map();
+  const byWeek = new Map();
+  sorted.forEach((assessment) => {
+    const week = startOfWeek(new Date(assessment.createdAt)).getTime();
+    const quizScores = new Map();
+    assessment.questions.forEach((result) => {
+      const topic = topicKey(result);
+      quizScores.set(topic, [...(quizScores.get(topic) ?? []), questionScore(result)]);
+    });
+    quizScores.forEach((scores, topic) => {
+      byTopic.set(topic, [...(byTopic.get(topic) ?? []), scores]);
+      const weekScores = byWeek.get(week) ?? new Map();
+      weekScores.set(topic, [...(weekScores.get(topic) ?? []), ...scores]);
+      byWeek.set(week, weekScores);
+    });
+  });
+
+  const ranked = [...byTopic.entries()]
+    .map(([key, quizzes]) => {
+      const all = quizzes.flat();
+      const earlier = quizzes.slice(0, -1).flat();
+      return {
+        key,
+        topic: topicName(key),
+        attempts: all.length,
+        accuracy: Math.round(average(all)),
+        delta: earlier.length
+          ? Math.round(average(quizzes.at(-1)) - average(earlier))
+          : null,
+      };
+    })
+    .sort((a, b) => b.attempts - a.attempts || a.topic.localeCompare(b.topic));
+
+  const topics = ranked.map(({ key, ...topic }) => topic);
+
+  const trendKeys = ranked.slice(0, TREND_TOPIC_LIMIT).map((t) => t.key);
+  const trendTopics = trendKeys.map(topicName);
+  const trend = [...byWeek.entries()].map(([week, weekScores]) => ({
+    week: format(new Date(week), "MMM dd"),
+    scores: Object.fromEntries(
+      trendKeys
+        .filter((key) => weekScores.has(key))
+        .map((key) => [topicName(key), Math.round(average(weekScores.get(key)))])
+    ),
+  }));
+
+  const weakest = topics
+    .filter((t) => t.attempts >= MIN_TOPIC_ATTEMPTS)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, 3);
+
+  const radar = topics
+    .slice(0, RADAR_TOPIC_LIMIT)
+    .map(({ topic, accuracy }) => ({ topic, accuracy }));
+
+  return { topics, weakest, radar, trend, trendTopics };
+}
@@ -0,0 +1,65 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { filterAssessments, topicAnalytics } from "./quiz-analytics.js";
+
+const assessments = [
+  {
+    category: "technical",
+    createdAt: "2026-10-01T12:00:00Z",
+    questions: [
+      { topic: "React", isCorrect: false },
+      { topic: "react", isCorrect: false },
+      { topic: "SQL", isCorrect: true },
+    ],
+  },
+  {
+    category: "technical",
+    createdAt: "2026-10-12T12:00:00Z",
+    questions: [
+      { topic: "React.js", isCorrect: true },
+      { topic: "React", isCorrect: false },
+      { topic: "SQL", score: 40 },
+      { isCorrect: true },
+    ],
+  },
+  {
+    category: "behavioral",
+    createdAt: "2025-01-01T12:00:00Z",
+    questions: [{ topic: "Conflict", score: 90 }],
+  },
+];
+
+describe("topicAnalytics", () => {
+  const recent = filterAssessments(assessments, {
+    range: "90d",
+    now: new Date("2026-10-19T12:00:00Z"),
+  });
+  const { topics, weakest, radar, trendTopics } = topicAnalytics(recent);
+
+  test("groups spellings of a topic under the most common one", () => {
+    assert.deepEqual(topics, [
+      { topic: "React", attempts: 4, accuracy: 25, delta: 50 },
+      { topic: "SQL", attempts: 2, accuracy: 70, delta: -60 },
+      { topic: "General", attempts: 1, accuracy: 100, delta: null },
+    ]);
+    assert.deepEqual(trendTopics, ["React", "SQL", "General"]);
+    assert.deepEqual(radar.map((r) => r.topic), ["React", "SQL", "General"]);
+  });
+
+  test("a topic answered under several spellings can be the weakest", () => {
+    assert.deepEqual(
+      weakest.map((t) => t.topic),
+      ["React", "SQL"]
+    );
+  });
+});
+
+describe("filterAssessments", () => {
+  test("by category and range", () => {
+    assert.equal(filterAssessments(assessments, { category: "behavioral" }).length, 1);
+    assert.equal(
+      filterAssessments(assessments, { range: "30d", now: new Date("2026-10-19") }).length,
+      2
+    );
+  });
+});
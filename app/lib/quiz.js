@@ -0,0 +1,188 @@
+import { quizCategories, quizDifficulties, quizFormats } from "@/data/quizOptions";
+
+// Mock interview quiz options (see data/quizOptions.js), as stored on Assessment
+
+export const QUIZ_CATEGORY_IDS = quizCategories.map((c) => c.id);
+export const QUIZ_DIFFICULTY_IDS = quizDifficulties.map((d) => d.id);
+export const QUIZ_FORMAT_IDS = quizFormats.map((f) => f.id);
+
+// Most skills a single quiz can focus on
+export const MAX_QUIZ_SKILLS = 5;
+
+export const DEFAULT_QUIZ_OPTIONS = {
+  category: "technical",
+  skills: [],
+  difficulty: "adaptive",
+  format: "multiple-choice",
+  count: 10,
+  timed: false,
+};
+
+const byId = (list, id) => list.find((item) => item.id === id);
+export const quizCategory = (id) => byId(quizCategories, id);
+export const quizDifficulty = (id) => byId(quizDifficulties, id);
+export const quizFormat = (id) => byId(quizFormats, id);
+export const quizCategoryLabel = (id) => quizCategory(id)?.label || id;
+export const quizDifficultyLabel = (id) => quizDifficulty(id)?.label || id;
+
+/** isFormatAvailable reports whether a quiz format can be used with a category. */
+export const isFormatAvailable = (formatId, categoryId) => {
+  const format = quizFormat(formatId);
+  return !!format && (!format.categories || format.categories.includes(categoryId));
+};
+
+// --- Topics ------------------------------------------------------------------
+
+// Topic of results saved before questions were tagged with one
+export const UNTAGGED_TOPIC = "General";
+
+/**
+ * tagQuestionTopics fills in each generated question's topic: the one the
+ * model gave, else the quiz's only focus skill, else its category label.
+ */
+export const tagQuestionTopics = (questions, { category, skills = [] }) => {
+  const fallback = skills.length === 1 ? skills[0] : quizCategoryLabel(category);
+  return questions.map((q) => ({ ...q, topic: q.topic?.trim() || fallback }));
+};
+
+/** questionTopic is the topic a graded question counts towards. */
+export const questionTopic = (result) => result.topic || UNTAGGED_TOPIC;
+
+// --- Quiz sessions -------------------------------------------------------------
+
+// A quiz session left untouched for this long expires (QuizSession.expiresAt);
+// saving progress pushes the expiry back
+export const QUIZ_SESSION_TTL_MINUTES = 120;
+
+// Progress is saved this long after the user's last change
+export const QUIZ_PROGRESS_SAVE_DELAY = 1000;
+
+/**
+ * publicQuestion is what the client sees of a generated question: never the
+ * answer key (correct option, explanation, key points, hidden tests or
+ * reference solution).
+ */
+export function publicQuestion(question) {
+  if (isCodeQuestion(question)) {
+    const { type, question: text, functionName, starterCode, examples } = question;
+    return { type, question: text, functionName, starterCode, examples };
+  }
+  if (isStarQuestion(question)) {
+    return { type: question.type, question: question.question, source: question.source };
+  }
+  if (isOpenQuestion(question)) {
+    return { type: question.type, question: question.question };
+  }
+  return { question: question.question, options: question.options };
+}
+
+// --- Timed mode --------------------------------------------------------------
+
+// Seconds allowed per question in a timed quiz, by question type
+export const QUESTION_TIME_LIMITS = {
+  "multiple-choice": 60,
+  open: 240,
+  star: 300,
+  code: 900,
+};
+
+// Submissions this many seconds past a timed quiz's limit are still accepted,
+// to allow for the round trip
+export const QUIZ_TIME_GRACE_SECONDS = 15;
+
+/** questionTimeLimit is the seconds allowed for a question in timed mode. */
+export const questionTimeLimit = (question) =>
+  QUESTION_TIME_LIMITS[question?.type] ?? QUESTION_TIME_LIMITS["multiple-choice"];
+
+/** quizTimeLimit is the seconds allowed for a whole timed quiz. */
+export const quizTimeLimit = (questions) =>
+  questions.reduce((sum, q) => sum + questionTimeLimit(q), 0);
+
+/**
+ * speedAccuracySeries turns assessments into one point per quiz for a
+ * speed vs accuracy chart: { x: average seconds per question, y: score,
+ * date }, split into `timed` and `untimed` quizzes. Quizzes taken before
+ * answer times were recorded are left out.
+ */
+export function speedAccuracySeries(assessments) {
+  const series = { timed: [], untimed: [] };
+  assessments.forEach((assessment) => {
+    const times = assessment.questions
+      .map((q) => q.timeMs)
+      .filter((ms) => typeof ms === "number");
+    if (!times.length) return;
+    const seconds = times.reduce((sum, ms) => sum + ms, 0) / times.length / 1000;
+    series[assessment.timed ? "timed" : "untimed"].push({
+      x: Math.round(seconds),
+      y: Math.round(assessment.quizScore),
+      date: assessment.createdAt,
+    });
+  });
+  return series;
+}
+
+// --- Written (open-ended) answers -------------------------------------------
+
+// Questions without a type are multiple choice
+export const isOpenQuestion = (question) => question?.type === "open";
+export const isStarQuestion = (question) => question?.type === "star";
+export const isCodeQuestion = (question) => question?.type === "code";
+
+// Questions answered in writing and graded by the model
+export const isWrittenQuestion = (question) =>
+  isOpenQuestion(question) || isStarQuestion(question);
+
+export const MAX_OPEN_ANSWER_LENGTH = 4000;
+
+// Each criterion is scored from 0 to RUBRIC_MAX_SCORE by the grader
+export const RUBRIC_CRITERIA = [
+  { id: "correctness", label: "Correctness", description: "Facts and reasoning are right" },
+  { id: "depth", label: "Depth", description: "Goes beyond the surface: trade-offs, edge cases, examples" },
+  { id: "structure", label: "Structure", description: "Organised logically, easy to follow" },
+  { id: "communication", label: "Communication", description: "Clear, concise and professional" },
+];
+export const RUBRIC_MAX_SCORE = 5;
+
+// A written answer scoring at least this (0-100) counts as correct
+export const OPEN_ANSWER_PASS_SCORE = 60;
+
+/**
+ * rubricScore turns per-criterion scores (0-RUBRIC_MAX_SCORE) into a 0-100
+ * score. `criteria` defaults to RUBRIC_CRITERIA.
+ */
+export function rubricScore(scores, criteria = RUBRIC_CRITERIA) {
+  const total = criteria.reduce((sum, c) => sum + (scores[c.id] ?? 0), 0);
+  return Math.round((total / (criteria.length * RUBRIC_MAX_SCORE)) * 100);
+}
+
+/** questionScore is a graded question's 0-100 score, for either format. */
+export const questionScore = (result) =>
+  result.score ?? (result.isCorrect ? 100 : 0);
+
+// --- Behavioral resume stories (STAR) ---------------------------------------
+
+// Each part of a STAR answer is scored from 0 to RUBRIC_MAX_SCORE
+export const STAR_PARTS = [
+  { id: "situation", label: "Situation", description: "Sets the scene: where, when, what was at stake" },
+  { id: "task", label: "Task", description: "Their own responsibility or goal in it" },
+  { id: "action", label: "Action", description: "The specific steps they took, in their own words (\"I\", not \"we\")" },
+  { id: "result", label: "Result", description: "The outcome, ideally measured, and what they learned" },
+];
+
+// A STAR part scoring below this counts as missing from the answer
+export const STAR_PART_PRESENT_SCORE = 2;
+
+/** starPartScores flattens graded STAR parts ({ score, comment }) to scores. */
+export const starPartScores = (parts = {}) =>
+  Object.fromEntries(STAR_PARTS.map((p) => [p.id, parts[p.id]?.score ?? 0]));
+
+/** missingStarParts lists the STAR_PARTS a graded answer leaves out. */
+export const missingStarParts = (parts = {}) =>
+  STAR_PARTS.filter((p) => (parts[p.id]?.score ?? 0) < STAR_PART_PRESENT_SCORE);
+
+// --- Coding questions --------------------------------------------------------
+
+// Solutions are JavaScript functions with this kind of name
+export const FUNCTION_NAME_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+export const MAX_CODE_LENGTH = 10000;
@@ -0,0 +1,294 @@
+import { entriesToMarkdown, extractMarkdownSection } from "./helper";
+import { findPhoneNumber } from "./ats";
+import {
+  DEFAULT_SECTION_ORDER,
+  RESUME_SECTIONS,
+  SECTION_IDS,
+  resolveSectionOrder,
+} from "./sections";
+
+// Structured resume data (resumeSchema) is the source of truth; markdown is
+// rendered from it. parseResumeMarkdown only exists for resumes saved before
+// the structured data was stored.
+
+export const EMPTY_RESUME = {
+  contactInfo: {},
+  summary: "",
+  skills: "",
+  experience: [],
+  education: [],
+  projects: [],
+  certifications: [],
+  publications: [],
+  languages: [],
+  awards: [],
+  volunteering: [],
+  sectionOrder: DEFAULT_SECTION_ORDER,
+};
+
+function contactToMarkdown(contactInfo, name) {
+  const parts = [];
+  if (contactInfo?.email) parts.push(`📧 ${contactInfo.email}`);
+  if (contactInfo?.mobile) parts.push(`📱 ${contactInfo.mobile}`);
+  if (contactInfo?.linkedin)
+    parts.push(`💼 [LinkedIn](${contactInfo.linkedin})`);
+  if (contactInfo?.twitter) parts.push(`🐦 [Twitter](${contactInfo.twitter})`);
+
+  return parts.length > 0
+    ? `## <div align="center">${name || ""}</div>
+        \n\n<div align="center">\n\n${parts.join(" | ")}\n\n</div>`
+    : "";
+}
+
+// "### Name @ Issuer" followed by one detail line, then the URL
+function certificationToMarkdown(cert) {
+  const details = [
+    cert.issueDate && `Issued ${cert.issueDate}`,
+    cert.expiryDate && `Expires ${cert.expiryDate}`,
+    cert.credentialId && `Credential ID: ${cert.credentialId}`,
+  ].filter(Boolean);
+  return [
+    `### ${[cert.name, cert.issuer].filter(Boolean).join(" @ ")}`,
+    details.join(" · "),
+    cert.url && `\n${cert.url}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Publications and awards: "### Title @ Source", a date line, description
+function datedItemToMarkdown(title, source, date, description, url) {
+  return [
+    `### ${[title, source].filter(Boolean).join(" @ ")}`,
+    date,
+    description && `\n${description}`,
+    url && `\n${url}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Markdown renderer of each section in RESUME_SECTIONS
+const SECTION_RENDERERS = {
+  summary: (value, title) => value && `## ${title}\n\n${value}`,
+  skills: (value, title) => value && `## ${title}\n\n${value}`,
+  certifications: (items, title) =>
+    entriesToMarkdown(items, title, { renderEntry: certificationToMarkdown }),
+  publications: (items, title) =>
+    entriesToMarkdown(items, title, {
+      renderEntry: (p) =>
+        datedItemToMarkdown(p.title, p.publisher, p.date, p.description, p.url),
+    }),
+  awards: (items, title) =>
+    entriesToMarkdown(items, title, {
+      renderEntry: (a) => datedItemToMarkdown(a.title, a.issuer, a.date, a.description),
+    }),
+  // One compact list rather than a heading per language
+  languages: (items, title) =>
+    entriesToMarkdown(items, title, {
+      renderEntry: (l) => `- ${l.language} — ${l.proficiency}`,
+      separator: "\n",
+    }),
+};
+
+/**
+ * resumeToMarkdown renders structured resume data as markdown, sections in
+ * the data's sectionOrder.
+ * @param {object} data resumeSchema-shaped values
+ * @param {{ name?: string }} options name shown in the contact header
+ */
+export function resumeToMarkdown(data, { name } = {}) {
+  return [
+    contactToMarkdown(data?.contactInfo, name),
+    ...resolveSectionOrder(data).map((id) => {
+      const render = SECTION_RENDERERS[id] || entriesToMarkdown;
+      return render(data?.[id], RESUME_SECTIONS[id].title);
+    }),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+const DATE_PART = String.raw`(?:[A-Za-z]{3,9}\.?\s+)?\d{4}(?:-\d{2})?|present|current`;
+const DATE_RANGE_RE = new RegExp(
+  `^(${DATE_PART})\\s*[-–—]\\s*(${DATE_PART})?$`,
+  "i"
+);
+
+// "### Title @ Organization" is what entriesToMarkdown writes; other
+// separators are accepted for hand-edited markdown. " - " is not one of
+// them because it is common inside titles ("Full-Stack Engineer - Payments").
+function parseEntryHeading(heading) {
+  for (const separator of [" @ ", " | ", " — "]) {
+    const index = heading.indexOf(separator);
+    if (index > 0) {
+      return {
+        title: heading.slice(0, index).trim(),
+        organization: heading.slice(index + separator.length).trim(),
+      };
+    }
+  }
+  return { title: heading.trim(), organization: "" };
+}
+
+function parseEntries(sectionText) {
+  if (!sectionText) return [];
+
+  return sectionText
+    .split(/^###\s+/m)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => {
+      const [heading = "", ...rest] = block.split("\n");
+      const lines = rest.map((l) => l.trim());
+
+      let startDate = "";
+      let endDate = "";
+      let current = false;
+      const dateIndex = lines.findIndex((l) => DATE_RANGE_RE.test(l));
+      if (dateIndex !== -1) {
+        const [, start, end = ""] = lines[dateIndex].match(DATE_RANGE_RE);
+        startDate = start;
+        current = !end || /present|current/i.test(end);
+        endDate = current ? "" : end;
+        lines.splice(dateIndex, 1);
+      }
+
+      return {
+        ...parseEntryHeading(heading),
+        startDate,
+        endDate,
+        current,
+        description: lines.join("\n").trim(),
+      };
+    });
+}
+
+// Contact fields are read from the labelled header contactToMarkdown writes
+// (📧 / 📱 / 💼 / 🐦) before falling back to pattern matching.
+function parseContact(md) {
+  const header = md.match(
+    /<div align="center">\s*([^<]*(?:📧|📱|💼|🐦)[^<]*?)\s*<\/div>/
+  );
+  const parts = header ? header[1].split("|").map((p) => p.trim()) : [];
+  const labelled = (marker) =>
+    (parts.find((p) => p.startsWith(marker)) || "").slice(marker.length).trim();
+  const link = (marker) =>
+    (labelled(marker).match(/\]\(([^)]+)\)/) || [])[1] || "";
+
+  return {
+    email:
+      labelled("📧") ||
+      (md.match(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/) || [""])[0],
+    mobile: header ? labelled("📱") : findPhoneNumber(md).trim(),
+    linkedin:
+      link("💼") ||
+      (md.match(/https?:\/\/[^\s)]*linkedin\.com[^\s)]*/i) || [""])[0],
+    twitter:
+      link("🐦") ||
+      (md.match(/https?:\/\/[^\s)]*twitter\.com[^\s)]*/i) || [""])[0],
+  };
+}
+
+const DATE_LINE_RE = /^(?:[A-Za-z]{3,9}\.?\s+)?\d{4}$/;
+const URL_LINE_RE = /^https?:\/\/\S+$/;
+
+// Split a section into its "###" blocks: [{ heading, lines }]
+function splitItemBlocks(sectionText) {
+  if (!sectionText) return [];
+  return sectionText
+    .split(/^###\s+/m)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block) => {
+      const [heading = "", ...rest] = block.split("\n");
+      return { heading, lines: rest.map((l) => l.trim()) };
+    });
+}
+
+// Pull the first line matching `re` out of `lines`
+function takeLine(lines, re) {
+  const index = lines.findIndex((l) => re.test(l));
+  return index === -1 ? "" : lines.splice(index, 1)[0];
+}
+
+function parseCertifications(sectionText) {
+  return splitItemBlocks(sectionText).map(({ heading, lines }) => {
+    const { title, organization } = parseEntryHeading(heading);
+    const url = takeLine(lines, URL_LINE_RE);
+    const details = lines.join(" ");
+    const detail = (label) =>
+      (details.match(new RegExp(`${label}\\s*([^·]+)`, "i")) || [])[1]?.trim() || "";
+    return {
+      name: title,
+      issuer: organization,
+      issueDate: detail("Issued"),
+      expiryDate: detail("Expires"),
+      credentialId: detail("Credential ID:"),
+      url,
+    };
+  });
+}
+
+// Publications and awards; `source` names the field after " @ "
+function parseDatedItems(sectionText, source) {
+  return splitItemBlocks(sectionText).map(({ heading, lines }) => {
+    const { title, organization } = parseEntryHeading(heading);
+    return {
+      title,
+      [source]: organization,
+      date: takeLine(lines, DATE_LINE_RE),
+      url: takeLine(lines, URL_LINE_RE),
+      description: lines.join("\n").trim(),
+    };
+  });
+}
+
+function parseLanguages(sectionText) {
+  return (sectionText || "")
+    .split("\n")
+    .map((line) =>
+      line.match(/^\s*[-*•]\s+(.+?)(?:\s+[—–-]\s+|\s*\()([A-Za-z ]+)\)?\s*$/)
+    )
+    .filter(Boolean)
+    .map(([, language, proficiency]) => ({
+      language: language.trim(),
+      proficiency: proficiency.trim(),
+    }));
+}
+
+// Markdown parser of each section in RESUME_SECTIONS
+const SECTION_PARSERS = {
+  summary: (text) => text,
+  skills: (text) => text,
+  certifications: parseCertifications,
+  publications: (text) => parseDatedItems(text, "publisher"),
+  awards: (text) => parseDatedItems(text, "issuer").map(({ url, ...award }) => award),
+  languages: parseLanguages,
+};
+
+/**
+ * parseResumeMarkdown recovers structured data from markdown produced by
+ * resumeToMarkdown. Best effort: used for legacy resumes without stored data.
+ */
+export function parseResumeMarkdown(md) {
+  if (!md) return { ...EMPTY_RESUME };
+
+  const data = { contactInfo: parseContact(md) };
+  for (const id of SECTION_IDS) {
+    const parse = SECTION_PARSERS[id] || parseEntries;
+    data[id] = parse(extractMarkdownSection(md, RESUME_SECTIONS[id].title));
+  }
+
+  // Keep the sections in the order their headings appear; missing ones last
+  const position = (id) => {
+    const index = md.search(
+      new RegExp(`^##\\s*${RESUME_SECTIONS[id].title}\\s*$`, "im")
+    );
+    return index === -1 ? Infinity : index;
+  };
+  data.sectionOrder = resolveSectionOrder(data).sort(
+    (a, b) => position(a) - position(b)
+  );
+  return data;
+}
@@ -0,0 +1,109 @@
+import { addDays, format, startOfDay } from "date-fns";
+
+// Spaced-repetition review of missed quiz questions (ReviewCard), using the
+// SM-2 algorithm: each review is graded 0-5 and the next interval grows with
+// the card's ease factor.
+
+// Buttons shown after revealing the answer, as SM-2 quality grades
+export const REVIEW_GRADES = [
+  { id: "again", label: "Again", grade: 1, description: "Forgot it" },
+  { id: "hard", label: "Hard", grade: 3, description: "Recalled with effort" },
+  { id: "good", label: "Good", grade: 4, description: "Recalled after a pause" },
+  { id: "easy", label: "Easy", grade: 5, description: "Recalled instantly" },
+];
+
+export const REVIEW_GRADE_IDS = REVIEW_GRADES.map((g) => g.id);
+
+// Grades below this count as forgotten
+export const RECALL_GRADE = 3;
+
+export const MIN_EASE = 1.3;
+export const DEFAULT_EASE = 2.5;
+
+// Most cards offered in one day's deck
+export const DAILY_REVIEW_LIMIT = 20;
+
+// Graded answers (written, STAR, coding) below this score are reviewed even
+// when they counted as correct
+export const LOW_CONFIDENCE_SCORE = 80;
+
+/**
+ * needsReview reports whether a question result from Assessment.questions
+ * should become a review card: it was wrong, the user marked it as a guess,
+ * or it only scraped a pass.
+ */
+export const needsReview = (result) =>
+  !result.isCorrect ||
+  !!result.unsure ||
+  (typeof result.score === "number" && result.score < LOW_CONFIDENCE_SCORE);
+
+/** reviewQuestionKey identifies a question by its text (cyrb53 hash). */
+export function reviewQuestionKey(text) {
+  const normalized = String(text).toLowerCase().replace(/\s+/g, " ").trim();
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < normalized.length; i++) {
+    const ch = normalized.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * scheduleReview applies one SM-2 review with quality `grade` (0-5) to a
+ * card's { ease, interval, repetitions, lapses } and returns the new values
+ * plus `dueAt`.
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const recalled = grade >= RECALL_GRADE;
+  const repetitions = recalled ? card.repetitions + 1 : 0;
+  const interval = !recalled
+    ? 1
+    : repetitions === 1
+    ? 1
+    : repetitions === 2
+    ? 6
+    : Math.round(card.interval * card.ease);
+  const ease = Math.max(
+    MIN_EASE,
+    card.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02))
+  );
+
+  return {
+    ease: Math.round(ease * 100) / 100,
+    interval,
+    repetitions,
+    lapses: card.lapses + (!recalled && card.repetitions > 0 ? 1 : 0),
+    dueAt: addDays(startOfDay(now), interval),
+  };
+}
+
+/**
+ * retentionSeries groups ReviewLog rows ({ reviewedAt, recalled }) by day
+ * for the last `days` days: { date, reviews, retention } where retention is
+ * the percentage recalled, or null on days without reviews.
+ */
+export function retentionSeries(logs, days = 30, now = new Date()) {
+  const today = startOfDay(now);
+  const byDay = new Map();
+  for (const log of logs) {
+    const key = format(new Date(log.reviewedAt), "yyyy-MM-dd");
+    const day = byDay.get(key) ?? { reviews: 0, recalled: 0 };
+    day.reviews += 1;
+    if (log.recalled) day.recalled += 1;
+    byDay.set(key, day);
+  }
+
+  return Array.from({ length: days }, (_, i) => {
+    const date = addDays(today, i - days + 1);
+    const day = byDay.get(format(date, "yyyy-MM-dd"));
+    return {
+      date: format(date, "MMM dd"),
+      reviews: day?.reviews ?? 0,
+      retention: day ? Math.round((day.recalled / day.reviews) * 100) : null,
+    };
+  });
+}
@@ -0,0 +1,93 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_EASE,
+  MIN_EASE,
+  REVIEW_GRADES,
+  needsReview,
+  retentionSeries,
+  scheduleReview,
+} from "./review.js";
+
+const grade = (id) => REVIEW_GRADES.find((g) => g.id === id).grade;
+
+const NEW_CARD = { ease: DEFAULT_EASE, interval: 0, repetitions: 0, lapses: 0 };
+
+// Reviews a card with each grade in turn; returns the card after each review
+const review = (card, ids) =>
+  ids.map((id) => {
+    const { dueAt, ...next } = scheduleReview(card, grade(id));
+    card = next;
+    return next;
+  });
+
+describe("scheduleReview", () => {
+  test("intervals grow 1, 6, then by the ease factor", () => {
+    const steps = review(NEW_CARD, ["good", "good", "good", "easy"]);
+    assert.deepEqual(
+      steps.map((s) => [s.interval, s.ease, s.repetitions]),
+      [
+        [1, 2.5, 1],
+        [6, 2.5, 2],
+        [15, 2.5, 3],
+        [38, 2.6, 4],
+      ]
+    );
+  });
+
+  test("hard recalls lower the ease but still count", () => {
+    const [step] = review(NEW_CARD, ["hard"]);
+    assert.deepEqual(step, { ease: 2.36, interval: 1, repetitions: 1, lapses: 0 });
+  });
+
+  test("forgetting a learned card is a lapse that restarts it", () => {
+    const steps = review(NEW_CARD, ["good", "good", "good", "again", "good"]);
+    assert.deepEqual(steps[3], { ease: 1.96, interval: 1, repetitions: 0, lapses: 1 });
+    assert.deepEqual(steps[4], { ease: 1.96, interval: 1, repetitions: 1, lapses: 1 });
+  });
+
+  test("forgetting a card never recalled is not a lapse", () => {
+    const [step] = review(NEW_CARD, ["again"]);
+    assert.equal(step.lapses, 0);
+    assert.equal(step.repetitions, 0);
+  });
+
+  test("ease never drops below the minimum", () => {
+    const steps = review(NEW_CARD, ["again", "again", "again", "again", "again"]);
+    assert.equal(steps.at(-1).ease, MIN_EASE);
+    assert.equal(steps.at(-1).interval, 1);
+  });
+
+  test("due at the start of the day the interval ends on", () => {
+    const now = new Date(2026, 9, 19, 15, 30);
+    const card = { ease: 2.5, interval: 6, repetitions: 2, lapses: 0 };
+    assert.deepEqual(scheduleReview(card, grade("good"), now).dueAt, new Date(2026, 10, 3));
+  });
+});
+
+describe("needsReview", () => {
+  test("wrong, unsure and low-scoring answers", () => {
+    assert.equal(needsReview({ isCorrect: false }), true);
+    assert.equal(needsReview({ isCorrect: true, unsure: true }), true);
+    assert.equal(needsReview({ isCorrect: true, score: 70 }), true);
+    assert.equal(needsReview({ isCorrect: true, score: 90 }), false);
+  });
+});
+
+describe("retentionSeries", () => {
+  test("percentage recalled per day, null on days without reviews", () => {
+    const now = new Date(2026, 9, 19, 18);
+    const logs = [
+      { reviewedAt: new Date(2026, 9, 19, 9), recalled: true },
+      { reviewedAt: new Date(2026, 9, 19, 10), recalled: false },
+      { reviewedAt: new Date(2026, 9, 19, 11), recalled: true },
+      { reviewedAt: new Date(2026, 9, 17, 9), recalled: false },
+      { reviewedAt: new Date(2026, 8, 1, 9), recalled: true },
+    ];
+    assert.deepEqual(retentionSeries(logs, 3, now), [
+      { date: "Oct 17", reviews: 1, retention: 0 },
+      { date: "Oct 18", reviews: 0, retention: null },
+      { date: "Oct 19", reviews: 3, retention: 67 },
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+// Learning roadmaps (Roadmap / RoadmapMilestone). Shared by the generator
+// prompt, the actions that track progress and the roadmap views.
+
+export const MILESTONE_STATUSES = [
+  { id: "todo", label: "To do" },
+  { id: "in_progress", label: "In progress" },
+  { id: "done", label: "Done" },
+];
+
+export const MILESTONE_STATUS_IDS = MILESTONE_STATUSES.map((s) => s.id);
+
+export const milestoneStatusLabel = (id) =>
+  MILESTONE_STATUSES.find((s) => s.id === id)?.label || id;
+
+export const RESOURCE_TYPES = ["course", "article", "video", "book", "docs", "practice"];
+
+// Plan lengths offered by the generator, in weeks
+export const ROADMAP_LENGTHS = [4, 8, 12];
+export const DEFAULT_ROADMAP_WEEKS = 8;
+
+// A milestone quiz at or above this score marks the milestone done
+export const MILESTONE_PASS_SCORE = 70;
+
+/** roadmapProgress is the percentage (0-100) of milestones that are done. */
+export function roadmapProgress(milestones = []) {
+  if (!milestones.length) return 0;
+  const done = milestones.filter((m) => m.status === "done").length;
+  return Math.round((done / milestones.length) * 100);
+}
+
+// Link to a quiz on the milestone's skill; passing it completes the milestone
+export const milestoneQuizHref = (milestone) =>
+  `/interview/mock?skill=${encodeURIComponent(milestone.skill)}&milestone=${milestone.id}`;
@@ -1,4 +1,85 @@
 import { z } from "zod";
+import {
+  DEFAULT_TEMPLATE,
+  EXPORT_FORMATS,
+  EXPORT_KINDS,
+  TEMPLATE_IDS,
+} from "./export";
+import { SKILL_CATEGORY_IDS, SKILL_LEVEL_IDS, normalizeSkill } from "./skills";
+import {
+  DEFAULT_SECTION_ORDER,
+  LANGUAGE_PROFICIENCIES,
+  SECTION_IDS,
+} from "./sections";
+import {
+  DEFAULT_ROADMAP_WEEKS,
+  MILESTONE_STATUS_IDS,
+  RESOURCE_TYPES,
+} from "./roadmap";
+import {
+  DEFAULT_QUIZ_OPTIONS,
+  MAX_QUIZ_SKILLS,
+  QUIZ_CATEGORY_IDS,
+  QUIZ_DIFFICULTY_IDS,
+  QUIZ_FORMAT_IDS,
+  RUBRIC_CRITERIA,
+  RUBRIC_MAX_SCORE,
+  FUNCTION_NAME_PATTERN,
+  MAX_CODE_LENGTH,
+  MAX_OPEN_ANSWER_LENGTH,
+  STAR_PARTS,
+} from "./quiz";
+import {
+  HIRE_SIGNAL_IDS,
+  INTERVIEWER_TURN_KINDS,
+  MAX_INTERVIEW_ANSWER_LENGTH,
+} from "./interview";
+import { REVIEW_GRADE_IDS } from "./review";
+import { quizQuestionCounts } from "@/data/quizOptions";
+
+const emptyToUndefined = (val) => (val === "" || val === null ? undefined : val);
+
+// One structured profile skill as edited in the skills editor; lastUsed is
+// the "yyyy-MM" value of a month input
+export const userSkillSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Skill name is required")
+    .max(60, "Skill name must be 60 characters or fewer"),
+  category: z.enum(SKILL_CATEGORY_IDS).default("other"),
+  proficiency: z.enum(SKILL_LEVEL_IDS).default("intermediate"),
+  yearsUsed: z.preprocess(
+    emptyToUndefined,
+    z.coerce
+      .number({ invalid_type_error: "Years must be a number" })
+      .min(0, "Years cannot be negative")
+      .max(60, "Years cannot exceed 60")
+      .optional()
+  ),
+  lastUsed: z.preprocess(
+    emptyToUndefined,
+    z.string().regex(/^\d{4}-\d{2}$/, "Pick a month").optional()
+  ),
+});
+
+export const userSkillsSchema = z
+  .array(userSkillSchema)
+  .max(100, "Add at most 100 skills")
+  .superRefine((skills, ctx) => {
+    const seen = new Set();
+    skills.forEach((skill, i) => {
+      const key = normalizeSkill(skill.name);
+      if (seen.has(key)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `${skill.name} is listed twice`,
+          path: [i, "name"],
+        });
+      }
+      seen.add(key);
+    });
+  });
 
 export const onboardingSchema = z.object({
   industry: z.string({
@@ -17,14 +98,7 @@ export const onboardingSchema = z.object({
         .min(0, "Experience must be at least 0 years")
         .max(50, "Experience cannot exceed 50 years")
     ),
-  skills: z.string().transform((val) =>
-    val
-      ? val
-          .split(",")
-          .map((skill) => skill.trim())
-          .filter(Boolean)
-      : undefined
-  ),
+  skills: userSkillsSchema.default([]),
 });
 
 export const contactSchema = z.object({
@@ -56,6 +130,45 @@ export const entrySchema = z
     }
   );
 
+export const certificationSchema = z.object({
+  name: z.string().min(1, "Certification name is required"),
+  issuer: z.string().min(1, "Issuing organization is required"),
+  issueDate: z.string().optional(),
+  expiryDate: z.string().optional(),
+  credentialId: z.string().optional(),
+  url: z.string().optional(),
+});
+
+export const publicationSchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  publisher: z.string().optional(),
+  date: z.string().optional(),
+  url: z.string().optional(),
+  description: z.string().optional(),
+});
+
+export const languageSchema = z.object({
+  language: z.string().min(1, "Language is required"),
+  proficiency: z.enum(LANGUAGE_PROFICIENCIES, {
+    errorMap: () => ({ message: "Select a proficiency" }),
+  }),
+});
+
+export const awardSchema = z.object({
+  title: z.string().min(1, "Award is required"),
+  issuer: z.string().optional(),
+  date: z.string().optional(),
+  description: z.string().optional(),
+});
+
+// Item schemas of the "items" sections in app/lib/sections.js
+export const sectionItemSchemas = {
+  certifications: certificationSchema,
+  publications: publicationSchema,
+  languages: languageSchema,
+  awards: awardSchema,
+};
+
 export const resumeSchema = z.object({
   contactInfo: contactSchema,
   summary: z.string().min(1, "Professional summary is required"),
@@ -63,6 +176,12 @@ export const resumeSchema = z.object({
   experience: z.array(entrySchema),
   education: z.array(entrySchema),
   projects: z.array(entrySchema),
+  certifications: z.array(certificationSchema).default([]),
+  publications: z.array(publicationSchema).default([]),
+  languages: z.array(languageSchema).default([]),
+  awards: z.array(awardSchema).default([]),
+  volunteering: z.array(entrySchema).default([]),
+  sectionOrder: z.array(z.enum(SECTION_IDS)).default(DEFAULT_SECTION_ORDER),
 });
 
 export const coverLetterSchema = z.object({
@@ -70,3 +189,479 @@ export const coverLetterSchema = z.object({
   jobTitle: z.string().min(1, "Job title is required"),
   jobDescription: z.string().min(1, "Job description is required"),
 });
+
+export const resumeNameSchema = z
+  .string()
+  .trim()
+  .min(1, "Resume name is required")
+  .max(80, "Resume name must be 80 characters or fewer");
+
+// Job targeted by a tailored resume; content is the tailored markdown and
+// resumeId the resume it was tailored from
+export const tailorResumeSchema = coverLetterSchema.extend({
+  content: z.string().min(1, "Tailored resume content is required"),
+  resumeId: z.string().optional(),
+});
+
+// The skill or subject a generated question tests; a missing or unusable
+// one is filled in from the quiz options (see tagQuestionTopics)
+const questionTopicSchema = z.string().trim().min(1).max(60).optional().catch(undefined);
+
+// Shape of a generated multiple-choice question as returned by the model
+export const quizQuestionSchema = z
+  .object({
+    question: z.string().min(1, "Question text is required"),
+    topic: questionTopicSchema,
+    options: z.array(z.coerce.string()).min(2, "At least two options are required"),
+    correctAnswer: z.coerce.string(),
+    explanation: z.string().default(""),
+  })
+  .transform((q) => {
+    // Models sometimes answer with the option letter ("B") instead of its text
+    const letter = q.correctAnswer.trim().match(/^([A-Fa-f])[).]?$/);
+    if (!q.options.includes(q.correctAnswer) && letter) {
+      const index = letter[1].toLowerCase().charCodeAt(0) - 97;
+      return { ...q, correctAnswer: q.options[index] ?? q.correctAnswer };
+    }
+    return q;
+  })
+  .refine((q) => q.options.includes(q.correctAnswer), {
+    message: "correctAnswer must match one of the options",
+    path: ["correctAnswer"],
+  });
+
+export const quizSchema = z.object({
+  questions: z.array(quizQuestionSchema).min(1, "No questions returned"),
+});
+
+// A generated open-ended question; keyPoints guide grading and stay hidden
+export const openQuizSchema = z.object({
+  questions: z
+    .array(
+      z
+        .object({
+          question: z.string().min(1, "Question text is required"),
+          topic: questionTopicSchema,
+          keyPoints: z.array(z.coerce.string()).default([]),
+        })
+        .transform((q) => ({ type: "open", ...q }))
+    )
+    .min(1, "No questions returned"),
+});
+
+// The grader's verdict on one written answer
+export const answerGradeSchema = z.object({
+  scores: z.object(
+    Object.fromEntries(
+      RUBRIC_CRITERIA.map((c) => [
+        c.id,
+        z.coerce.number().min(0).max(RUBRIC_MAX_SCORE),
+      ])
+    )
+  ),
+  feedback: z.string().default(""),
+  modelAnswer: z.string().min(1, "Model answer is required"),
+});
+
+// A generated behavioral question about one resume entry (see lib/behavioral.js)
+export const starQuizSchema = z.object({
+  questions: z
+    .array(
+      z
+        .object({
+          question: z.string().min(1, "Question text is required"),
+          topic: questionTopicSchema,
+          source: z
+            .object({ title: z.string(), organization: z.string() })
+            .optional()
+            .catch(undefined),
+          keyPoints: z.array(z.coerce.string()).default([]),
+        })
+        .transform((q) => ({ type: "star", ...q }))
+    )
+    .min(1, "No questions returned"),
+});
+
+// The grader's verdict on one STAR answer: each part scored and commented
+export const starGradeSchema = z.object({
+  parts: z.object(
+    Object.fromEntries(
+      STAR_PARTS.map((p) => [
+        p.id,
+        z.object({
+          score: z.coerce.number().min(0).max(RUBRIC_MAX_SCORE),
+          comment: z.string().default(""),
+        }),
+      ])
+    )
+  ),
+  feedback: z.string().default(""),
+  modelAnswer: z.string().min(1, "Model answer is required"),
+});
+
+// One call of a coding solution: the arguments and the expected return value
+const codeTestSchema = z.object({
+  input: z.array(z.any()),
+  output: z.any().refine((val) => val !== undefined, "Expected output is required"),
+});
+
+// A generated JavaScript coding problem. `examples` are shown to the
+// candidate; `tests` are hidden until the quiz is graded.
+export const codeQuizSchema = z.object({
+  questions: z
+    .array(
+      z
+        .object({
+          question: z.string().min(1, "Question text is required"),
+          topic: questionTopicSchema,
+          functionName: z
+            .string()
+            .regex(FUNCTION_NAME_PATTERN, "Function name must be a valid identifier"),
+          starterCode: z.string().default(""),
+          examples: z.array(codeTestSchema).min(1, "Each problem needs an example"),
+          tests: z.array(codeTestSchema).min(1, "Each problem needs hidden tests"),
+          solution: z.string().min(1, "Reference solution is required"),
+          explanation: z.string().default(""),
+        })
+        .transform((q) => ({ type: "code", ...q }))
+    )
+    .min(1, "No questions returned"),
+});
+
+// Options the user picks on the mock interview start screen
+export const quizOptionsSchema = z.object({
+  category: z.enum(QUIZ_CATEGORY_IDS).default(DEFAULT_QUIZ_OPTIONS.category),
+  // Narrow the quiz to these skills, e.g. a gap from the dashboard
+  skills: z
+    .array(z.string().trim().min(1).max(60, "Skill name is too long"))
+    .max(MAX_QUIZ_SKILLS, `Pick up to ${MAX_QUIZ_SKILLS} skills`)
+    .default(DEFAULT_QUIZ_OPTIONS.skills),
+  difficulty: z.enum(QUIZ_DIFFICULTY_IDS).default(DEFAULT_QUIZ_OPTIONS.difficulty),
+  format: z.enum(QUIZ_FORMAT_IDS).default(DEFAULT_QUIZ_OPTIONS.format),
+  count: z.coerce
+    .number()
+    .int()
+    .refine((count) => quizQuestionCounts.includes(count), {
+      message: `Question count must be one of ${quizQuestionCounts.join(", ")}`,
+    })
+    .default(DEFAULT_QUIZ_OPTIONS.count),
+  // Per-question and overall time limits (see QUESTION_TIME_LIMITS)
+  timed: z.boolean().default(DEFAULT_QUIZ_OPTIONS.timed),
+});
+
+// Milliseconds spent on each question of a quiz so far
+export const questionTimesSchema = z.array(z.number().int().min(0)).default([]);
+
+// Where the user is in a quiz session, saved as they go so it can be resumed
+export const quizProgressSchema = z.object({
+  currentIndex: z.number().int().min(0),
+  answers: z.array(
+    z.string().max(Math.max(MAX_OPEN_ANSWER_LENGTH, MAX_CODE_LENGTH)).nullable()
+  ),
+  unsure: z.array(z.number().int().min(0)).default([]),
+  times: questionTimesSchema,
+});
+
+// --- AI-generated industry insights ---------------------------------------
+
+// Accept numbers the way models write them: 120000, "120,000", "$120k", "12.5%"
+const toNumber = (val) => {
+  if (typeof val !== "string") return val;
+  const cleaned = val.replace(/[$,%\s]/g, "");
+  const match = cleaned.match(/^(-?\d+(?:\.\d+)?)(k)?$/i);
+  if (!match) return val;
+  return parseFloat(match[1]) * (match[2] ? 1000 : 1);
+};
+
+const numberish = z.preprocess(
+  toNumber,
+  z.number({ invalid_type_error: "Expected a number" }).finite()
+);
+
+// Case-insensitive enum that also maps common synonyms ("Very High" -> "High")
+const looseEnum = (values, aliases = {}) =>
+  z.preprocess((val) => {
+    if (typeof val !== "string") return val;
+    const key = val.trim().toLowerCase();
+    return aliases[key] ?? values.find((v) => v.toLowerCase() === key) ?? val;
+  }, z.enum(values));
+
+// Arrays of non-empty strings, also accepting a comma/newline separated string; de-duplicated
+const stringList = z
+  .preprocess(
+    (val) => (typeof val === "string" ? val.split(/[,\n]/) : val),
+    z.array(z.coerce.string().trim()).transform((items) => {
+      const seen = new Set();
+      return items.filter((item) => {
+        const key = item.toLowerCase();
+        if (!item || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    })
+  )
+  .pipe(z.array(z.string()).min(1, "At least one entry is required"));
+
+export const salaryRangeSchema = z
+  .object({
+    role: z.string().trim().min(1, "Role is required"),
+    min: numberish.pipe(z.number().nonnegative()),
+    max: numberish.pipe(z.number().nonnegative()),
+    median: numberish.pipe(z.number().nonnegative()).optional(),
+    location: z.string().trim().optional(),
+  })
+  .transform((range) => ({
+    ...range,
+    median: range.median ?? Math.round((range.min + range.max) / 2),
+  }))
+  .refine((range) => range.min <= range.median && range.median <= range.max, {
+    message: "Expected min <= median <= max",
+  });
+
+export const industryInsightSchema = z.object({
+  salaryRanges: z
+    .array(salaryRangeSchema)
+    .min(1, "At least one salary range is required"),
+  growthRate: numberish.pipe(
+    z.number().min(-100, "Growth rate must be a percentage").max(100, "Growth rate must be a percentage")
+  ),
+  demandLevel: looseEnum(["High", "Medium", "Low"], {
+    "very high": "High",
+    moderate: "Medium",
+    "very low": "Low",
+  }),
+  topSkills: stringList,
+  marketOutlook: looseEnum(["Positive", "Neutral", "Negative"], {
+    "very positive": "Positive",
+    optimistic: "Positive",
+    stable: "Neutral",
+    mixed: "Neutral",
+    "very negative": "Negative",
+    pessimistic: "Negative",
+  }),
+  keyTrends: stringList,
+  recommendedSkills: stringList,
+});
+
+// --- AI-mapped resume imports ----------------------------------------------
+
+// Optional text: models send null, omit the field or split paragraphs into lists
+const optionalText = (separator = "\n") =>
+  z.preprocess(
+    (val) => (Array.isArray(val) ? val.join(separator) : val ?? ""),
+    z.coerce.string().trim()
+  );
+
+const importedEntrySchema = z
+  .object({
+    title: optionalText(),
+    organization: optionalText(),
+    startDate: optionalText(),
+    endDate: optionalText(),
+    description: optionalText(),
+    current: z.preprocess((val) => val === true || val === "true", z.boolean()),
+  })
+  .transform((entry) => {
+    const current =
+      entry.current || /^(present|current|now)$/i.test(entry.endDate);
+    return { ...entry, current, endDate: current ? "" : entry.endDate };
+  });
+
+const importedEntries = z.preprocess(
+  (val) => val ?? [],
+  z
+    .array(importedEntrySchema)
+    .transform((entries) => entries.filter((e) => e.title || e.organization))
+);
+
+// Records of the "items" sections: every field optional text, records
+// without their identifying field dropped
+const importedItems = (fields, key) =>
+  z.preprocess(
+    (val) => val ?? [],
+    z
+      .array(z.object(Object.fromEntries(fields.map((f) => [f, optionalText()]))))
+      .transform((items) => items.filter((item) => item[key]))
+  );
+
+const importedLanguages = z.preprocess(
+  (val) => val ?? [],
+  z
+    .array(
+      z.object({
+        language: optionalText(),
+        // Unrecognized levels default to the middle of the scale
+        proficiency: looseEnum(LANGUAGE_PROFICIENCIES, {
+          "native speaker": "Native",
+          bilingual: "Native",
+          "mother tongue": "Native",
+          c2: "Native",
+          advanced: "Fluent",
+          c1: "Fluent",
+          "full professional": "Professional",
+          "professional working": "Professional",
+          b2: "Professional",
+          intermediate: "Conversational",
+          "limited working": "Conversational",
+          b1: "Conversational",
+          beginner: "Basic",
+          elementary: "Basic",
+          a1: "Basic",
+          a2: "Basic",
+        }).catch("Professional"),
+      })
+    )
+    .transform((items) => items.filter((item) => item.language))
+);
+
+// Resume data mapped from an uploaded file. Looser than resumeSchema on
+// purpose: missing fields come back empty so the user can complete them in
+// the builder before saving.
+export const importedResumeSchema = z
+  .object({
+    contactInfo: z.preprocess(
+      (val) => val ?? {},
+      z.object({
+        email: optionalText(),
+        mobile: optionalText(),
+        linkedin: optionalText(),
+        twitter: optionalText(),
+      })
+    ),
+    summary: optionalText(),
+    skills: optionalText(", "),
+    experience: importedEntries,
+    education: importedEntries,
+    projects: importedEntries,
+    certifications: importedItems(
+      ["name", "issuer", "issueDate", "expiryDate", "credentialId", "url"],
+      "name"
+    ),
+    publications: importedItems(
+      ["title", "publisher", "date", "url", "description"],
+      "title"
+    ),
+    languages: importedLanguages,
+    awards: importedItems(["title", "issuer", "date", "description"], "title"),
+    volunteering: importedEntries,
+  })
+  .refine(
+    ({ contactInfo, ...sections }) =>
+      Object.values(sections).some((value) =>
+        Array.isArray(value) ? value.length : value
+      ),
+    { message: "No resume content was found in the text" }
+  );
+
+// Body of POST /api/export
+export const exportRequestSchema = z.object({
+  format: z.enum(Object.keys(EXPORT_FORMATS)),
+  kind: z.enum(EXPORT_KINDS).default("resume"),
+  template: z.enum(TEMPLATE_IDS).default(DEFAULT_TEMPLATE),
+  markdown: z
+    .string()
+    .trim()
+    .min(1, "Nothing to export yet")
+    .max(100000, "Document is too long to export"),
+});
+
+// --- Learning roadmaps -------------------------------------------------------
+
+// Options picked on /roadmap/new
+export const roadmapRequestSchema = z.object({
+  weeks: z.coerce
+    .number()
+    .int()
+    .min(2, "A roadmap needs at least 2 weeks")
+    .max(26, "Keep roadmaps to 26 weeks or less")
+    .default(DEFAULT_ROADMAP_WEEKS),
+  goal: z
+    .string()
+    .trim()
+    .max(300, "Keep the goal under 300 characters")
+    .optional(),
+});
+
+const roadmapResourceSchema = z.object({
+  title: z.string().trim().min(1),
+  url: z.string().url().optional().catch(undefined),
+  type: looseEnum(RESOURCE_TYPES, {
+    tutorial: "article",
+    blog: "article",
+    documentation: "docs",
+    exercise: "practice",
+    project: "practice",
+    youtube: "video",
+  }).catch("article"),
+});
+
+// Shape of a generated roadmap as returned by the model
+export const roadmapPlanSchema = z.object({
+  title: z.string().trim().min(1, "Roadmap title is required"),
+  summary: z.string().default(""),
+  milestones: z
+    .array(
+      z.object({
+        week: z.coerce.number().int().min(1),
+        title: z.string().trim().min(1, "Milestone title is required"),
+        description: z.string().default(""),
+        skill: z.string().trim().min(1, "Milestone skill is required"),
+        resources: z.array(roadmapResourceSchema).default([]),
+        checkpoints: z
+          .array(z.string().trim().min(1))
+          .min(1, "Each milestone needs a checkpoint"),
+      })
+    )
+    .min(1, "No milestones returned")
+    .max(26, "Too many milestones"),
+});
+
+// Progress edits from the roadmap view
+export const milestoneProgressSchema = z
+  .object({
+    status: z.enum(MILESTONE_STATUS_IDS).optional(),
+    checkpoint: z
+      .object({ index: z.number().int().min(0), done: z.boolean() })
+      .optional(),
+  })
+  .refine((update) => update.status || update.checkpoint, {
+    message: "Nothing to update",
+  });
+
+// --- Conversational mock interviews ---------------------------------------
+
+// Start screen: the same category and focus skills as a quiz
+export const interviewSessionSchema = quizOptionsSchema.pick({
+  category: true,
+  skills: true,
+});
+
+export const interviewAnswerSchema = z
+  .string()
+  .trim()
+  .min(1, "Answer is required")
+  .max(
+    MAX_INTERVIEW_ANSWER_LENGTH,
+    `Keep your answer under ${MAX_INTERVIEW_ANSWER_LENGTH} characters`
+  );
+
+// One interviewer turn as returned by the model
+export const interviewerTurnSchema = z.object({
+  message: z.string().trim().min(1, "Interviewer message is required"),
+  kind: z.enum(INTERVIEWER_TURN_KINDS).catch("question"),
+});
+
+export const interviewScorecardSchema = z.object({
+  overallScore: z.coerce.number().min(0).max(100),
+  summary: z.string().trim().min(1, "Scorecard summary is required"),
+  strengths: z.array(z.string().trim().min(1)).default([]),
+  weaknesses: z.array(z.string().trim().min(1)).default([]),
+  recommendation: z.enum(HIRE_SIGNAL_IDS),
+});
+
+// --- Spaced-repetition review ---------------------------------------------
+
+// The button pressed after revealing a review card's answer
+export const reviewGradeSchema = z.enum(REVIEW_GRADE_IDS, {
+  errorMap: () => ({ message: "Pick how well you remembered the answer" }),
+});
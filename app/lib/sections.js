@@ -0,0 +1,135 @@
+// Registry of resume sections. Each id is a key of the resume data
+// (resumeSchema); `sectionOrder` in that data lists the ids in display order.
+//
+// kind:
+//   "text"    free text (summary, skills)
+//   "entries" dated entries edited with EntryForm (entrySchema)
+//   "items"   records described by `fields`, validated by the section's
+//             schema in sectionItemSchemas (app/lib/schema.js); `describe`
+//             gives the one-line label shown for a saved item
+//
+// Core sections are always part of a resume; optional ones are added and
+// removed by the user.
+
+export const LANGUAGE_PROFICIENCIES = [
+  "Native",
+  "Fluent",
+  "Professional",
+  "Conversational",
+  "Basic",
+];
+
+export const RESUME_SECTIONS = {
+  summary: { title: "Professional Summary", kind: "text", core: true },
+  skills: { title: "Skills", kind: "text", core: true },
+  experience: {
+    title: "Work Experience",
+    kind: "entries",
+    entryType: "Experience",
+    core: true,
+  },
+  education: {
+    title: "Education",
+    kind: "entries",
+    entryType: "Education",
+    core: true,
+  },
+  projects: {
+    title: "Projects",
+    kind: "entries",
+    entryType: "Project",
+    core: true,
+  },
+  certifications: {
+    title: "Certifications",
+    kind: "items",
+    itemType: "Certification",
+    describe: (item) => `${item.name} @ ${item.issuer}`,
+    fields: [
+      { name: "name", label: "Certification name", required: true },
+      { name: "issuer", label: "Issuing organization", required: true },
+      { name: "issueDate", label: "Issued", type: "month" },
+      { name: "expiryDate", label: "Expires", type: "month" },
+      { name: "credentialId", label: "Credential ID" },
+      { name: "url", label: "Credential URL", type: "url" },
+    ],
+  },
+  publications: {
+    title: "Publications",
+    kind: "items",
+    itemType: "Publication",
+    describe: (item) => [item.title, item.publisher].filter(Boolean).join(" @ "),
+    fields: [
+      { name: "title", label: "Title", required: true },
+      { name: "publisher", label: "Publisher or venue" },
+      { name: "date", label: "Published", type: "month" },
+      { name: "url", label: "URL", type: "url" },
+      { name: "description", label: "Summary", type: "textarea" },
+    ],
+  },
+  languages: {
+    title: "Languages",
+    kind: "items",
+    itemType: "Language",
+    describe: (item) => `${item.language} — ${item.proficiency}`,
+    fields: [
+      { name: "language", label: "Language", required: true },
+      {
+        name: "proficiency",
+        label: "Proficiency",
+        type: "select",
+        options: LANGUAGE_PROFICIENCIES,
+        required: true,
+      },
+    ],
+  },
+  awards: {
+    title: "Awards",
+    kind: "items",
+    itemType: "Award",
+    describe: (item) => [item.title, item.issuer].filter(Boolean).join(" @ "),
+    fields: [
+      { name: "title", label: "Award", required: true },
+      { name: "issuer", label: "Awarded by" },
+      { name: "date", label: "Date", type: "month" },
+      { name: "description", label: "Description", type: "textarea" },
+    ],
+  },
+  volunteering: {
+    title: "Volunteer Experience",
+    kind: "entries",
+    entryType: "Volunteering",
+  },
+};
+
+export const SECTION_IDS = Object.keys(RESUME_SECTIONS);
+
+export const DEFAULT_SECTION_ORDER = SECTION_IDS.filter(
+  (id) => RESUME_SECTIONS[id].core
+);
+
+const hasContent = (value) =>
+  Array.isArray(value) ? value.length > 0 : Boolean(value?.trim?.());
+
+/**
+ * resolveSectionOrder returns the ids to show, in order: the saved order
+ * first, then any core section or section with content that it is missing
+ * (older resumes, imports).
+ */
+export function resolveSectionOrder(data) {
+  const order = (data?.sectionOrder || []).filter((id) => RESUME_SECTIONS[id]);
+  const missing = SECTION_IDS.filter(
+    (id) =>
+      !order.includes(id) &&
+      (RESUME_SECTIONS[id].core || hasContent(data?.[id]))
+  );
+  return [...new Set(order), ...missing];
+}
+
+// Move the item at `from` to position `to`
+export function moveItem(list, from, to) {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
@@ -0,0 +1,98 @@
+// 64-bit SimHash fingerprints of question text. Similar texts get
+// fingerprints that differ in few bits, so near-duplicate questions can be
+// found without embeddings.
+
+// Fingerprints at most this many bits apart count as the same question: small
+// rewordings land within it, distinct questions on the same subject mostly do
+// not (one-letter changes such as the "I" and "C" of ACID are too close)
+export const SIMILAR_QUESTION_DISTANCE = 8;
+
+const STOP_WORDS = new Set(
+  "a an and are as at be by can could do does for from how in is it its of on or should that the these this those to what when which who why with would you your".split(
+    " "
+  )
+);
+
+const MASK = (1n << 64n) - 1n;
+
+// 64-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0xcbf29ce484222325n;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= BigInt(text.charCodeAt(i));
+    hash = (hash * 0x100000001b3n) & MASK;
+  }
+  return hash;
+};
+
+// Crude stem so "lookup" and "looking" or "servers" and "server" agree
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, "").slice(0, 6) || word;
+
+// Weighted features of the text's content words: each stem, plus its
+// character trigrams so related forms ("app", "application") still overlap.
+// Short questions have too few words for word features alone.
+const features = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/'s\b/g, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .flatMap((word) => {
+      const padded = ` ${stem(word)} `;
+      return [
+        [stem(word), 2],
+        ...Array.from({ length: padded.length - 2 }, (_, i) => [
+          `#${padded.slice(i, i + 3)}`,
+          1,
+        ]),
+      ];
+    });
+
+/** simhash fingerprints a text as 16 hex digits. */
+export function simhash(text) {
+  const weights = new Array(64).fill(0);
+  features(text).forEach(([feature, weight]) => {
+    const hash = fnv1a(feature);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? weight : -weight;
+    }
+  });
+  const fingerprint = weights.reduce(
+    (result, weight, bit) => (weight > 0 ? result | (1n << BigInt(bit)) : result),
+    0n
+  );
+  return fingerprint.toString(16).padStart(16, "0");
+}
+
+/** hammingDistance counts the bits in which two simhash fingerprints differ. */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+export const isSimilarQuestion = (a, b) =>
+  hammingDistance(a, b) <= SIMILAR_QUESTION_DISTANCE;
+
+// Fingerprints within SIMILAR_QUESTION_DISTANCE bits of each other agree
+// exactly on at least one of this many bands, so stored questions can be
+// searched for near-duplicates by band instead of one by one
+export const SIMHASH_BANDS = SIMILAR_QUESTION_DISTANCE + 1;
+
+/** simhashBands splits a fingerprint into SIMHASH_BANDS "band:value" keys. */
+export function simhashBands(fingerprint) {
+  let value = BigInt(`0x${fingerprint}`);
+  return Array.from({ length: SIMHASH_BANDS }, (_, band) => {
+    const width = BigInt(
+      Math.floor(64 / SIMHASH_BANDS) + (band < 64 % SIMHASH_BANDS ? 1 : 0)
+    );
+    const key = value & ((1n << width) - 1n);
+    value >>= width;
+    return `${band}:${key.toString(16)}`;
+  });
+}
@@ -0,0 +1,123 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  SIMHASH_BANDS,
+  SIMILAR_QUESTION_DISTANCE,
+  hammingDistance,
+  isSimilarQuestion,
+  simhash,
+  simhashBands,
+} from "./simhash.js";
+
+// Deterministic pseudo-random numbers (mulberry32) so failures reproduce
+const random = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const hex = (value) => value.toString(16).padStart(16, "0");
+
+const randomFingerprint = (next) =>
+  hex((BigInt(Math.floor(next() * 2 ** 32)) << 32n) | BigInt(Math.floor(next() * 2 ** 32)));
+
+// Flips `count` distinct bits of a fingerprint
+const flipBits = (fingerprint, count, next) => {
+  const bits = new Set();
+  while (bits.size < count) bits.add(Math.floor(next() * 64));
+  let value = BigInt(`0x${fingerprint}`);
+  for (const bit of bits) value ^= 1n << BigInt(bit);
+  return hex(value);
+};
+
+const sharesBand = (a, b) => {
+  const bands = new Set(simhashBands(a));
+  return simhashBands(b).some((band) => bands.has(band));
+};
+
+describe("simhash", () => {
+  test("16 hex digits, the same for the same text", () => {
+    const fingerprint = simhash("What is a closure in JavaScript?");
+    assert.match(fingerprint, /^[0-9a-f]{16}$/);
+    assert.equal(simhash("what is a CLOSURE in javascript"), fingerprint);
+  });
+
+  test("rewordings are similar", () => {
+    const pairs = [
+      [
+        "What is the difference between a process and a thread?",
+        "What's the difference between a thread and a process?",
+      ],
+      [
+        "Explain the difference between SQL and NoSQL databases.",
+        "Explain the differences between SQL and NoSQL databases",
+      ],
+      [
+        "What is the time complexity of binary search?",
+        "What's the time complexity of a binary search?",
+      ],
+    ];
+    for (const [a, b] of pairs) {
+      assert.ok(isSimilarQuestion(simhash(a), simhash(b)), `${a} / ${b}`);
+    }
+  });
+
+  test("distinct questions on the same subject are not", () => {
+    const pairs = [
+      ["What is a closure in JavaScript?", "What is hoisting in JavaScript?"],
+      ["What is an index in SQL?", "What is a foreign key in SQL?"],
+      [
+        "What is the time complexity of binary search?",
+        "What is the time complexity of quicksort?",
+      ],
+    ];
+    for (const [a, b] of pairs) {
+      assert.equal(isSimilarQuestion(simhash(a), simhash(b)), false, `${a} / ${b}`);
+    }
+  });
+});
+
+describe("hammingDistance", () => {
+  test("counts differing bits", () => {
+    assert.equal(hammingDistance("0000000000000000", "0000000000000000"), 0);
+    assert.equal(hammingDistance("0000000000000000", "8000000000000001"), 2);
+    assert.equal(hammingDistance("0000000000000000", "ffffffffffffffff"), 64);
+  });
+});
+
+describe("simhashBands", () => {
+  test("bands cover all 64 bits", () => {
+    const bands = simhashBands("ffffffffffffffff");
+    assert.equal(bands.length, SIMHASH_BANDS);
+    const bits = bands.reduce(
+      (sum, band) => sum + BigInt(`0x${band.split(":")[1]}`).toString(2).length,
+      0
+    );
+    assert.equal(bits, 64);
+  });
+
+  test("fingerprints within the similar distance share a band", () => {
+    const next = random(42);
+    for (let i = 0; i < 2000; i++) {
+      const fingerprint = randomFingerprint(next);
+      const distance = 1 + (i % SIMILAR_QUESTION_DISTANCE);
+      const near = flipBits(fingerprint, distance, next);
+      assert.equal(hammingDistance(fingerprint, near), distance);
+      assert.ok(sharesBand(fingerprint, near), `${fingerprint} / ${near}`);
+    }
+  });
+
+  test("one bit flipped in every band shares none", () => {
+    const fingerprint = "0123456789abcdef";
+    // The first bit of each band: band 0 is 8 bits wide, the others 7
+    let value = BigInt(`0x${fingerprint}`);
+    for (let band = 0, bit = 0; band < SIMHASH_BANDS; band++) {
+      value ^= 1n << BigInt(bit);
+      bit += band === 0 ? 8 : 7;
+    }
+    const far = hex(value);
+    assert.equal(hammingDistance(fingerprint, far), SIMHASH_BANDS);
+    assert.equal(sharesBand(fingerprint, far), false);
+  });
+});
@@ -0,0 +1,137 @@
+import { skillFamilies, skillSynonyms } from "@/data/skillTaxonomy";
+
+// Matching of free-form skill names ("JS", "react.js", "Kubernets") against
+// the industry skill lists in IndustryInsight.
+
+// Lowercase, drop a trailing "(...)" and collapse separators; keeps the
+// punctuation that distinguishes skills ("c++", "c#", ".net")
+const normalize = (name) =>
+  (name || "")
+    .toLowerCase()
+    .replace(/\s*\([^)]*\)\s*$/, "")
+    .replace(/[\s_/-]+/g, " ")
+    .trim();
+
+const SYNONYM_KEYS = new Map(
+  skillSynonyms.flatMap(([canonical, ...aliases]) =>
+    [canonical, ...aliases].map((name) => [normalize(name), normalize(canonical)])
+  )
+);
+
+// Comparison key: the synonym group's canonical name, else the normalized name
+export const skillKey = (name) => {
+  const normalized = normalize(name);
+  return SYNONYM_KEYS.get(normalized) ?? normalized;
+};
+
+const FAMILIES = skillFamilies.map((family) => new Set(family.map(skillKey)));
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Shortest word a typo is looked for in; shorter words are often other skills
+// a letter away ("Scala" / "Scale", "Flask" / "Flash", "Spring" / "String")
+const MIN_TYPO_LENGTH = 8;
+
+// Skills named in the taxonomy are told apart by name, never as typos
+const KNOWN_SKILLS = new Set([
+  ...SYNONYM_KEYS.values(),
+  ...FAMILIES.flatMap((family) => [...family]),
+]);
+
+// Spacing differences ("Postgre SQL") and a typo in one long word of the name
+// ("Kubernets", "Javascirpt"): one edit, or two in words of 10+ letters.
+function isNearMiss(a, b) {
+  if (a.replace(/ /g, "") === b.replace(/ /g, "")) return true;
+  if (KNOWN_SKILLS.has(a) && KNOWN_SKILLS.has(b)) return false;
+  const x = a.split(" ");
+  const y = b.split(" ");
+  if (x.length !== y.length) return false;
+  const differing = x.map((word, i) => [word, y[i]]).filter(([p, q]) => p !== q);
+  if (differing.length !== 1) return false;
+  const [[p, q]] = differing;
+  const shorter = Math.min(p.length, q.length);
+  if (shorter < MIN_TYPO_LENGTH) return false;
+  return levenshtein(p, q) <= (shorter >= 10 ? 2 : 1);
+}
+
+/**
+ * skillsMatch tells whether two skill names refer to the same skill: the same
+ * name or synonym group (see skillSynonyms), or a typo of it. Names that only
+ * share words ("React" / "React Native") are different skills.
+ */
+export function skillsMatch(a, b) {
+  const x = skillKey(a);
+  const y = skillKey(b);
+  if (!x || !y) return false;
+  return x === y || isNearMiss(x, y);
+}
+
+/**
+ * analyzeSkillGap compares the user's skills with the industry's.
+ *
+ * @param {string[]} skills the user's skill names
+ * @param {{ topSkills?: string[], recommendedSkills?: string[] }} insights
+ * @returns {{
+ *   coverage: number,   // % of industry skills the user has, 0-100
+ *   matched: { skill: string, as: string, priority: "top" | "recommended" }[],
+ *   adjacent: { skill: string, related: string[], priority: "top" | "recommended" }[],
+ *   missing: { skill: string, priority: "top" | "recommended" }[],
+ * }}
+ */
+export function analyzeSkillGap(skills = [], { topSkills = [], recommendedSkills = [] } = {}) {
+  // An industry skill listed under both only counts once, as a top skill
+  const wanted = [];
+  const seen = new Set();
+  for (const [list, priority] of [
+    [topSkills, "top"],
+    [recommendedSkills, "recommended"],
+  ]) {
+    for (const skill of list) {
+      const key = skillKey(skill);
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        wanted.push({ skill, priority });
+      }
+    }
+  }
+
+  const matched = [];
+  const adjacent = [];
+  const missing = [];
+  for (const { skill, priority } of wanted) {
+    const as = skills.find((own) => skillsMatch(own, skill));
+    if (as) {
+      matched.push({ skill, as, priority });
+      continue;
+    }
+
+    const key = skillKey(skill);
+    const families = FAMILIES.filter((family) => family.has(key));
+    const related = skills.filter((own) =>
+      families.some((family) => family.has(skillKey(own)))
+    );
+    if (related.length) adjacent.push({ skill, related, priority });
+    else missing.push({ skill, priority });
+  }
+
+  return {
+    coverage: wanted.length ? Math.round((matched.length / wanted.length) * 100) : 0,
+    matched,
+    adjacent,
+    missing,
+  };
+}
@@ -0,0 +1,66 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzeSkillGap, skillKey, skillsMatch } from "./skill-match.js";
+
+describe("skillsMatch", () => {
+  test("same name, ignoring case, punctuation and a trailing note", () => {
+    assert.ok(skillsMatch("react", "React"));
+    assert.ok(skillsMatch("SQL Server", "sql_server"));
+    assert.ok(skillsMatch("Python (advanced)", "Python"));
+  });
+
+  test("synonyms", () => {
+    assert.ok(skillsMatch("JS", "JavaScript"));
+    assert.ok(skillsMatch("React.js", "ReactJS"));
+    assert.ok(skillsMatch("k8s", "Kubernetes"));
+    assert.ok(skillsMatch("Communication Skills", "communication"));
+    assert.ok(skillsMatch("Data Analytics", "Data Analysis"));
+    assert.equal(skillKey("Golang"), skillKey("Go"));
+  });
+
+  test("spacing differences and typos in long words", () => {
+    assert.ok(skillsMatch("Postgre SQL", "PostgreSQL"));
+    assert.ok(skillsMatch("Kubernets", "Kubernetes"));
+    assert.ok(skillsMatch("Javascirpt", "JavaScript"));
+    assert.ok(skillsMatch("Typscript", "TypeScript"));
+  });
+
+  test("different skills a letter or two apart", () => {
+    assert.equal(skillsMatch("Scala", "Scale"), false);
+    assert.equal(skillsMatch("Flask", "Flash"), false);
+    assert.equal(skillsMatch("Spring", "String"), false);
+    assert.equal(skillsMatch("Project Management", "Product Management"), false);
+    assert.equal(skillsMatch("C++", "C#"), false);
+  });
+
+  test("names that only share words", () => {
+    assert.equal(skillsMatch("React", "React Native"), false);
+    assert.equal(skillsMatch("Java", "JavaScript"), false);
+    assert.equal(skillsMatch("Cloud", "Google Cloud"), false);
+  });
+
+  test("empty names", () => {
+    assert.equal(skillsMatch("", ""), false);
+    assert.equal(skillsMatch(undefined, "React"), false);
+  });
+});
+
+describe("analyzeSkillGap", () => {
+  test("splits industry skills into matched, adjacent and missing", () => {
+    const gap = analyzeSkillGap(["JS", "Vue", "Scale"], {
+      topSkills: ["JavaScript", "React", "Scala"],
+      recommendedSkills: ["react", "Flask"],
+    });
+    assert.deepEqual(gap.matched, [{ skill: "JavaScript", as: "JS", priority: "top" }]);
+    assert.deepEqual(gap.adjacent, [{ skill: "React", related: ["Vue"], priority: "top" }]);
+    assert.deepEqual(gap.missing, [
+      { skill: "Scala", priority: "top" },
+      { skill: "Flask", priority: "recommended" },
+    ]);
+    assert.equal(gap.coverage, 25);
+  });
+
+  test("no industry skills", () => {
+    assert.equal(analyzeSkillGap(["SQL"]).coverage, 0);
+  });
+});
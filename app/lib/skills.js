@@ -0,0 +1,74 @@
+// Structured skills (UserSkill). Shared by the skills editor, the actions that
+// save them and the prompts and views that read them.
+
+// `heading` labels the category's line in the resume Skills section
+export const SKILL_CATEGORIES = [
+  { id: "language", label: "Programming Language", heading: "Languages" },
+  { id: "framework", label: "Framework / Library", heading: "Frameworks" },
+  { id: "tool", label: "Tool / Platform", heading: "Tools" },
+  { id: "soft", label: "Soft Skill", heading: "Soft Skills" },
+  { id: "other", label: "Other", heading: "Other" },
+];
+
+export const SKILL_LEVELS = [
+  { id: "beginner", label: "Beginner" },
+  { id: "intermediate", label: "Intermediate" },
+  { id: "advanced", label: "Advanced" },
+  { id: "expert", label: "Expert" },
+];
+
+export const SKILL_CATEGORY_IDS = SKILL_CATEGORIES.map((c) => c.id);
+export const SKILL_LEVEL_IDS = SKILL_LEVELS.map((l) => l.id);
+
+const labelOf = (list, id) => list.find((item) => item.id === id)?.label || id;
+export const skillCategoryLabel = (id) => labelOf(SKILL_CATEGORIES, id);
+export const skillLevelLabel = (id) => labelOf(SKILL_LEVELS, id);
+
+export const EMPTY_SKILL = {
+  name: "",
+  category: "other",
+  proficiency: "intermediate",
+  yearsUsed: "",
+  lastUsed: "",
+};
+
+// Case- and punctuation-insensitive key used to compare skill names
+export const normalizeSkill = (name) =>
+  (name || "").toLowerCase().replace(/[\s._-]+/g, "");
+
+/**
+ * describeSkill renders one skill for a prompt, e.g.
+ * "React (framework, advanced, 4 years, last used Mar 2024)".
+ */
+export function describeSkill(skill) {
+  const details = [
+    skill.category !== "other" && skill.category,
+    skill.proficiency,
+    skill.yearsUsed && `${skill.yearsUsed} year${skill.yearsUsed === 1 ? "" : "s"}`,
+    skill.lastUsed &&
+      `last used ${new Date(skill.lastUsed).toLocaleDateString("en-US", {
+        month: "short",
+        year: "numeric",
+        timeZone: "UTC",
+      })}`,
+  ].filter(Boolean);
+  return details.length ? `${skill.name} (${details.join(", ")})` : skill.name;
+}
+
+/**
+ * skillsToResumeText groups skills by category for the resume Skills
+ * section, strongest first: "Languages: TypeScript, Go".
+ */
+export function skillsToResumeText(skills) {
+  const rank = (s) => SKILL_LEVEL_IDS.indexOf(s.proficiency);
+  return SKILL_CATEGORIES.map(({ id, heading }) => {
+    const names = (skills || [])
+      .filter((s) => s.category === id)
+      .sort((a, b) => rank(b) - rank(a))
+      .map((s) => s.name);
+    if (!names.length) return null;
+    return id === "other" ? names.join(", ") : `${heading}: ${names.join(", ")}`;
+  })
+    .filter(Boolean)
+    .join("\n");
+}
@@ -0,0 +1,197 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ChevronDown, Download, FileDown, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  EXPORT_FORMATS,
+  EXPORT_TEMPLATES,
+  downloadBlob,
+  requestExport,
+} from "@/app/lib/export";
+
+// Wait this long after the last edit before re-rendering the preview
+const PREVIEW_DELAY = 800;
+
+export function TemplatePicker({ value, onChange }) {
+  const selected = EXPORT_TEMPLATES.find((t) => t.id === value);
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <Select value={value} onValueChange={onChange}>
+        <SelectTrigger className="w-44">
+          <SelectValue placeholder="Template" />
+        </SelectTrigger>
+        <SelectContent>
+          {EXPORT_TEMPLATES.map((template) => (
+            <SelectItem key={template.id} value={template.id}>
+              {template.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {selected && (
+        <p className="text-sm text-muted-foreground">{selected.description}</p>
+      )}
+    </div>
+  );
+}
+
+// Renders the document on the server and shows the real PDF, so what you
+// see is exactly what gets downloaded
+export function PdfPreview({ markdown, kind, template, height = 800 }) {
+  const [url, setUrl] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!markdown?.trim()) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const blob = await requestExport({ format: "pdf", markdown, kind, template });
+        if (cancelled) return;
+        setUrl(URL.createObjectURL(blob));
+        setError(null);
+      } catch (e) {
+        if (!cancelled) setError(e.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [markdown, kind, template]);
+
+  // Release each rendered file once it is replaced or unmounted
+  useEffect(() => {
+    if (!url) return;
+    return () => URL.revokeObjectURL(url);
+  }, [url]);
+
+  if (!markdown?.trim()) {
+    return (
+      <div className="flex items-center justify-center border rounded-lg text-muted-foreground" style={{ height }}>
+        Nothing to preview yet
+      </div>
+    );
+  }
+
+  return (
+    <div className="relative border rounded-lg overflow-hidden" style={{ height }}>
+      {url && (
+        <iframe src={url} title="PDF preview" className="w-full h-full" />
+      )}
+      {(loading || !url) && !error && (
+        <div className="absolute inset-0 flex items-center justify-center bg-background/60">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      )}
+      {error && (
+        <div className="absolute inset-x-0 top-0 p-3 text-sm text-red-500 bg-background/90">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Render on the server and save the file; returns false when nothing was saved
+async function downloadDocument({ format, markdown, kind, template, basename }) {
+  if (!markdown?.trim()) {
+    toast.error("Nothing to export yet");
+    return false;
+  }
+  try {
+    const blob = await requestExport({ format, markdown, kind, template });
+    downloadBlob(blob, `${basename}.${EXPORT_FORMATS[format].extension}`);
+    toast.success(`${EXPORT_FORMATS[format].label} downloaded`);
+    return true;
+  } catch (error) {
+    toast.error(error.message || "Failed to export document");
+    return false;
+  }
+}
+
+export function DownloadPdfButton({ markdown, kind, template, basename, ...props }) {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    await downloadDocument({ format: "pdf", markdown, kind, template, basename });
+    setDownloading(false);
+  };
+
+  return (
+    <Button onClick={handleDownload} disabled={downloading} {...props}>
+      {downloading ? (
+        <>
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Generating PDF...
+        </>
+      ) : (
+        <>
+          <Download className="h-4 w-4" />
+          Download PDF
+        </>
+      )}
+    </Button>
+  );
+}
+
+// The other server-rendered formats; `children` adds items for exports
+// done in the browser (markdown, JSON Resume)
+export function ExportMenu({ markdown, kind, template, basename, children }) {
+  const [downloading, setDownloading] = useState(false);
+
+  const handleSelect = async (format) => {
+    setDownloading(true);
+    await downloadDocument({ format, markdown, kind, template, basename });
+    setDownloading(false);
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" disabled={downloading}>
+          {downloading ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <FileDown className="h-4 w-4" />
+          )}
+          Export
+          <ChevronDown className="h-4 w-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-48">
+        {Object.entries(EXPORT_FORMATS)
+          .filter(([format]) => format !== "pdf")
+          .map(([format, { label }]) => (
+            <DropdownMenuItem key={format} onSelect={() => handleSelect(format)}>
+              {label}
+            </DropdownMenuItem>
+          ))}
+        {children}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+}
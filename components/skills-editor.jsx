@@ -0,0 +1,170 @@
+"use client";
+
+import { useState } from "react";
+import { PlusCircle, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  EMPTY_SKILL,
+  SKILL_CATEGORIES,
+  SKILL_LEVELS,
+  normalizeSkill,
+} from "@/app/lib/skills";
+
+function OptionSelect({ value, onChange, options, label }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger aria-label={label}>
+        <SelectValue placeholder={label} />
+      </SelectTrigger>
+      <SelectContent>
+        {options.map((option) => (
+          <SelectItem key={option.id} value={option.id}>
+            {option.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+// Controlled editor for structured skills (userSkillSchema values). `errors`
+// is the react-hook-form error array for the list, if any.
+export default function SkillsEditor({ value = [], onChange, errors }) {
+  const [newSkill, setNewSkill] = useState("");
+
+  const update = (index, patch) =>
+    onChange(value.map((skill, i) => (i === index ? { ...skill, ...patch } : skill)));
+
+  const remove = (index) => onChange(value.filter((_, i) => i !== index));
+
+  // Comma separated input adds several at once; known names are skipped
+  const add = () => {
+    const known = new Set(value.map((s) => normalizeSkill(s.name)));
+    const names = newSkill
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => {
+        const key = normalizeSkill(name);
+        if (!key || known.has(key)) return false;
+        known.add(key);
+        return true;
+      });
+    if (names.length) {
+      onChange([...value, ...names.map((name) => ({ ...EMPTY_SKILL, name }))]);
+    }
+    setNewSkill("");
+  };
+
+  return (
+    <div className="space-y-3">
+      {value.length > 0 && (
+        <div className="hidden md:grid grid-cols-12 gap-2 text-xs text-muted-foreground">
+          <span className="col-span-3">Skill</span>
+          <span className="col-span-3">Category</span>
+          <span className="col-span-2">Proficiency</span>
+          <span className="col-span-1">Years</span>
+          <span className="col-span-2">Last used</span>
+        </div>
+      )}
+
+      {value.map((skill, index) => {
+        const error = errors?.[index];
+        return (
+          <div key={index} className="space-y-1">
+            <div className="grid grid-cols-2 md:grid-cols-12 gap-2 items-center">
+              <Input
+                className="col-span-2 md:col-span-3"
+                value={skill.name}
+                onChange={(e) => update(index, { name: e.target.value })}
+                aria-label="Skill"
+              />
+              <div className="md:col-span-3">
+                <OptionSelect
+                  label="Category"
+                  value={skill.category}
+                  options={SKILL_CATEGORIES}
+                  onChange={(category) => update(index, { category })}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <OptionSelect
+                  label="Proficiency"
+                  value={skill.proficiency}
+                  options={SKILL_LEVELS}
+                  onChange={(proficiency) => update(index, { proficiency })}
+                />
+              </div>
+              <Input
+                className="md:col-span-1"
+                type="number"
+                min={0}
+                max={60}
+                step={0.5}
+                placeholder="Years"
+                value={skill.yearsUsed ?? ""}
+                onChange={(e) => update(index, { yearsUsed: e.target.value })}
+                aria-label="Years used"
+              />
+              <Input
+                className="md:col-span-2"
+                type="month"
+                value={skill.lastUsed ?? ""}
+                onChange={(e) => update(index, { lastUsed: e.target.value })}
+                aria-label="Last used"
+              />
+              <Button
+                type="button"
+                variant="ghost"
+                size="icon"
+                className="justify-self-end md:col-span-1"
+                onClick={() => remove(index)}
+                aria-label={`Remove ${skill.name || "skill"}`}
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+            {error && (
+              <p className="text-sm text-red-500">
+                {Object.values(error)
+                  .map((e) => e?.message)
+                  .filter(Boolean)
+                  .join(". ")}
+              </p>
+            )}
+          </div>
+        );
+      })}
+
+      <div className="flex gap-2">
+        <Input
+          value={newSkill}
+          onChange={(e) => setNewSkill(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              add();
+            }
+          }}
+          placeholder="Add skills, e.g. Python, React, Public Speaking"
+        />
+        <Button type="button" variant="outline" onClick={add}>
+          <PlusCircle className="h-4 w-4 mr-2" />
+          Add
+        </Button>
+      </div>
+      {(errors?.root?.message || errors?.message) && (
+        <p className="text-sm text-red-500">
+          {errors.root?.message || errors.message}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// Offline coding problems, used when the model's questions cannot be parsed
+export const codingQuestions = [
+  {
+    question:
+      "Write a function `sumEvens(numbers)` that returns the sum of the even numbers in an array of integers.",
+    functionName: "sumEvens",
+    topic: "Arrays",
+    starterCode: "function sumEvens(numbers) {\n  \n}\n",
+    examples: [
+      { input: [[1, 2, 3, 4]], output: 6 },
+      { input: [[]], output: 0 },
+    ],
+    tests: [
+      { input: [[-2, -3, 5]], output: -2 },
+      { input: [[7, 9, 11]], output: 0 },
+      { input: [[10, 20, 30, 1]], output: 60 },
+    ],
+    solution:
+      "function sumEvens(numbers) {\n  return numbers.filter((n) => n % 2 === 0).reduce((sum, n) => sum + n, 0);\n}\n",
+    explanation: "Filter the even numbers, then add them up; an empty array sums to 0.",
+  },
+  {
+    question:
+      "Write a function `isPalindrome(text)` that returns true if a string reads the same backwards, ignoring case and any character that is not a letter or digit.",
+    functionName: "isPalindrome",
+    topic: "Strings",
+    starterCode: "function isPalindrome(text) {\n  \n}\n",
+    examples: [
+      { input: ["Racecar"], output: true },
+      { input: ["hello"], output: false },
+    ],
+    tests: [
+      { input: ["A man, a plan, a canal: Panama"], output: true },
+      { input: [""], output: true },
+      { input: ["ab12ba"], output: false },
+    ],
+    solution:
+      "function isPalindrome(text) {\n  const clean = text.toLowerCase().replace(/[^a-z0-9]/g, \"\");\n  return clean === [...clean].reverse().join(\"\");\n}\n",
+    explanation: "Normalise the string first, then compare it with its reverse.",
+  },
+  {
+    question:
+      "Write a function `groupBy(items, key)` that groups an array of objects into an object keyed by each item's value for `key`, keeping the original order within each group.",
+    functionName: "groupBy",
+    topic: "Objects",
+    starterCode: "function groupBy(items, key) {\n  \n}\n",
+    examples: [
+      {
+        input: [[{ t: "a", v: 1 }, { t: "b", v: 2 }, { t: "a", v: 3 }], "t"],
+        output: { a: [{ t: "a", v: 1 }, { t: "a", v: 3 }], b: [{ t: "b", v: 2 }] },
+      },
+    ],
+    tests: [
+      { input: [[], "t"], output: {} },
+      {
+        input: [[{ n: 1 }, { n: 1 }, { n: 2 }], "n"],
+        output: { 1: [{ n: 1 }, { n: 1 }], 2: [{ n: 2 }] },
+      },
+    ],
+    solution:
+      "function groupBy(items, key) {\n  const groups = {};\n  for (const item of items) {\n    (groups[item[key]] ??= []).push(item);\n  }\n  return groups;\n}\n",
+    explanation: "Walk the array once, appending each item to the list for its key.",
+  },
+  {
+    question:
+      "Write a function `twoSum(numbers, target)` that returns the indices `[i, j]` (with i < j) of the two numbers that add up to `target`, or null if there are none.",
+    functionName: "twoSum",
+    topic: "Hash maps",
+    starterCode: "function twoSum(numbers, target) {\n  \n}\n",
+    examples: [
+      { input: [[2, 7, 11, 15], 9], output: [0, 1] },
+      { input: [[1, 2], 7], output: null },
+    ],
+    tests: [
+      { input: [[3, 2, 4], 6], output: [1, 2] },
+      { input: [[5, 5], 10], output: [0, 1] },
+      { input: [[], 0], output: null },
+    ],
+    solution:
+      "function twoSum(numbers, target) {\n  const seen = new Map();\n  for (let j = 0; j < numbers.length; j++) {\n    const i = seen.get(target - numbers[j]);\n    if (i !== undefined) return [i, j];\n    seen.set(numbers[j], j);\n  }\n  return null;\n}\n",
+    explanation: "Remember each number's index in a map so the complement is found in one pass.",
+  },
+];
@@ -0,0 +1,498 @@
+// Curated multiple-choice questions for the question bank, keyed by industry
+// id from data/industries.js ("general" suits every industry). They are
+// copied into the bank (QuestionBankItem) and served when the model cannot
+// write a quiz. `category` is a quiz category id from data/quizOptions.js.
+export const seedQuestions = {
+  general: [
+    {
+      category: "behavioral",
+      topic: "Conflict",
+      question:
+        "A teammate repeatedly misses deadlines that block your work. What is the most effective first step?",
+      options: [
+        "Raise it privately with them, describe the impact and ask what is getting in the way",
+        "Report them to your manager straight away",
+        "Quietly take over their tasks so the project stays on track",
+        "Mention the missed deadlines in the next team meeting",
+      ],
+      correctAnswer:
+        "Raise it privately with them, describe the impact and ask what is getting in the way",
+      explanation:
+        "A direct, private conversation about impact gives them a chance to fix it and often uncovers a cause you can help with; escalate only if it continues.",
+    },
+    {
+      category: "behavioral",
+      topic: "Ownership",
+      question:
+        "You discover a mistake you made that has already reached a customer. What should you do first?",
+      options: [
+        "Tell your manager and the affected people, then work on a fix",
+        "Fix it quietly and hope nobody noticed",
+        "Wait to see whether the customer complains",
+        "Explain that the requirements were unclear",
+      ],
+      correctAnswer: "Tell your manager and the affected people, then work on a fix",
+      explanation:
+        "Owning mistakes early limits the damage and builds trust; interviewers look for accountability rather than blame.",
+    },
+    {
+      category: "behavioral",
+      topic: "Communication",
+      question:
+        "When answering a behavioral interview question, which structure is most widely recommended?",
+      options: [
+        "Situation, Task, Action, Result",
+        "Problem, Solution, Benefit",
+        "Introduction, Body, Conclusion",
+        "Strengths, Weaknesses, Opportunities, Threats",
+      ],
+      correctAnswer: "Situation, Task, Action, Result",
+      explanation:
+        "The STAR method keeps a story focused: set the scene, state your goal, explain what you did and finish with a measurable result.",
+    },
+    {
+      category: "behavioral",
+      topic: "Feedback",
+      question: "Your manager gives you critical feedback you disagree with. What is the best response?",
+      options: [
+        "Ask questions to understand their view, then share your perspective calmly",
+        "Accept it silently and move on",
+        "Defend your work point by point straight away",
+        "Ask colleagues whether they agree with the manager",
+      ],
+      correctAnswer: "Ask questions to understand their view, then share your perspective calmly",
+      explanation:
+        "Seeking to understand first shows maturity; you can then discuss the disagreement constructively rather than defensively.",
+    },
+    {
+      category: "behavioral",
+      topic: "Prioritization",
+      question:
+        "Two stakeholders each insist their request is your top priority this week. What should you do?",
+      options: [
+        "Clarify the impact and deadlines of both and agree the order with them or your manager",
+        "Work on whichever request came first",
+        "Split your time evenly between both",
+        "Do the request of the more senior stakeholder",
+      ],
+      correctAnswer:
+        "Clarify the impact and deadlines of both and agree the order with them or your manager",
+      explanation:
+        "Priorities should follow business impact; making the trade-off explicit and agreed avoids surprising either stakeholder.",
+    },
+    {
+      category: "behavioral",
+      topic: "Failure",
+      question:
+        "An interviewer asks about a time you failed. What makes the strongest answer?",
+      options: [
+        "A real setback you owned, what you did about it and what you changed afterwards",
+        "A weakness that is secretly a strength, such as working too hard",
+        "A failure caused mainly by other people",
+        "Saying you cannot remember failing at anything significant",
+      ],
+      correctAnswer:
+        "A real setback you owned, what you did about it and what you changed afterwards",
+      explanation:
+        "Interviewers want self-awareness and learning; a genuine failure with a clear lesson is far more convincing than a disguised strength.",
+    },
+    {
+      category: "situational",
+      topic: "Deadlines",
+      question:
+        "Halfway through a project you realise it cannot be finished by the agreed date. What should you do?",
+      options: [
+        "Tell stakeholders early, with options such as reduced scope or a new date",
+        "Work overtime and say nothing unless it actually slips",
+        "Cut testing to save time",
+        "Wait until the deadline and explain what happened",
+      ],
+      correctAnswer: "Tell stakeholders early, with options such as reduced scope or a new date",
+      explanation:
+        "Flagging risk early with concrete options lets others plan; late surprises damage trust more than the delay itself.",
+    },
+    {
+      category: "situational",
+      topic: "Ambiguity",
+      question:
+        "You are given a task with vague requirements and the requester is hard to reach. What is the best approach?",
+      options: [
+        "Write down your assumptions, confirm them briefly and deliver a small first version for feedback",
+        "Wait until the requester has time to explain everything",
+        "Build the most complete version you can imagine",
+        "Decline the task until the requirements are written up",
+      ],
+      correctAnswer:
+        "Write down your assumptions, confirm them briefly and deliver a small first version for feedback",
+      explanation:
+        "Making assumptions explicit and iterating quickly reduces wasted work while keeping progress moving.",
+    },
+    {
+      category: "situational",
+      topic: "Ethics",
+      question:
+        "You notice a colleague sharing confidential customer data in a public channel. What should you do?",
+      options: [
+        "Ask them to remove it and report it through the proper channel",
+        "Ignore it because it is not your responsibility",
+        "Screenshot it and share it with the team",
+        "Wait to see if anyone else notices",
+      ],
+      correctAnswer: "Ask them to remove it and report it through the proper channel",
+      explanation:
+        "Limiting exposure quickly and following the reporting process protects customers and the company.",
+    },
+    {
+      category: "situational",
+      topic: "Teamwork",
+      question:
+        "A new team member is struggling and afraid to ask questions. How can you help most effectively?",
+      options: [
+        "Offer regular check-ins and make it clear that questions are welcome",
+        "Let them figure things out on their own",
+        "Tell the manager they are not performing",
+        "Do their tasks for them until they catch up",
+      ],
+      correctAnswer: "Offer regular check-ins and make it clear that questions are welcome",
+      explanation:
+        "Psychological safety and structured support help new people ramp up faster than either neglect or rescue.",
+    },
+    {
+      category: "situational",
+      topic: "Customer focus",
+      question:
+        "A frustrated customer demands something your product does not support. What is the best response?",
+      options: [
+        "Acknowledge the frustration, understand the underlying need and offer the best available alternative",
+        "Promise the feature will be added soon",
+        "Explain firmly that the product does not do that",
+        "Transfer them to someone else",
+      ],
+      correctAnswer:
+        "Acknowledge the frustration, understand the underlying need and offer the best available alternative",
+      explanation:
+        "Customers often need an outcome rather than a specific feature; empathy plus a real alternative resolves more than promises or refusals.",
+    },
+    {
+      category: "situational",
+      topic: "Decision making",
+      question:
+        "You must make an important decision quickly without all the data you would like. What should you do?",
+      options: [
+        "Decide with the best information available, state the assumptions and plan how to revisit it",
+        "Postpone until all the data is available",
+        "Let the team vote",
+        "Choose the option that worked last time",
+      ],
+      correctAnswer:
+        "Decide with the best information available, state the assumptions and plan how to revisit it",
+      explanation:
+        "Good judgement under uncertainty means acting, being explicit about assumptions and keeping decisions reversible where possible.",
+    },
+  ],
+
+  tech: [
+    {
+      category: "technical",
+      topic: "HTTP",
+      question: "Which HTTP method is intended to be both safe and idempotent?",
+      options: ["GET", "POST", "PATCH", "CONNECT"],
+      correctAnswer: "GET",
+      explanation:
+        "GET must not change server state (safe), so repeating it has the same effect (idempotent); POST and PATCH are neither by definition.",
+    },
+    {
+      category: "technical",
+      topic: "Databases",
+      question: "What does the 'I' in ACID stand for?",
+      options: ["Isolation", "Integrity", "Indexing", "Immutability"],
+      correctAnswer: "Isolation",
+      explanation:
+        "Isolation means concurrent transactions do not see each other's intermediate state; the others are Atomicity, Consistency and Durability.",
+    },
+    {
+      category: "technical",
+      topic: "Algorithms",
+      question: "What is the average time complexity of looking up a key in a hash table?",
+      options: ["O(1)", "O(log n)", "O(n)", "O(n log n)"],
+      correctAnswer: "O(1)",
+      explanation:
+        "Hashing maps a key straight to a bucket, so lookups take constant time on average; many collisions can degrade it to O(n).",
+    },
+    {
+      category: "technical",
+      topic: "JavaScript",
+      question: "In JavaScript, what does `typeof null` return?",
+      options: ['"object"', '"null"', '"undefined"', '"number"'],
+      correctAnswer: '"object"',
+      explanation:
+        "It is a long-standing quirk kept for backwards compatibility; check for null with `value === null`.",
+    },
+    {
+      category: "technical",
+      topic: "Git",
+      question: "Which Git command creates a new commit that undoes the changes of an earlier commit?",
+      options: ["git revert", "git reset --hard", "git checkout", "git stash"],
+      correctAnswer: "git revert",
+      explanation:
+        "git revert adds an inverse commit, which is safe on shared branches; reset rewrites history instead.",
+    },
+    {
+      category: "technical",
+      topic: "Security",
+      question: "What is the most effective defence against SQL injection?",
+      options: [
+        "Parameterized queries",
+        "Escaping quotes by hand",
+        "Hiding database error messages",
+        "Using POST instead of GET",
+      ],
+      correctAnswer: "Parameterized queries",
+      explanation:
+        "Parameters keep user input as data rather than SQL, so it can never change the query's structure.",
+    },
+    {
+      category: "technical",
+      topic: "Testing",
+      question: "What distinguishes a unit test from an integration test?",
+      options: [
+        "A unit test checks one piece in isolation; an integration test checks pieces working together",
+        "Unit tests run in production; integration tests do not",
+        "Integration tests are always written first",
+        "Unit tests need a real database",
+      ],
+      correctAnswer:
+        "A unit test checks one piece in isolation; an integration test checks pieces working together",
+      explanation:
+        "Unit tests are fast and pinpoint failures; integration tests catch problems at the boundaries between components.",
+    },
+    {
+      category: "technical",
+      topic: "Concurrency",
+      question: "What is a race condition?",
+      options: [
+        "A bug where the outcome depends on the timing of concurrent operations",
+        "Two threads waiting on each other forever",
+        "A loop that never terminates",
+        "A benchmark comparing two algorithms",
+      ],
+      correctAnswer: "A bug where the outcome depends on the timing of concurrent operations",
+      explanation:
+        "When shared state is accessed without coordination, interleavings can produce wrong results; waiting forever is a deadlock.",
+    },
+    {
+      category: "system-design",
+      topic: "Caching",
+      question: "Which cache invalidation strategy writes to the cache and the database at the same time?",
+      options: ["Write-through", "Write-back", "Cache-aside", "Read-through"],
+      correctAnswer: "Write-through",
+      explanation:
+        "Write-through keeps the cache consistent at the cost of write latency; write-back defers the database write.",
+    },
+    {
+      category: "system-design",
+      topic: "Scalability",
+      question: "What is the main benefit of keeping application servers stateless?",
+      options: [
+        "Any instance can serve any request, so you can scale horizontally behind a load balancer",
+        "They need less memory",
+        "They never need a database",
+        "They make requests faster by default",
+      ],
+      correctAnswer:
+        "Any instance can serve any request, so you can scale horizontally behind a load balancer",
+      explanation:
+        "With session state kept elsewhere, instances can be added, removed or replaced freely.",
+    },
+    {
+      category: "system-design",
+      topic: "Messaging",
+      question: "Why put a message queue between two services?",
+      options: [
+        "To decouple them so the consumer can process work at its own pace and survive spikes",
+        "To make every request synchronous",
+        "To remove the need for retries",
+        "To guarantee messages are processed exactly once without any extra work",
+      ],
+      correctAnswer:
+        "To decouple them so the consumer can process work at its own pace and survive spikes",
+      explanation:
+        "Queues buffer load and isolate failures; exactly-once processing still needs idempotent consumers.",
+    },
+    {
+      category: "domain",
+      topic: "Agile",
+      question: "In Scrum, who is responsible for ordering the product backlog?",
+      options: ["The Product Owner", "The Scrum Master", "The development team", "The stakeholders"],
+      correctAnswer: "The Product Owner",
+      explanation:
+        "The Product Owner maximises the value of the product and owns the backlog's order; the Scrum Master coaches the process.",
+    },
+    {
+      category: "domain",
+      topic: "Reliability",
+      question: "What is an SLO?",
+      options: [
+        "A target level of reliability for a service, measured by an indicator",
+        "A legal contract with penalties for downtime",
+        "A log of every outage",
+        "A type of load balancer",
+      ],
+      correctAnswer: "A target level of reliability for a service, measured by an indicator",
+      explanation:
+        "Service level objectives set targets for indicators such as availability; SLAs are the contractual promises built on them.",
+    },
+  ],
+
+  finance: [
+    {
+      category: "domain",
+      topic: "Accounting",
+      question: "Which financial statement shows a company's assets, liabilities and equity at a point in time?",
+      options: ["Balance sheet", "Income statement", "Cash flow statement", "Statement of retained earnings"],
+      correctAnswer: "Balance sheet",
+      explanation:
+        "The balance sheet is a snapshot where assets equal liabilities plus equity; the income statement covers a period.",
+    },
+    {
+      category: "domain",
+      topic: "Valuation",
+      question: "What does net present value (NPV) measure?",
+      options: [
+        "The value today of future cash flows minus the initial investment",
+        "The total of all future cash flows",
+        "The interest rate at which a project breaks even",
+        "The time it takes to recover an investment",
+      ],
+      correctAnswer: "The value today of future cash flows minus the initial investment",
+      explanation:
+        "NPV discounts each future cash flow to today; a positive NPV means the project earns more than the discount rate.",
+    },
+    {
+      category: "domain",
+      topic: "Risk",
+      question: "What does diversification mainly reduce in a portfolio?",
+      options: [
+        "Unsystematic (company-specific) risk",
+        "Systematic (market) risk",
+        "Inflation",
+        "Transaction costs",
+      ],
+      correctAnswer: "Unsystematic (company-specific) risk",
+      explanation:
+        "Holding many uncorrelated assets averages out company-specific risk; market-wide risk remains.",
+    },
+    {
+      category: "domain",
+      topic: "Markets",
+      question: "When market interest rates rise, what usually happens to the price of existing fixed-rate bonds?",
+      options: ["It falls", "It rises", "It stays the same", "It doubles"],
+      correctAnswer: "It falls",
+      explanation:
+        "New bonds pay more, so existing bonds with lower coupons must trade at a lower price to offer a competitive yield.",
+    },
+    {
+      category: "domain",
+      topic: "Compliance",
+      question: "What is the purpose of know-your-customer (KYC) checks?",
+      options: [
+        "To verify customers' identities and assess the risk of money laundering or fraud",
+        "To market products to existing customers",
+        "To measure customer satisfaction",
+        "To set interest rates for each customer",
+      ],
+      correctAnswer:
+        "To verify customers' identities and assess the risk of money laundering or fraud",
+      explanation:
+        "KYC is a regulatory requirement for financial institutions and a core part of anti-money-laundering controls.",
+    },
+    {
+      category: "technical",
+      topic: "Financial modelling",
+      question: "In a discounted cash flow model, what does the terminal value represent?",
+      options: [
+        "The value of all cash flows beyond the explicit forecast period",
+        "The company's current share price",
+        "The book value of assets at the end of the forecast",
+        "The final year's revenue",
+      ],
+      correctAnswer: "The value of all cash flows beyond the explicit forecast period",
+      explanation:
+        "Terminal value, via perpetual growth or an exit multiple, often makes up most of a DCF valuation.",
+    },
+    {
+      category: "technical",
+      topic: "Ratios",
+      question: "Which ratio compares current assets to current liabilities?",
+      options: ["Current ratio", "Debt-to-equity ratio", "Return on equity", "Price-to-earnings ratio"],
+      correctAnswer: "Current ratio",
+      explanation:
+        "The current ratio measures short-term liquidity: whether a company can meet obligations due within a year.",
+    },
+  ],
+
+  healthcare: [
+    {
+      category: "domain",
+      topic: "Privacy",
+      question: "In the United States, which law sets standards for protecting patients' health information?",
+      options: ["HIPAA", "GDPR", "SOX", "FERPA"],
+      correctAnswer: "HIPAA",
+      explanation:
+        "HIPAA's Privacy and Security Rules govern protected health information; GDPR is the EU's general data protection law.",
+    },
+    {
+      category: "domain",
+      topic: "Patient safety",
+      question: "What is the main purpose of using two patient identifiers before giving care?",
+      options: [
+        "To make sure the right patient receives the right treatment",
+        "To speed up billing",
+        "To satisfy insurance companies",
+        "To record the time of treatment",
+      ],
+      correctAnswer: "To make sure the right patient receives the right treatment",
+      explanation:
+        "Checking two identifiers, such as name and date of birth, prevents wrong-patient errors.",
+    },
+    {
+      category: "domain",
+      topic: "Infection control",
+      question: "Which single practice is most effective at preventing healthcare-associated infections?",
+      options: ["Hand hygiene", "Wearing a lab coat", "Using antibiotics preventively", "Keeping rooms warm"],
+      correctAnswer: "Hand hygiene",
+      explanation:
+        "Clean hands at the right moments are the most important measure against spreading infection between patients.",
+    },
+    {
+      category: "domain",
+      topic: "Health data",
+      question: "What is interoperability in healthcare IT?",
+      options: [
+        "The ability of different systems to exchange and use health information",
+        "Running several applications on one server",
+        "Encrypting patient records",
+        "Scheduling operating rooms",
+      ],
+      correctAnswer: "The ability of different systems to exchange and use health information",
+      explanation:
+        "Standards such as HL7 FHIR let records follow the patient between providers.",
+    },
+    {
+      category: "situational",
+      topic: "Patient communication",
+      question:
+        "A patient is anxious and asks questions you are not qualified to answer. What should you do?",
+      options: [
+        "Acknowledge their concern and involve a colleague who can answer accurately",
+        "Give your best guess to reassure them",
+        "Tell them not to worry",
+        "Ask them to look it up online",
+      ],
+      correctAnswer:
+        "Acknowledge their concern and involve a colleague who can answer accurately",
+      explanation:
+        "Staying within your scope of practice while making sure the patient gets an accurate answer protects them and builds trust.",
+    },
+  ],
+};
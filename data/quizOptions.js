@@ -0,0 +1,90 @@
+// Choices on the mock interview start screen. `prompt` tells the model what
+// kind of questions to write.
+export const quizCategories = [
+  {
+    id: "technical",
+    label: "Technical",
+    description: "Concepts, tools and hands-on knowledge",
+    prompt: "technical questions testing concepts, tools and practical problem solving",
+  },
+  {
+    id: "behavioral",
+    label: "Behavioral",
+    description: "How you have handled real situations at work",
+    prompt:
+      "behavioral interview questions about teamwork, conflict, ownership and communication, where the correct option is the most effective response",
+  },
+  {
+    id: "system-design",
+    label: "System Design",
+    description: "Architecture, scaling and trade-offs",
+    prompt:
+      "system design questions about architecture, scalability, reliability and trade-offs between approaches",
+  },
+  {
+    id: "situational",
+    label: "Situational",
+    description: "What you would do in a hypothetical scenario",
+    prompt:
+      "situational questions describing a realistic workplace scenario and asking for the best course of action",
+  },
+  {
+    id: "domain",
+    label: "Domain Knowledge",
+    description: "Industry practices, regulations and terminology",
+    prompt:
+      "domain knowledge questions about the industry's practices, regulations, terminology and business context",
+  },
+];
+
+export const quizDifficulties = [
+  {
+    id: "adaptive",
+    label: "Match my skills",
+    prompt: "Match each question's difficulty to the candidate's stated proficiency.",
+  },
+  {
+    id: "easy",
+    label: "Easy",
+    prompt: "Keep every question at an entry level: fundamentals and definitions.",
+  },
+  {
+    id: "medium",
+    label: "Medium",
+    prompt: "Pitch every question at a mid-level professional: applied knowledge.",
+  },
+  {
+    id: "hard",
+    label: "Hard",
+    prompt: "Make every question senior level: edge cases, trade-offs and depth.",
+  },
+];
+
+// `categories` limits a format to some quiz categories; omitted means all
+export const quizFormats = [
+  {
+    id: "multiple-choice",
+    label: "Multiple choice",
+    description: "Pick the best of four options",
+  },
+  {
+    id: "open-ended",
+    label: "Written answers",
+    description: "Answer in your own words, graded against a rubric",
+  },
+  {
+    id: "star",
+    label: "Resume stories (STAR)",
+    description:
+      "Questions about your own resume entries, checked for Situation, Task, Action and Result",
+    categories: ["behavioral"],
+  },
+  {
+    id: "coding",
+    label: "Coding (JavaScript)",
+    description: "Write functions that are run against hidden test cases",
+    categories: ["technical"],
+  },
+];
+
+export const quizQuestionCounts = [5, 10, 15, 20];
@@ -0,0 +1,82 @@
+// Skill names that mean the same thing. The first name of each group is the
+// one shown; matching is case- and punctuation-insensitive.
+export const skillSynonyms = [
+  ["JavaScript", "JS", "ECMAScript", "ES6"],
+  ["TypeScript", "TS"],
+  ["Node.js", "Node", "NodeJS"],
+  ["React", "React.js", "ReactJS"],
+  ["React Native", "RN"],
+  ["Vue", "Vue.js", "VueJS"],
+  ["Angular", "AngularJS", "Angular.js"],
+  ["Next.js", "NextJS"],
+  ["Python", "Py"],
+  ["Go", "Golang"],
+  ["C#", "CSharp", "C Sharp"],
+  ["C++", "CPP"],
+  [".NET", "dotnet", "dot net"],
+  ["PostgreSQL", "Postgres", "psql"],
+  ["MongoDB", "Mongo"],
+  ["SQL Server", "MSSQL", "Microsoft SQL Server"],
+  ["Kubernetes", "k8s"],
+  ["Amazon Web Services", "AWS"],
+  ["Google Cloud", "GCP", "Google Cloud Platform"],
+  ["Microsoft Azure", "Azure"],
+  ["Machine Learning", "ML"],
+  ["Deep Learning", "DL"],
+  ["Artificial Intelligence", "AI"],
+  ["Natural Language Processing", "NLP"],
+  ["Large Language Models", "LLM", "LLMs"],
+  [
+    "CI/CD",
+    "CICD",
+    "Continuous Integration",
+    "Continuous Delivery",
+    "Continuous Deployment",
+  ],
+  ["REST APIs", "REST", "RESTful APIs", "REST API"],
+  ["GraphQL", "GQL"],
+  ["HTML", "HTML5"],
+  ["CSS", "CSS3"],
+  ["User Experience", "UX", "UX Design"],
+  ["User Interface Design", "UI Design"],
+  ["Search Engine Optimization", "SEO"],
+  ["Search Engine Marketing", "SEM"],
+  ["Microsoft Excel", "Excel", "MS Excel"],
+  ["Power BI", "PowerBI"],
+  ["Customer Relationship Management", "CRM"],
+  ["Data Analysis", "Data Analytics"],
+  ["Communication", "Communication Skills"],
+  ["Leadership", "Team Leadership"],
+  ["Agile", "Agile Methodologies"],
+];
+
+// Related skills: a missing skill is "adjacent" when the user already has
+// another skill from one of its families. Names are matched like synonyms.
+export const skillFamilies = [
+  ["React", "Vue", "Angular", "Svelte", "Next.js"],
+  ["JavaScript", "TypeScript", "Node.js"],
+  ["SQL", "PostgreSQL", "MySQL", "SQL Server", "Oracle", "SQLite"],
+  ["MongoDB", "DynamoDB", "Cassandra", "Redis"],
+  ["Amazon Web Services", "Google Cloud", "Microsoft Azure"],
+  ["Docker", "Kubernetes", "Terraform", "CI/CD", "Ansible"],
+  [
+    "Machine Learning",
+    "Deep Learning",
+    "TensorFlow",
+    "PyTorch",
+    "scikit-learn",
+    "Natural Language Processing",
+    "Large Language Models",
+    "Artificial Intelligence",
+  ],
+  ["Python", "Django", "Flask", "FastAPI", "pandas"],
+  ["Java", "Kotlin", "Scala", "Spring"],
+  ["C#", ".NET", "ASP.NET"],
+  ["Swift", "iOS", "Kotlin", "Android", "React Native", "Flutter"],
+  ["Tableau", "Power BI", "Looker", "Microsoft Excel", "Data Analysis"],
+  ["Figma", "Sketch", "Adobe XD", "User Experience", "User Interface Design"],
+  ["Agile", "Scrum", "Kanban", "Jira"],
+  ["REST APIs", "GraphQL", "gRPC"],
+  ["Search Engine Optimization", "Search Engine Marketing", "Google Analytics"],
+  ["Communication", "Leadership", "Stakeholder Management", "Mentoring"],
+];
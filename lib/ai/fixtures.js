@@ -0,0 +1,336 @@
+// Canned model outputs used by the fixture provider (AI_PROVIDER=fixture).
+// Objects are serialized to JSON exactly as a well-behaved model would return them.
+export const fixtures = {
+  insights: {
+    salaryRanges: [
+      { role: "Software Engineer", min: 85000, max: 150000, median: 115000, location: "US" },
+      { role: "Senior Software Engineer", min: 120000, max: 190000, median: 150000, location: "US" },
+      { role: "Engineering Manager", min: 150000, max: 230000, median: 185000, location: "US" },
+      { role: "DevOps Engineer", min: 95000, max: 160000, median: 125000, location: "US" },
+      { role: "Data Engineer", min: 100000, max: 165000, median: 130000, location: "US" },
+    ],
+    growthRate: 12.5,
+    demandLevel: "High",
+    topSkills: ["JavaScript", "TypeScript", "React", "Node.js", "SQL"],
+    marketOutlook: "Positive",
+    keyTrends: [
+      "AI-assisted development",
+      "Platform engineering",
+      "Cloud cost optimization",
+      "Edge computing",
+      "Security by design",
+    ],
+    recommendedSkills: ["Kubernetes", "System Design", "GraphQL", "AWS", "Testing"],
+  },
+
+  quiz: {
+    questions: [
+      {
+        question: "Which HTTP status code indicates that a resource was created successfully?",
+        topic: "HTTP",
+        options: ["200", "201", "204", "302"],
+        correctAnswer: "201",
+        explanation: "201 Created is returned when a request results in a new resource.",
+      },
+      {
+        question: "What does the CAP theorem state a distributed system cannot guarantee simultaneously?",
+        topic: "Distributed systems",
+        options: [
+          "Consistency, Availability and Partition tolerance",
+          "Caching, Atomicity and Persistence",
+          "Concurrency, Availability and Performance",
+          "Consistency, Atomicity and Partitioning",
+        ],
+        correctAnswer: "Consistency, Availability and Partition tolerance",
+        explanation: "Under a network partition a system must trade consistency against availability.",
+      },
+      {
+        question: "Which data structure gives O(1) average lookup by key?",
+        topic: "Data structures",
+        options: ["Linked list", "Binary search tree", "Hash map", "Stack"],
+        correctAnswer: "Hash map",
+        explanation: "Hash maps index buckets by hashing the key, giving constant average lookups.",
+      },
+      {
+        question: "What is the main purpose of a database index?",
+        topic: "Databases",
+        options: [
+          "Enforce foreign keys",
+          "Speed up reads on the indexed columns",
+          "Compress table data",
+          "Back up the table",
+        ],
+        correctAnswer: "Speed up reads on the indexed columns",
+        explanation: "Indexes trade extra write cost and storage for faster lookups.",
+      },
+      {
+        question: "In Git, which command combines another branch's history into the current branch with a merge commit?",
+        topic: "Git",
+        options: ["git rebase", "git merge", "git cherry-pick", "git stash"],
+        correctAnswer: "git merge",
+        explanation: "git merge joins histories and records a merge commit when needed.",
+      },
+      {
+        question: "What does idempotent mean for an API operation?",
+        topic: "API design",
+        options: [
+          "It never fails",
+          "Repeating it has the same effect as doing it once",
+          "It returns cached data",
+          "It requires authentication",
+        ],
+        correctAnswer: "Repeating it has the same effect as doing it once",
+        explanation: "PUT and DELETE are expected to be idempotent; POST usually is not.",
+      },
+      {
+        question: "Which practice best reduces the blast radius of a bad deployment?",
+        topic: "Deployment",
+        options: ["Big-bang releases", "Canary releases", "Manual QA only", "Longer release cycles"],
+        correctAnswer: "Canary releases",
+        explanation: "Canaries expose a change to a small share of traffic before a full rollout.",
+      },
+      {
+        question: "What is the time complexity of binary search on a sorted array?",
+        topic: "Algorithms",
+        options: ["O(n)", "O(log n)", "O(n log n)", "O(1)"],
+        correctAnswer: "O(log n)",
+        explanation: "Each step halves the remaining search space.",
+      },
+      {
+        question: "Which of these is a symptom of an N+1 query problem?",
+        topic: "Databases",
+        options: [
+          "One query per row when loading a list of related records",
+          "A query that returns no rows",
+          "A deadlock between two transactions",
+          "A missing primary key",
+        ],
+        correctAnswer: "One query per row when loading a list of related records",
+        explanation: "Batch or join related data instead of querying per item.",
+      },
+      {
+        question: "What is the primary benefit of writing automated tests before refactoring?",
+        topic: "Testing",
+        options: [
+          "Faster compilation",
+          "Confidence that behavior is preserved",
+          "Smaller bundle size",
+          "Fewer dependencies",
+        ],
+        correctAnswer: "Confidence that behavior is preserved",
+        explanation: "Tests pin down existing behavior so refactors can be verified.",
+      },
+    ],
+  },
+
+  answerGrading: {
+    scores: { correctness: 4, depth: 3, structure: 4, communication: 4 },
+    feedback:
+      "You explained the core idea correctly and in a sensible order. Add a concrete example from your own work and mention the main trade-off to show more depth.",
+    modelAnswer:
+      "Start with a one-sentence definition, then walk through how it works in practice using a project you have shipped. Name the main trade-off (for example consistency versus latency), explain when you would choose each side, and finish with how you measured the outcome.",
+  },
+
+  starQuestions: {
+    questions: [
+      {
+        question:
+          "Tell me about the checkout redesign you led at Acme. What problem were you solving and how did you approach it?",
+        topic: "Ownership",
+        source: { title: "Senior Frontend Engineer", organization: "Acme" },
+        keyPoints: [
+          "Why the redesign mattered to the business",
+          "Their own role versus the team's",
+          "How they measured the outcome",
+        ],
+      },
+      {
+        question:
+          "Describe a time at Acme when a release went wrong. What did you do, and what changed afterwards?",
+        topic: "Handling failure",
+        source: { title: "Senior Frontend Engineer", organization: "Acme" },
+        keyPoints: ["Taking ownership", "Concrete recovery steps", "Process change that followed"],
+      },
+    ],
+  },
+
+  starGrading: {
+    parts: {
+      situation: { score: 4, comment: "Clear context: a legacy checkout with a high drop-off rate." },
+      task: { score: 3, comment: "Your goal is implied but not stated; say what you were accountable for." },
+      action: { score: 4, comment: "Specific steps, mostly in the first person." },
+      result: { score: 1, comment: "The outcome is missing; say what changed and by how much." },
+    },
+    feedback:
+      "You set the scene well and walked through what you did. Finish with the result, ideally a number, and state your own goal up front.",
+    modelAnswer:
+      "Situation: our checkout lost 40% of users at the payment step. Task: as the lead engineer I owned cutting that drop-off within a quarter. Action: I instrumented each step, found the address form was the main blocker, prototyped a one-page flow and ran an A/B test with product. Result: drop-off fell to 28%, adding about $1.2M in annual revenue, and the team adopted the experiment process for later changes.",
+  },
+
+  interviewer: {
+    message:
+      "Thanks, that gives me a good picture. You mentioned the trade-off you made there: what would you do differently if the traffic grew tenfold?",
+    kind: "follow-up",
+  },
+
+  interviewScorecard: {
+    overallScore: 72,
+    summary:
+      "A solid mid-level interview. Answers were well structured and grounded in real projects, but stayed high level when pushed on scale and failure modes.",
+    strengths: [
+      "Explains past projects clearly, with context and outcome",
+      "Names trade-offs instead of presenting one right answer",
+    ],
+    weaknesses: [
+      "Little depth on scaling and failure handling when probed",
+      "Rarely quantifies impact",
+    ],
+    recommendation: "hire",
+  },
+
+  improvementTip:
+    "Review core data structures and API design principles, then practice explaining trade-offs out loud with small, focused exercises.",
+
+  coverLetter: `Dear Hiring Manager,
+
+I am excited to apply for this position. With hands-on experience building reliable, user-focused software, I have consistently delivered features that improved performance and customer satisfaction.
+
+In my most recent role I led the migration of a legacy service to a modern stack, cutting response times by **40%** and reducing on-call incidents by a third. I enjoy collaborating across product and design to turn ambiguous requirements into shipped, measurable outcomes.
+
+I would welcome the opportunity to bring this experience to your team and contribute from day one.
+
+Sincerely,
+Candidate`,
+
+  resumeImprove:
+    "Led development of customer-facing features using React and Node.js, improving page load times by 35% and increasing weekly active users by 20% through data-driven iteration and close collaboration with product and design.",
+
+  resumeFeedback: `- Lead each experience entry with a measurable outcome (percentages, revenue, time saved) rather than a list of duties.
+- Add the missing industry keywords you genuinely have experience with to the Skills section and weave them into relevant entries.
+- Tighten the professional summary to two or three sentences that name your specialty, seniority and strongest result.
+- Make sure every entry has a clear date range and consistent formatting so ATS parsers can read your timeline.`,
+
+  resumeImport: {
+    contactInfo: {
+      email: "jane.doe@example.com",
+      mobile: "+1 555 010 2030",
+      linkedin: "https://www.linkedin.com/in/janedoe",
+      twitter: "",
+    },
+    summary:
+      "Full-stack engineer with 6 years of experience building web platforms in React and Node.js.",
+    skills: "JavaScript, TypeScript, React, Node.js, PostgreSQL, AWS",
+    experience: [
+      {
+        title: "Senior Software Engineer",
+        organization: "Acme Corp",
+        startDate: "Mar 2021",
+        endDate: "",
+        current: true,
+        description:
+          "- Led the checkout rewrite, lifting conversion by 12%\n- Mentored four engineers",
+      },
+      {
+        title: "Software Engineer",
+        organization: "Initech",
+        startDate: "Jun 2018",
+        endDate: "Feb 2021",
+        current: false,
+        description: "- Built internal reporting tools used by 300 staff",
+      },
+    ],
+    education: [
+      {
+        title: "B.Sc. Computer Science",
+        organization: "State University",
+        startDate: "Sep 2014",
+        endDate: "Jun 2018",
+        current: false,
+        description: "",
+      },
+    ],
+    projects: [],
+    volunteering: [],
+    certifications: [
+      {
+        name: "AWS Certified Developer – Associate",
+        issuer: "Amazon Web Services",
+        issueDate: "May 2022",
+        expiryDate: "May 2025",
+        credentialId: "",
+        url: "",
+      },
+    ],
+    publications: [],
+    languages: [
+      { language: "English", proficiency: "Native" },
+      { language: "Spanish", proficiency: "Conversational" },
+    ],
+    awards: [],
+  },
+
+  roadmap: {
+    title: "Cloud-Native Backend Roadmap",
+    summary:
+      "Builds on your JavaScript and SQL experience to cover container orchestration, cloud deployment and system design.",
+    milestones: [
+      {
+        week: 1,
+        title: "Containerise a Node.js service",
+        description: "Package an existing API with Docker and run it alongside its database with Compose.",
+        skill: "Docker",
+        resources: [
+          { title: "Docker Get Started guide", url: "https://docs.docker.com/get-started/", type: "docs" },
+          { title: "Dockerize a Node.js app", type: "article" },
+        ],
+        checkpoints: [
+          "Write a multi-stage Dockerfile for a Node.js API",
+          "Run the API and PostgreSQL with docker compose",
+        ],
+      },
+      {
+        week: 3,
+        title: "Kubernetes fundamentals",
+        description: "Deploy the containerised service to a local cluster and expose it.",
+        skill: "Kubernetes",
+        resources: [
+          { title: "Kubernetes Basics tutorial", url: "https://kubernetes.io/docs/tutorials/kubernetes-basics/", type: "course" },
+          { title: "Deploy to a local kind cluster", type: "practice" },
+        ],
+        checkpoints: [
+          "Explain Pods, Deployments and Services",
+          "Deploy the API with a Deployment and a Service",
+          "Roll out a new version without downtime",
+        ],
+      },
+      {
+        week: 5,
+        title: "Ship it to AWS",
+        description: "Run the service on a managed cloud platform with a managed database.",
+        skill: "AWS",
+        resources: [
+          { title: "AWS Cloud Practitioner Essentials", type: "course" },
+          { title: "Deploy a container to ECS Fargate", type: "practice" },
+        ],
+        checkpoints: [
+          "Deploy the container to ECS or EKS",
+          "Connect it to an RDS PostgreSQL instance",
+        ],
+      },
+      {
+        week: 7,
+        title: "System design practice",
+        description: "Design scalable services and talk through the trade-offs out loud.",
+        skill: "System Design",
+        resources: [
+          { title: "Designing Data-Intensive Applications", type: "book" },
+          { title: "System design mock interviews", type: "video" },
+        ],
+        checkpoints: [
+          "Design a URL shortener end to end",
+          "Explain caching, sharding and replication trade-offs",
+        ],
+      },
+    ],
+  },
+};
@@ -0,0 +1,78 @@
+import { createGeminiProvider } from "./providers/gemini";
+import { createOpenAIProvider } from "./providers/openai";
+import { createFixtureProvider } from "./providers/fixture";
+
+// Every model call in the app goes through generateText() with one of these
+// feature names, so provider and model can be swapped per feature.
+export const AI_FEATURES = {
+  INSIGHTS: "insights",
+  QUIZ: "quiz",
+  IMPROVEMENT_TIP: "improvementTip",
+  COVER_LETTER: "coverLetter",
+  RESUME_IMPROVE: "resumeImprove",
+  RESUME_FEEDBACK: "resumeFeedback",
+  RESUME_IMPORT: "resumeImport",
+  ROADMAP: "roadmap",
+  ANSWER_GRADING: "answerGrading",
+  INTERVIEWER: "interviewer",
+  INTERVIEW_SCORECARD: "interviewScorecard",
+  STAR_QUESTIONS: "starQuestions",
+  STAR_GRADING: "starGrading",
+};
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  fixture: createFixtureProvider,
+};
+
+// Providers are created lazily and reused across requests.
+const providers = new Map();
+
+// "coverLetter" -> "COVER_LETTER"
+const toEnvSuffix = (feature) =>
+  feature.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+
+function getProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${name}". Expected one of: ${Object.keys(providerFactories).join(", ")}`
+    );
+  }
+  if (!providers.has(name)) providers.set(name, factory());
+  return providers.get(name);
+}
+
+/**
+ * Resolve the provider and model for a feature.
+ * AI_PROVIDER / AI_MODEL set the defaults; AI_PROVIDER_<FEATURE> and
+ * AI_MODEL_<FEATURE> (e.g. AI_MODEL_QUIZ) override them for one feature.
+ * AI_MODEL names a model of AI_PROVIDER, so a feature with its own provider
+ * uses AI_MODEL_<FEATURE> or that provider's default model.
+ */
+export function resolveModel(feature) {
+  const suffix = toEnvSuffix(feature);
+  const featureProvider = process.env[`AI_PROVIDER_${suffix}`];
+  const providerName = (
+    featureProvider ||
+    process.env.AI_PROVIDER ||
+    "gemini"
+  ).toLowerCase();
+  const provider = getProvider(providerName);
+  const model =
+    process.env[`AI_MODEL_${suffix}`] ||
+    (!featureProvider && process.env.AI_MODEL) ||
+    provider.defaultModel;
+
+  return { provider, model };
+}
+
+/**
+ * generateText sends a single-turn prompt to the model configured for
+ * `feature` and resolves with the response text ("" when the model returned nothing).
+ */
+export async function generateText(feature, prompt) {
+  const { provider, model } = resolveModel(feature);
+  return provider.generate({ feature, model, prompt });
+}
@@ -0,0 +1,17 @@
+import { fixtures } from "../fixtures";
+
+// Deterministic offline provider: returns the canned response recorded for
+// each feature so the app can run without network access or API keys.
+export function createFixtureProvider() {
+  return {
+    name: "fixture",
+    defaultModel: "fixture",
+    async generate({ feature }) {
+      const fixture = fixtures[feature];
+      if (fixture === undefined) {
+        throw new Error(`No AI fixture recorded for feature "${feature}"`);
+      }
+      return typeof fixture === "string" ? fixture : JSON.stringify(fixture);
+    },
+  };
+}
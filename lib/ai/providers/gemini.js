@@ -0,0 +1,20 @@
+import { GoogleGenAI } from "@google/genai";
+import { extractText } from "../response";
+
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+} = {}) {
+  const ai = new GoogleGenAI({ apiKey });
+
+  return {
+    name: "gemini",
+    defaultModel: "gemini-2.5-flash",
+    async generate({ model, prompt }) {
+      const response = await ai.models.generateContent({
+        model,
+        contents: [{ role: "user", parts: [{ text: prompt }] }],
+      });
+      return extractText(response);
+    },
+  };
+}
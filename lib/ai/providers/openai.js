@@ -0,0 +1,36 @@
+import { extractText } from "../response";
+
+// Works with any endpoint that speaks the OpenAI chat completions API
+// (OpenAI itself, Azure-compatible proxies, Ollama, LM Studio, vLLM, ...).
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+  model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+} = {}) {
+  return {
+    name: "openai",
+    defaultModel: model,
+    async generate({ model, prompt }) {
+      const res = await fetch(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+        }),
+      });
+
+      if (!res.ok) {
+        const body = await res.text().catch(() => "");
+        throw new Error(
+          `OpenAI-compatible request failed (${res.status}): ${body.slice(0, 500)}`
+        );
+      }
+
+      return extractText(await res.json());
+    },
+  };
+}
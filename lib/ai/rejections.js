@@ -0,0 +1,27 @@
+import { db } from "@/lib/prisma";
+
+/**
+ * recordModelRejection persists a model output that failed validation.
+ * It never throws: losing a debug record must not fail the request.
+ */
+export async function recordModelRejection({
+  feature,
+  subject,
+  attempt,
+  reason,
+  output,
+}) {
+  try {
+    await db.modelRejection.create({
+      data: {
+        feature,
+        subject: subject || null,
+        attempt,
+        reason,
+        output: output ? output.slice(0, 10000) : null,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to record model rejection:", error?.message || error);
+  }
+}
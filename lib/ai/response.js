@@ -0,0 +1,238 @@
+// Shared helpers for turning raw model output into text, JSON and validated data.
+// Every provider and action should go through these instead of parsing by hand.
+
+/**
+ * extractText returns the response text from any SDK response shape we have
+ * seen: plain strings, @google/genai (`.text` getter, candidates/parts),
+ * the legacy @google/generative-ai wrapper (`response.text()`), `output_text`,
+ * OpenAI chat completions (`choices[].message.content`) and the OpenAI
+ * responses API (`output[].content[].text`).
+ */
+export function extractText(res) {
+  if (!res) return "";
+  if (typeof res === "string") return res.trim();
+
+  if (typeof res.output_text === "string") return res.output_text.trim();
+  if (typeof res.text === "string") return res.text.trim();
+
+  // Some SDK variants expose .text() on the response or its wrapper
+  try {
+    if (typeof res.text === "function") {
+      const text = res.text();
+      if (typeof text === "string" && text.trim()) return text.trim();
+    }
+    if (res.response && typeof res.response.text === "function") {
+      const text = res.response.text();
+      if (typeof text === "string" && text.trim()) return text.trim();
+    }
+  } catch (e) {
+    // .text() throws when the response was blocked; fall through to the raw shapes
+  }
+
+  // Gemini candidate/parts shape (optionally nested under .response)
+  const candidates = res.response?.candidates || res.candidates;
+  if (Array.isArray(candidates) && candidates.length > 0) {
+    const content = candidates[0]?.content;
+    if (typeof content?.text === "string") return content.text.trim();
+    const parts = content?.parts || (Array.isArray(content) ? content : []);
+    const joined = parts.map((p) => p?.text || "").join("");
+    if (joined.trim()) return joined.trim();
+  }
+
+  // OpenAI chat completions / legacy completions
+  if (Array.isArray(res.choices) && res.choices.length > 0) {
+    const choice = res.choices[0];
+    const content = choice?.message?.content ?? choice?.text;
+    if (typeof content === "string") return content.trim();
+    if (Array.isArray(content)) {
+      return content.map((p) => p?.text || "").join("").trim();
+    }
+  }
+
+  // OpenAI responses API and other output[] shapes
+  if (Array.isArray(res.output) && res.output.length > 0) {
+    const joined = res.output
+      .map((item) => {
+        if (typeof item?.text === "string") return item.text;
+        if (typeof item?.content?.text === "string") return item.content.text;
+        if (Array.isArray(item?.content)) {
+          return item.content.map((c) => c?.text || "").join("");
+        }
+        return "";
+      })
+      .join("");
+    if (joined.trim()) return joined.trim();
+  }
+
+  return "";
+}
+
+/**
+ * stripCodeFences removes markdown code fences, returning the contents of the
+ * first fenced block when the text contains one. Fences only count at the
+ * start of a line, so ``` inside a JSON string value is left alone.
+ */
+export function stripCodeFences(text) {
+  if (!text) return "";
+  const fenced = text.match(/(?:^|\n)[ \t]*```[\w-]*[ \t]*\n?([\s\S]*?)\n?[ \t]*```[ \t]*(?=\n|$)/);
+  if (fenced) return fenced[1].trim();
+  // An unterminated fence (truncated output) still starts with ```json
+  return text.replace(/^\s*```[\w-]*[ \t]*\n?/, "").replace(/\n[ \t]*```\s*$/, "").trim();
+}
+
+// Slice from the first { or [ to the last matching closer, dropping any prose around the JSON.
+function sliceJSONBlock(text) {
+  const start = text.search(/[{[]/);
+  if (start === -1) return null;
+  const closer = text[start] === "{" ? "}" : "]";
+  const end = text.lastIndexOf(closer);
+  return end > start ? text.slice(start, end + 1) : text.slice(start);
+}
+
+const BARE_WORDS = {
+  true: "true",
+  false: "false",
+  null: "null",
+  True: "true",
+  False: "false",
+  None: "null",
+  undefined: "null",
+};
+
+/**
+ * repairJSON fixes the defects models commonly produce: smart quotes,
+ * single-quoted strings, unquoted keys, comments, trailing commas, raw
+ * newlines inside strings, Python literals and output truncated mid-object.
+ */
+export function repairJSON(text) {
+  if (!text) return "";
+  const src = text.replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+
+  let out = "";
+  const stack = [];
+  let quote = null; // the quote char of the string we are inside, if any
+
+  const dropTrailingComma = () => {
+    out = out.replace(/,\s*$/, "");
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (quote) {
+      if (ch === "\\") {
+        out += ch + (src[i + 1] ?? "");
+        i++;
+      } else if (ch === quote) {
+        out += '"';
+        quote = null;
+      } else if (ch === '"') {
+        out += '\\"'; // a double quote inside a single-quoted string
+      } else if (ch === "\n") {
+        out += "\\n";
+      } else if (ch === "\r") {
+        out += "\\r";
+      } else if (ch === "\t") {
+        out += "\\t";
+      } else {
+        out += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      out += '"';
+    } else if (ch === "/" && src[i + 1] === "/") {
+      while (i < src.length && src[i] !== "\n") i++;
+    } else if (ch === "/" && src[i + 1] === "*") {
+      const end = src.indexOf("*/", i + 2);
+      i = end === -1 ? src.length : end + 1;
+    } else if (ch === "{" || ch === "[") {
+      stack.push(ch === "{" ? "}" : "]");
+      out += ch;
+    } else if (ch === "}" || ch === "]") {
+      dropTrailingComma();
+      if (stack.length && stack[stack.length - 1] === ch) stack.pop();
+      out += ch;
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      let word = ch;
+      while (i + 1 < src.length && /[\w$-]/.test(src[i + 1])) word += src[++i];
+      const rest = src.slice(i + 1);
+      if (/^\s*:/.test(rest)) out += `"${word}"`;
+      else out += BARE_WORDS[word] ?? word;
+    } else {
+      out += ch;
+    }
+  }
+
+  // Close anything a truncated response left open
+  if (quote) out += '"';
+  out = out.replace(/,\s*$/, "").replace(/:\s*$/, ": null");
+  while (stack.length) {
+    dropTrailingComma();
+    out += stack.pop();
+  }
+
+  return out;
+}
+
+/**
+ * parseJSON tolerantly parses JSON out of model text. It tries, in order:
+ * the raw text, its outermost {...}/[...] slice, the fenced block, the slice
+ * of the fenced block, and that slice repaired. Returns null when nothing
+ * parses.
+ */
+export function parseJSON(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const unfenced = stripCodeFences(text);
+  const block = sliceJSONBlock(unfenced);
+  const attempts = [
+    text,
+    sliceJSONBlock(text),
+    unfenced,
+    block,
+    block && repairJSON(block),
+  ];
+
+  for (const candidate of attempts) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // try the next, more forgiving candidate
+    }
+  }
+  return null;
+}
+
+// Flatten zod issues into one readable line per problem, e.g. "growthRate: Expected number"
+export function formatZodIssues(error) {
+  return error.issues
+    .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+    .join("; ");
+}
+
+/**
+ * parseModelJSON extracts, parses and (optionally) validates model output.
+ * `input` may be a raw SDK response or text. Returns
+ * `{ success: true, data }` or `{ success: false, error, text }` so callers
+ * can log, retry or fall back without try/catch.
+ */
+export function parseModelJSON(input, schema) {
+  const text = extractText(input);
+  if (!text) return { success: false, error: "Empty model response", text };
+
+  const json = parseJSON(text);
+  if (json === null) {
+    return { success: false, error: "Response is not valid JSON", text };
+  }
+  if (!schema) return { success: true, data: json };
+
+  const result = schema.safeParse(json);
+  if (!result.success) {
+    return { success: false, error: formatZodIssues(result.error), text };
+  }
+  return { success: true, data: result.data };
+}
@@ -0,0 +1,239 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { z } from "zod";
+import {
+  extractText,
+  parseJSON,
+  parseModelJSON,
+  repairJSON,
+  stripCodeFences,
+} from "./response.js";
+
+// Model outputs as recorded from the providers, trimmed to the parts the
+// parser looks at
+const QUIZ_JSON = '{"questions":[{"question":"What does 201 mean?","correctAnswer":"Created"}]}';
+const QUIZ = { questions: [{ question: "What does 201 mean?", correctAnswer: "Created" }] };
+
+describe("extractText", () => {
+  test("plain strings", () => {
+    assert.equal(extractText(`  ${QUIZ_JSON}\n`), QUIZ_JSON);
+  });
+
+  test("@google/genai .text getter", () => {
+    const res = {
+      get text() {
+        return `${QUIZ_JSON}\n`;
+      },
+      candidates: [{ content: { parts: [{ text: "ignored" }] } }],
+    };
+    assert.equal(extractText(res), QUIZ_JSON);
+  });
+
+  test("Gemini candidates and parts, split across parts", () => {
+    const res = {
+      response: {
+        candidates: [
+          {
+            content: { role: "model", parts: [{ text: '{"questions":' }, { text: "[]}" }] },
+            finishReason: "STOP",
+          },
+        ],
+      },
+    };
+    assert.equal(extractText(res), '{"questions":[]}');
+  });
+
+  test("legacy @google/generative-ai response.text()", () => {
+    assert.equal(extractText({ response: { text: () => QUIZ_JSON } }), QUIZ_JSON);
+  });
+
+  test("blocked responses whose .text() throws fall through to candidates", () => {
+    const res = {
+      response: {
+        text: () => {
+          throw new Error("Response was blocked due to SAFETY");
+        },
+        candidates: [{ content: { parts: [{ text: "partial" }] } }],
+      },
+    };
+    assert.equal(extractText(res), "partial");
+  });
+
+  test("output_text", () => {
+    assert.equal(extractText({ output_text: ` ${QUIZ_JSON} ` }), QUIZ_JSON);
+  });
+
+  test("OpenAI chat completions", () => {
+    const res = {
+      object: "chat.completion",
+      choices: [{ index: 0, message: { role: "assistant", content: QUIZ_JSON } }],
+    };
+    assert.equal(extractText(res), QUIZ_JSON);
+  });
+
+  test("OpenAI chat completions with content parts", () => {
+    const res = {
+      choices: [{ message: { content: [{ type: "text", text: "a" }, { type: "text", text: "b" }] } }],
+    };
+    assert.equal(extractText(res), "ab");
+  });
+
+  test("OpenAI responses API output", () => {
+    const res = {
+      output: [
+        { type: "reasoning", summary: [] },
+        { type: "message", content: [{ type: "output_text", text: QUIZ_JSON }] },
+      ],
+    };
+    assert.equal(extractText(res), QUIZ_JSON);
+  });
+
+  test("empty and unknown shapes", () => {
+    assert.equal(extractText(null), "");
+    assert.equal(extractText({}), "");
+    assert.equal(extractText({ candidates: [] }), "");
+  });
+});
+
+describe("stripCodeFences", () => {
+  test("json fence", () => {
+    assert.equal(stripCodeFences("```json\n{\"a\":1}\n```"), '{"a":1}');
+  });
+
+  test("fence without a language, with prose around it", () => {
+    const text = "Here is the quiz:\n```\n{\"a\":1}\n```\nGood luck!";
+    assert.equal(stripCodeFences(text), '{"a":1}');
+  });
+
+  test("backticks inside a string value are not a fence", () => {
+    const text = '{"code":"use ```js``` fences"}';
+    assert.equal(stripCodeFences(text), text);
+  });
+
+  test("backticks inside a fenced string value", () => {
+    const text = '```json\n{"code":"use ```js``` fences"}\n```';
+    assert.equal(stripCodeFences(text), '{"code":"use ```js``` fences"}');
+  });
+
+  test("unterminated fence from truncated output", () => {
+    assert.equal(stripCodeFences('```json\n{"a":1'), '{"a":1');
+  });
+
+  test("text without fences", () => {
+    assert.equal(stripCodeFences(' {"a":1} '), '{"a":1}');
+    assert.equal(stripCodeFences(""), "");
+  });
+});
+
+describe("repairJSON", () => {
+  const repaired = (text) => JSON.parse(repairJSON(text));
+
+  test("smart quotes", () => {
+    assert.deepEqual(repaired("{“role”: “Engineer”}"), { role: "Engineer" });
+  });
+
+  test("single-quoted strings with double quotes inside", () => {
+    assert.deepEqual(repaired(`{'tip': 'Say "no" politely'}`), { tip: 'Say "no" politely' });
+  });
+
+  test("unquoted keys", () => {
+    assert.deepEqual(repaired("{growthRate: 12.5, demand-level: 'High'}"), {
+      growthRate: 12.5,
+      "demand-level": "High",
+    });
+  });
+
+  test("comments and trailing commas", () => {
+    const text = `{
+      // salary in USD
+      "min": 85000, /* estimate */
+      "skills": ["SQL", "React",],
+    }`;
+    assert.deepEqual(repaired(text), { min: 85000, skills: ["SQL", "React"] });
+  });
+
+  test("raw newlines and tabs inside strings", () => {
+    assert.deepEqual(repaired('{"content": "Dear team,\n\tThanks"}'), {
+      content: "Dear team,\n\tThanks",
+    });
+  });
+
+  test("Python literals", () => {
+    assert.deepEqual(repaired("{'remote': True, 'visa': False, 'bonus': None}"), {
+      remote: true,
+      visa: false,
+      bonus: null,
+    });
+  });
+
+  test("output truncated mid-object", () => {
+    assert.deepEqual(repaired('{"questions": [{"question": "What is a clos'), {
+      questions: [{ question: "What is a clos" }],
+    });
+    assert.deepEqual(repaired('{"a": 1, "b":'), { a: 1, b: null });
+  });
+});
+
+describe("parseJSON", () => {
+  test("raw JSON", () => {
+    assert.deepEqual(parseJSON(QUIZ_JSON), QUIZ);
+  });
+
+  test("fenced JSON with prose", () => {
+    assert.deepEqual(parseJSON(`Sure! Here you go:\n\`\`\`json\n${QUIZ_JSON}\n\`\`\``), QUIZ);
+  });
+
+  test("JSON with prose and fences inside a string value", () => {
+    const text = 'Result: {"code":"use ```js``` fences"} Hope this helps.';
+    assert.deepEqual(parseJSON(text), { code: "use ```js``` fences" });
+  });
+
+  test("fenced JSON that needs repair", () => {
+    const text = "```json\n{questions: [{'question': 'Why?', correctAnswer: 'Because',},]}\n```";
+    assert.deepEqual(parseJSON(text), {
+      questions: [{ question: "Why?", correctAnswer: "Because" }],
+    });
+  });
+
+  test("top-level arrays", () => {
+    assert.deepEqual(parseJSON("Tips:\n[\"one\", \"two\",]"), ["one", "two"]);
+  });
+
+  test("text without JSON", () => {
+    assert.equal(parseJSON("I cannot help with that."), null);
+    assert.equal(parseJSON(""), null);
+    assert.equal(parseJSON(undefined), null);
+  });
+});
+
+describe("parseModelJSON", () => {
+  const schema = z.object({
+    questions: z.array(z.object({ question: z.string(), correctAnswer: z.string() })),
+  });
+
+  test("validates a raw SDK response against the schema", () => {
+    const res = { choices: [{ message: { content: `\`\`\`json\n${QUIZ_JSON}\n\`\`\`` } }] };
+    assert.deepEqual(parseModelJSON(res, schema), { success: true, data: QUIZ });
+  });
+
+  test("returns the data unvalidated without a schema", () => {
+    assert.deepEqual(parseModelJSON('{"a":1}'), { success: true, data: { a: 1 } });
+  });
+
+  test("reports schema issues with their paths", () => {
+    const result = parseModelJSON('{"questions":[{"question":1}]}', schema);
+    assert.equal(result.success, false);
+    assert.match(result.error, /^questions\.0\.question: /);
+    assert.match(result.error, /questions\.0\.correctAnswer: Required/);
+    assert.equal(result.text, '{"questions":[{"question":1}]}');
+  });
+
+  test("reports empty and non-JSON responses", () => {
+    assert.deepEqual(parseModelJSON({ candidates: [] }, schema), {
+      success: false,
+      error: "Empty model response",
+      text: "",
+    });
+    assert.equal(parseModelJSON("No JSON here", schema).error, "Response is not valid JSON");
+  });
+});
@@ -0,0 +1,42 @@
+import { generateText } from "./index";
+import { parseModelJSON } from "./response";
+import { recordModelRejection } from "./rejections";
+
+/**
+ * generateJSON asks the model for JSON matching `schema`. When the output
+ * fails to parse or validate, the rejection is recorded and the model is
+ * re-prompted with the validation errors, up to `maxAttempts` times.
+ *
+ * `generate(prompt, attempt)` and `onRejection(rejection)` can be overridden,
+ * e.g. to wrap each attempt in an Inngest step.
+ */
+export async function generateJSON({
+  feature,
+  prompt,
+  schema,
+  subject,
+  maxAttempts = 3,
+  generate = (p) => generateText(feature, p),
+  onRejection = recordModelRejection,
+}) {
+  let attemptPrompt = prompt;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const text = await generate(attemptPrompt, attempt);
+    const parsed = parseModelJSON(text, schema);
+    if (parsed.success) return parsed.data;
+
+    lastError = parsed.error;
+    await onRejection({ feature, subject, attempt, reason: parsed.error, output: text });
+
+    attemptPrompt = `${prompt}
+
+Your previous response was rejected because: ${parsed.error}
+Return ONLY corrected JSON in the exact format requested above.`;
+  }
+
+  throw new Error(
+    `Model output for ${feature} failed validation after ${maxAttempts} attempts: ${lastError}`
+  );
+}
@@ -0,0 +1,239 @@
+import { spawn } from "node:child_process";
+import { tmpdir } from "node:os";
+import { isDeepStrictEqual } from "node:util";
+import pLimit from "p-limit";
+import { FUNCTION_NAME_PATTERN } from "@/app/lib/quiz";
+
+// Limits for one run of a candidate's solution against a set of tests
+export const CODE_RUN_LIMITS = {
+  testTimeoutMs: 1000, // per call of the solution
+  totalTimeoutMs: 5000, // whole run, including startup
+  memoryMb: 64,
+  outputKb: 256, // results written back by the runner
+};
+
+// Each run gets its own process; only a couple run at once
+const limit = pLimit(2);
+
+// Node's permission model: no file system, child processes, workers or
+// addons. Named --permission from Node 22.
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has("--permission")
+  ? "--permission"
+  : "--experimental-permission";
+
+// Runs in a separate node process started with PERMISSION_FLAG, an empty env,
+// a heap cap and eval/new Function disabled, and killed when the run
+// overruns; that process is the security boundary. vm is not one: the
+// solution is evaluated in a fresh vm context only so it sees no require,
+// process or host objects. Arguments go in and results come out as JSON
+// strings. import() is answered with an error from the context's own realm
+// (which needs --experimental-vm-modules), since a host error would hand the
+// solution the host's Function constructor.
+const RUNNER_SOURCE = `
+const vm = require("node:vm");
+
+const send = (message) => process.stdout.write(JSON.stringify(message) + "\\n");
+
+function main({ code, functionName, inputs, timeoutMs }) {
+  const describe = (error) =>
+    error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT"
+      ? "Timed out after " + timeoutMs + "ms"
+      : String((error && error.message) || error).slice(0, 300);
+
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: "afterEvaluate",
+  });
+  const importError = vm.runInContext("new Error('Imports are not allowed')", context);
+  const run = (source) =>
+    vm.runInContext(source, context, {
+      timeout: timeoutMs,
+      importModuleDynamically: () => Promise.reject(importError),
+    });
+
+  try {
+    run("globalThis.console = { log() {}, info() {}, warn() {}, error() {} };");
+    run(code);
+    const found = run("typeof " + functionName + " === 'function'");
+    if (!found) throw new Error("Define a function named " + functionName);
+    run("globalThis.__solution = " + functionName + ";");
+  } catch (error) {
+    send({ setupError: describe(error) });
+    return;
+  }
+
+  inputs.forEach((input, index) => {
+    const started = Date.now();
+    try {
+      context.__input = input;
+      const output = run(
+        "(() => { const r = __solution(...JSON.parse(__input)); return r === undefined ? undefined : JSON.stringify(r); })()"
+      );
+      send({ index, output: typeof output === "string" ? output : null, ms: Date.now() - started });
+    } catch (error) {
+      send({ index, error: describe(error), ms: Date.now() - started });
+    }
+  });
+}
+
+let payload = "";
+process.stdin.setEncoding("utf8");
+process.stdin.on("data", (chunk) => (payload += chunk));
+process.stdin.on("end", () => main(JSON.parse(payload)));
+`;
+
+const parseOutput = (output) => {
+  try {
+    return output === null ? undefined : JSON.parse(output);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * runCodeTests calls the candidate's `functionName` from `code` once per
+ * test ({ input: [args], output }) in a locked-down child process, within
+ * CODE_RUN_LIMITS. Resolves with one { passed, actual, error, ms } per test,
+ * in order; a run that crashes or overruns fails the remaining tests.
+ */
+export function runCodeTests({ code, functionName, tests }) {
+  // The name is spliced into the runner's source
+  if (!FUNCTION_NAME_PATTERN.test(functionName)) {
+    throw new Error(`Invalid function name "${functionName}"`);
+  }
+
+  return limit(
+    () =>
+      new Promise((resolve) => {
+        const results = new Array(tests.length).fill(null);
+        let failure = null;
+        let stdout = "";
+        let stderr = "";
+        let outOfMemory = false;
+
+        const child = spawn(
+          process.execPath,
+          [
+            PERMISSION_FLAG,
+            "--experimental-vm-modules",
+            "--disallow-code-generation-from-strings",
+            `--max-old-space-size=${CODE_RUN_LIMITS.memoryMb}`,
+            "--no-warnings",
+            "-e",
+            RUNNER_SOURCE,
+          ],
+          { cwd: tmpdir(), env: {}, stdio: ["pipe", "pipe", "pipe"] }
+        );
+
+        const stop = (reason) => {
+          failure ??= reason;
+          child.kill("SIGKILL");
+        };
+        const timer = setTimeout(
+          () => stop(`Time limit of ${CODE_RUN_LIMITS.totalTimeoutMs}ms exceeded`),
+          CODE_RUN_LIMITS.totalTimeoutMs
+        );
+
+        const handle = (message) => {
+          if (message.setupError) {
+            failure = message.setupError;
+            return;
+          }
+          const test = tests[message.index];
+          if (!test) return;
+          const actual = parseOutput(message.output);
+          results[message.index] = {
+            passed: !message.error && isDeepStrictEqual(actual, test.output),
+            actual,
+            error: message.error ?? null,
+            ms: message.ms,
+          };
+        };
+
+        // One JSON message per line
+        child.stdout.setEncoding("utf8");
+        child.stdout.on("data", (chunk) => {
+          stdout += chunk;
+          if (stdout.length > CODE_RUN_LIMITS.outputKb * 1024) {
+            stop(`Output limit of ${CODE_RUN_LIMITS.outputKb}KB exceeded`);
+            return;
+          }
+          const lines = stdout.split("\n");
+          stdout = lines.pop();
+          lines.forEach((line) => {
+            try {
+              handle(JSON.parse(line));
+            } catch {
+              // not a runner message
+            }
+          });
+        });
+
+        child.stderr.setEncoding("utf8");
+        // V8's out-of-memory report is followed by a native stack trace of
+        // varying length, so it is looked for as stderr arrives
+        child.stderr.on("data", (chunk) => {
+          const text = stderr + chunk;
+          outOfMemory ||= /heap out of memory/i.test(text);
+          // Enough to catch the phrase split across chunks
+          stderr = text.slice(-100);
+        });
+
+        child.on("error", () => stop("Could not start the code runner"));
+
+        child.on("close", (exitCode) => {
+          clearTimeout(timer);
+          if (exitCode !== 0 && !failure) {
+            failure = outOfMemory
+              ? `Memory limit of ${CODE_RUN_LIMITS.memoryMb}MB exceeded`
+              : "Your code crashed the runner";
+          }
+          resolve(
+            results.map(
+              (result) =>
+                result ?? {
+                  passed: false,
+                  actual: undefined,
+                  error: failure ?? "Not run",
+                  ms: 0,
+                }
+            )
+          );
+        });
+
+        child.stdin.on("error", () => {});
+        child.stdin.end(
+          JSON.stringify({
+            code,
+            functionName,
+            inputs: tests.map((test) => JSON.stringify(test.input)),
+            timeoutMs: CODE_RUN_LIMITS.testTimeoutMs,
+          })
+        );
+      })
+  );
+}
+
+/**
+ * verifyCodeQuestions runs each generated question's reference `solution`
+ * against its examples and hidden tests, drops the cases it fails (the model
+ * got the expected output wrong) and drops questions left without an example
+ * or a hidden test.
+ */
+export async function verifyCodeQuestions(questions) {
+  const verified = await Promise.all(
+    questions.map(async (q) => {
+      const cases = [...q.examples, ...q.tests];
+      const results = await runCodeTests({
+        code: q.solution,
+        functionName: q.functionName,
+        tests: cases,
+      });
+      const passes = (_, i) => results[i].passed;
+      const examples = q.examples.filter(passes);
+      const tests = q.tests.filter((_, i) => results[q.examples.length + i].passed);
+      return examples.length && tests.length ? { ...q, examples, tests } : null;
+    })
+  );
+  return verified.filter(Boolean);
+}
@@ -0,0 +1,135 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { codingQuestions } from "../data/codingQuestions.js";
+import { CODE_RUN_LIMITS, runCodeTests, verifyCodeQuestions } from "./code-runner.js";
+
+const run = (code, tests = [{ input: [], output: null }]) =>
+  runCodeTests({ code, functionName: "solve", tests });
+
+describe("runCodeTests", () => {
+  test("a passing solution", async () => {
+    const results = await run("function solve(a, b) { return [a + b, { sum: a + b }]; }", [
+      { input: [1, 2], output: [3, { sum: 3 }] },
+      { input: [2, 2], output: [5, { sum: 5 }] },
+    ]);
+    assert.deepEqual(
+      results.map(({ passed, actual, error }) => ({ passed, actual, error })),
+      [
+        { passed: true, actual: [3, { sum: 3 }], error: null },
+        { passed: false, actual: [4, { sum: 4 }], error: null },
+      ]
+    );
+  });
+
+  test("a missing function or a syntax error fails every test", async () => {
+    const [missing] = await run("function other() {}");
+    assert.equal(missing.error, "Define a function named solve");
+    const [syntax] = await run("function solve( {");
+    assert.equal(syntax.passed, false);
+    assert.match(syntax.error, /Unexpected|SyntaxError/);
+  });
+
+  test("an infinite loop times out that test only", async () => {
+    const results = await run("function solve(n) { while (n) {} return n; }", [
+      { input: [1], output: 1 },
+      { input: [0], output: 0 },
+    ]);
+    assert.equal(results[0].passed, false);
+    assert.equal(results[0].error, `Timed out after ${CODE_RUN_LIMITS.testTimeoutMs}ms`);
+    assert.equal(results[1].passed, true);
+  });
+
+  test("overrunning the time limit for the whole run fails the remaining tests", async () => {
+    const waitMs = CODE_RUN_LIMITS.testTimeoutMs - 100;
+    const count = Math.ceil(CODE_RUN_LIMITS.totalTimeoutMs / waitMs) + 1;
+    const results = await run(
+      `function solve() { const end = Date.now() + ${waitMs}; while (Date.now() < end) {} return 1; }`,
+      Array.from({ length: count }, () => ({ input: [], output: 1 }))
+    );
+    assert.equal(results[0].passed, true);
+    assert.deepEqual(results.at(-1), {
+      passed: false,
+      actual: undefined,
+      error: `Time limit of ${CODE_RUN_LIMITS.totalTimeoutMs}ms exceeded`,
+      ms: 0,
+    });
+  });
+
+  test("no require, process or other host globals", async () => {
+    const [result] = await run(
+      "function solve() { return [typeof require, typeof process, typeof module, typeof fetch, typeof Buffer]; }"
+    );
+    assert.deepEqual(result.actual, Array(5).fill("undefined"));
+  });
+
+  test("eval and the Function constructor are blocked", async () => {
+    const [result] = await run(`function solve() {
+      return [
+        () => eval("1 + 1"),
+        () => new Function("return 1")(),
+        () => solve.constructor("return 1")(),
+        () => this.constructor.constructor("return process")(),
+      ].map((attempt) => {
+        try {
+          return String(attempt());
+        } catch (error) {
+          return error.name;
+        }
+      });
+    }`);
+    assert.deepEqual(result.actual, Array(4).fill("EvalError"));
+  });
+
+  test("import() is rejected inside the sandbox", async () => {
+    const results = await run(
+      `let seen = "pending";
+      import("node:fs").then(
+        () => { seen = "imported"; },
+        (error) => { seen = error.message; }
+      );
+      function solve() { return seen; }`,
+      [
+        { input: [], output: null },
+        { input: [], output: null },
+      ]
+    );
+    // A host error here would carry the host's Function constructor
+    for (const { actual } of results) {
+      assert.ok(["pending", "Imports are not allowed"].includes(actual), actual);
+    }
+  });
+
+  test("exhausting the heap stops the run", async () => {
+    const [result] = await run(
+      "function solve() { const chunks = []; while (true) chunks.push(new Array(1e6).fill(1)); }"
+    );
+    assert.equal(result.passed, false);
+    assert.equal(result.error, `Memory limit of ${CODE_RUN_LIMITS.memoryMb}MB exceeded`);
+  });
+
+  test("rejects function names that are not identifiers", () => {
+    assert.throws(
+      () => runCodeTests({ code: "", functionName: "solve; process", tests: [] }),
+      /Invalid function name/
+    );
+  });
+});
+
+describe("verifyCodeQuestions", () => {
+  test("the offline coding questions pass their own tests", async () => {
+    assert.deepEqual(await verifyCodeQuestions(codingQuestions), codingQuestions);
+  });
+
+  test("drops wrong cases, and questions left without an example or test", async () => {
+    const [question] = codingQuestions;
+    const verified = await verifyCodeQuestions([
+      {
+        ...question,
+        examples: [...question.examples, { input: [[1, 2]], output: 3 }],
+        tests: [{ input: [[2]], output: 1 }, ...question.tests],
+      },
+      { ...question, tests: [{ input: [[2]], output: 1 }] },
+    ]);
+    assert.deepEqual(verified, [question]);
+  });
+});
@@ -0,0 +1,230 @@
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  TextRun,
+} from "docx";
+import {
+  expandLinkLabels,
+  parseMarkdownBlocks,
+  splitSections,
+} from "./markdown";
+import { getTemplate } from "./templates";
+
+// Word rendering of resume and cover letter markdown. The layout is a single
+// column of real headings, paragraphs and lists (no tables or text boxes) so
+// ATS parsers read it in order; two-column templates keep their typography
+// but not the sidebar.
+
+const ORDERED_LIST = "ordered-list";
+
+// docx sizes: fonts in half-points, spacing and margins in twentieths of a point
+const halfPoints = (pt) => Math.round(pt * 2);
+const twips = (pt) => Math.round(pt * 20);
+const hex = (color) => color.replace("#", "");
+
+const ALIGNMENT = { left: AlignmentType.LEFT, center: AlignmentType.CENTER };
+
+function spansToRuns(tpl, spans, options = {}) {
+  const { size = tpl.fontSize, color = tpl.colors.text, bold = false, italic = false } = options;
+
+  return spans.map((span) => {
+    // Hard line breaks inside a span (cover letter sign-offs) become breaks
+    const runs = span.text.split("\n").map(
+      (text, i) =>
+        new TextRun({
+          text,
+          break: i > 0 ? 1 : undefined,
+          font: span.code ? "Courier New" : tpl.wordFont,
+          size: halfPoints(size),
+          bold: span.bold || bold,
+          italics: span.italic || italic,
+          color: hex(span.link ? tpl.colors.link : color),
+          underline: span.link ? {} : undefined,
+        })
+    );
+    return span.link
+      ? new ExternalHyperlink({ link: span.link, children: runs })
+      : runs;
+  }).flat();
+}
+
+function sectionHeading(tpl, title) {
+  const border =
+    tpl.sectionStyle === "rule"
+      ? { bottom: { style: BorderStyle.SINGLE, size: 6, color: hex(tpl.colors.rule), space: 1 } }
+      : undefined;
+
+  return new Paragraph({
+    heading: HeadingLevel.HEADING_2,
+    keepNext: true,
+    border,
+    spacing: { before: twips(tpl.blockGap * 2), after: twips(tpl.blockGap) },
+    children: spansToRuns(
+      tpl,
+      [{ text: tpl.uppercaseSections ? title.toUpperCase() : title }],
+      { size: tpl.sectionSize, color: tpl.colors.accent, bold: true }
+    ),
+  });
+}
+
+function blockToParagraphs(tpl, block, previous, listIndex) {
+  switch (block.type) {
+    case "heading": {
+      const size = block.level <= 2 ? tpl.sectionSize : tpl.entrySize;
+      return [
+        new Paragraph({
+          heading: block.level <= 2 ? HeadingLevel.HEADING_2 : HeadingLevel.HEADING_3,
+          alignment: ALIGNMENT[block.align],
+          keepNext: true,
+          spacing: { before: previous ? twips(tpl.blockGap) : 0, after: twips(1) },
+          children: spansToRuns(tpl, block.spans, { size, bold: true }),
+        }),
+      ];
+    }
+    case "paragraph": {
+      const isDateLine =
+        previous?.type === "heading" &&
+        previous.level >= 3 &&
+        block.spans.reduce((n, s) => n + s.text.length, 0) < 60;
+      return [
+        new Paragraph({
+          alignment: ALIGNMENT[block.align],
+          spacing: { after: twips(isDateLine ? 2 : tpl.blockGap) },
+          children: spansToRuns(tpl, block.spans, {
+            color: isDateLine ? tpl.colors.muted : tpl.colors.text,
+            italic: isDateLine,
+          }),
+        }),
+      ];
+    }
+    case "list":
+      return block.items.map(
+        (item, i) =>
+          new Paragraph({
+            ...(block.ordered
+              ? { numbering: { reference: ORDERED_LIST, level: 0, instance: listIndex } }
+              : { bullet: { level: 0 } }),
+            spacing: { after: twips(i === block.items.length - 1 ? tpl.blockGap : 1) },
+            children: spansToRuns(tpl, item),
+          })
+      );
+    case "rule":
+      return [
+        new Paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: hex(tpl.colors.rule), space: 1 } },
+          spacing: { after: twips(tpl.blockGap) },
+        }),
+      ];
+    default:
+      return [];
+  }
+}
+
+function blocksToParagraphs(tpl, blocks) {
+  // Every ordered list restarts its numbering
+  let lists = 0;
+  return blocks.flatMap((block, i) =>
+    blockToParagraphs(tpl, block, blocks[i - 1], block.type === "list" ? ++lists : 0)
+  );
+}
+
+function headerToParagraphs(tpl, blocks) {
+  return blocks.flatMap((block) => {
+    if (block.type === "heading") {
+      return new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        alignment: ALIGNMENT[tpl.headerAlign],
+        spacing: { after: twips(2) },
+        children: spansToRuns(tpl, block.spans, { size: tpl.nameSize, bold: true }),
+      });
+    }
+    if (block.type === "paragraph") {
+      return new Paragraph({
+        alignment: ALIGNMENT[tpl.headerAlign],
+        spacing: { after: twips(2) },
+        children: spansToRuns(tpl, expandLinkLabels(block.spans), {
+          color: tpl.colors.muted,
+        }),
+      });
+    }
+    return blockToParagraphs(tpl, block);
+  });
+}
+
+/**
+ * renderDocx renders resume or cover letter markdown to a Word document.
+ *
+ * @param {string} markdown
+ * @param {{ template?: string, kind?: "resume" | "coverLetter", title?: string }} options
+ * @returns {Promise<Buffer>}
+ */
+export function renderDocx(markdown, { template, kind = "resume", title } = {}) {
+  const tpl = getTemplate(template);
+  const blocks = parseMarkdownBlocks(markdown, { breaks: kind === "coverLetter" });
+
+  let children;
+  if (kind === "resume") {
+    const { header, sections } = splitSections(blocks);
+    children = [
+      ...headerToParagraphs(tpl, header),
+      ...sections.flatMap((section) => [
+        sectionHeading(tpl, section.title),
+        ...blocksToParagraphs(tpl, section.blocks),
+      ]),
+    ];
+  } else {
+    children = blocksToParagraphs(tpl, blocks);
+  }
+
+  const doc = new Document({
+    title: title || (kind === "resume" ? "Resume" : "Cover Letter"),
+    styles: {
+      default: {
+        document: {
+          run: { font: tpl.wordFont, size: halfPoints(tpl.fontSize), color: hex(tpl.colors.text) },
+        },
+      },
+    },
+    numbering: {
+      config: [
+        {
+          reference: ORDERED_LIST,
+          levels: [
+            {
+              level: 0,
+              format: LevelFormat.DECIMAL,
+              text: "%1.",
+              alignment: AlignmentType.LEFT,
+              style: { paragraph: { indent: { left: 360, hanging: 260 } } },
+            },
+          ],
+        },
+      ],
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            // A4, matching the PDF export
+            size: { width: 11906, height: 16838 },
+            margin: {
+              top: twips(tpl.margin),
+              right: twips(tpl.margin),
+              bottom: twips(tpl.margin),
+              left: twips(tpl.margin),
+            },
+          },
+        },
+        children,
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+}
@@ -0,0 +1,211 @@
+// Small markdown reader for the exporters. It understands the subset the
+// resume builder and cover letter generator produce: headings, paragraphs,
+// bullet/numbered lists, rules, **bold**, *italic*, `code`, [links](url) and
+// the <div align="center"> wrapper around the resume header.
+
+// Emoji and pictographs (the resume header uses 📧 📱 💼 🐦) cannot be drawn
+// with the PDF fonts and mean nothing to ATS parsers
+const EMOJI_RE = /[\u{1F000}-\u{1FAFF}\u{2600}-\u{27BF}\u{FE0F}\u{200D}]/gu;
+
+const INLINE_RE = /(\*\*\*|\*\*|__|\*|`)|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+export function cleanText(text) {
+  return text
+    .replace(EMOJI_RE, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/[ \t]{2,}/g, " ");
+}
+
+/**
+ * parseInline splits a line into styled spans:
+ * [{ text, bold, italic, code, link }]
+ */
+export function parseInline(text) {
+  const spans = [];
+  const style = { bold: false, italic: false, code: false };
+  const push = (value, extra = {}) => {
+    if (!value) return;
+    spans.push({ text: value, ...style, link: null, ...extra });
+  };
+
+  const source = cleanText(text);
+  let last = 0;
+  for (const match of source.matchAll(INLINE_RE)) {
+    push(source.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const [, marker, linkText, url] = match;
+    if (linkText) {
+      push(linkText, { link: url });
+    } else if (style.code && marker !== "`") {
+      push(marker);
+    } else if (marker === "`") {
+      style.code = !style.code;
+    } else if (marker === "***") {
+      style.bold = !style.bold;
+      style.italic = !style.italic;
+    } else if (marker === "**" || marker === "__") {
+      style.bold = !style.bold;
+    } else {
+      style.italic = !style.italic;
+    }
+  }
+  push(source.slice(last));
+
+  // Collapse leading/trailing whitespace of the line
+  if (spans.length) {
+    spans[0].text = spans[0].text.replace(/^\s+/, "");
+    spans[spans.length - 1].text = spans[spans.length - 1].text.replace(/\s+$/, "");
+  }
+  return spans.filter((span) => span.text);
+}
+
+export const spansToText = (spans) => spans.map((s) => s.text).join("");
+
+const LIST_ITEM_RE = /^\s*([-*+•]|\d+[.)])\s+(.*)$/;
+
+/**
+ * parseMarkdownBlocks turns markdown into a flat list of blocks:
+ *   { type: "heading", level, spans, align }
+ *   { type: "paragraph", spans, align }
+ *   { type: "list", ordered, items: spans[], align }
+ *   { type: "rule" }
+ *
+ * With `breaks`, single line breaks inside a paragraph are kept (letters and
+ * sign-offs) instead of being joined with a space.
+ */
+export function parseMarkdownBlocks(markdown, { breaks = false } = {}) {
+  const blocks = [];
+  let align = "left";
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) {
+      const spans = parseInline(paragraph.join(breaks ? "\n" : " "));
+      if (spans.length) blocks.push({ type: "paragraph", spans, align });
+    }
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list?.items.length) {
+      blocks.push({ ...list, items: list.items.map(parseInline) });
+    }
+    list = null;
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+  };
+
+  for (const rawLine of (markdown || "").replace(/\r\n?/g, "\n").split("\n")) {
+    let line = rawLine;
+
+    // <div align="center"> ... </div> centers everything in between
+    const opensCenter = /<div[^>]*align=["']?center/i.test(line);
+    const closesDiv = /<\/div>/i.test(line);
+    if (opensCenter && !closesDiv) {
+      flush();
+      align = "center";
+    }
+    let lineAlign = align;
+    if (opensCenter && closesDiv) lineAlign = "center";
+
+    line = line.replace(/<\/?div[^>]*>/gi, "");
+    if (closesDiv && !opensCenter) {
+      if (line.trim()) paragraph.push(line.trim());
+      flush();
+      align = "left";
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed) {
+      flush();
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flush();
+      const spans = parseInline(heading[2].replace(/\s+#+$/, ""));
+      if (spans.length) {
+        blocks.push({
+          type: "heading",
+          level: heading[1].length,
+          spans,
+          align: lineAlign,
+        });
+      }
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      flush();
+      blocks.push({ type: "rule" });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_RE);
+    if (item) {
+      flushParagraph();
+      const ordered = /\d/.test(item[1]);
+      if (!list || list.ordered !== ordered) {
+        flushList();
+        list = { type: "list", ordered, items: [], align: lineAlign };
+      }
+      list.items.push(item[2]);
+      continue;
+    }
+
+    // Indented continuation of the previous list item
+    if (list && /^\s{2,}/.test(line)) {
+      list.items[list.items.length - 1] += ` ${trimmed}`;
+      continue;
+    }
+
+    flushList();
+    paragraph.push(trimmed);
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * splitSections groups blocks under their "##" headings. Blocks before the
+ * first left-aligned "##" (the resume's centered name and contact line) form
+ * the header.
+ */
+export function splitSections(blocks) {
+  const header = [];
+  const sections = [];
+  for (const block of blocks) {
+    if (block.type === "heading" && block.level <= 2 && block.align !== "center") {
+      sections.push({ title: spansToText(block.spans), heading: block, blocks: [] });
+    } else if (sections.length) {
+      sections[sections.length - 1].blocks.push(block);
+    } else {
+      header.push(block);
+    }
+  }
+  return { header, sections };
+}
+
+// Links in the contact line are written out ("linkedin.com/in/jane" instead
+// of "LinkedIn") so the URL survives copy-paste and ATS text extraction
+export function expandLinkLabels(spans) {
+  return spans.map((span) => {
+    if (!span.link || /\s/.test(span.text)) return span;
+    const url = span.link.replace(/^https?:\/\/(www\.)?/i, "").replace(/\/$/, "");
+    return url.toLowerCase().includes(span.text.toLowerCase())
+      ? { ...span, text: url }
+      : span;
+  });
+}
@@ -0,0 +1,347 @@
+import { readFileSync } from "node:fs";
+import path from "node:path";
+import * as fontkit from "fontkit";
+import PDFDocument from "pdfkit";
+import { expandLinkLabels, parseMarkdownBlocks, splitSections } from "./markdown";
+import { getTemplate } from "./templates";
+
+// Text-based PDF rendering of resume and cover letter markdown. Everything is
+// drawn as real text (selectable, readable by ATS parsers) in the chosen
+// template's fonts, embedded in the PDF.
+
+const BULLET_INDENT = 14;
+
+const FONT_DIR = path.join(process.cwd(), "node_modules", "dejavu-fonts-ttf", "ttf");
+
+// Drawn in place of characters a font has no glyph for (CJK in DejaVu)
+const MISSING_GLYPH = "?";
+
+const fonts = new Map();
+
+// A template font file, read once per server process: its bytes for pdfkit
+// and the parsed font to look up which characters it can draw
+function loadFont(file) {
+  if (!fonts.has(file)) {
+    const data = readFileSync(path.join(FONT_DIR, file));
+    fonts.set(file, { data, font: fontkit.create(data) });
+  }
+  return fonts.get(file);
+}
+
+// Replaces characters `file` cannot draw, which pdfkit would render as empty
+// boxes; invisible formatting characters it lacks are dropped
+function drawableText(file, text) {
+  const { font } = loadFont(file);
+  return Array.from(text, (char) =>
+    /\s/.test(char) || font.hasGlyphForCodePoint(char.codePointAt(0))
+      ? char
+      : /\p{Cf}/u.test(char)
+      ? ""
+      : MISSING_GLYPH
+  ).join("");
+}
+
+function fontFor(tpl, span) {
+  if (span.code) return tpl.fonts.code;
+  if (span.bold && span.italic) return tpl.fonts.boldItalic;
+  if (span.bold) return tpl.fonts.bold;
+  if (span.italic) return tpl.fonts.italic;
+  return tpl.fonts.regular;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.maxY()) doc.continueOnNewPage();
+}
+
+// Draw styled spans as one wrapped paragraph at the column's left edge
+function drawSpans(doc, tpl, spans, column, options = {}) {
+  const {
+    size = tpl.fontSize,
+    color = tpl.colors.text,
+    align = "left",
+    bold = false,
+    italic = false,
+    indent = 0,
+  } = options;
+
+  spans = spans.map((span) => {
+    const font = fontFor(tpl, { ...span, bold: span.bold || bold, italic: span.italic || italic });
+    return { ...span, font, text: drawableText(font, span.text) };
+  });
+  const applyStyle = (span) =>
+    doc
+      .font(span.font)
+      .fontSize(size)
+      .fillColor(span.link ? tpl.colors.link : color);
+
+  // pdfkit misplaces centered text made of several `continued` pieces, so
+  // short centered lines (the contact header) are laid out span by span
+  if (align === "center" && spans.length > 1) {
+    const widths = spans.map((span) => applyStyle(span).widthOfString(span.text));
+    const total = widths.reduce((sum, w) => sum + w, 0);
+    if (total <= column.width - indent) {
+      const y = doc.y;
+      let x = column.x + indent + (column.width - indent - total) / 2;
+      spans.forEach((span, i) => {
+        applyStyle(span).text(span.text, x, y, {
+          width: widths[i] + 1,
+          lineBreak: false,
+          link: span.link,
+          underline: !!span.link,
+        });
+        x += widths[i];
+      });
+      doc.x = column.x;
+      doc.y = y + doc.currentLineHeight(true) + tpl.lineGap;
+      return;
+    }
+  }
+
+  spans.forEach((span, i) => {
+    applyStyle(span);
+
+    const textOptions = {
+      width: column.width - indent,
+      align,
+      lineGap: tpl.lineGap,
+      continued: i < spans.length - 1,
+      link: span.link,
+      underline: !!span.link,
+    };
+    if (i === 0) doc.text(span.text, column.x + indent, doc.y, textOptions);
+    else doc.text(span.text, textOptions);
+  });
+}
+
+function drawRule(doc, column, { color, width = 0.75, length = column.width }) {
+  const y = doc.y + 1;
+  doc
+    .moveTo(column.x, y)
+    .lineTo(column.x + length, y)
+    .lineWidth(width)
+    .strokeColor(color)
+    .stroke();
+  doc.y = y + 4;
+}
+
+function drawSectionHeading(doc, tpl, title, column) {
+  // Keep the heading with at least a few lines of its section
+  ensureSpace(doc, tpl.sectionSize + tpl.fontSize * 4);
+  doc.y += tpl.blockGap;
+
+  const text = drawableText(tpl.fonts.bold, tpl.uppercaseSections ? title.toUpperCase() : title);
+  doc
+    .font(tpl.fonts.bold)
+    .fontSize(tpl.sectionSize)
+    .fillColor(tpl.colors.accent)
+    .text(text, column.x, doc.y, {
+      width: column.width,
+      characterSpacing: tpl.uppercaseSections ? 0.6 : 0,
+    });
+
+  if (tpl.sectionStyle === "rule") {
+    drawRule(doc, column, { color: tpl.colors.rule });
+  } else {
+    drawRule(doc, column, { color: tpl.colors.rule, width: 2, length: 28 });
+  }
+}
+
+function drawBlock(doc, tpl, block, column, previous) {
+  switch (block.type) {
+    case "heading": {
+      // "###" entries in a resume; stray higher-level headings in cover letters
+      const size = block.level <= 2 ? tpl.sectionSize : tpl.entrySize;
+      ensureSpace(doc, size + tpl.fontSize * 3);
+      if (previous) doc.y += tpl.blockGap / 2;
+      drawSpans(doc, tpl, block.spans, column, { size, bold: true, align: block.align });
+      doc.y += 1;
+      break;
+    }
+    case "paragraph": {
+      // The short line under an entry heading holds its dates
+      const isDateLine =
+        previous?.type === "heading" &&
+        previous.level >= 3 &&
+        block.spans.reduce((n, s) => n + s.text.length, 0) < 60;
+      drawSpans(doc, tpl, block.spans, column, {
+        align: block.align,
+        color: isDateLine ? tpl.colors.muted : tpl.colors.text,
+        italic: isDateLine,
+      });
+      doc.y += isDateLine ? 2 : tpl.blockGap;
+      break;
+    }
+    case "list": {
+      block.items.forEach((item, i) => {
+        ensureSpace(doc, tpl.fontSize * 2);
+        const y = doc.y;
+        doc
+          .font(tpl.fonts.regular)
+          .fontSize(tpl.fontSize)
+          .fillColor(tpl.colors.text)
+          .text(block.ordered ? `${i + 1}.` : "•", column.x, y, {
+            width: BULLET_INDENT,
+            lineBreak: false,
+          });
+        doc.y = y;
+        drawSpans(doc, tpl, item, column, { indent: BULLET_INDENT });
+        doc.y += 1;
+      });
+      doc.y += tpl.blockGap;
+      break;
+    }
+    case "rule":
+      drawRule(doc, column, { color: tpl.colors.rule, width: 0.5 });
+      doc.y += tpl.blockGap;
+      break;
+  }
+}
+
+function drawBlocks(doc, tpl, blocks, column) {
+  blocks.forEach((block, i) => drawBlock(doc, tpl, block, column, blocks[i - 1]));
+}
+
+function drawHeader(doc, tpl, blocks, column) {
+  blocks.forEach((block) => {
+    if (block.type === "heading") {
+      drawSpans(doc, tpl, block.spans, column, {
+        size: tpl.nameSize,
+        bold: true,
+        align: tpl.headerAlign,
+      });
+      doc.y += 2;
+    } else if (block.type === "paragraph") {
+      drawSpans(doc, tpl, expandLinkLabels(block.spans), column, {
+        color: tpl.colors.muted,
+        align: tpl.headerAlign,
+      });
+      doc.y += 2;
+    } else {
+      drawBlock(doc, tpl, block, column);
+    }
+  });
+  doc.y += tpl.blockGap / 2;
+}
+
+function drawSections(doc, tpl, sections, column) {
+  sections.forEach((section) => {
+    drawSectionHeading(doc, tpl, section.title, column);
+    drawBlocks(doc, tpl, section.blocks, column);
+  });
+}
+
+// Draw starting at `y` on buffered page `pageIndex`. Page breaks move on to
+// pages that already exist (created by the other column) before new ones are
+// added, so two columns can flow side by side across pages.
+function flowFromPage(doc, pageIndex, y, draw) {
+  const continueOnNewPage = doc.continueOnNewPage;
+  let index = pageIndex;
+  doc.switchToPage(index);
+  doc.y = y;
+
+  doc.continueOnNewPage = function (...args) {
+    index += 1;
+    const { start, count } = this.bufferedPageRange();
+    if (index < start + count) {
+      this.switchToPage(index);
+      this.y = this.page.margins.top;
+      return this;
+    }
+    return continueOnNewPage.apply(this, args);
+  };
+
+  try {
+    draw();
+  } finally {
+    doc.continueOnNewPage = continueOnNewPage;
+  }
+}
+
+function currentPageIndex(doc) {
+  const { start, count } = doc.bufferedPageRange();
+  return start + count - 1;
+}
+
+function drawTwoColumnResume(doc, tpl, header, sections, column) {
+  drawHeader(doc, tpl, header, column);
+
+  const { sidebarRatio, gap, sidebar } = tpl.columns;
+  const sidebarWidth = (column.width - gap) * sidebarRatio;
+  const sidebarColumn = { x: column.x, width: sidebarWidth };
+  const mainColumn = {
+    x: column.x + sidebarWidth + gap,
+    width: column.width - sidebarWidth - gap,
+  };
+
+  const startPage = currentPageIndex(doc);
+  const top = doc.y;
+
+  flowFromPage(doc, startPage, top, () =>
+    drawSections(doc, tpl, sections.filter((s) => sidebar.test(s.title)), sidebarColumn)
+  );
+  flowFromPage(doc, startPage, top, () =>
+    drawSections(doc, tpl, sections.filter((s) => !sidebar.test(s.title)), mainColumn)
+  );
+
+  // Divider between the columns on every page they share
+  const dividerX = mainColumn.x - gap / 2;
+  for (let i = startPage; i <= currentPageIndex(doc); i++) {
+    doc.switchToPage(i);
+    doc
+      .moveTo(dividerX, i === startPage ? top + tpl.blockGap : doc.page.margins.top)
+      .lineTo(dividerX, doc.page.maxY())
+      .lineWidth(0.5)
+      .strokeColor(tpl.colors.muted)
+      .stroke();
+  }
+}
+
+/**
+ * renderPdf renders resume or cover letter markdown to a PDF.
+ *
+ * @param {string} markdown
+ * @param {{ template?: string, kind?: "resume" | "coverLetter", title?: string }} options
+ * @returns {Promise<Buffer>}
+ */
+export function renderPdf(markdown, { template, kind = "resume", title } = {}) {
+  const tpl = getTemplate(template);
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: tpl.margin,
+    bufferPages: true,
+    info: { Title: title || (kind === "resume" ? "Resume" : "Cover Letter") },
+  });
+  // Registered under their file names, which the template's fonts hold
+  new Set(Object.values(tpl.fonts)).forEach((file) =>
+    doc.registerFont(file, loadFont(file).data)
+  );
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const column = {
+    x: doc.page.margins.left,
+    width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+  };
+  const blocks = parseMarkdownBlocks(markdown, { breaks: kind === "coverLetter" });
+
+  if (kind === "resume") {
+    const { header, sections } = splitSections(blocks);
+    if (tpl.columns && sections.length) {
+      drawTwoColumnResume(doc, tpl, header, sections, column);
+    } else {
+      drawHeader(doc, tpl, header, column);
+      drawSections(doc, tpl, sections, column);
+    }
+  } else {
+    // Letters have no resume sections; draw the blocks in order
+    drawBlocks(doc, tpl, blocks, column);
+  }
+
+  doc.end();
+  return done;
+}
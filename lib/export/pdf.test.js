@@ -0,0 +1,53 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { PDFParse } from "pdf-parse";
+import { renderPdf } from "./pdf.js";
+
+const RESUME = `<div align="center">
+
+# Dvořák Łukasz Иван café
+
+📧 jane@example.com | 📱 +1 555 123 4567
+
+</div>
+
+## Professional Summary
+
+Καλημέρα from **Łódź**, *Praha* and \`Кириллица\`; 田中 in CJK.
+
+## Work Experience
+
+### Engineer @ Škoda
+2019 - 2023
+
+- Cut costs by 30% – €1M`;
+
+const pdfText = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    return (await parser.getText()).text;
+  } finally {
+    await parser.destroy();
+  }
+};
+
+describe("renderPdf", () => {
+  for (const template of ["classic", "modern", "compact", "two-column"]) {
+    test(`${template} keeps accented, Greek and Cyrillic text`, async () => {
+      const text = await pdfText(await renderPdf(RESUME, { template }));
+      for (const phrase of [
+        "Dvořák Łukasz Иван café",
+        "Καλημέρα from Łódź, Praha and Кириллица",
+        "Škoda",
+        "Cut costs by 30% – €1M",
+      ]) {
+        assert.ok(text.includes(phrase), `${phrase} in ${text}`);
+      }
+    });
+  }
+
+  test("characters the fonts cannot draw are replaced", async () => {
+    const text = await pdfText(await renderPdf(RESUME));
+    assert.ok(text.includes("?? in CJK"), text);
+  });
+});
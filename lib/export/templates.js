@@ -0,0 +1,97 @@
+import { DEFAULT_TEMPLATE } from "@/app/lib/export";
+
+// Print styles for the exporters, keyed by the ids in EXPORT_TEMPLATES.
+// Sizes are in PDF points (1/72 inch). PDFs embed DejaVu font files (the
+// dejavu-fonts-ttf package), which cover Latin, Greek and Cyrillic names the
+// standard PDF fonts cannot draw; the condensed cuts are used because the
+// regular ones run wide. Word exports name the closest font every Office
+// install has (`wordFont`).
+
+const SERIF = {
+  regular: "DejaVuSerifCondensed.ttf",
+  bold: "DejaVuSerifCondensed-Bold.ttf",
+  italic: "DejaVuSerifCondensed-Italic.ttf",
+  boldItalic: "DejaVuSerifCondensed-BoldItalic.ttf",
+  code: "DejaVuSansMono.ttf",
+};
+
+const SANS = {
+  regular: "DejaVuSansCondensed.ttf",
+  bold: "DejaVuSansCondensed-Bold.ttf",
+  italic: "DejaVuSansCondensed-Oblique.ttf",
+  boldItalic: "DejaVuSansCondensed-BoldOblique.ttf",
+  code: "DejaVuSansMono.ttf",
+};
+
+const TEMPLATES = {
+  classic: {
+    fonts: SERIF,
+    wordFont: "Times New Roman",
+    fontSize: 11,
+    nameSize: 22,
+    sectionSize: 12.5,
+    entrySize: 11.5,
+    lineGap: 2,
+    blockGap: 6,
+    margin: 54,
+    colors: { text: "#111111", muted: "#444444", accent: "#111111", link: "#1a0dab", rule: "#111111" },
+    sectionStyle: "rule",
+    uppercaseSections: true,
+    headerAlign: "center",
+  },
+  modern: {
+    fonts: SANS,
+    wordFont: "Calibri",
+    fontSize: 10.5,
+    nameSize: 26,
+    sectionSize: 13,
+    entrySize: 11,
+    lineGap: 2.5,
+    blockGap: 7,
+    margin: 50,
+    colors: { text: "#1f2937", muted: "#6b7280", accent: "#2563eb", link: "#2563eb", rule: "#2563eb" },
+    sectionStyle: "accent",
+    uppercaseSections: false,
+    headerAlign: "left",
+  },
+  compact: {
+    fonts: SANS,
+    wordFont: "Arial",
+    fontSize: 9.5,
+    nameSize: 18,
+    sectionSize: 10.5,
+    entrySize: 10,
+    lineGap: 1,
+    blockGap: 4,
+    margin: 36,
+    colors: { text: "#111111", muted: "#555555", accent: "#111111", link: "#1a0dab", rule: "#999999" },
+    sectionStyle: "rule",
+    uppercaseSections: true,
+    headerAlign: "left",
+  },
+  "two-column": {
+    fonts: SANS,
+    wordFont: "Calibri",
+    fontSize: 10,
+    nameSize: 24,
+    sectionSize: 12,
+    entrySize: 10.5,
+    lineGap: 2,
+    blockGap: 6,
+    margin: 44,
+    colors: { text: "#1f2937", muted: "#6b7280", accent: "#0f766e", link: "#0f766e", rule: "#0f766e" },
+    sectionStyle: "accent",
+    uppercaseSections: true,
+    headerAlign: "left",
+    columns: {
+      sidebarRatio: 0.32,
+      gap: 20,
+      // Resume sections that go into the sidebar; everything else is main
+      sidebar: /^(skills|technical skills|education|languages|certifications|awards|interests)$/i,
+    },
+  },
+};
+
+export function getTemplate(id) {
+  return TEMPLATES[id] || TEMPLATES[DEFAULT_TEMPLATE];
+}
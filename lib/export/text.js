@@ -0,0 +1,104 @@
+import {
+  expandLinkLabels,
+  parseMarkdownBlocks,
+  splitSections,
+  spansToText,
+} from "./markdown";
+
+// ATS-safe plain text: no markup, emoji or columns, just the words in reading
+// order. Links keep their URL since the styling that marked them is gone.
+
+const LINE_WIDTH = 80;
+
+function spansToPlain(spans) {
+  return spans
+    .map((span) =>
+      span.link && !span.link.includes(span.text.replace(/\s/g, ""))
+        ? `${span.text} (${span.link})`
+        : span.text
+    )
+    .join("");
+}
+
+// Wrap a paragraph to LINE_WIDTH, prefixing continuation lines with `indent`
+function wrap(text, indent = "") {
+  return text
+    .split("\n")
+    .map((line) => {
+      const lines = [];
+      let current = "";
+      for (const word of line.split(/\s+/).filter(Boolean)) {
+        if (current && (current + " " + word).length > LINE_WIDTH - indent.length) {
+          lines.push(current);
+          current = word;
+        } else {
+          current = current ? `${current} ${word}` : word;
+        }
+      }
+      lines.push(current);
+      return lines.join(`\n${indent}`);
+    })
+    .join("\n");
+}
+
+function blockToText(block) {
+  switch (block.type) {
+    case "heading":
+      return spansToPlain(block.spans);
+    case "paragraph":
+      return wrap(spansToPlain(block.spans));
+    case "list":
+      return block.items
+        .map((item, i) => {
+          const marker = block.ordered ? `${i + 1}. ` : "- ";
+          return marker + wrap(spansToPlain(item), " ".repeat(marker.length));
+        })
+        .join("\n");
+    default:
+      return "";
+  }
+}
+
+// Keep entry headings attached to their date line
+function blocksToText(blocks) {
+  const parts = [];
+  blocks.forEach((block, i) => {
+    const text = blockToText(block);
+    if (!text) return;
+    const previous = blocks[i - 1];
+    if (previous?.type === "heading" && previous.level >= 3 && block.type === "paragraph") {
+      parts[parts.length - 1] += `\n${text}`;
+    } else {
+      parts.push(text);
+    }
+  });
+  return parts.join("\n\n");
+}
+
+/**
+ * renderText renders resume or cover letter markdown as plain text.
+ *
+ * @param {string} markdown
+ * @param {{ kind?: "resume" | "coverLetter" }} options
+ * @returns {string}
+ */
+export function renderText(markdown, { kind = "resume" } = {}) {
+  const blocks = parseMarkdownBlocks(markdown, { breaks: kind === "coverLetter" });
+  if (kind !== "resume") return `${blocksToText(blocks)}\n`;
+
+  const { header, sections } = splitSections(blocks);
+  const headerText = header
+    .map((block) =>
+      block.type === "paragraph"
+        ? wrap(spansToText(expandLinkLabels(block.spans)))
+        : blockToText(block)
+    )
+    .filter(Boolean)
+    .join("\n");
+
+  const sectionText = sections.map(
+    (section) => `${section.title.toUpperCase()}\n\n${blocksToText(section.blocks)}`
+  );
+
+  return `${[headerText, ...sectionText].filter(Boolean).join("\n\n\n")}\n`;
+}
@@ -0,0 +1,39 @@
+import { AI_FEATURES } from "@/lib/ai";
+import { generateJSON } from "@/lib/ai/structured";
+import { industryInsightSchema } from "@/app/lib/schema";
+
+export const buildIndustryInsightsPrompt = (industry) => `
+Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:
+{
+  "salaryRanges": [
+    { "role": "string", "min": number, "max": number, "median": number, "location": "string" }
+  ],
+  "growthRate": number,
+  "demandLevel": "High" | "Medium" | "Low",
+  "topSkills": ["skill1", "skill2"],
+  "marketOutlook": "Positive" | "Neutral" | "Negative",
+  "keyTrends": ["trend1", "trend2"],
+  "recommendedSkills": ["skill1", "skill2"]
+}
+
+IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
+Include at least 5 common roles for salary ranges.
+Growth rate should be a percentage.
+Include at least 5 skills and trends.
+`;
+
+/**
+ * generateInsightsForIndustry returns insights for `industry` validated against
+ * industryInsightSchema, safe to spread into db.industryInsight.create/upsert.
+ * Invalid outputs are recorded and retried (see generateJSON); throws when
+ * every attempt is rejected.
+ */
+export async function generateInsightsForIndustry(industry, options = {}) {
+  return generateJSON({
+    feature: AI_FEATURES.INSIGHTS,
+    prompt: buildIndustryInsightsPrompt(industry),
+    schema: industryInsightSchema,
+    subject: industry,
+    ...options,
+  });
+}
@@ -1,9 +1,8 @@
 import { db } from "@/lib/prisma";
 import { inngest } from "./client";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+import { generateText, AI_FEATURES } from "@/lib/ai";
+import { recordModelRejection } from "@/lib/ai/rejections";
+import { generateInsightsForIndustry } from "@/lib/industry-insights";
 
 export const generateIndustryInsights = inngest.createFunction(
   { name: "Generate Industry Insights" },
@@ -20,27 +19,24 @@ export const generateIndustryInsights = inngest.createFunction(
     for (const { industry } of industries) {
       if (!industry) continue;
 
-      const prompt = `Analyze the current state of the ${industry} industry and provide insights in ONLY the following JSON format without any additional notes or explanations:\n{\n  "salaryRanges": [\n    { "role": "string", "min": number, "max": number, "median": number, "location": "string" }\n  ],\n  "growthRate": number,\n  "demandLevel": "High" | "Medium" | "Low",\n  "topSkills": ["skill1", "skill2"],\n  "marketOutlook": "Positive" | "Neutral" | "Negative",\n  "keyTrends": ["trend1", "trend2"],\n  "recommendedSkills": ["skill1", "skill2"]\n}\n\nIMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting. Include at least 5 common roles for salary ranges. Growth rate should be a percentage. Include at least 5 skills and trends.`;
-
-      const res = await step.ai.wrap(
-        "gemini",
-        async (p) => {
-          return await model.generateContent(p);
-        },
-        prompt
-      );
-
-      const text =
-        res?.response?.candidates?.[0]?.content?.parts?.[0]?.text ||
-        res?.response?.candidates?.[0]?.content?.text ||
-        "";
-      const cleanedText = text.replace(/```(?:json)?\n?/g, "").trim();
-
-      let insights = {};
+      let insights;
       try {
-        insights = JSON.parse(cleanedText);
+        insights = await generateInsightsForIndustry(industry, {
+          generate: (prompt, attempt) =>
+            step.ai.wrap(
+              `Generate ${industry} insights (attempt ${attempt})`,
+              async (p) => {
+                return await generateText(AI_FEATURES.INSIGHTS, p);
+              },
+              prompt
+            ),
+          onRejection: (rejection) =>
+            step.run(`Record ${industry} insights rejection ${rejection.attempt}`, () =>
+              recordModelRejection(rejection)
+            ),
+        });
       } catch (e) {
-        console.error(`Failed to parse insights JSON for ${industry}:`, e, cleanedText.slice(0, 1000));
+        console.error(`Rejected insights for ${industry}:`, e.message);
         continue; // skip this industry to avoid corrupting DB
       }
 
@@ -63,3 +59,19 @@ export const generateIndustryInsights = inngest.createFunction(
     }
   }
 );
+
+// Quiz sessions left untouched past their expiry are closed, so they are no
+// longer offered for resuming
+export const expireQuizSessions = inngest.createFunction(
+  { name: "Expire Abandoned Quiz Sessions" },
+  { cron: "*/30 * * * *" }, // Run every 30 minutes
+  async ({ step }) => {
+    const { count } = await step.run("Expire quiz sessions", () =>
+      db.quizSession.updateMany({
+        where: { status: "active", expiresAt: { lt: new Date() } },
+        data: { status: "expired" },
+      })
+    );
+    return { expired: count };
+  }
+);
@@ -0,0 +1,239 @@
+// Persistence helpers for the question bank (QuestionBankItem, SeenQuestion)
+import { seedQuestions } from "@/data/questionBank";
+import { codingQuestions } from "@/data/codingQuestions";
+import { isSimilarQuestion, simhash, simhashBands } from "@/app/lib/simhash";
+import { skillKey } from "@/app/lib/skill-match";
+import { isCodeQuestion, isOpenQuestion, isStarQuestion } from "@/app/lib/quiz";
+
+// Seed questions under this industry suit every industry
+export const GENERAL_INDUSTRY = "general";
+
+// Most of a user's seen questions checked for repeats, newest first
+const SEEN_LIMIT = 500;
+
+// "tech-software-development" -> "tech", the data/industries.js id seeds use
+const industryGroup = (industry) => String(industry ?? "").split("-")[0];
+
+const bankIndustries = (industry) => [
+  ...new Set([industry, industryGroup(industry), GENERAL_INDUSTRY].filter(Boolean)),
+];
+
+const bankFormat = (question) =>
+  isCodeQuestion(question)
+    ? "coding"
+    : isOpenQuestion(question)
+    ? "open-ended"
+    : "multiple-choice";
+
+// A question's fingerprint columns
+const fingerprint = (question) => {
+  const hash = simhash(question.question);
+  return { simhash: hash, simhashBands: simhashBands(hash) };
+};
+
+// The seed questions as QuestionBankItem rows
+const seedItems = () =>
+  [
+    ...Object.entries(seedQuestions).flatMap(([industry, questions]) =>
+      questions.map(({ category, ...question }) => ({ industry, category, question }))
+    ),
+    ...codingQuestions.map((q) => ({
+      industry: GENERAL_INDUSTRY,
+      category: "technical",
+      question: { type: "code", ...q },
+    })),
+  ].map(({ industry, category, question }) => ({
+    industry,
+    category,
+    format: bankFormat(question),
+    topic: question.topic,
+    question,
+    ...fingerprint(question),
+    source: "seed",
+  }));
+
+let seeding = null;
+
+/**
+ * seedQuestionBank adds the seed questions that are not in the bank yet, once
+ * per server process; a failed attempt is retried on the next call.
+ */
+export function seedQuestionBank(db) {
+  seeding ??= db.questionBankItem
+    .createMany({ data: seedItems(), skipDuplicates: true })
+    .catch((error) => {
+      seeding = null;
+      throw error;
+    });
+  return seeding;
+}
+
+/**
+ * seenQuestions lists the bank questions a user has been served, newest
+ * first, as { simhash, text }.
+ */
+export async function seenQuestions(db, userId) {
+  const rows = await db.seenQuestion.findMany({
+    where: { userId },
+    orderBy: { seenAt: "desc" },
+    take: SEEN_LIMIT,
+    select: { item: { select: { simhash: true, question: true } } },
+  });
+  return rows.map(({ item }) => ({ simhash: item.simhash, text: item.question.question }));
+}
+
+/**
+ * dropRepeats removes questions similar to one of `seen` ({ simhash }) or to
+ * an earlier question in the list.
+ */
+export function dropRepeats(questions, seen = []) {
+  const hashes = seen.map((s) => s.simhash);
+  return questions.filter((q) => {
+    const hash = simhash(q.question);
+    if (hashes.some((seenHash) => isSimilarQuestion(seenHash, hash))) return false;
+    hashes.push(hash);
+    return true;
+  });
+}
+
+// Multiple-choice questions serve open-ended quizzes without their options
+const asFormat = (question, format) =>
+  format === "open-ended" && !isOpenQuestion(question)
+    ? {
+        type: "open",
+        question: question.question,
+        topic: question.topic,
+        keyPoints: question.explanation ? [question.explanation] : [],
+      }
+    : question;
+
+const shuffle = (list) => {
+  const copy = [...list];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+// Orders bank items ({ category, topic, question, seenAt }) for a quiz: the
+// quiz's category first, then unseen, then focus topics, then seen longest
+// ago; ties in random order. Drops items similar to `exclude` questions.
+function pickQuestions(items, { category, format, skills, count, exclude }) {
+  const focus = new Set(skills.map(skillKey));
+  const rank = (item) => [
+    item.category === category ? 0 : 1,
+    item.seenAt ? 1 : 0,
+    focus.has(skillKey(item.topic)) ? 0 : 1,
+    item.seenAt?.getTime() ?? 0,
+  ];
+  const compare = (a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    const i = ra.findIndex((value, index) => value !== rb[index]);
+    return i === -1 ? 0 : ra[i] - rb[i];
+  };
+  const formats = format === "open-ended" ? ["open-ended", "multiple-choice"] : [format];
+  const ordered = shuffle(items)
+    .filter((item) => formats.includes(bankFormat(item.question)))
+    .sort(compare)
+    .map((item) => asFormat(item.question, format));
+  return dropRepeats(ordered, exclude.map((q) => ({ simhash: simhash(q.question) }))).slice(
+    0,
+    count
+  );
+}
+
+/**
+ * drawBankQuestions picks up to `count` bank questions for a quiz, for when
+ * the model cannot write one or repeats questions the user has seen. It draws
+ * on the user's industry, its seeds and the general seeds: questions in the
+ * quiz's category come first, unseen before seen, and topics matching the
+ * focus `skills` before others. Questions similar to `exclude` are skipped.
+ */
+export async function drawBankQuestions(
+  db,
+  { userId, industry, category, format, skills = [], count, exclude = [] }
+) {
+  await seedQuestionBank(db);
+  const items = await db.questionBankItem.findMany({
+    where: { industry: { in: bankIndustries(industry) } },
+    include: { seenBy: { where: { userId }, select: { seenAt: true } } },
+  });
+  return pickQuestions(
+    items.map((item) => ({ ...item, seenAt: item.seenBy[0]?.seenAt ?? null })),
+    { category, format, skills, count, exclude }
+  );
+}
+
+/**
+ * seedFallbackQuestions picks questions straight from the seeds, as
+ * drawBankQuestions does, for when the database cannot be reached either.
+ */
+export function seedFallbackQuestions({ industry, category, format, skills = [], count, exclude = [] }) {
+  const industries = bankIndustries(industry);
+  return pickQuestions(
+    seedItems().filter((item) => industries.includes(item.industry)),
+    { category, format, skills, count, exclude }
+  );
+}
+
+/**
+ * bankQuestions records a quiz's questions as seen by the user. Of the
+ * `generated` ones, the model output that passed schema validation, those
+ * without a similar question in the bank are added to it. Other questions,
+ * such as loosely parsed ones with a guessed answer key, are only recorded
+ * when they came from the bank. Questions about the user's own resume (STAR),
+ * or from users without an industry, are not banked.
+ */
+export async function bankQuestions(
+  db,
+  { userId, industry, category, questions, generated = [] }
+) {
+  const bankable = questions.filter((q) => !isStarQuestion(q));
+  if (!industry || !bankable.length) return;
+
+  const validated = new Set(generated.map((q) => q.question));
+  const fingerprints = bankable.map(fingerprint);
+  const existing = await db.questionBankItem.findMany({
+    where: {
+      industry: { in: bankIndustries(industry) },
+      simhashBands: { hasSome: [...new Set(fingerprints.flatMap((f) => f.simhashBands))] },
+    },
+    select: { id: true, simhash: true },
+  });
+
+  const itemIds = [];
+  for (const [index, question] of bankable.entries()) {
+    const { simhash: hash, simhashBands: bands } = fingerprints[index];
+    let item = existing.find((e) => isSimilarQuestion(e.simhash, hash));
+    if (!item && validated.has(question.question)) {
+      item = await db.questionBankItem.upsert({
+        where: { industry_simhash: { industry, simhash: hash } },
+        create: {
+          industry,
+          category,
+          format: bankFormat(question),
+          topic: question.topic,
+          question,
+          simhash: hash,
+          simhashBands: bands,
+        },
+        update: {},
+        select: { id: true, simhash: true },
+      });
+      existing.push(item);
+    }
+    if (item) itemIds.push(item.id);
+  }
+
+  const seenAt = new Date();
+  await Promise.all(
+    [...new Set(itemIds)].map((itemId) =>
+      db.seenQuestion.upsert({
+        where: { userId_itemId: { userId, itemId } },
+        create: { userId, itemId, seenAt },
+        update: { seenAt },
+      })
+    )
+  );
+}
@@ -0,0 +1,39 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { simhash } from "../app/lib/simhash.js";
+import { dropRepeats } from "./question-bank.js";
+
+const question = (text) => ({ question: text, topic: "General" });
+
+describe("dropRepeats", () => {
+  test("drops rewordings of an earlier question in the list", () => {
+    const questions = [
+      question("What is the difference between a process and a thread?"),
+      question("What is a closure in JavaScript?"),
+      question("What's the difference between a thread and a process?"),
+      question("What is hoisting in JavaScript?"),
+    ];
+    assert.deepEqual(dropRepeats(questions), [questions[0], questions[1], questions[3]]);
+  });
+
+  test("drops questions similar to ones already seen", () => {
+    const seen = [{ simhash: simhash("Explain the difference between SQL and NoSQL databases.") }];
+    const questions = [
+      question("Explain the differences between SQL and NoSQL databases"),
+      question("What is an index in SQL?"),
+    ];
+    assert.deepEqual(
+      dropRepeats(questions, seen).map((q) => q.question),
+      ["What is an index in SQL?"]
+    );
+  });
+
+  test("keeps distinct questions in order", () => {
+    const questions = [
+      question("What is the time complexity of binary search?"),
+      question("What is the time complexity of quicksort?"),
+    ];
+    assert.deepEqual(dropRepeats(questions), questions);
+    assert.deepEqual(dropRepeats([]), []);
+  });
+});
@@ -0,0 +1,127 @@
+import { PDFParse } from "pdf-parse";
+import mammoth from "mammoth";
+import { AI_FEATURES } from "@/lib/ai";
+import { generateJSON } from "@/lib/ai/structured";
+import { importedResumeSchema } from "@/app/lib/schema";
+
+export const MAX_RESUME_FILE_SIZE = 5 * 1024 * 1024;
+
+// Longer resumes are truncated before they are sent to the model
+const MAX_TEXT_LENGTH = 30000;
+
+const FILE_TYPES = {
+  pdf: "application/pdf",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  txt: "text/plain",
+};
+
+function getFileType(file) {
+  const ext = file.name?.split(".").pop()?.toLowerCase();
+  if (FILE_TYPES[ext]) return ext;
+  return Object.keys(FILE_TYPES).find((key) => FILE_TYPES[key] === file.type);
+}
+
+async function extractPdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText({ pageJoiner: "" });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function extractDocxText(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+/**
+ * extractResumeText reads the plain text of an uploaded PDF, DOCX or TXT
+ * resume (a File from FormData). Throws an Error with a user-facing message
+ * for unsupported, oversized or empty files.
+ */
+export async function extractResumeText(file) {
+  if (!file || typeof file.arrayBuffer !== "function") {
+    throw new Error("No file uploaded");
+  }
+  if (file.size > MAX_RESUME_FILE_SIZE) {
+    throw new Error("File is too large (max 5 MB)");
+  }
+
+  const type = getFileType(file);
+  if (!type) throw new Error("Unsupported file type. Upload a PDF, DOCX or TXT file");
+
+  const buffer = Buffer.from(await file.arrayBuffer());
+  const text =
+    type === "pdf"
+      ? await extractPdfText(buffer)
+      : type === "docx"
+      ? await extractDocxText(buffer)
+      : buffer.toString("utf8");
+
+  const normalized = text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  if (!normalized) {
+    throw new Error("No text found in the file. Scanned PDFs are not supported");
+  }
+  return normalized.slice(0, MAX_TEXT_LENGTH);
+}
+
+export const buildResumeImportPrompt = (text) => `
+Extract the resume below into ONLY the following JSON format without any additional notes or explanations:
+{
+  "contactInfo": { "email": "string", "mobile": "string", "linkedin": "string", "twitter": "string" },
+  "summary": "string",
+  "skills": "comma separated string",
+  "experience": [
+    { "title": "string", "organization": "string", "startDate": "string", "endDate": "string", "current": boolean, "description": "string" }
+  ],
+  "education": [same shape as experience],
+  "projects": [same shape as experience],
+  "volunteering": [same shape as experience],
+  "certifications": [
+    { "name": "string", "issuer": "string", "issueDate": "string", "expiryDate": "string", "credentialId": "string", "url": "string" }
+  ],
+  "publications": [
+    { "title": "string", "publisher": "string", "date": "string", "url": "string", "description": "string" }
+  ],
+  "languages": [
+    { "language": "string", "proficiency": "Native" | "Fluent" | "Professional" | "Conversational" | "Basic" }
+  ],
+  "awards": [
+    { "title": "string", "issuer": "string", "date": "string", "description": "string" }
+  ]
+}
+
+Rules:
+- Use only information present in the resume. Never invent details; use "" for anything missing.
+- Dates use the "MMM yyyy" format, e.g. "Jan 2021". For ongoing roles set "current": true and "endDate": "".
+- For experience, "title" is the job title and "organization" the employer. For education, "title" is the degree and "organization" the school. For projects, "organization" is the company, client or "Personal". For volunteering, "title" is the role and "organization" the cause or charity.
+- Use [] for sections the resume does not have.
+- Keep descriptions close to the original wording; put each bullet point on its own line starting with "- ".
+- linkedin and twitter are full profile URLs.
+
+IMPORTANT: Return ONLY the JSON. No additional text, notes, or markdown formatting.
+
+Resume:
+"""
+${text}
+"""
+`;
+
+/**
+ * mapResumeText asks the model to map extracted resume text onto the resume
+ * form's structure, validated by importedResumeSchema (see generateJSON).
+ */
+export async function mapResumeText(text, options = {}) {
+  return generateJSON({
+    feature: AI_FEATURES.RESUME_IMPORT,
+    prompt: buildResumeImportPrompt(text),
+    schema: importedResumeSchema,
+    ...options,
+  });
+}
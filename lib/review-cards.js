@@ -0,0 +1,36 @@
+// Persistence helpers for ReviewCard rows (see app/lib/review.js)
+import { needsReview, reviewQuestionKey } from "@/app/lib/review";
+
+// What a review card keeps of a question result; the user's own answer and
+// timing are left out so the card tests recall, not recognition
+const cardQuestion = (result) => {
+  const { userAnswer, isCorrect, unsure, timeMs, timedOut, ...question } = result;
+  return question;
+};
+
+/**
+ * queueReviewCards adds the results from one quiz that need review
+ * (needsReview) to the user's review queue. A question already queued is
+ * due again now and starts its schedule over.
+ */
+export async function queueReviewCards(db, { userId, assessmentId, results }) {
+  const now = new Date();
+  // The ease factor is kept: it reflects how hard the question has been
+  const schedule = { interval: 0, repetitions: 0, dueAt: now };
+
+  await Promise.all(
+    results.filter(needsReview).map((result) => {
+      const questionKey = reviewQuestionKey(result.question);
+      const data = {
+        assessmentId,
+        question: cardQuestion(result),
+        ...schedule,
+      };
+      return db.reviewCard.upsert({
+        where: { userId_questionKey: { userId, questionKey } },
+        create: { userId, questionKey, ...data },
+        update: data,
+      });
+    })
+  );
+}
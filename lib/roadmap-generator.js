@@ -0,0 +1,89 @@
+import { AI_FEATURES } from "@/lib/ai";
+import { generateJSON } from "@/lib/ai/structured";
+import { roadmapPlanSchema } from "@/app/lib/schema";
+import { RESOURCE_TYPES } from "@/app/lib/roadmap";
+import { describeSkill } from "@/app/lib/skills";
+
+const list = (items, empty = "none") =>
+  items.length ? items.map((item) => `- ${item}`).join("\n") : empty;
+
+/**
+ * buildRoadmapPrompt describes the candidate to the model.
+ * `gap` is the analyzeSkillGap result for their industry and `weaknesses`
+ * holds recently missed quiz questions and improvement tips.
+ */
+export const buildRoadmapPrompt = ({
+  industry,
+  experience,
+  skills,
+  gap,
+  weaknesses,
+  weeks,
+  goal,
+}) => `
+Create a learning roadmap of ${weeks} weeks for a ${industry} professional with ${
+  experience ?? "an unknown number of"
+} years of experience.
+${goal ? `\nTheir goal: ${goal}\n` : ""}
+Current skills:
+${list(skills.map(describeSkill))}
+
+In-demand industry skills they are missing:
+${list(gap.missing.map((m) => m.skill))}
+
+Industry skills related to ones they already have:
+${list(gap.adjacent.map((a) => `${a.skill} (knows ${a.related.join(", ")})`))}
+
+Interview quiz questions they recently got wrong:
+${list(weaknesses.questions)}
+
+Earlier improvement tips:
+${list(weaknesses.tips)}
+
+Return ONLY JSON in this format, no additional text or markdown:
+{
+  "title": "string",
+  "summary": "string",
+  "milestones": [
+    {
+      "week": number,
+      "title": "string",
+      "description": "string",
+      "skill": "string",
+      "resources": [{ "title": "string", "url": "string", "type": ${RESOURCE_TYPES.map((t) => `"${t}"`).join(" | ")} }],
+      "checkpoints": ["string"]
+    }
+  ]
+}
+
+Requirements:
+1. Between ${Math.ceil(weeks / 3)} and ${weeks} milestones, in order, each starting in a week from 1 to ${weeks}.
+2. Prioritise the missing skills and quiz weaknesses; build on adjacent skills where possible.
+3. "skill" names the single skill a milestone builds, short enough to quiz on (e.g. "Kubernetes").
+4. Two or three resources per milestone; only include a URL if you are sure it exists.
+5. Two to four checkpoints per milestone, each a concrete, checkable outcome.
+`;
+
+/**
+ * generateRoadmapPlan returns a roadmap validated against roadmapPlanSchema
+ * for the candidate described by `context` (see buildRoadmapPrompt).
+ * Milestones are sorted by week and clamped to the plan length.
+ */
+export async function generateRoadmapPlan(context) {
+  const plan = await generateJSON({
+    feature: AI_FEATURES.ROADMAP,
+    prompt: buildRoadmapPrompt(context),
+    schema: roadmapPlanSchema,
+    subject: context.industry,
+  });
+
+  return {
+    ...plan,
+    milestones: plan.milestones
+      .map((milestone) => ({
+        ...milestone,
+        week: Math.min(milestone.week, context.weeks),
+      }))
+      .sort((a, b) => a.week - b.week),
+  };
+}
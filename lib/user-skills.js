@@ -0,0 +1,38 @@
+// Persistence helpers for UserSkill rows. User.skills keeps the plain names
+// for code that only needs those (cover letters, fallbacks).
+
+/**
+ * replaceUserSkills replaces all of a user's skills with `skills`
+ * (userSkillsSchema output). Run it inside a transaction.
+ */
+export async function replaceUserSkills(tx, userId, skills) {
+  await tx.userSkill.deleteMany({ where: { userId } });
+  if (skills.length) {
+    await tx.userSkill.createMany({
+      data: skills.map((skill) => ({
+        userId,
+        name: skill.name,
+        category: skill.category,
+        proficiency: skill.proficiency,
+        yearsUsed: skill.yearsUsed ?? null,
+        lastUsed: skill.lastUsed ? new Date(`${skill.lastUsed}-01T00:00:00Z`) : null,
+      })),
+    });
+  }
+  await tx.user.update({
+    where: { id: userId },
+    data: { skills: skills.map((skill) => skill.name) },
+  });
+}
+
+// UserSkill rows as skills editor values
+export function toSkillValues(rows) {
+  return rows.map((row) => ({
+    name: row.name,
+    category: row.category,
+    proficiency: row.proficiency,
+    yearsUsed: row.yearsUsed ?? "",
+    // Stored as the first of the month in UTC
+    lastUsed: row.lastUsed ? row.lastUsed.toISOString().slice(0, 7) : "",
+  }));
+}
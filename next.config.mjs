@@ -1,5 +1,18 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
+  // pdf-parse loads pdf.js with its worker and pdfkit reads its font metrics
+  // from disk at runtime; keep both out of the bundle
+  serverExternalPackages: ["pdf-parse", "pdfkit", "fontkit", "docx"],
+  // PDF exports embed these font files, read from disk (lib/export/pdf.js)
+  outputFileTracingIncludes: {
+    "/api/export": ["./node_modules/dejavu-fonts-ttf/ttf/DejaVu{Sans,Serif}*.ttf"],
+  },
+  experimental: {
+    serverActions: {
+      // Resume uploads (see lib/resume-import.js) are up to 5 MB
+      bodySizeLimit: "6mb",
+    },
+  },
   images: {
     remotePatterns: [
       {
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "ModelRejection" (
+    "id" TEXT NOT NULL,
+    "feature" TEXT NOT NULL,
+    "subject" TEXT,
+    "attempt" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "output" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ModelRejection_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ModelRejection_feature_createdAt_idx" ON "ModelRejection"("feature", "createdAt");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "TailoredResume" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "resumeId" TEXT,
+    "jobTitle" TEXT NOT NULL,
+    "companyName" TEXT NOT NULL,
+    "jobDescription" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "matchedKeywords" TEXT[],
+    "missingKeywords" TEXT[],
+    "atsScore" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TailoredResume_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TailoredResume_userId_idx" ON "TailoredResume"("userId");
+
+-- AddForeignKey
+ALTER TABLE "TailoredResume" ADD CONSTRAINT "TailoredResume_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TailoredResume" ADD CONSTRAINT "TailoredResume_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- DropIndex
+DROP INDEX "Resume_userId_key";
+
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "name" TEXT NOT NULL DEFAULT 'My Resume';
+
+-- CreateTable
+CREATE TABLE "ResumeVersion" (
+    "id" TEXT NOT NULL,
+    "resumeId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "atsScore" DOUBLE PRECISION,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ResumeVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Resume_userId_idx" ON "Resume"("userId");
+
+-- CreateIndex
+CREATE INDEX "ResumeVersion_resumeId_createdAt_idx" ON "ResumeVersion"("resumeId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ResumeVersion" ADD CONSTRAINT "ResumeVersion_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Seed the history with each existing resume's current content
+INSERT INTO "ResumeVersion" ("id", "resumeId", "content", "atsScore", "createdAt")
+SELECT gen_random_uuid()::text, "id", "content", "atsScore", "updatedAt" FROM "Resume";
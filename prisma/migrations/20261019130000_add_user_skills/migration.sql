@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "UserSkill" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT NOT NULL DEFAULT 'other',
+    "proficiency" TEXT NOT NULL DEFAULT 'intermediate',
+    "yearsUsed" DOUBLE PRECISION,
+    "lastUsed" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "UserSkill_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "UserSkill_userId_idx" ON "UserSkill"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserSkill_userId_name_key" ON "UserSkill"("userId", "name");
+
+-- AddForeignKey
+ALTER TABLE "UserSkill" ADD CONSTRAINT "UserSkill_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill from the existing skill names; category and level are unknown
+INSERT INTO "UserSkill" ("id", "userId", "name", "updatedAt")
+SELECT DISTINCT ON (u."id", lower(trim(s.name)))
+    gen_random_uuid()::text, u."id", trim(s.name), CURRENT_TIMESTAMP
+FROM "User" u, unnest(u."skills") AS s(name)
+WHERE trim(s.name) <> '';
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "milestoneId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Roadmap" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "summary" TEXT,
+    "goal" TEXT,
+    "weeks" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Roadmap_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RoadmapMilestone" (
+    "id" TEXT NOT NULL,
+    "roadmapId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "week" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "skill" TEXT NOT NULL,
+    "resources" JSONB[],
+    "checkpoints" JSONB[],
+    "status" TEXT NOT NULL DEFAULT 'todo',
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RoadmapMilestone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Roadmap_userId_idx" ON "Roadmap"("userId");
+
+-- CreateIndex
+CREATE INDEX "RoadmapMilestone_roadmapId_position_idx" ON "RoadmapMilestone"("roadmapId", "position");
+
+-- CreateIndex
+CREATE INDEX "Assessment_milestoneId_idx" ON "Assessment"("milestoneId");
+
+-- AddForeignKey
+ALTER TABLE "Assessment" ADD CONSTRAINT "Assessment_milestoneId_fkey" FOREIGN KEY ("milestoneId") REFERENCES "RoadmapMilestone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Roadmap" ADD CONSTRAINT "Roadmap_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RoadmapMilestone" ADD CONSTRAINT "RoadmapMilestone_roadmapId_fkey" FOREIGN KEY ("roadmapId") REFERENCES "Roadmap"("id") ON DELETE CASCADE ON UPDATE CASCADE;
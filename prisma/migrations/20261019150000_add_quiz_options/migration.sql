@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "difficulty" TEXT NOT NULL DEFAULT 'adaptive',
+ADD COLUMN     "questionCount" INTEGER NOT NULL DEFAULT 10,
+ADD COLUMN     "skills" TEXT[];
+
+-- Categories are now stored as ids; every earlier quiz was technical
+UPDATE "Assessment" SET "category" = 'technical' WHERE "category" = 'Technical';
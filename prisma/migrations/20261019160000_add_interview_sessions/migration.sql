@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "InterviewSession" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "skills" TEXT[],
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "messages" JSONB[],
+    "scorecard" JSONB,
+    "overallScore" DOUBLE PRECISION,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InterviewSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InterviewSession_userId_idx" ON "InterviewSession"("userId");
+
+-- AddForeignKey
+ALTER TABLE "InterviewSession" ADD CONSTRAINT "InterviewSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
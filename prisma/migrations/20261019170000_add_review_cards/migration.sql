@@ -0,0 +1,55 @@
+-- CreateTable
+CREATE TABLE "ReviewCard" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "assessmentId" TEXT,
+    "questionKey" TEXT NOT NULL,
+    "question" JSONB NOT NULL,
+    "ease" DOUBLE PRECISION NOT NULL DEFAULT 2.5,
+    "interval" INTEGER NOT NULL DEFAULT 0,
+    "repetitions" INTEGER NOT NULL DEFAULT 0,
+    "lapses" INTEGER NOT NULL DEFAULT 0,
+    "dueAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastReviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ReviewCard_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ReviewLog" (
+    "id" TEXT NOT NULL,
+    "cardId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "grade" INTEGER NOT NULL,
+    "recalled" BOOLEAN NOT NULL,
+    "interval" INTEGER NOT NULL,
+    "reviewedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReviewLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReviewCard_userId_dueAt_idx" ON "ReviewCard"("userId", "dueAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReviewCard_userId_questionKey_key" ON "ReviewCard"("userId", "questionKey");
+
+-- CreateIndex
+CREATE INDEX "ReviewLog_userId_reviewedAt_idx" ON "ReviewLog"("userId", "reviewedAt");
+
+-- CreateIndex
+CREATE INDEX "ReviewLog_cardId_idx" ON "ReviewLog"("cardId");
+
+-- AddForeignKey
+ALTER TABLE "ReviewCard" ADD CONSTRAINT "ReviewCard_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewCard" ADD CONSTRAINT "ReviewCard_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "Assessment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewLog" ADD CONSTRAINT "ReviewLog_cardId_fkey" FOREIGN KEY ("cardId") REFERENCES "ReviewCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReviewLog" ADD CONSTRAINT "ReviewLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
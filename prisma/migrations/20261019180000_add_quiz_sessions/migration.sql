@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "QuizSession" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "skills" TEXT[],
+    "difficulty" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "questionCount" INTEGER NOT NULL,
+    "milestoneId" TEXT,
+    "questions" JSONB[],
+    "revealedAnswers" JSONB,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "submittedAt" TIMESTAMP(3),
+    "assessmentId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "QuizSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuizSession_assessmentId_key" ON "QuizSession"("assessmentId");
+
+-- CreateIndex
+CREATE INDEX "QuizSession_userId_status_idx" ON "QuizSession"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "QuizSession" ADD CONSTRAINT "QuizSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizSession" ADD CONSTRAINT "QuizSession_milestoneId_fkey" FOREIGN KEY ("milestoneId") REFERENCES "RoadmapMilestone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizSession" ADD CONSTRAINT "QuizSession_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "Assessment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "QuizSession" ADD COLUMN     "answers" JSONB,
+ADD COLUMN     "currentIndex" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "unsure" INTEGER[];
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "timed" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "QuizSession" ADD COLUMN     "timed" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "times" INTEGER[];
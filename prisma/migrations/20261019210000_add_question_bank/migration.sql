@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "QuestionBankItem" (
+    "id" TEXT NOT NULL,
+    "industry" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "question" JSONB NOT NULL,
+    "simhash" TEXT NOT NULL,
+    "simhashBands" TEXT[],
+    "source" TEXT NOT NULL DEFAULT 'generated',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuestionBankItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SeenQuestion" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "seenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SeenQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuestionBankItem_industry_format_idx" ON "QuestionBankItem"("industry", "format");
+
+-- CreateIndex
+CREATE INDEX "QuestionBankItem_simhashBands_idx" ON "QuestionBankItem" USING GIN ("simhashBands");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuestionBankItem_industry_simhash_key" ON "QuestionBankItem"("industry", "simhash");
+
+-- CreateIndex
+CREATE INDEX "SeenQuestion_userId_seenAt_idx" ON "SeenQuestion"("userId", "seenAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SeenQuestion_userId_itemId_key" ON "SeenQuestion"("userId", "itemId");
+
+-- AddForeignKey
+ALTER TABLE "SeenQuestion" ADD CONSTRAINT "SeenQuestion_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SeenQuestion" ADD CONSTRAINT "SeenQuestion_itemId_fkey" FOREIGN KEY ("itemId") REFERENCES "QuestionBankItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;